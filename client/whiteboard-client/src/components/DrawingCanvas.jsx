@@ -1,10 +1,55 @@
 import React, {
+  useCallback,
   useEffect,
+  useLayoutEffect,
   useRef,
   useState,
   forwardRef,
   useImperativeHandle,
 } from "react";
+import {
+  toPathShape, inkPoint, hasPressure, pathOutline, simplifyPath,
+  strokeHit, eraseFromStroke,
+} from "@shared/paths.js";
+import { brushFields, paintsWhole, paintStroke, fillPolygons } from "../lib/brushes";
+import { newBatch } from "../lib/ops";
+import { recognizeStroke } from "../lib/recognize";
+
+// strokes are simplified before they're stored, within this many screen px
+const SIMPLIFY_PX = 0.75;
+
+// holding the pen still this long before lifting it snaps the stroke to a shape
+const HOLD_MS = 600;
+const HOLD_SLOP = 4; // px of wobble a hold may have
+
+// eraser radius in screen px when the tool doesn't say
+const ERASER_SIZE = 10;
+
+// round cursor the size of the eraser
+const eraserCursor = (r) => {
+  const d = Math.ceil(r * 2 + 2);
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${d}" height="${d}">` +
+    `<circle cx="${d / 2}" cy="${d / 2}" r="${r}" fill="rgba(255,255,255,0.4)" stroke="#555"/></svg>`;
+  return `url("data:image/svg+xml,${encodeURIComponent(svg)}") ${d / 2} ${d / 2}, cell`;
+};
+
+// stylus pressure / tilt of a pointer event (pens only: mice always say 0.5),
+// rounded to keep draw-move and stored points small
+const inkOf = (e, enabled) => {
+  if (!enabled || e.pointerType !== "pen") return {};
+  const out = { p: Math.round(Math.min(1, Math.max(0, e.pressure)) * 1000) / 1000 };
+  if (e.tiltX || e.tiltY) {
+    out.tx = Math.round(e.tiltX || 0);
+    out.ty = Math.round(e.tiltY || 0);
+  }
+  return out;
+};
+
+// draw-move payload of one piece: both ends, with pressure / tilt when present
+const segmentOf = (a, b) => ({
+  x0: a.x, y0: a.y, p0: a.p, tx0: a.tx, ty0: a.ty,
+  x1: b.x, y1: b.y, p1: b.p, tx1: b.tx, ty1: b.ty,
+});
 
 const DrawingCanvas = forwardRef(function DrawingCanvas(
   { socket, tool, roomId, shapes: shapesProp, camera },
@@ -21,6 +66,8 @@ const DrawingCanvas = forwardRef(function DrawingCanvas(
   const drawingQueueRef = useRef([]); // Queue for pending drawing events
   const rectRef = useRef(null); // Cache canvas bounding rect
   const rectCacheTimeRef = useRef(0); // When rect was last cached
+  const eraseRef = useRef(null); // eraser gesture in progress
+  const holdRef = useRef(null); // { x, y, t } where / since when the pointer rests
 
   const [size, setSize] = useState({ w: 0, h: 0 });
   const localStrokesRef = useRef([]); // for local undo/redo
@@ -167,7 +214,7 @@ const DrawingCanvas = forwardRef(function DrawingCanvas(
   }, []);
 
   // ---------- clipping ----------
-  const applyMask = (ctx, mask) => {
+  const applyMask = useCallback((ctx, mask) => {
     if (!mask) return;
     ctx.save();
     ctx.beginPath();
@@ -179,12 +226,30 @@ const DrawingCanvas = forwardRef(function DrawingCanvas(
       ctx.ellipse(cx, cy, mask.w / 2, mask.h / 2, 0, 0, Math.PI * 2);
     }
     ctx.clip();
-  };
+  }, []);
+
+  // ---------- local redraw (for undo/redo) ----------
+  // the strokes still on the canvas, plus the one being drawn right now
+  const paintAll = useCallback(() => {
+    const ctx = ctxRef.current;
+    if (!ctx) return;
+    ctx.clearRect(0, 0, size.w, size.h);
+    const strokes = strokeRef.current
+      ? [...localStrokesRef.current, strokeRef.current]
+      : localStrokesRef.current;
+    for (const s of strokes) {
+      if (s.mask) applyMask(ctx, s.mask);
+      paintStroke(ctx, s);
+      if (s.mask) ctx.restore();
+    }
+  }, [size.w, size.h, applyMask]);
 
   // ---------- stroke ops ----------
-  const beginStroke = (ctx, x, y, color, width, mask) => {
+  // ink = { p?, tx?, ty? } of the first sample (see inkOf)
+  // look = { brush?, opacity?, blend? } (see brushFields)
+  const beginStroke = useCallback((ctx, x, y, color, width, mask, ink = {}, look = {}) => {
     drawingRef.current = true;
-    lastRef.current = { x, y };
+    lastRef.current = inkPoint({ x, y, ...ink });
     maskRef.current = mask || null;
 
     // Cache stroke properties to avoid repeated context changes
@@ -204,26 +269,41 @@ const DrawingCanvas = forwardRef(function DrawingCanvas(
       type: "path", // ✅ ensure it's a path shape
       color: strokeColor,
       width: strokeWidth,
-      points: [{ x, y }],
+      points: [inkPoint({ x, y, ...ink })],
       mask: mask ? { ...mask } : null,
+      ...look,
     };
-  };
+  }, [applyMask]);
 
-  const drawSegment = (ctx, x0, y0, x1, y1, color, width) => {
+  // a = segment start, b = end ({ x, y } plus pressure / tilt for pen strokes)
+  const drawSegment = useCallback((ctx, a, b, color, width) => {
     // Only update context properties if they changed
     const newColor = color || "#111";
     const newWidth = Math.max(0.5, Number(width) || 2);
+    const cur = strokeRef.current;
 
-    if (ctx.strokeStyle !== newColor) ctx.strokeStyle = newColor;
-    if (ctx.lineWidth !== newWidth) ctx.lineWidth = newWidth;
+    if (paintsWhole(cur)) {
+      // translucent / dashed / chisel ink: the whole stroke again, in one go
+      cur.points.push(inkPoint(b));
+      paintAll();
+      return;
+    }
+    if (hasPressure([a, b])) {
+      // variable width: fill the outline of this piece (same as ShapeItem)
+      if (ctx.fillStyle !== newColor) ctx.fillStyle = newColor;
+      fillPolygons(ctx, [pathOutline([a, b], newWidth)]);
+    } else {
+      if (ctx.strokeStyle !== newColor) ctx.strokeStyle = newColor;
+      if (ctx.lineWidth !== newWidth) ctx.lineWidth = newWidth;
 
-    ctx.beginPath();
-    ctx.moveTo(x0, y0);
-    ctx.lineTo(x1, y1);
-    ctx.stroke();
+      ctx.beginPath();
+      ctx.moveTo(a.x, a.y);
+      ctx.lineTo(b.x, b.y);
+      ctx.stroke();
+    }
 
-    if (strokeRef.current) strokeRef.current.points.push({ x: x1, y: y1 });
-  };
+    if (strokeRef.current) strokeRef.current.points.push(inkPoint(b));
+  }, [paintAll]);
 
   const finishStroke = () => {
     const ctx = ctxRef.current;
@@ -232,14 +312,7 @@ const DrawingCanvas = forwardRef(function DrawingCanvas(
     drawingRef.current = false;
 
     const cur = strokeRef.current;
-    if (cur && cur.points.length === 1) {
-      const p = cur.points[0];
-      ctx.fillStyle = cur.color;
-      const r = Math.max(0.5, cur.width / 2);
-      ctx.beginPath();
-      ctx.arc(p.x, p.y, r, 0, Math.PI * 2);
-      ctx.fill();
-    }
+    if (cur && cur.points.length === 1) paintStroke(ctx, cur);
 
     maskRef.current = null;
 
@@ -259,18 +332,24 @@ const DrawingCanvas = forwardRef(function DrawingCanvas(
     const remoteStart = ({ stroke }) => {
       const ctx = ctxRef.current;
       if (!ctx || !stroke) return;
-      const { x0, y0, color, width, mask } = stroke;
+      const { x0, y0, p0, tx0, ty0, color, width, mask, brush, opacity, blend } = stroke;
       if (x0 == null || y0 == null) return;
-      beginStroke(ctx, x0, y0, color, width, mask || null);
+      const look = brush ? { brush, opacity, blend } : {};
+      beginStroke(ctx, x0, y0, color, width, mask || null, { p: p0, tx: tx0, ty: ty0 }, look);
+      // same id as the path shape it becomes (see the ink cleanup below)
+      if (stroke._id) strokeRef.current._id = stroke._id;
     };
 
+    // pressure / tilt ride along, so the width profile matches the sender's
     const remoteMove = ({ stroke }) => {
       const ctx = ctxRef.current;
       if (!ctx || !stroke) return;
       const { x0, y0, x1, y1, color, width } = stroke;
       if ([x0, y0, x1, y1].some((v) => v == null)) return;
-      drawSegment(ctx, x0, y0, x1, y1, color, width);
-      lastRef.current = { x: x1, y: y1 };
+      const a = inkPoint({ x: x0, y: y0, p: stroke.p0, tx: stroke.tx0, ty: stroke.ty0 });
+      const b = inkPoint({ x: x1, y: y1, p: stroke.p1, tx: stroke.tx1, ty: stroke.ty1 });
+      drawSegment(ctx, a, b, color, width);
+      lastRef.current = b;
     };
 
     const remoteEnd = () => finishStroke();
@@ -284,65 +363,8 @@ const DrawingCanvas = forwardRef(function DrawingCanvas(
     socket.on("draw-move", remoteMove);
     socket.on("draw-end", remoteEnd);
     socket.on("clear-canvas", onClear);
-// ----- add this directly after socket.on("clear-canvas", onClear); -----
-const replayDrawing = ({ strokes }) => {
-  const ctx = ctxRef.current;
-  if (!ctx || !Array.isArray(strokes)) return;
-
-  for (const s of strokes) {
-    try {
-      if (!s) continue;
-
-      // format A: full stroke with points array
-      if (Array.isArray(s.points) && s.points.length > 0) {
-        const pts = s.points;
-        beginStroke(ctx, pts[0].x, pts[0].y, s.color || "#111", s.width || 2, s.mask || null);
-        for (let i = 1; i < pts.length; i++) {
-          drawSegment(ctx, pts[i-1].x, pts[i-1].y, pts[i].x, pts[i].y, s.color || "#111", s.width || 2);
-        }
-        finishStroke();
-        continue;
-      }
-
-      // format B: small segments (x0,y0,x1,y1)
-      if (s.x0 != null && s.x1 != null) {
-        beginStroke(ctx, s.x0, s.y0, s.color || "#111", s.width || 2, s.mask || null);
-        drawSegment(ctx, s.x0, s.y0, s.x1, s.y1, s.color || "#111", s.width || 2);
-        finishStroke();
-        continue;
-      }
-    } catch (err) {
-      console.warn("replayDrawing error for stroke", err);
-    }
-  }
-};
-
-    socket.on("drawing:replay", replayDrawing);
-    // replay strokes (server already emits this on join, but add safe handler)
-const handleDrawingReplay = ({ roomId: rid, strokes }) => {
-  if (!Array.isArray(strokes) || strokes.length === 0) return;
-  // convert strokes -> shapes (same convention server uses)
-  const shapesFromStrokes = strokes.map(stroke => ({
-    _id: stroke._id || `${Date.now()}-${Math.random().toString(36).slice(2)}`,
-    type: "path",
-    points: stroke.points || stroke.pointsArray || [], // adapt to your stroke format
-    color: stroke.color || "#111",
-    width: stroke.width || 2,
-    author: stroke.author || null,
-    // optional: bounding box - compute or leave undefined
-  })).filter(s => Array.isArray(s.points) && s.points.length > 0);
-
-  // merge into current shapes (avoid dupes)
-  setShapes(prev => {
-    const map = new Map();
-    (prev || []).forEach(p => { if (p && p._id) map.set(p._id, p); });
-    shapesFromStrokes.forEach(s => { if (s && s._id) map.set(s._id, s); });
-    return Array.from(map.values());
-  });
-};
-
-socket.on("drawing:replay", handleDrawingReplay);
-
+    // saved strokes come back as path shapes (drawn by ShapeRenderer), so
+    // drawing:replay needs nothing here
 
     return () => {
       socket.off("draw-start", remoteStart);
@@ -350,12 +372,12 @@ socket.on("drawing:replay", handleDrawingReplay);
       socket.off("draw-end", remoteEnd);
       socket.off("clear-canvas", onClear);
     };
-  }, [socket, size.w, size.h]);
+  }, [socket, size.w, size.h, beginStroke, drawSegment]);
 
   // ---------- Mouse / Touch ----------
   // ---------- Pointer events (replace mouse/touch handlers) ----------
 const onPointerDown = (e) => {
-  if (!ctxRef.current || tool?.mode !== "draw") return;
+  if (!ctxRef.current || (tool?.mode !== "draw" && tool?.mode !== "erase")) return;
   e.preventDefault();
   e.stopPropagation();
 
@@ -365,13 +387,22 @@ const onPointerDown = (e) => {
   } catch (err) {}
 
   const { x, y } = toCanvas(e.clientX, e.clientY);
+  if (tool.mode === "erase") {
+    eraseRef.current = { batch: newBatch(), last: { x, y }, gone: new Set(), added: new Map() };
+    eraseAt(x, y);
+    return;
+  }
   const shape = hitTest(x, y);
   const mask =
     shape && (shape.type === "rect" || shape.type === "ellipse")
       ? { id: shape._id, type: shape.type, x: shape.x, y: shape.y, w: shape.w, h: shape.h }
       : null;
 
-  beginStroke(ctxRef.current, x, y, tool.color, tool.width, mask);
+  // pressure is the plain pen's; the other brushes keep their width
+  const look = brushFields(tool.brush);
+  const ink = inkOf(e, tool.pressure && !look.brush);
+  beginStroke(ctxRef.current, x, y, tool.color, tool.width, mask, ink, look);
+  holdRef.current = { x, y, t: Date.now() };
 
   // include stroke id so server can store/replay properly
   socket?.emit("draw-start", {
@@ -380,25 +411,86 @@ const onPointerDown = (e) => {
       _id: strokeRef.current?._id,
       x0: x,
       y0: y,
+      p0: ink.p,
+      tx0: ink.tx,
+      ty0: ink.ty,
       color: tool.color,
       width: tool.width,
+      ...look,
       mask,
     },
   });
 };
 
-const onPointerMove = (e) => {
-  if (!drawingRef.current || tool?.mode !== "draw" || !ctxRef.current) return;
-  e.preventDefault();
+// ---------- Eraser ----------
+// tool.eraser = "stroke" (whole path shapes) | "partial" (cuts them apart).
+// Every delete / add of one gesture shares a batch: one step to undo.
+const eraserRadius = () => (Number(tool?.eraserSize) || ERASER_SIZE) / (camera?.scale || 1);
+
+const eraseAt = (sx, sy) => {
+  const g = eraseRef.current;
+  const { x, y } = toWorld(sx, sy);
+  const r = eraserRadius();
+
+  // the board as this gesture left it (props lag behind our own edits)
+  const paths = new Map(getShapes().filter((s) => s.type === "path").map((s) => [s._id, s]));
+  g.added.forEach((s, id) => paths.set(id, s));
+  g.gone.forEach((id) => paths.delete(id));
+
+  for (const s of paths.values()) {
+    if (!strokeHit(s, x, y, r)) continue;
+    let pieces = [];
+    if (tool.eraser === "partial") {
+      const runs = eraseFromStroke(s.points, x, y, r, s.strokeWidth ?? s.width);
+      if (!runs) continue;
+      // the rest of the stroke, as new strokes with its look
+      pieces = runs.map((points) => toPathShape({ ...s, _id: null, clock: null, points }));
+    }
+    g.gone.add(s._id);
+    g.added.delete(s._id);
+    socket?.emit("shape:delete", { roomId, id: s._id, batch: g.batch });
+    for (const piece of pieces) {
+      g.added.set(piece._id, piece);
+      socket?.emit("shape:add", { roomId, shape: piece, batch: g.batch });
+    }
+  }
+};
 
-  const { x, y } = toCanvas(e.clientX, e.clientY);
-  const { x: x0, y: y0 } = lastRef.current;
+// erase along the way from the last position, so a quick swipe misses nothing
+const eraseTo = (sx, sy) => {
+  const g = eraseRef.current;
+  const step = Math.max(1, (Number(tool?.eraserSize) || ERASER_SIZE) / 2);
+  const n = Math.ceil(Math.hypot(sx - g.last.x, sy - g.last.y) / step);
+  for (let i = 1; i <= n; i++) {
+    eraseAt(g.last.x + ((sx - g.last.x) * i) / n, g.last.y + ((sy - g.last.y) * i) / n);
+  }
+  g.last = { x: sx, y: sy };
+};
 
-  const dx = x - x0;
-  const dy = y - y0;
-  if (Math.abs(dx) < 0.5 && Math.abs(dy) < 0.5) return;
+// a finished pen stroke that is roughly a box / circle / line / arrow becomes
+// that shape: added and the ink deleted in one batch, so a single undo brings
+// the ink back (the other brushes have no clean counterpart and stay ink)
+const snapToShape = (path) => {
+  if (path.brush) return;
+  const found = recognizeStroke(path.points);
+  if (!found) return;
+  const batch = newBatch();
+  const shape = {
+    _id: crypto.randomUUID?.() || `${found.type}-${Date.now()}-${Math.random().toString(36).slice(2)}`,
+    ...found,
+    color: path.color,
+    strokeWidth: path.strokeWidth,
+  };
+  socket?.emit("shape:add", { roomId, shape, batch });
+  socket?.emit("shape:delete", { roomId, id: path._id, batch });
+};
 
-  drawSegment(ctxRef.current, x0, y0, x, y, tool.color, tool.width);
+// draw + relay one piece of the live stroke, from the last point to `next`
+const extendStroke = (next) => {
+  const prev = lastRef.current;
+  const { x: x0, y: y0 } = prev;
+  const { x, y } = next;
+  drawSegment(ctxRef.current, prev, next, tool.color, tool.width);
 
   if (camera) {
     const w0 = toWorld(x0, y0);
@@ -408,18 +500,54 @@ const onPointerMove = (e) => {
     );
   }
 
-  lastRef.current = { x, y };
+  lastRef.current = next;
 
   // include stroke id on move events so server can associate segments
   const strokeId = strokeRef.current?._id;
   throttledEmit({
     roomId,
-    stroke: { _id: strokeId, x0, y0, x1: x, y1: y, color: tool.color, width: tool.width },
+    stroke: { _id: strokeId, ...segmentOf(prev, next), color: tool.color, width: tool.width },
   });
 };
 
+const onPointerMove = (e) => {
+  if (eraseRef.current) {
+    e.preventDefault();
+    const { x, y } = toCanvas(e.clientX, e.clientY);
+    eraseTo(x, y);
+    return;
+  }
+  if (!drawingRef.current || tool?.mode !== "draw" || !ctxRef.current) return;
+  e.preventDefault();
+
+  let { x, y } = toCanvas(e.clientX, e.clientY);
+  const { x: x0, y: y0 } = lastRef.current;
+
+  const hold = holdRef.current;
+  if (!hold || Math.hypot(x - hold.x, y - hold.y) > HOLD_SLOP) {
+    holdRef.current = { x, y, t: Date.now() };
+  }
+
+  // stabilizer: the pen trails the pointer on a string `tool.stabilizer` px
+  // long and only moves once the pointer pulls it taut, ironing out jitter
+  const lag = Number(tool.stabilizer) || 0;
+  if (lag > 0) {
+    const dist = Math.hypot(x - x0, y - y0);
+    if (dist <= lag) return;
+    const k = (dist - lag) / dist;
+    x = x0 + (x - x0) * k;
+    y = y0 + (y - y0) * k;
+  }
+
+  const dx = x - x0;
+  const dy = y - y0;
+  if (Math.abs(dx) < 0.5 && Math.abs(dy) < 0.5) return;
+
+  extendStroke(inkPoint({ x, y, ...inkOf(e, tool.pressure && !strokeRef.current?.brush) }));
+};
+
 const onPointerUp = (e) => {
-  if (!drawingRef.current) return;
+  if (!drawingRef.current && !eraseRef.current) return;
   e.preventDefault();
 
   // release pointer capture
@@ -427,12 +555,30 @@ const onPointerUp = (e) => {
     canvasRef.current?.releasePointerCapture?.(e.pointerId);
   } catch (err) {}
 
+  if (eraseRef.current) {
+    eraseRef.current = null;
+    return;
+  }
+
+  // a stabilized pen catches up with where the pointer was lifted
+  // (pens report no pressure on release: keep the last one)
+  if (Number(tool?.stabilizer) > 0 && ctxRef.current) {
+    const last = lastRef.current;
+    const { x, y } = toCanvas(e.clientX, e.clientY);
+    if (Math.hypot(x - last.x, y - last.y) >= 0.5) extendStroke(inkPoint({ ...last, x, y }));
+  }
+
   if (throttleRef.current) {
     clearTimeout(throttleRef.current);
     throttleRef.current = null;
   }
   flushDrawingQueue();
 
+  // held still at the end (a pointer that never moved only drew a dot)
+  const hold = holdRef.current;
+  const held = !!hold && Date.now() - hold.t >= HOLD_MS;
+  holdRef.current = null;
+
   const completed = finishStroke();
 
   // send final last segment if possible (keeps other peers smooth)
@@ -444,10 +590,7 @@ const onPointerUp = (e) => {
         roomId,
         stroke: {
           _id: completed._id,
-          x0: prevPoint.x,
-          y0: prevPoint.y,
-          x1: lastPoint.x,
-          y1: lastPoint.y,
+          ...segmentOf(prevPoint, lastPoint),
           color: completed.color,
           width: completed.width,
         },
@@ -455,80 +598,44 @@ const onPointerUp = (e) => {
     }
   }
 
-  // final commit
-  socket?.emit("draw-end", { roomId, stroke: completed });
-
-  // also persist as a shape for immediate availability (undo/history)
- // ✅ FIX: emit shape:add for undo/redo history
-if (completed) {
-  socket?.emit("shape:add", { roomId, shape: { ...completed, type: "path" } });
-}
+  // drop the points nobody can see at this zoom (tolerance in board units)
+  if (completed) {
+    completed.points = simplifyPath(
+      completed.points,
+      SIMPLIFY_PX / (camera?.scale || 1),
+      completed.width
+    );
+  }
 
+  // peers finish their live copy; the stroke is stored once, as a path shape
+  // (shape:add also puts it on our server-side undo stack)
+  socket?.emit("draw-end", { roomId, id: completed?._id });
+  if (completed) {
+    const path = toPathShape(completed);
+    socket?.emit("shape:add", { roomId, shape: path });
+    if (tool.recognize || held) snapToShape(path);
+  }
 };
 
 
   const onContextMenu = (e) => {
-    if (tool?.mode === "draw") e.preventDefault();
+    if (tool?.mode === "draw" || tool?.mode === "erase") e.preventDefault();
   };
 
-  // ---------- local redraw (for undo/redo) ----------
-  const redrawAll = () => {
-    const ctx = ctxRef.current;
-    if (!ctx) return;
-
-    // Use requestAnimationFrame for smoother rendering
-    requestAnimationFrame(() => {
-      ctx.clearRect(0, 0, size.w, size.h);
-
-      // Batch canvas operations for better performance
-      ctx.save();
-
-      // Cache current context properties to avoid unnecessary changes
-      let currentStrokeStyle = ctx.strokeStyle;
-      let currentLineWidth = ctx.lineWidth;
-      let currentFillStyle = ctx.fillStyle;
-
-      for (const s of localStrokesRef.current) {
-        if (s.mask) applyMask(ctx, s.mask);
-        const pts = s.points || [];
-
-        if (pts.length === 1) {
-          // Single point - draw as circle
-          const newFillStyle = s.color || "#111";
-          if (currentFillStyle !== newFillStyle) {
-            ctx.fillStyle = newFillStyle;
-            currentFillStyle = newFillStyle;
-          }
-          const r = Math.max(0.5, (s.width || 2) / 2);
-          ctx.beginPath();
-          ctx.arc(pts[0].x, pts[0].y, r, 0, Math.PI * 2);
-          ctx.fill();
-        } else if (pts.length > 1) {
-          // Multiple points - draw as connected line
-          const newStrokeStyle = s.color || "#111";
-          const newLineWidth = Math.max(0.5, s.width || 2);
-
-          if (currentStrokeStyle !== newStrokeStyle) {
-            ctx.strokeStyle = newStrokeStyle;
-            currentStrokeStyle = newStrokeStyle;
-          }
-          if (currentLineWidth !== newLineWidth) {
-            ctx.lineWidth = newLineWidth;
-            currentLineWidth = newLineWidth;
-          }
-
-          ctx.beginPath();
-          ctx.moveTo(pts[0].x, pts[0].y);
-          for (let i = 1; i < pts.length; i++) {
-            ctx.lineTo(pts[i].x, pts[i].y);
-          }
-          ctx.stroke();
-        }
-        if (s.mask) ctx.restore();
-      }
-      ctx.restore();
-    });
-  };
+  // Use requestAnimationFrame for smoother rendering
+  const redrawAll = () => requestAnimationFrame(paintAll);
+
+  // once a stroke is on the board as a path shape, ShapeItem draws it (in its
+  // brush, beneath or above the other shapes): its ink leaves the canvas before
+  // that frame is painted, so nothing shows twice
+  useLayoutEffect(() => {
+    if (!shapesProp) return;
+    const ids = new Set(shapesProp.map((s) => s._id));
+    const left = localStrokesRef.current.filter((s) => !ids.has(s._id));
+    if (left.length === localStrokesRef.current.length) return;
+    localStrokesRef.current = left;
+    paintAll();
+  });
 
   // ---------- expose simple undo/redo ----------
   useImperativeHandle(ref, () => ({
@@ -552,6 +659,8 @@ if (completed) {
     },
     hasUndo: () => localStrokesRef.current.length > 0,
     hasRedo: () => redoStackRef.current.length > 0,
+    // the ink layer itself (viewport-sized, device pixels) for board export
+    getInkCanvas: () => canvasRef.current,
   }));
 
   return (
@@ -563,9 +672,12 @@ if (completed) {
         width: "100%",
         height: "100%",
         background: "transparent",
-        cursor: tool?.mode === "draw" ? "crosshair" : "default",
+        cursor:
+          tool?.mode === "erase"
+            ? eraserCursor(Number(tool.eraserSize) || ERASER_SIZE)
+            : tool?.mode === "draw" ? "crosshair" : "default",
         zIndex: 2,
-        pointerEvents: tool?.mode === "draw" ? "auto" : "none",
+        pointerEvents: tool?.mode === "draw" || tool?.mode === "erase" ? "auto" : "none",
         touchAction: "none",
       }}
      onPointerDown={onPointerDown}
@@ -0,0 +1,199 @@
+// client/src/components/HistoryPanel.jsx
+import React, { useCallback, useEffect, useState } from "react";
+import toast from "react-hot-toast";
+import {
+  listSnapshots,
+  createSnapshot,
+  getSnapshot,
+  deleteSnapshot,
+  restoreSnapshot,
+} from "../lib/api";
+
+/**
+ * Version history: save a named snapshot, preview one (read-only, Whiteboard
+ * swaps the board while `previewId` is set), restore it over the live board
+ * (owner) or fork it into a new room.
+ *
+ * Props:
+ *  - socket, roomId, role, myName
+ *  - previewId:  id of the snapshot being previewed (or null)
+ *  - onPreview(snapshot | null)  snapshot = meta + shapes
+ *  - onForked({ roomId })        new room is ready, token already stored
+ *  - onClose
+ */
+export default function HistoryPanel({
+  socket,
+  roomId,
+  role = "editor",
+  myName,
+  previewId = null,
+  onPreview,
+  onForked,
+  onClose,
+}) {
+  const [list, setList] = useState([]);
+  const [name, setName] = useState("");
+  const [busy, setBusy] = useState(false);
+  const canEdit = role !== "viewer";
+  const isOwner = role === "owner";
+
+  const refresh = useCallback(() => {
+    listSnapshots(roomId)
+      .then(setList)
+      .catch((e) => console.warn("Failed to load snapshots", e));
+  }, [roomId]);
+
+  useEffect(() => {
+    refresh();
+    // someone (or the auto-save job) saved one
+    socket?.on("snapshot:saved", refresh);
+    return () => socket?.off("snapshot:saved", refresh);
+  }, [socket, refresh]);
+
+  const run = async (fn, failMsg) => {
+    setBusy(true);
+    try {
+      await fn();
+    } catch (e) {
+      console.error(failMsg, e);
+      toast.error(e?.response?.status === 403 ? "Not allowed" : failMsg);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const save = (e) => {
+    e.preventDefault();
+    const n = name.trim();
+    if (!n) return;
+    run(async () => {
+      await createSnapshot(roomId, n, myName);
+      setName("");
+      toast.success(`Saved "${n}"`);
+    }, "Failed to save snapshot");
+  };
+
+  const preview = (s) =>
+    run(async () => onPreview?.(await getSnapshot(roomId, s._id)), "Failed to load snapshot");
+
+  const restore = (s) => {
+    if (!window.confirm(`Replace the live board with "${s.name}" for everyone?`)) return;
+    run(async () => {
+      await restoreSnapshot(roomId, s._id, "replace");
+      onPreview?.(null);
+    }, "Failed to restore snapshot");
+  };
+
+  const fork = (s) =>
+    run(async () => {
+      const res = await restoreSnapshot(roomId, s._id, "fork");
+      toast.success(`Forked into room ${res.roomId}`);
+      onForked?.(res);
+    }, "Failed to fork snapshot");
+
+  const remove = (s) => {
+    if (!window.confirm(`Delete snapshot "${s.name}"?`)) return;
+    run(async () => {
+      await deleteSnapshot(roomId, s._id);
+      if (previewId === s._id) onPreview?.(null);
+      refresh();
+    }, "Failed to delete snapshot");
+  };
+
+  const linkBtn = {
+    border: "1px solid #ccc",
+    background: "#fff",
+    borderRadius: 4,
+    padding: "1px 6px",
+    fontSize: 12,
+    cursor: "pointer",
+  };
+
+  return (
+    <div
+      style={{
+        position: "absolute",
+        right: 16,
+        top: 16,
+        width: 300,
+        maxHeight: "70%",
+        overflowY: "auto",
+        background: "#fff",
+        border: "1px solid #ddd",
+        borderRadius: 8,
+        padding: 12,
+        zIndex: 70,
+        boxShadow: "0 2px 8px rgba(0,0,0,.12)",
+        fontSize: 13,
+      }}
+    >
+      <div style={{ display: "flex", justifyContent: "space-between", marginBottom: 8 }}>
+        <strong>History</strong>
+        <button
+          onClick={onClose}
+          style={{ border: "none", background: "transparent", cursor: "pointer" }}
+        >
+          ×
+        </button>
+      </div>
+
+      {canEdit && (
+        <form onSubmit={save} style={{ display: "flex", gap: 6, marginBottom: 10 }}>
+          <input
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Snapshot name, e.g. Before retro voting"
+            maxLength={120}
+            style={{ flexGrow: 1, padding: "4px 6px" }}
+          />
+          <button type="submit" disabled={busy || !name.trim()} style={linkBtn}>
+            Save
+          </button>
+        </form>
+      )}
+
+      {list.length === 0 && <div style={{ color: "#888" }}>No snapshots yet.</div>}
+
+      {list.map((s) => (
+        <div
+          key={s._id}
+          style={{
+            borderTop: "1px solid #eee",
+            padding: "6px 0",
+            background: previewId === s._id ? "#eef5ff" : "transparent",
+          }}
+        >
+          <div style={{ display: "flex", justifyContent: "space-between", gap: 6 }}>
+            <span style={{ fontWeight: s.auto ? "normal" : 600 }}>{s.name}</span>
+            <span style={{ color: "#888", whiteSpace: "nowrap" }}>{s.shapeCount} items</span>
+          </div>
+          <div style={{ color: "#888", fontSize: 11, marginBottom: 4 }}>
+            {new Date(s.createdAt).toLocaleString()}
+            {s.createdBy ? ` · ${s.createdBy}` : ""}
+            {s.auto ? " · auto" : ""}
+          </div>
+          <div style={{ display: "flex", gap: 4 }}>
+            <button disabled={busy} onClick={() => preview(s)} style={linkBtn}>
+              Preview
+            </button>
+            {isOwner && (
+              <button disabled={busy} onClick={() => restore(s)} style={linkBtn}>
+                Restore
+              </button>
+            )}
+            {canEdit && (
+              <button disabled={busy} onClick={() => fork(s)} style={linkBtn}>
+                Fork
+              </button>
+            )}
+            {isOwner && (
+              <button disabled={busy} onClick={() => remove(s)} style={linkBtn}>
+                Delete
+              </button>
+            )}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,150 @@
+// client/src/components/MembersPanel.jsx
+import React, { useEffect, useState } from "react";
+
+/**
+ * Owner-only panel: change roles of people in the room, the default role
+ * new joiners get and how long an idle board is kept (or pin it). Server
+ * enforces it (member:role / settings:update are owner-only), this just
+ * drives the events.
+ *
+ * Props:
+ *  - socket, roomId
+ *  - presence: { [socketId]: { name, color } }
+ *  - roles:    { [socketId]: "viewer" | "editor" | "owner" }
+ *  - myId:     own socket id
+ *  - settings: { defaultRole, retentionDays, pinned, listed }
+ *  - onClose
+ */
+export default function MembersPanel({
+  socket,
+  roomId,
+  presence = {},
+  roles = {},
+  myId,
+  settings = {},
+  onClose,
+}) {
+  const setRole = (socketId, role) =>
+    socket?.emit("member:role", { roomId, socketId, role });
+
+  const updateSettings = (patch) => socket?.emit("settings:update", { roomId, patch });
+
+  // retention is sent on blur / Enter, not per keystroke
+  const [days, setDays] = useState(settings.retentionDays ?? "");
+  useEffect(() => setDays(settings.retentionDays ?? ""), [settings.retentionDays]);
+  const saveDays = () => {
+    const n = parseInt(days, 10);
+    if (n >= 1 && n <= 3650 && n !== settings.retentionDays) updateSettings({ retentionDays: n });
+    else setDays(settings.retentionDays ?? "");
+  };
+
+  return (
+    <div
+      style={{
+        position: "absolute",
+        right: 16,
+        top: 16,
+        width: 260,
+        background: "#fff",
+        border: "1px solid #ddd",
+        borderRadius: 8,
+        padding: 12,
+        zIndex: 70,
+        boxShadow: "0 2px 8px rgba(0,0,0,.12)",
+        fontSize: 13,
+      }}
+    >
+      <div style={{ display: "flex", justifyContent: "space-between", marginBottom: 8 }}>
+        <strong>Members</strong>
+        <button
+          onClick={onClose}
+          style={{ border: "none", background: "transparent", cursor: "pointer" }}
+        >
+          ×
+        </button>
+      </div>
+
+      {Object.entries(roles).map(([id, role]) => (
+        <div
+          key={id}
+          style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 6 }}
+        >
+          <span
+            style={{
+              width: 8,
+              height: 8,
+              borderRadius: "50%",
+              background: presence[id]?.color || "#4c9ffe",
+            }}
+          />
+          <span style={{ flexGrow: 1 }}>
+            {presence[id]?.name || "Guest"} {id === myId ? "(you)" : ""}
+          </span>
+          <select
+            value={role}
+            disabled={id === myId}
+            onChange={(e) => setRole(id, e.target.value)}
+          >
+            <option value="viewer">Viewer</option>
+            <option value="editor">Editor</option>
+            <option value="owner">Owner</option>
+          </select>
+        </div>
+      ))}
+
+      <div
+        style={{
+          borderTop: "1px solid #eee",
+          marginTop: 8,
+          paddingTop: 8,
+          display: "flex",
+          alignItems: "center",
+          gap: 8,
+        }}
+      >
+        <span style={{ flexGrow: 1 }}>New joiners are</span>
+        <select
+          value={settings.defaultRole || "editor"}
+          onChange={(e) => updateSettings({ defaultRole: e.target.value })}
+        >
+          <option value="viewer">Viewers</option>
+          <option value="editor">Editors</option>
+        </select>
+      </div>
+
+      <div style={{ display: "flex", alignItems: "center", gap: 8, marginTop: 8 }}>
+        <span style={{ flexGrow: 1, color: settings.pinned ? "#aaa" : "inherit" }}>
+          Archive after idle days
+        </span>
+        <input
+          type="number"
+          min={1}
+          max={3650}
+          value={days}
+          placeholder="default"
+          disabled={!!settings.pinned}
+          onChange={(e) => setDays(e.target.value)}
+          onBlur={saveDays}
+          onKeyDown={(e) => e.key === "Enter" && saveDays()}
+          style={{ width: 70 }}
+        />
+      </div>
+      <label style={{ display: "flex", alignItems: "center", gap: 6, marginTop: 6, cursor: "pointer" }}>
+        <input
+          type="checkbox"
+          checked={!!settings.pinned}
+          onChange={(e) => updateSettings({ pinned: e.target.checked })}
+        />
+        📌 Pinned (never archived)
+      </label>
+      <label style={{ display: "flex", alignItems: "center", gap: 6, marginTop: 6, cursor: "pointer" }}>
+        <input
+          type="checkbox"
+          checked={!!settings.listed}
+          onChange={(e) => updateSettings({ listed: e.target.checked })}
+        />
+        🔎 Listed in the room directory
+      </label>
+    </div>
+  );
+}
@@ -1,18 +1,52 @@
-import React, { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import React, { useEffect, useState } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { joinRoom, listRooms, getRecentRooms } from '../lib/api';
+
+const CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const randomCode = () =>
+  Array.from({ length: 6 }, () => CODE_CHARS[Math.floor(Math.random() * CODE_CHARS.length)]).join('');
 
 function RoomJoin() {
-  const [roomCode, setRoomCode] = useState('');
+  const [searchParams] = useSearchParams();
+  const [roomCode, setRoomCode] = useState(searchParams.get('room') || '');
   const [name, setName] = useState(localStorage.getItem('wb:name') || '');
+  // password prompt (shown when the server says the room needs one)
+  const [needsPassword, setNeedsPassword] = useState(false);
+  const [password, setPassword] = useState('');
+  // optional protection when creating a new room
+  const [protect, setProtect] = useState(false);
+  const [ownerSecret, setOwnerSecret] = useState('');
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+  // boards joined from this browser + their directory entries (GET /api/rooms)
+  const [recent] = useState(getRecentRooms);
+  const [details, setDetails] = useState(null);
+  const [newTitle, setNewTitle] = useState('');
   const navigate = useNavigate();
 
-  const handleJoin = () => {
-    const code = roomCode.trim().toUpperCase();
+  useEffect(() => {
+    if (!recent.length) return;
+    listRooms({ ids: recent.map((r) => r.roomId), limit: 100 })
+      .then(({ rooms }) => setDetails(Object.fromEntries(rooms.map((r) => [r.roomId, r]))))
+      .catch((e) => console.warn('Failed to load recent rooms', e));
+  }, [recent]);
+
+  // rooms the cleanup job already removed drop out once details are in
+  const known = recent.filter((r) => !details || details[r.roomId]);
+  // created or claimed here, not just owner of an unclaimed room we visited
+  const owned = known.filter((r) => r.mine);
+
+  const handleJoin = async (codeArg, { title } = {}) => {
+    // recent rooms may have forked ids (mixed case, longer) -> taken as-is
+    const raw = (codeArg ?? roomCode).trim();
+    const isKnown = recent.some((r) => r.roomId === raw);
+    const code = isKnown ? raw : raw.toUpperCase();
     const displayName = name.trim() || 'Guest';
 
-    if (!/^[A-Z0-9]{4,8}$/.test(code)) {
+    if (!isKnown && !/^[A-Z0-9]{4,8}$/.test(code)) {
       return alert("Room code must be 4–8 uppercase alphanumeric characters.");
     }
+    setRoomCode(code);
 
     // persist name (and random color if absent) for presence on connect
     localStorage.setItem('wb:name', displayName);
@@ -21,8 +55,63 @@ function RoomJoin() {
       localStorage.setItem('wb:color', color);
     }
 
-    // Navigate directly to room - socket will handle room creation/validation
-    navigate(`/room/${code}`);
+    // get a signed room token first - join-room rejects sockets without one
+    setBusy(true);
+    setError('');
+    try {
+      await joinRoom(code, {
+        password: password || undefined,
+        ownerSecret: ownerSecret || undefined,
+        title,
+      });
+      navigate(`/room/${code}`);
+    } catch (err) {
+      const reason = err?.response?.data?.error;
+      if (reason === 'password_required' || reason === 'invalid_password') {
+        setNeedsPassword(true);
+        setError(reason === 'invalid_password' ? 'Wrong password.' : 'This room is password protected.');
+      } else if (reason === 'room_archived') {
+        setError('This room was archived after being idle. Ask an admin to restore it.');
+      } else {
+        setError('Could not join room. Is the server running?');
+      }
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // fresh code that isn't taken yet, created on join
+  const createRoom = async () => {
+    setBusy(true);
+    try {
+      let code = randomCode();
+      for (let i = 0; i < 5; i++) {
+        const { total } = await listRooms({ ids: [code], limit: 1 });
+        if (!total) break;
+        code = randomCode();
+      }
+      await handleJoin(code, { title: newTitle.trim() || undefined });
+    } catch {
+      setError('Could not create a room. Is the server running?');
+      setBusy(false);
+    }
+  };
+
+  const roomRow = (r) => {
+    const d = details?.[r.roomId];
+    const title = d?.title || r.title;
+    return (
+      <button key={r.roomId} onClick={() => handleJoin(r.roomId)} disabled={busy} style={styles.roomRow}>
+        <span>
+          <strong>{r.roomId}</strong>
+          {title ? ` · ${title}` : ''}
+          {d?.protected ? ' 🔒' : ''}
+        </span>
+        <span style={styles.roomMeta}>
+          {d ? `${d.shapeCount} items · ${d.users} online` : ''}
+        </span>
+      </button>
+    );
   };
 
   return (
@@ -44,10 +133,76 @@ function RoomJoin() {
           placeholder="Enter your name"
           style={styles.nameInput}
         />
+        {(needsPassword || protect) && (
+          <>
+            <div style={{ height: 12 }} />
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && handleJoin()}
+              placeholder={protect && !needsPassword ? 'Room password (optional)' : 'Room password'}
+              style={styles.nameInput}
+              autoFocus={needsPassword}
+            />
+          </>
+        )}
+        {protect && (
+          <>
+            <div style={{ height: 12 }} />
+            <input
+              type="password"
+              value={ownerSecret}
+              onChange={(e) => setOwnerSecret(e.target.value)}
+              placeholder="Owner secret (optional)"
+              style={styles.nameInput}
+            />
+          </>
+        )}
+        {!needsPassword && (
+          <label style={styles.toggle}>
+            <input
+              type="checkbox"
+              checked={protect}
+              onChange={(e) => setProtect(e.target.checked)}
+            />{' '}
+            Protect new room / claim as owner
+          </label>
+        )}
+        {error && <div style={styles.error}>{error}</div>}
         <br /><br />
-        <button onClick={handleJoin} style={styles.button}>
-          Join Room
+        <button onClick={() => handleJoin()} style={styles.button} disabled={busy}>
+          {busy ? 'Joining…' : 'Join Room'}
         </button>
+
+        <div style={styles.section}>
+          <input
+            type="text"
+            value={newTitle}
+            onChange={(e) => setNewTitle(e.target.value)}
+            placeholder="Title for a new room (optional)"
+            maxLength={120}
+            style={styles.nameInput}
+          />
+          <div style={{ height: 12 }} />
+          <button onClick={createRoom} style={styles.button} disabled={busy}>
+            ✨ Create new room
+          </button>
+        </div>
+
+        {owned.length > 0 && (
+          <div style={styles.section}>
+            <h3 style={styles.subheading}>Your rooms</h3>
+            {owned.map(roomRow)}
+          </div>
+        )}
+
+        {known.length > 0 && (
+          <div style={styles.section}>
+            <h3 style={styles.subheading}>Recently visited</h3>
+            {known.slice(0, 8).map(roomRow)}
+          </div>
+        )}
       </div>
     </div>
   );
@@ -58,7 +213,7 @@ const styles = {
     display: 'flex',
     justifyContent: 'center',
     alignItems: 'center',
-    height: '100vh',
+    minHeight: '100vh',
     backgroundColor: '#0a0e13',
     padding: '20px',
   },
@@ -104,6 +259,45 @@ const styles = {
     outline: 'none',
     boxShadow: 'inset 0 0 8px rgba(0,255,208,0.3)',
   },
+  toggle: {
+    display: 'block',
+    marginTop: '12px',
+    fontSize: '13px',
+    cursor: 'pointer',
+  },
+  error: {
+    marginTop: '12px',
+    fontSize: '13px',
+    color: '#ff6b6b',
+  },
+  section: {
+    marginTop: '24px',
+    paddingTop: '16px',
+    borderTop: '1px solid rgba(0,255,208,0.2)',
+  },
+  subheading: {
+    fontSize: '15px',
+    margin: '0 0 10px',
+  },
+  roomRow: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    gap: '8px',
+    width: '100%',
+    marginBottom: '6px',
+    padding: '8px 10px',
+    fontSize: '13px',
+    textAlign: 'left',
+    color: '#00ffd0',
+    backgroundColor: '#111',
+    border: '1px solid rgba(0,255,208,0.3)',
+    borderRadius: '6px',
+    cursor: 'pointer',
+  },
+  roomMeta: {
+    color: '#7fbfb2',
+    whiteSpace: 'nowrap',
+  },
   button: {
     padding: '10px 24px',
     fontSize: '15px',
@@ -0,0 +1,156 @@
+// client/src/components/TimelapsePanel.jsx
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import toast from "react-hot-toast";
+import { fetchHistory } from "../lib/api";
+import { applyOp } from "../lib/ops";
+
+const CHECKPOINT_EVERY = 100; // ops between cached board states (for scrubbing)
+const MAX_GAP_MS = 1000; // idle time between ops is squeezed to at most this
+const SPEEDS = [1, 2, 4, 8, 16];
+
+/**
+ * Time-lapse: replays the room from empty to now on a scrubbable timeline.
+ * Purely local — frames go to Whiteboard through onFrame(shapes) and nothing
+ * is ever emitted to the room. onFrame(null) = back to the live board.
+ *
+ * Props: roomId, onFrame, onClose
+ */
+export default function TimelapsePanel({ roomId, onFrame, onClose }) {
+  const [history, setHistory] = useState(null); // { base, ops }
+  const [pos, setPos] = useState(0); // number of ops applied
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(4);
+  const timerRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchHistory(roomId)
+      .then((h) => {
+        if (cancelled) return;
+        setHistory(h);
+        setPos(0);
+        setPlaying(h.ops.length > 0);
+      })
+      .catch((e) => {
+        console.error("Failed to load history", e);
+        toast.error("Failed to load history");
+        onClose?.();
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [roomId, onClose]);
+
+  // board after 0, CHECKPOINT_EVERY, 2*CHECKPOINT_EVERY, ... ops
+  const checkpoints = useMemo(() => {
+    if (!history) return [];
+    const out = [history.base];
+    let cur = history.base;
+    history.ops.forEach((op, i) => {
+      cur = applyOp(cur, op);
+      if ((i + 1) % CHECKPOINT_EVERY === 0) out.push(cur);
+    });
+    return out;
+  }, [history]);
+
+  // frame for the current position
+  useEffect(() => {
+    if (!history) return;
+    const k = Math.floor(pos / CHECKPOINT_EVERY);
+    let cur = checkpoints[k];
+    for (let i = k * CHECKPOINT_EVERY; i < pos; i++) cur = applyOp(cur, history.ops[i]);
+    onFrame(cur);
+  }, [history, checkpoints, pos, onFrame]);
+
+  // leave the live board alone once we're gone
+  useEffect(() => () => onFrame(null), [onFrame]);
+
+  // playback clock: real gaps between ops, capped, divided by speed
+  useEffect(() => {
+    if (!playing || !history) return;
+    if (pos >= history.ops.length) {
+      setPlaying(false);
+      return;
+    }
+    const prev = history.ops[pos - 1];
+    const next = history.ops[pos];
+    const gap = prev ? new Date(next.timestamp) - new Date(prev.timestamp) : 0;
+    const delay = Math.min(Math.max(gap, 30), MAX_GAP_MS) / speed;
+    timerRef.current = setTimeout(() => setPos((p) => p + 1), delay);
+    return () => clearTimeout(timerRef.current);
+  }, [playing, pos, speed, history]);
+
+  const total = history?.ops.length || 0;
+  const at = history?.ops[Math.max(0, pos - 1)]?.timestamp;
+
+  const togglePlay = () => {
+    if (!playing && pos >= total) setPos(0); // replay from the start
+    setPlaying((p) => !p);
+  };
+
+  const btn = {
+    border: "1px solid #999",
+    background: "#fff",
+    borderRadius: 4,
+    padding: "2px 8px",
+    cursor: "pointer",
+  };
+
+  return (
+    <div
+      style={{
+        position: "absolute",
+        left: "50%",
+        bottom: 16,
+        transform: "translateX(-50%)",
+        width: 520,
+        maxWidth: "90vw",
+        background: "#fff",
+        border: "1px solid #ddd",
+        borderRadius: 8,
+        padding: "8px 12px",
+        zIndex: 80,
+        boxShadow: "0 2px 8px rgba(0,0,0,.12)",
+        fontSize: 13,
+        display: "flex",
+        alignItems: "center",
+        gap: 10,
+      }}
+    >
+      {!history ? (
+        <span style={{ flexGrow: 1 }}>Loading history…</span>
+      ) : (
+        <>
+          <button onClick={togglePlay} disabled={!total} style={btn}>
+            {playing ? "⏸" : "▶"}
+          </button>
+          <input
+            type="range"
+            min={0}
+            max={total}
+            value={pos}
+            onChange={(e) => {
+              setPlaying(false);
+              setPos(Number(e.target.value));
+            }}
+            style={{ flexGrow: 1 }}
+          />
+          <span style={{ color: "#666", whiteSpace: "nowrap", minWidth: 120 }}>
+            {total ? `${pos}/${total}` : "No history"}
+            {at && pos > 0 ? ` · ${new Date(at).toLocaleTimeString()}` : ""}
+          </span>
+          <select value={speed} onChange={(e) => setSpeed(Number(e.target.value))}>
+            {SPEEDS.map((s) => (
+              <option key={s} value={s}>
+                {s}x
+              </option>
+            ))}
+          </select>
+        </>
+      )}
+      <button onClick={onClose} style={btn} title="Back to live board">
+        ×
+      </button>
+    </div>
+  );
+}
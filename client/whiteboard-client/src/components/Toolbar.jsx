@@ -1,5 +1,8 @@
 // client/src/components/Toolbar.jsx
-import React from "react";
+import React, { useEffect, useState } from "react";
+import toast from "react-hot-toast";
+import { BRUSHES } from "../lib/brushes";
+import { listBookmarks, saveBookmark, deleteBookmark } from "../lib/api";
 
 function Toolbar({
   tool,
@@ -15,7 +18,80 @@ function Toolbar({
   onAddRectangle,
   onAddCircle,
   onClear,           // <-- optional clear handler
+  role = "editor",   // viewer | editor | owner (server enforces, we just hide)
+  onToggleMembers,   // owner: open members/settings panel
+  onToggleHistory,   // snapshots / version history panel
+  onToggleTimelapse, // local time-lapse playback of the room
+  onExport,          // ({ area, format, scale }) -> download (see Whiteboard)
+  hasSelection = false,
+  onDownloadBoard,   // save the room as a .wbjson board file
+  onImportBoard,     // (file, mode: "replace" | "merge" | "new")
+  camera,            // { x, y, scale } saved by "Save this view"
+  onJumpTo,          // (bookmark) -> move the camera there
 }) {
+  const canEdit = role !== "viewer";
+  const isOwner = role === "owner";
+
+  // export menu
+  const [showExport, setShowExport] = useState(false);
+  const [exportOpts, setExportOpts] = useState({ area: "viewport", format: "png", scale: 2 });
+  const setExport = (patch) => setExportOpts((o) => ({ ...o, ...patch }));
+  const runExport = () => {
+    const area = exportOpts.area === "selection" && !hasSelection ? "viewport" : exportOpts.area;
+    onExport?.({ ...exportOpts, area });
+    setShowExport(false);
+  };
+
+  // board file import
+  const [showImport, setShowImport] = useState(false);
+  const [importMode, setImportMode] = useState("merge");
+  const pickBoardFile = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ""; // same file can be picked again
+    if (!file) return;
+    if (importMode === "replace" && !window.confirm("Replace the whole board for everyone?")) return;
+    onImportBoard?.(file, importMode);
+    setShowImport(false);
+  };
+
+  // saved views (room bookmarks), loaded while the menu is open
+  const [showViews, setShowViews] = useState(false);
+  const [views, setViews] = useState([]);
+  const [viewName, setViewName] = useState("");
+  useEffect(() => {
+    if (!showViews) return;
+    listBookmarks(roomId)
+      .then(setViews)
+      .catch((e) => console.warn("Failed to load bookmarks", e));
+    socket?.on("bookmarks:updated", setViews);
+    return () => socket?.off("bookmarks:updated", setViews);
+  }, [showViews, socket, roomId]);
+
+  const saveView = async (e) => {
+    e.preventDefault();
+    const name = viewName.trim();
+    if (!name || !camera) return;
+    try {
+      setViews(await saveBookmark(roomId, name, camera));
+      setViewName("");
+    } catch (err) {
+      console.error("Failed to save view", err);
+      toast.error(err?.response?.data?.error === "too_many_bookmarks" ? "Too many saved views" : "Failed to save view");
+    }
+  };
+  const removeView = (name) =>
+    deleteBookmark(roomId, name).catch((err) => {
+      console.error("Failed to delete view", err);
+      toast.error("Failed to delete view");
+    });
+
+  // switching brushes puts back the color / width last used with that brush
+  const selectBrush = (name) => {
+    const brushes = { ...tool.brushes, [tool.brush || "pen"]: { color: tool.color, width: tool.width } };
+    const { color, width } = brushes[name] || BRUSHES[name];
+    setTool({ ...tool, mode: "draw", brush: name, brushes, color, width });
+  };
+
   const handleColorChange = (color) => setTool({ ...tool, color });
   const handleWidthChange = (e) =>
     setTool({ ...tool, width: parseInt(e.target.value || "1", 10) });
@@ -94,153 +170,553 @@ function Toolbar({
         backgroundColor: "#ececec",
       }}
     >
+      {!canEdit && (
+        <span style={{ fontSize: 13, color: "#666" }}>👁️ View only</span>
+      )}
+
       {/* Mode */}
-      <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+      {canEdit && (
+        <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+          <button
+            onClick={() => setTool({ ...tool, mode: "draw" })}
+            title="Draw mode"
+            style={{
+              padding: "6px 12px",
+              border: "1px solid #999",
+              borderRadius: 4,
+              background: tool.mode === "draw" ? "#dfffe7" : "#fff",
+              cursor: "pointer",
+            }}
+          >
+            ✏️ Draw
+          </button>
+          <button
+            onClick={() => setTool({ ...tool, mode: "select" })}
+            title="Select/Move mode"
+            style={{
+              padding: "6px 12px",
+              border: "1px solid #999",
+              borderRadius: 4,
+              background: tool.mode === "select" ? "#e6f0ff" : "#fff",
+              cursor: "pointer",
+            }}
+          >
+            🖱️ Select/Move
+          </button>
+          <button
+            onClick={() => setTool({ ...tool, mode: "erase" })}
+            title="Eraser"
+            style={{
+              padding: "6px 12px",
+              border: "1px solid #999",
+              borderRadius: 4,
+              background: tool.mode === "erase" ? "#ffe9e6" : "#fff",
+              cursor: "pointer",
+            }}
+          >
+            🧽 Erase
+          </button>
+          {/* whole strokes, or only the ink under the eraser */}
+          {tool.mode === "erase" && (
+            <>
+              <select
+                value={tool.eraser || "stroke"}
+                onChange={(e) => setTool({ ...tool, eraser: e.target.value })}
+                title="Eraser type"
+              >
+                <option value="stroke">Whole strokes</option>
+                <option value="partial">Partial</option>
+              </select>
+              <select
+                value={tool.eraserSize || 10}
+                onChange={(e) => setTool({ ...tool, eraserSize: Number(e.target.value) })}
+                title="Eraser size"
+              >
+                <option value={5}>Small</option>
+                <option value={10}>Medium</option>
+                <option value={20}>Large</option>
+              </select>
+            </>
+          )}
+        </div>
+      )}
+
+      {canEdit && (
+        <>
+          {/* Brush */}
+          <label
+            title="Brush"
+            style={{ display: "flex", alignItems: "center", gap: 4, fontSize: 13 }}
+          >
+            Brush
+            <select value={tool.brush || "pen"} onChange={(e) => selectBrush(e.target.value)}>
+              {Object.entries(BRUSHES).map(([name, b]) => (
+                <option key={name} value={name}>{b.label}</option>
+              ))}
+            </select>
+          </label>
+
+          {/* Color */}
+          <div style={{ display: "flex", alignItems: "center", gap: "8px" }}>
+            <label><strong>Color:</strong></label>
+            {["black", "red", "blue", "green", "yellow"].map((color) => (
+              <button
+                key={color}
+                onClick={() => handleColorChange(color)}
+                style={{
+                  backgroundColor: color,
+                  width: 20,
+                  height: 20,
+                  borderRadius: "50%",
+                  border: tool.color === color ? "2px solid #000" : "1px solid #aaa",
+                  cursor: "pointer",
+                }}
+                aria-label={`Set color ${color}`}
+              />
+            ))}
+          </div>
+
+          {/* Width */}
+          <div style={{ display: "flex", alignItems: "center", gap: "8px" }}>
+            <label><strong>Width:</strong></label>
+            <input
+              type="range"
+              min="1"
+              max="24"
+              value={tool.width}
+              onChange={handleWidthChange}
+              style={{ width: 100 }}
+            />
+          </div>
+
+          {/* Stylus pressure / tilt -> variable stroke width (pens only) */}
+          <label
+            title="Vary the stroke width with pen pressure and tilt"
+            style={{ display: "flex", alignItems: "center", gap: 4, fontSize: 13 }}
+          >
+            <input
+              type="checkbox"
+              checked={tool.pressure !== false}
+              onChange={(e) => setTool({ ...tool, pressure: e.target.checked })}
+            />
+            Pressure
+          </label>
+
+          {/* Shape recognition: rough boxes / circles / lines / arrows snap to
+              clean shapes (holding the pen still at the end does it anyway) */}
+          <label
+            title="Turn rough boxes, circles, lines and arrows into clean shapes (or hold the pen still at the end of a stroke)"
+            style={{ display: "flex", alignItems: "center", gap: 4, fontSize: 13 }}
+          >
+            <input
+              type="checkbox"
+              checked={!!tool.recognize}
+              onChange={(e) => setTool({ ...tool, recognize: e.target.checked })}
+            />
+            Recognize
+          </label>
+
+          {/* Stabilizer: the pen trails the pointer, smoothing out jitter */}
+          <label
+            title="Smooth strokes by letting the pen lag behind the pointer"
+            style={{ display: "flex", alignItems: "center", gap: 4, fontSize: 13 }}
+          >
+            Stabilizer
+            <select
+              value={tool.stabilizer || 0}
+              onChange={(e) => setTool({ ...tool, stabilizer: Number(e.target.value) })}
+            >
+              <option value={0}>Off</option>
+              <option value={4}>Low</option>
+              <option value={8}>Medium</option>
+              <option value={14}>High</option>
+            </select>
+          </label>
+
+          {/* Actions */}
+          <button
+            onClick={onUndo}
+            disabled={!canUndo}
+            title="Ctrl+Z"
+            style={{
+              padding: "6px 12px",
+              backgroundColor: canUndo ? "#fff" : "#f1f1f1",
+              color: canUndo ? "inherit" : "#999",
+              border: "1px solid #999",
+              borderRadius: 4,
+              cursor: canUndo ? "pointer" : "not-allowed",
+            }}
+          >
+            ⎌ Undo
+          </button>
+
+          <button
+            onClick={onRedo}
+            disabled={!canRedo}
+            title="Ctrl+Y"
+            style={{
+              padding: "6px 12px",
+              backgroundColor: canRedo ? "#fff" : "#f1f1f1",
+              color: canRedo ? "inherit" : "#999",
+              border: "1px solid #999",
+              borderRadius: 4,
+              cursor: canRedo ? "pointer" : "not-allowed",
+            }}
+          >
+            ↻ Redo
+          </button>
+
+          {isOwner && (
+            <button
+              onClick={clearCanvas}
+              style={{
+                padding: "6px 12px",
+                backgroundColor: "#fff",
+                border: "1px solid #999",
+                borderRadius: 4,
+                cursor: "pointer",
+              }}
+            >
+              Clear Canvas
+            </button>
+          )}
+
+          <button
+            onClick={addStickyNote}
+            style={{
+              padding: "6px 12px",
+              backgroundColor: "#ffef8a",
+              border: "1px solid #999",
+              borderRadius: 4,
+              cursor: "pointer",
+            }}
+          >
+            + Sticky Note
+          </button>
+
+          <button
+            onClick={addRectangle}
+            style={{
+              padding: "6px 12px",
+              backgroundColor: "#e0e0e0",
+              border: "1px solid #999",
+              borderRadius: 4,
+              cursor: "pointer",
+            }}
+          >
+            + Rectangle
+          </button>
+
+          <button
+            onClick={addCircle}
+            style={{
+              padding: "6px 12px",
+              backgroundColor: "#e0f2ff",
+              border: "1px solid #999",
+              borderRadius: 4,
+              cursor: "pointer",
+            }}
+          >
+            + Circle
+          </button>
+        </>
+      )}
+
+      {isOwner && onToggleMembers && (
+        <button
+          onClick={onToggleMembers}
+          title="Members & room settings"
+          style={{
+            padding: "6px 12px",
+            backgroundColor: "#fff",
+            border: "1px solid #999",
+            borderRadius: 4,
+            cursor: "pointer",
+          }}
+        >
+          👥 Members
+        </button>
+      )}
+
+      {onToggleHistory && (
         <button
-          onClick={() => setTool({ ...tool, mode: "draw" })}
-          title="Draw mode"
+          onClick={onToggleHistory}
+          title="Snapshots & version history"
           style={{
             padding: "6px 12px",
+            backgroundColor: "#fff",
             border: "1px solid #999",
             borderRadius: 4,
-            background: tool.mode === "draw" ? "#dfffe7" : "#fff",
             cursor: "pointer",
           }}
         >
-          ✏️ Draw
+          🕘 History
         </button>
+      )}
+
+      {onToggleTimelapse && (
         <button
-          onClick={() => setTool({ ...tool, mode: "select" })}
-          title="Select/Move mode"
+          onClick={onToggleTimelapse}
+          title="Replay how this board was made"
           style={{
             padding: "6px 12px",
+            backgroundColor: "#fff",
             border: "1px solid #999",
             borderRadius: 4,
-            background: tool.mode === "select" ? "#e6f0ff" : "#fff",
             cursor: "pointer",
           }}
         >
-          🖱️ Select/Move
+          ⏯ Time-lapse
         </button>
-      </div>
+      )}
+
+      {onJumpTo && (
+        <div style={{ position: "relative" }}>
+          <button
+            onClick={() => setShowViews((v) => !v)}
+            title="Saved views of this board"
+            style={{
+              padding: "6px 12px",
+              backgroundColor: showViews ? "#e6f0ff" : "#fff",
+              border: "1px solid #999",
+              borderRadius: 4,
+              cursor: "pointer",
+            }}
+          >
+            🔖 Views
+          </button>
+          {showViews && (
+            <div
+              style={{
+                position: "absolute",
+                top: "100%",
+                right: 0,
+                marginTop: 4,
+                display: "flex",
+                flexDirection: "column",
+                gap: 6,
+                padding: 10,
+                minWidth: 200,
+                maxHeight: 320,
+                overflowY: "auto",
+                background: "#fff",
+                border: "1px solid #ddd",
+                borderRadius: 6,
+                boxShadow: "0 2px 8px rgba(0,0,0,.12)",
+                zIndex: 80,
+                fontSize: 13,
+                whiteSpace: "nowrap",
+              }}
+            >
+              {views.length === 0 && <div style={{ color: "#888" }}>No saved views yet</div>}
+              {views.map((b) => (
+                <div key={b.name} style={{ display: "flex", alignItems: "center", gap: 6 }}>
+                  <button
+                    onClick={() => {
+                      onJumpTo(b);
+                      setShowViews(false);
+                    }}
+                    title={`Go to "${b.name}" (${Math.round(b.scale * 100)}%)`}
+                    style={{
+                      flex: 1,
+                      textAlign: "left",
+                      padding: "4px 8px",
+                      backgroundColor: "#fff",
+                      border: "1px solid #ddd",
+                      borderRadius: 4,
+                      cursor: "pointer",
+                      overflow: "hidden",
+                      textOverflow: "ellipsis",
+                    }}
+                  >
+                    {b.name}
+                  </button>
+                  {canEdit && (
+                    <button
+                      onClick={() => removeView(b.name)}
+                      title="Delete this view"
+                      style={{ border: "none", background: "none", cursor: "pointer", color: "#b91c1c" }}
+                    >
+                      ✕
+                    </button>
+                  )}
+                </div>
+              ))}
+              {canEdit && (
+                <form onSubmit={saveView} style={{ display: "flex", gap: 6 }}>
+                  <input
+                    value={viewName}
+                    onChange={(e) => setViewName(e.target.value)}
+                    placeholder="Name this view"
+                    maxLength={80}
+                    style={{ flex: 1, padding: "3px 6px" }}
+                  />
+                  <button
+                    type="submit"
+                    disabled={!viewName.trim()}
+                    style={{
+                      padding: "4px 10px",
+                      backgroundColor: "#fff",
+                      border: "1px solid #999",
+                      borderRadius: 4,
+                      cursor: "pointer",
+                    }}
+                  >
+                    Save
+                  </button>
+                </form>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+
+      {onExport && (
+        <div style={{ position: "relative" }}>
+          <button
+            onClick={() => setShowExport((v) => !v)}
+            title="Export as PNG or SVG"
+            style={{
+              padding: "6px 12px",
+              backgroundColor: showExport ? "#e6f0ff" : "#fff",
+              border: "1px solid #999",
+              borderRadius: 4,
+              cursor: "pointer",
+            }}
+          >
+            ⬇ Export
+          </button>
+          {showExport && (
+            <div
+              style={{
+                position: "absolute",
+                top: "100%",
+                right: 0,
+                marginTop: 4,
+                display: "flex",
+                flexDirection: "column",
+                gap: 6,
+                padding: 10,
+                background: "#fff",
+                border: "1px solid #ddd",
+                borderRadius: 6,
+                boxShadow: "0 2px 8px rgba(0,0,0,.12)",
+                zIndex: 80,
+                fontSize: 13,
+                whiteSpace: "nowrap",
+              }}
+            >
+              <label>
+                Area:{" "}
+                <select value={exportOpts.area} onChange={(e) => setExport({ area: e.target.value })}>
+                  <option value="viewport">Visible area</option>
+                  <option value="selection" disabled={!hasSelection}>Selection</option>
+                  <option value="board">Whole board</option>
+                </select>
+              </label>
+              <label>
+                Format:{" "}
+                <select value={exportOpts.format} onChange={(e) => setExport({ format: e.target.value })}>
+                  <option value="png">PNG</option>
+                  <option value="svg">SVG</option>
+                </select>
+              </label>
+              {exportOpts.format === "png" && (
+                <label>
+                  Scale:{" "}
+                  <select
+                    value={exportOpts.scale}
+                    onChange={(e) => setExport({ scale: Number(e.target.value) })}
+                  >
+                    {[1, 2, 4].map((n) => (
+                      <option key={n} value={n}>{n}x</option>
+                    ))}
+                  </select>
+                </label>
+              )}
+              <button
+                onClick={runExport}
+                style={{
+                  padding: "4px 10px",
+                  backgroundColor: "#fff",
+                  border: "1px solid #999",
+                  borderRadius: 4,
+                  cursor: "pointer",
+                }}
+              >
+                Download
+              </button>
+              {onDownloadBoard && (
+                <button
+                  onClick={() => {
+                    onDownloadBoard();
+                    setShowExport(false);
+                  }}
+                  title="Whole room as a board file, for import elsewhere"
+                  style={{
+                    padding: "4px 10px",
+                    backgroundColor: "#fff",
+                    border: "1px solid #999",
+                    borderRadius: 4,
+                    cursor: "pointer",
+                  }}
+                >
+                  Board file (.wbjson)
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      )}
 
-      {/* Color */}
-      <div style={{ display: "flex", alignItems: "center", gap: "8px" }}>
-        <label><strong>Color:</strong></label>
-        {["black", "red", "blue", "green"].map((color) => (
+      {canEdit && onImportBoard && (
+        <div style={{ position: "relative" }}>
           <button
-            key={color}
-            onClick={() => handleColorChange(color)}
+            onClick={() => setShowImport((v) => !v)}
+            title="Import a .wbjson board file"
             style={{
-              backgroundColor: color,
-              width: 20,
-              height: 20,
-              borderRadius: "50%",
-              border: tool.color === color ? "2px solid #000" : "1px solid #aaa",
+              padding: "6px 12px",
+              backgroundColor: showImport ? "#e6f0ff" : "#fff",
+              border: "1px solid #999",
+              borderRadius: 4,
               cursor: "pointer",
             }}
-            aria-label={`Set color ${color}`}
-          />
-        ))}
-      </div>
-
-      {/* Width */}
-      <div style={{ display: "flex", alignItems: "center", gap: "8px" }}>
-        <label><strong>Width:</strong></label>
-        <input
-          type="range"
-          min="1"
-          max="10"
-          value={tool.width}
-          onChange={handleWidthChange}
-          style={{ width: 100 }}
-        />
-      </div>
-
-      {/* Actions */}
-      <button
-        onClick={onUndo}
-        disabled={!canUndo}
-        title="Ctrl+Z"
-        style={{
-          padding: "6px 12px",
-          backgroundColor: canUndo ? "#fff" : "#f1f1f1",
-          color: canUndo ? "inherit" : "#999",
-          border: "1px solid #999",
-          borderRadius: 4,
-          cursor: canUndo ? "pointer" : "not-allowed",
-        }}
-      >
-        ⎌ Undo
-      </button>
-
-      <button
-        onClick={onRedo}
-        disabled={!canRedo}
-        title="Ctrl+Y"
-        style={{
-          padding: "6px 12px",
-          backgroundColor: canRedo ? "#fff" : "#f1f1f1",
-          color: canRedo ? "inherit" : "#999",
-          border: "1px solid #999",
-          borderRadius: 4,
-          cursor: canRedo ? "pointer" : "not-allowed",
-        }}
-      >
-        ↻ Redo
-      </button>
-
-      <button
-        onClick={clearCanvas}
-        style={{
-          padding: "6px 12px",
-          backgroundColor: "#fff",
-          border: "1px solid #999",
-          borderRadius: 4,
-          cursor: "pointer",
-        }}
-      >
-        Clear Canvas
-      </button>
-
-      <button
-        onClick={addStickyNote}
-        style={{
-          padding: "6px 12px",
-          backgroundColor: "#ffef8a",
-          border: "1px solid #999",
-          borderRadius: 4,
-          cursor: "pointer",
-        }}
-      >
-        + Sticky Note
-      </button>
-
-      <button
-        onClick={addRectangle}
-        style={{
-          padding: "6px 12px",
-          backgroundColor: "#e0e0e0",
-          border: "1px solid #999",
-          borderRadius: 4,
-          cursor: "pointer",
-        }}
-      >
-        + Rectangle
-      </button>
-
-      <button
-        onClick={addCircle}
-        style={{
-          padding: "6px 12px",
-          backgroundColor: "#e0f2ff",
-          border: "1px solid #999",
-          borderRadius: 4,
-          cursor: "pointer",
-        }}
-      >
-        + Circle
-      </button>
+          >
+            ⬆ Import
+          </button>
+          {showImport && (
+            <div
+              style={{
+                position: "absolute",
+                top: "100%",
+                right: 0,
+                marginTop: 4,
+                display: "flex",
+                flexDirection: "column",
+                gap: 6,
+                padding: 10,
+                background: "#fff",
+                border: "1px solid #ddd",
+                borderRadius: 6,
+                boxShadow: "0 2px 8px rgba(0,0,0,.12)",
+                zIndex: 80,
+                fontSize: 13,
+                whiteSpace: "nowrap",
+              }}
+            >
+              <label>
+                Into:{" "}
+                <select value={importMode} onChange={(e) => setImportMode(e.target.value)}>
+                  <option value="merge">This board (add)</option>
+                  {isOwner && <option value="replace">This board (replace)</option>}
+                  <option value="new">A new room</option>
+                </select>
+              </label>
+              <input type="file" accept=".wbjson,.json,application/json" onChange={pickBoardFile} />
+            </div>
+          )}
+        </div>
+      )}
     </div>
   );
 }
@@ -1,11 +1,22 @@
 // client/src/components/Whiteboard.jsx
 import React, { useEffect, useRef, useState, useCallback, useMemo, memo } from "react";
-import { useParams } from "react-router-dom";
+import { useParams, useNavigate } from "react-router-dom";
 import { io } from "socket.io-client";
 import DrawingCanvas from "./DrawingCanvas";
 import Toolbar from "./Toolbar";
 import UserCursors from "./UserCursors";
+import MembersPanel from "./MembersPanel";
+import HistoryPanel from "./HistoryPanel";
+import TimelapsePanel from "./TimelapsePanel";
 import toast, { Toaster } from "react-hot-toast";
+import { createClock, mergePatch, survivesDelete } from "@shared/lww.js";
+import { getRoomToken, clearRoomToken, exportBoardFile, importBoardFile } from "../lib/api";
+import {
+  toPathShape, outlinePathData, curvePathData, usesOutline, drawnBelow, dashPattern, chiselPathData,
+} from "@shared/paths.js";
+import { BRUSHES, paintStroke } from "../lib/brushes";
+import { applyOp, newBatch, movedBy } from "../lib/ops";
+import { renderSvg, renderPng, contentBounds, downloadBlob } from "../lib/exportBoard";
 
 // Optimized Shape Renderer Component
 const ShapeRenderer = memo(({
@@ -18,7 +29,8 @@ const ShapeRenderer = memo(({
   onShapeTouchStart,
   setSelectedIds,
   setShapes,
-  onResize
+  onResize,
+  canEdit = true
 }) => {
   // Memoize expensive computations
   const visibleShapes = useMemo(() => {
@@ -27,7 +39,11 @@ const ShapeRenderer = memo(({
     // For performance, limit rendering to reasonable number of shapes
     // In a real app, you'd implement proper virtualization
     const MAX_SHAPES = 500;
-    return shapes.length > MAX_SHAPES ? shapes.slice(-MAX_SHAPES) : shapes;
+    const list = shapes.length > MAX_SHAPES ? shapes.slice(-MAX_SHAPES) : shapes;
+    // highlighter ink sits beneath every other shape
+    return list.some(drawnBelow)
+      ? [...list.filter(drawnBelow), ...list.filter((s) => !drawnBelow(s))]
+      : list;
   }, [shapes]);
 
   const handleDelete = useCallback((e, shapeId) => {
@@ -40,14 +56,18 @@ const ShapeRenderer = memo(({
     });
   }, [socket, roomId, setSelectedIds]);
 
+  // keystrokes into the same shape = one undo step
+  const typingRef = useRef({ id: null, batch: null });
   const handleTextChange = useCallback((shapeId, text) => {
     setShapes(prev =>
       prev.map(x => x._id === shapeId ? { ...x, text } : x)
     );
+    if (typingRef.current.id !== shapeId) typingRef.current = { id: shapeId, batch: newBatch() };
     socket?.emit("shape:update", {
       roomId,
       id: shapeId,
       patch: { text },
+      batch: typingRef.current.batch,
     });
   }, [setShapes, socket, roomId]);
 
@@ -76,6 +96,7 @@ const ShapeRenderer = memo(({
         onDelete={handleDelete}
         onTextChange={handleTextChange}
         onResize={onResize}
+        canEdit={canEdit}
       />
     );
   })}
@@ -94,7 +115,8 @@ const ShapeItem = memo(({
   onTouchStart,
   onDelete,
   onTextChange,
-  onResize
+  onResize,
+  canEdit
 }) => {
   const handleTextChange = useCallback((e) => {
     onTextChange(s._id, e.target.value);
@@ -111,19 +133,89 @@ const handleResize = useCallback((e, corner) => {
   onResize(e, s, corner);
 }, [s, onResize]);
 
+  // delete button of the svg-drawn shapes (path / line / arrow)
+  const svgDelete = tool.mode === "select" && selected && canEdit && (
+    <foreignObject x={0} y={0} width={40} height={24}>
+      <div xmlns="http://www.w3.org/1999/xhtml" style={{ pointerEvents: "auto" }}>
+        <button
+          onClick={handleDelete}
+          title="Delete"
+          style={{
+            border: "none",
+            background: "rgba(0,0,0,.06)",
+            borderRadius: 4,
+            padding: "2px 6px",
+            cursor: "pointer",
+            fontSize: 12,
+          }}
+        >
+          ×
+        </button>
+      </div>
+    </foreignObject>
+  );
+
+  // ---- LINE / ARROW (absolute endpoints like path points, head as in exports) ----
+  if (s.type === "line" || s.type === "arrow") {
+    const width = s.strokeWidth ?? 2;
+    const x1 = (s.x1 ?? s.x) - s.x;
+    const y1 = (s.y1 ?? s.y) - s.y;
+    const x2 = (s.x2 ?? s.x + s.w) - s.x;
+    const y2 = (s.y2 ?? s.y + s.h) - s.y;
+    const a = Math.atan2(y2 - y1, x2 - x1);
+    const len = Math.max(10, width * 4);
+    const barb = (da) => `${x2 - len * Math.cos(a + da)},${y2 - len * Math.sin(a + da)}`;
+
+    return (
+      <svg
+        style={{
+          position: "absolute",
+          left: s.x,
+          top: s.y,
+          width: Math.max(1, s.w),
+          height: Math.max(1, s.h),
+          overflow: "visible",
+          pointerEvents: tool.mode === "select" ? "auto" : "none",
+          cursor: tool.mode === "select" ? "move" : "crosshair",
+        }}
+        onMouseDown={(e) => onMouseDown(e, s._id)}
+        onTouchStart={(e) => onTouchStart(e, s._id)}
+      >
+        <line
+          x1={x1}
+          y1={y1}
+          x2={x2}
+          y2={y2}
+          stroke={s.color || "#111"}
+          strokeWidth={width}
+          strokeLinecap="round"
+        />
+        {s.type === "arrow" && (
+          <polygon points={`${x2},${y2} ${barb(0.45)} ${barb(-0.45)}`} fill={s.color || "#111"} />
+        )}
+        {selected && (
+          <rect x={0} y={0} width={s.w} height={s.h} fill="none" stroke="#4c9ffe" strokeDasharray="4 3" />
+        )}
+        {svgDelete}
+      </svg>
+    );
+  }
 
   // ---- PATH (freehand stroke) ----
   if (s.type === "path" && Array.isArray(s.points) && s.points.length > 0) {
     // anchor svg at shape x,y and draw points relative to that
     const originX = typeof s.x === "number" ? s.x : 0;
     const originY = typeof s.y === "number" ? s.y : 0;
-    const d = s.points
-      .map((p, i) => {
-        const rx = (p.x || 0) - originX;
-        const ry = (p.y || 0) - originY;
-        return i === 0 ? `M${rx},${ry}` : `L${rx},${ry}`;
-      })
-      .join(" ");
+    const width = s.strokeWidth ?? s.width ?? 2;
+    // pen strokes (pressure per point) are a filled variable-width outline,
+    // markers their chisel tip's sweep, the rest one curved line (see shared/paths.js)
+    const filled = usesOutline(s) || s.brush === "marker";
+    const d =
+      s.brush === "marker"
+        ? chiselPathData(s.points, width, originX, originY)
+        : filled
+          ? outlinePathData(s.points, width, originX, originY)
+          : curvePathData(s.points, originX, originY);
 
     // compute visible bbox so SVG has sensible size (fallback to 100x100)
     const bboxW = s.w || 200;
@@ -139,38 +231,26 @@ const handleResize = useCallback((e, corner) => {
           height: bboxH,
           overflow: "visible",
           pointerEvents: tool.mode === "select" ? "auto" : "none",
+          mixBlendMode: s.blend && s.blend !== "normal" ? s.blend : undefined,
         }}
         onMouseDown={(e) => onMouseDown(e, s._id)}
         onTouchStart={(e) => onTouchStart(e, s._id)}
       >
-        <path
-          d={d}
-          stroke={s.color || "#111"}
-          strokeWidth={s.width || 2}
-          fill="none"
-          strokeLinecap="round"
-          strokeLinejoin="round"
-        />
-        {tool.mode === "select" && selected && (
-          <foreignObject x={0} y={0} width={40} height={24}>
-            <div xmlns="http://www.w3.org/1999/xhtml" style={{ pointerEvents: "auto" }}>
-              <button
-                onClick={handleDelete}
-                title="Delete"
-                style={{
-                  border: "none",
-                  background: "rgba(0,0,0,.06)",
-                  borderRadius: 4,
-                  padding: "2px 6px",
-                  cursor: "pointer",
-                  fontSize: 12,
-                }}
-              >
-                ×
-              </button>
-            </div>
-          </foreignObject>
+        {filled ? (
+          <path d={d} fill={s.color || "#111"} opacity={s.opacity} />
+        ) : (
+          <path
+            d={d}
+            stroke={s.color || "#111"}
+            strokeWidth={width}
+            strokeDasharray={s.brush === "dashed" ? dashPattern(width).join(" ") : undefined}
+            opacity={s.opacity}
+            fill="none"
+            strokeLinecap="round"
+            strokeLinejoin="round"
+          />
         )}
+        {svgDelete}
       </svg>
     );
   }
@@ -205,7 +285,7 @@ const handleResize = useCallback((e, corner) => {
       onMouseDown={(e) => onMouseDown(e, s._id)}
       onTouchStart={(e) => onTouchStart(e, s._id)}
     >
-      {tool.mode === "select" && (
+      {tool.mode === "select" && canEdit && (
         <button
           onClick={handleDelete}
           title="Delete"
@@ -229,6 +309,7 @@ const handleResize = useCallback((e, corner) => {
       {s.type === "note" && tool.mode === "select" && (
         <textarea
           value={s.text || ""}
+          readOnly={!canEdit}
           onClick={(e) => e.stopPropagation()}
           onMouseDown={(e) => e.stopPropagation()}
           onTouchStart={(e) => e.stopPropagation()}
@@ -246,6 +327,7 @@ const handleResize = useCallback((e, corner) => {
       )}
 
       {selected &&
+        canEdit &&
         (s.type === "rect" || s.type === "ellipse") &&
         tool.mode === "select" && (
           <>
@@ -286,20 +368,45 @@ const Handle = memo(({ left, top, cursor, onPointerDown }) => (
 
 function Whiteboard() {
   const { roomId } = useParams();
+  const navigate = useNavigate();
 
   // --- connection / board state ---
   const [users, setUsers] = useState(1);
-  const [tool, setTool] = useState({ mode: "draw", color: "black", width: 2 });
+  // pressure: use stylus pressure / tilt for the stroke width (DrawingCanvas)
+  // stabilizer: px the pen trails the pointer by (0 = off)
+  // eraser: "stroke" (whole strokes) | "partial" (cuts them), eraserSize: radius in px
+  // brush: see lib/brushes.js; brushes = { [brush]: { color, width } } last used per brush
+  // recognize: snap every finished stroke to a shape when it looks like one
+  const [tool, setTool] = useState({
+    mode: "draw", color: BRUSHES.pen.color, width: BRUSHES.pen.width, pressure: true, stabilizer: 0,
+    eraser: "stroke", eraserSize: 10, brush: "pen", brushes: {}, recognize: false,
+  });
   const [status, setStatus] = useState("🔴 Disconnected");
   const [isReady, setIsReady] = useState(false);
   const [shapes, setShapes] = useState([]);
   const [connectionStep, setConnectionStep] = useState("Connecting...");
   const [selectedIds, setSelectedIds] = useState(new Set());
   const [connectedUrl, setConnectedUrl] = useState(null);
+  // role in this room (server enforces it, UI only hides what you can't use)
+  const [role, setRole] = useState("editor");
+  const [roles, setRoles] = useState({});
+  const [roomSettings, setRoomSettings] = useState({});
+  const [showMembers, setShowMembers] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  // snapshot shown instead of the live board (read-only), see HistoryPanel
+  const [preview, setPreview] = useState(null);
+  // time-lapse frame (local only, see TimelapsePanel)
+  const [showTimelapse, setShowTimelapse] = useState(false);
+  const [playback, setPlayback] = useState(null);
+  const closeTimelapse = useCallback(() => setShowTimelapse(false), []);
+  const canEdit = role !== "viewer" && !preview && !playback;
+  const boardShapes = playback || (preview ? preview.shapes : shapes);
   const socketRef = useRef(null); // socket connection
+  const seqRef = useRef(0); // last op-log seq applied (for sync:since on reconnect)
   const myIdRef = useRef(null);
   const dragRef = useRef(null);
   const boardRef = useRef(null);
+  const inkRef = useRef(null); // DrawingCanvas handle
 
   // mirror shapes in ref so wrappers read fresh value
   const shapesRef = useRef(shapes);
@@ -359,42 +466,93 @@ function Whiteboard() {
     oy: 0,
   });
 
-  // --- undo/redo stacks (per user) ---
-  const undoRef = useRef([]); // push {do:fn, undo:fn}
-  const redoRef = useRef([]);
-  // 🔧 history re-render ticker
-  const [historyVer, setHistoryVer] = useState(0);
-  const bumpHistory = () => setHistoryVer(v => v + 1);
-
-  const pushCmd = (cmd) => {
-    undoRef.current.push(cmd);
-    redoRef.current = [];
-    bumpHistory();
-  };
-  const undo = () => {
-    const cmd = undoRef.current.pop();
-    if (!cmd) return;
+  /* ---------------- Export (viewport / selection / whole board) ---------------- */
+  // area: "viewport" | "selection" | "board", format: "png" | "svg", scale: 1 | 2 | 4
+  const exportBoard = useCallback(async ({ area, format, scale = 1 }) => {
+    const el = boardRef.current;
+    const sc = camera.scale || 1;
+    // visible part of the board in board coordinates (inverse camera transform)
+    const view = el && {
+      x: -camera.x / sc,
+      y: -camera.y / sc,
+      w: el.clientWidth / sc,
+      h: el.clientHeight / sc,
+    };
+
+    let list = boardShapes;
+    let bbox;
+    if (area === "selection") {
+      list = boardShapes.filter((s) => selectedIds.has(s._id));
+      bbox = contentBounds(list);
+    } else if (area === "viewport") {
+      bbox = view;
+    } else {
+      bbox = contentBounds(list);
+    }
+    if (!bbox) return toast.error(area === "selection" ? "Nothing selected" : "Board is empty");
+
+    // freehand ink layer sits over the viewport only; a selection export is
+    // just the selected shapes
+    const canvas = area !== "selection" ? inkRef.current?.getInkCanvas?.() : null;
+    const ink = canvas && view ? { canvas, ...view } : null;
+
+    const name = `${roomId}-${area}`;
     try {
-      cmd.undo();
-      redoRef.current.push(cmd);
+      if (format === "svg") {
+        const svg = renderSvg(list, { bbox, ink });
+        downloadBlob(new Blob([svg], { type: "image/svg+xml" }), `${name}.svg`);
+      } else {
+        const blob = await renderPng(list, { bbox, ink, scale });
+        downloadBlob(blob, `${name}@${scale}x.png`);
+      }
     } catch (e) {
-      console.error("Undo failed", e);
-    } finally {
-      bumpHistory();
+      console.error("Export failed", e);
+      toast.error("Export failed");
     }
-  };
-  const redo = () => {
-    const cmd = redoRef.current.pop();
-    if (!cmd) return;
+  }, [boardShapes, selectedIds, camera.x, camera.y, camera.scale, roomId]);
+
+  /* ---------------- Board files (.wbjson, server/lib/boardFile.js) ---------------- */
+  const downloadBoardFile = useCallback(async () => {
     try {
-      cmd.do();
-      undoRef.current.push(cmd);
+      downloadBlob(await exportBoardFile(roomId), `${roomId}.wbjson`);
     } catch (e) {
-      console.error("Redo failed", e);
-    } finally {
-      bumpHistory();
+      console.error("Board file download failed", e);
+      toast.error("Download failed");
     }
-  };
+  }, [roomId]);
+
+  // mode: "replace" | "merge" | "new"
+  const uploadBoardFile = useCallback(async (file, mode) => {
+    let parsed;
+    try {
+      parsed = JSON.parse(await file.text());
+    } catch {
+      return toast.error("Not a board file");
+    }
+    try {
+      const res = await importBoardFile(roomId, parsed, mode);
+      if (mode === "new") {
+        toast.success(`Imported into room ${res.roomId}`);
+        navigate(`/room/${res.roomId}`);
+      } else {
+        // the board itself arrives via snapshot:restored / shapes:added
+        toast.success(`Imported ${res.imported} items`);
+      }
+    } catch (e) {
+      console.error("Board file import failed", e);
+      const err = e?.response?.data;
+      toast.error(
+        e?.response?.status === 403 ? "Not allowed" : err?.msg ? `Import failed: ${err.msg}` : "Import failed"
+      );
+    }
+  }, [roomId, navigate]);
+
+  // --- undo/redo: per-user history kept by the server (history:undo / history:redo),
+  // so it survives a reload and only takes back our own changes; the result
+  // comes back as ordinary shape:* events ---
+  const [history, setHistory] = useState({ canUndo: false, canRedo: false });
+  const undo = () => socketRef.current?.emit("history:undo", { roomId });
+  const redo = () => socketRef.current?.emit("history:redo", { roomId });
 
   // ---- local shape helpers (optimistic) ----
   const applyLocalUpdate = (id, patch) => {
@@ -409,6 +567,19 @@ function Whiteboard() {
 
   /* ---------------- Socket setup ---------------- */
   useEffect(() => {
+    // no room token yet (direct link) -> join page asks for password if needed
+    const token = getRoomToken(roomId);
+    if (!token) {
+      navigate(`/?room=${roomId}`, { replace: true });
+      return;
+    }
+
+    // fresh board state when switching rooms (e.g. after forking a snapshot)
+    seqRef.current = 0;
+    setShapes([]);
+    setPreview(null);
+    setHistory({ canUndo: false, canRedo: false });
+
     // Try multiple possible socket URLs
     const possibleUrls = [
       import.meta.env.VITE_SOCKET_URL,
@@ -420,6 +591,8 @@ function Whiteboard() {
 
     let socket = null;
     let connectedUrl = null;
+    // stamps for our shape edits (last-writer-wins, see shared/lww.js)
+    const clock = createClock();
 
     // Try to connect to each URL
     const tryConnect = (urls, index = 0) => {
@@ -450,9 +623,14 @@ function Whiteboard() {
         setStatus("🟢 Connected");
         setConnectionStep("Joining room...");
         toast.success("Connected to server!");
-      socket.emit("join-room", roomId);
+      if (seqRef.current > 0) {
+        // reconnect: only ask for what we missed, no full replay
+        socket.emit("join-room", { roomId, token, since: seqRef.current });
+      } else {
+        socket.emit("join-room", { roomId, token });
+        socket.emit("shapes:request", roomId);
+      }
 socket.emit("presence:join", );
-socket.emit("shapes:request", roomId);
 socket.emit("presence:join", {
   roomId,
   name: nameRef.current,
@@ -461,6 +639,13 @@ socket.emit("presence:join", {
 
       });
 
+      // token expired / forged / for another room -> back to the join page
+      socket.on("room:denied", () => {
+        clearRoomToken(roomId);
+        toast.error("Access to this room was denied. Please join again.");
+        navigate(`/?room=${roomId}`, { replace: true });
+      });
+
       socket.on("connect_error", (error) => {
         console.log(`❌ Failed to connect to ${url}:`, error.message);
         socket.disconnect();
@@ -483,65 +668,57 @@ socket.emit("presence:join", {
   // capture original emit before overriding
 const origEmit = socket.emit.bind(socket);
 
-// ======= emit wrapper: add/delete/clear -> optimistic + history =======
-const performAdd = (shape) => {
-  applyLocalAdd(shape);
+// ======= emit wrapper: add/delete/update/clear -> optimistic + stamps =======
+// every add/delete/update gets a fresh stamp (last-writer-wins, see shared/lww.js);
+// the server puts our changes on our undo stack, `batch` = one gesture
+const performAdd = (shape, batch) => {
+  const stamped = { ...shape, clock: { _add: clock.tick() } };
+  applyLocalAdd(stamped);
+  // ours to delete before the next render (a stroke cut twice in one erase)
+  shapesRef.current = [...shapesRef.current, stamped];
   // use origEmit to avoid re-entering the wrapper
-  origEmit("shape:add", { roomId, shape });
+  origEmit("shape:add", { roomId, shape: stamped, batch });
 };
-const performDelete = (id) => {
+const performDelete = (id, batch) => {
   applyLocalDelete(id);
-  origEmit("shape:delete", { roomId, id });
+  origEmit("shape:delete", { roomId, id, stamp: clock.tick(), batch });
+};
+const performUpdate = (id, patch, batch) => {
+  const stamp = clock.tick();
+  setShapes((prev) => prev.map((x) => (x._id === id ? mergePatch(x, patch, stamp) : x)));
+  origEmit("shape:update", { roomId, id, patch, stamp, batch });
 };
 const performClear = () => {
   setShapes([]);
   origEmit("clear-canvas", { roomId });
 };
+// a new change of ours: something to undo, nothing left to redo
+const changed = () => setHistory({ canUndo: true, canRedo: false });
 
 socket.emit = ((originalEmit) => {
   return (event, payload) => {
     if (event === "shape:add" && payload?.shape) {
-      const shape = payload.shape;
-      pushCmd({
-        do: () => {
-          performAdd(shape);
-        },
-        undo: () => {
-          performDelete(shape._id);
-        },
-      });
       // optimistic local change + send network once
-      performAdd(shape);
+      performAdd(payload.shape, payload.batch);
+      changed();
       return;
     }
     if (event === "shape:delete" && payload?.id) {
-      const snap = shapesRef.current.find((x) => x._id === payload.id);
-      if (snap) {
-        pushCmd({
-          do: () => {
-            performDelete(snap._id);
-          },
-          undo: () => {
-            performAdd(snap);
-          },
-        });
-        performDelete(snap._id);
+      if (shapesRef.current.some((x) => x._id === payload.id)) {
+        performDelete(payload.id, payload.batch);
+        changed();
         return;
       }
     }
+    if (event === "shape:update" && payload?.id && payload?.patch) {
+      // callers already applied the values; this records the field stamps
+      performUpdate(payload.id, payload.patch, payload.batch);
+      changed();
+      return;
+    }
     if (event === "clear-canvas") {
-      const before = [...shapesRef.current];
-      pushCmd({
-        do: () => {
-          performClear();
-        },
-        undo: () => {
-          setShapes(before);
-          // resync others using origEmit to avoid recursion
-          for (const sh of before) origEmit("shape:add", { roomId, shape: sh });
-        },
-      });
       performClear();
+      changed();
       return;
     }
     // default passthrough - call originalEmit (not socket.emit)
@@ -561,16 +738,78 @@ socket.emit = ((originalEmit) => {
 
     socket.on("user-count", onUserCount);
 
+    // roles / settings
+    const onRoomJoined = ({ role: myRole, roles: map, settings }) => {
+      myIdRef.current = socket.id;
+      if (myRole) setRole(myRole);
+      setRoles(map || {});
+      setRoomSettings(settings || {});
+    };
+    const onMemberRole = ({ id, role: r }) => {
+      setRoles((p) => ({ ...p, [id]: r }));
+      if (id === socket.id) {
+        setRole(r);
+        toast(`Your role is now ${r}`);
+      }
+    };
+    const onSettings = ({ patch }) => setRoomSettings((p) => ({ ...p, ...patch }));
+    // typed errors from the server's validation layer / role gate
+    const onServerError = (err) => {
+      if (err?.code === "FORBIDDEN") toast.error(err.msg || "Not allowed");
+      else if (err?.code === "INVALID_PAYLOAD") console.warn("Server rejected", err.event, err.msg);
+    };
+    // server flood protection dropped some of our edits (at most one per second)
+    const onRateLimited = (err) =>
+      toast.error(`Slow down — some ${err?.event || "edits"} were dropped`, { id: "rate-limited" });
+    socket.on("room:joined", onRoomJoined);
+    socket.on("member:role", onMemberRole);
+    socket.on("settings:updated", onSettings);
+    socket.on("error", onServerError);
+    socket.on("rate:limited", onRateLimited);
+    // our server-side undo/redo stacks (on join and after every undo/redo)
+    socket.on("history:state", setHistory);
+
+    // an owner restored a snapshot over the live board
+    const onSnapshotRestored = ({ seq, shapes: list, snapshot }) => {
+      (list || []).forEach((s) => clock.observe(s.clock?._add));
+      setShapes((list || []).filter((s) => s && s._id));
+      seqRef.current = seq || 0;
+      setSelectedIds(new Set());
+      setPreview(null);
+      // the server dropped undo history that refers to the replaced board
+      setHistory({ canUndo: false, canRedo: false });
+      toast(snapshot ? `Board restored to "${snapshot.name}"` : "Board replaced by an imported file");
+    };
+    socket.on("snapshot:restored", onSnapshotRestored);
+
     // shapes sync
 // shapes sync
 // shapes sync
 // replace the whole initShapes function with this
-const initShapes = (list) => {
+// ops arrive in seq order, so a jump means some were missed (e.g. broadcast
+// late by another server instance) -> stay at the last one we have and ask
+// for the rest; one request at a time, the answer covers everything after it
+let resyncing = false;
+const trackSeq = (meta) => {
+  if (typeof meta?.seq !== "number" || meta.seq <= seqRef.current) return;
+  if (meta.seq === seqRef.current + 1) {
+    seqRef.current = meta.seq;
+    return;
+  }
+  if (resyncing) return;
+  resyncing = true;
+  console.warn("Op seq gap:", seqRef.current, "->", meta.seq, "- resyncing");
+  socket.emit("sync:since", { roomId, seq: seqRef.current });
+};
+
+const initShapes = (list, meta) => {
   console.log("Client received shapes:init:", list);
+  seqRef.current = meta?.seq || 0;
 
   // sanitize: ensure list is array, remove falsy, ensure _id exists
+  // (freehand strokes are part of it as "path" shapes)
 const safe = Array.isArray(list)
-  ? list.filter(Boolean).filter(s => s && s._id && s.type !== "path")
+  ? list.filter(Boolean).filter(s => s && s._id)
   : [];
 setShapes(safe);
 
@@ -586,104 +825,101 @@ setShapes(safe);
 };
 
 
-const added = (s) => {
+const added = (s, meta) => {
+  trackSeq(meta);
   if (!s || !s._id) {
     console.warn("Ignored invalid shape:added payload", s);
     return;
   }
   console.log("Client received shape:added:", s);
+  clock.observe(s.clock?._add);
   setShapes((p) => (p.some((x) => x && x._id === s._id) ? p : [...p, s]));
 };
 
-const updated = ({ id, patch }) => {
+// many at once (a board file merged in), one op
+const addedMany = ({ shapes: list }, meta) => {
+  trackSeq(meta);
+  const valid = (list || []).filter((s) => s && s._id);
+  valid.forEach((s) => clock.observe(s.clock?._add));
+  setShapes((p) => applyOp(p, { type: "merge", data: { shapes: valid } }));
+};
+
+const updated = ({ id, patch, stamp }, meta) => {
+  trackSeq(meta);
   if (!id) {
     console.warn("Ignored invalid shape:updated payload", { id, patch });
     return;
   }
-  console.log("Client received shape:updated:", { id, patch });
-  setShapes((p) => p.map((x) => (x && x._id === id ? { ...x, ...patch } : x)));
+  console.log("Client received shape:updated:", { id, patch, stamp });
+  clock.observe(stamp);
+  setShapes((p) => p.map((x) => (x && x._id === id ? mergePatch(x, patch, stamp) : x)));
 };
 
-const deleted = ({ id }) => {
+const deleted = ({ id, stamp }, meta) => {
+  trackSeq(meta);
   if (!id) {
     console.warn("Ignored invalid shape:deleted payload", { id });
     return;
   }
-  console.log("Client received shape:deleted:", { id });
-  setShapes((p) => p.filter((x) => x && x._id !== id));
+  console.log("Client received shape:deleted:", { id, stamp });
+  clock.observe(stamp);
+  setShapes((p) => p.filter((x) => x && (x._id !== id || survivesDelete(x, stamp))));
 };
 
 
     socket.on("shapes:init", initShapes);
     socket.on("shape:added", added);
+    socket.on("shapes:added", addedMany);
     socket.on("shape:updated", updated);
     socket.on("shape:deleted", deleted);
-    // replay strokes -> convert to path shapes for ShapeRenderer
-const onDrawingReplay = ({ roomId: rid, strokes }) => {
-  if (!Array.isArray(strokes) || strokes.length === 0) return;
-  setShapes((prev) => {
-    const ids = new Set(prev.map(s => s._id));
-    const strokeShapes = strokes.map((st) => ({
-      _id: st._id || `stroke-${Math.random().toString(36).slice(2)}`,
-      type: "path",
-      points: st.points || [],
-      color: st.color || "#111",
-      width: st.width || 2,
-      author: st.author || undefined,
-      x: st.points?.[0]?.x ?? 0,
-      y: st.points?.[0]?.y ?? 0,
-      w: st.w || 200,
-      h: st.h || 200
-    }));
-    // append only new ones
-    return [...prev, ...strokeShapes.filter(s => !ids.has(s._id))];
-  });
-};
-
-socket.off("drawing:replay", onDrawingReplay);
-
-
-
-    // replay saved freehand strokes (paths)
-socket.on("drawing:replay", ({ roomId: rid, strokes }) => {
-  if (!Array.isArray(strokes) || strokes.length === 0) return;
-  console.log("Client received drawing:replay ->", strokes.length, "strokes");
-
-  setShapes((prev) => {
-    const existing = new Set(prev.map((p) => p._id));
-    const newPaths = strokes.map((st) => {
-      const id = st._id || st.id || `path-${Date.now()}-${Math.random()}`;
-      return {
-        _id: id,
-        type: "path",
-        points: st.points || [],
-        color: st.color || "#111",
-        width: st.width || 2,
-        x: st.x ?? (st.points?.[0]?.x ?? 0),
-        y: st.y ?? (st.points?.[0]?.y ?? 0),
-        w: st.w || 200,
-        h: st.h || 200,
-        author: st.author || null,
-      };
-    }).filter((p) => !existing.has(p._id));
 
-    return newPaths.length ? [...prev, ...newPaths] : prev;
-  });
-});
+    // incremental resync after reconnect: apply missed ops in one state update
+    const onSyncOps = ({ seq, ops }) => {
+      const pending = (ops || []).filter((op) => op.seq > seqRef.current);
+      if (pending.length) setShapes((prev) => pending.reduce(applyOp, prev));
+      seqRef.current = Math.max(seqRef.current, seq || 0);
+      resyncing = false;
+      console.log("Client applied sync:ops ->", pending.length, "ops, seq", seq);
+    };
+    // log was compacted past our seq -> replace the board once
+    const onSyncSnapshot = ({ seq, shapes: list }) => {
+      setShapes((list || []).filter((s) => s && s._id));
+      seqRef.current = seq || 0;
+      resyncing = false;
+      console.log("Client applied sync:snapshot, seq", seq);
+    };
+    socket.on("sync:ops", onSyncOps);
+    socket.on("sync:snapshot", onSyncSnapshot);
+    // drawing:replay = the room's complete set of path shapes -> swap ours out
+    const onDrawingReplay = ({ strokes }) => {
+      if (!Array.isArray(strokes)) return;
+      const paths = strokes.filter((st) => st?.points?.length).map(toPathShape);
+      setShapes((prev) => [...prev.filter((s) => s.type !== "path"), ...paths]);
+    };
+    socket.on("drawing:replay", onDrawingReplay);
 
     // clear-canvas broadcast from others
-    socket.on("clear-canvas", () => setShapes([]));
+    socket.on("clear-canvas", (_payload, meta) => {
+      trackSeq(meta);
+      setShapes([]);
+    });
 
     // presence
     const onPresenceState = (map) => setPresence(map || {});
     const onPresenceUpdate = ({ id, patch }) =>
       setPresence((p) => ({ ...p, [id]: { ...(p[id] || {}), ...patch } }));
-    const onPresenceLeave = (id) =>
+    const onPresenceLeave = (id) => {
       setPresence((p) => {
         const n = { ...p };
         delete n[id];
         return n;
       });
+      setRoles((p) => {
+        const n = { ...p };
+        delete n[id];
+        return n;
+      });
+    };
 
     socket.on("presence:state", onPresenceState);
     socket.on("presence:update", onPresenceUpdate);
@@ -721,23 +957,41 @@ socket.on("drawing:replay", ({ roomId: rid, strokes }) => {
       window.removeEventListener("beforeunload", handleBeforeUnload);
       if (socket) {
         socket.off("user-count", onUserCount);
+        socket.off("room:joined", onRoomJoined);
+        socket.off("member:role", onMemberRole);
+        socket.off("settings:updated", onSettings);
+        socket.off("error", onServerError);
+        socket.off("rate:limited", onRateLimited);
+        socket.off("history:state", setHistory);
+        socket.off("snapshot:restored", onSnapshotRestored);
         socket.off("shapes:init", initShapes);
         socket.off("drawing:replay", onDrawingReplay);
 
         socket.off("shape:added", added);
+        socket.off("shapes:added", addedMany);
         socket.off("shape:updated", updated);
         socket.off("shape:deleted", deleted);
+        socket.off("sync:ops", onSyncOps);
+        socket.off("sync:snapshot", onSyncSnapshot);
         socket.off("presence:state", onPresenceState);
         socket.off("presence:update", onPresenceUpdate);
         socket.off("presence:leave", onPresenceLeave);
         socket.off("activity:update", onAct);
         socket.off("camera:update", onCam);
         socket.off("test-pong");
+        socket.off("room:denied");
         socket.off("clear-canvas");
         socket.disconnect();
       }
     };
-  }, [roomId]);
+  }, [roomId, navigate]);
+
+  // viewers can't draw or erase: keep them out of those modes
+  useEffect(() => {
+    if (!canEdit) {
+      setTool((t) => (t.mode === "draw" || t.mode === "erase" ? { ...t, mode: "select" } : t));
+    }
+  }, [canEdit]);
 
   // expose shapes globally so DrawingCanvas can clip inside rect/ellipse
   useEffect(() => {
@@ -799,7 +1053,7 @@ socket.on("drawing:replay", ({ roomId: rid, strokes }) => {
     }), []);
   const clearSelection = useCallback(() => setSelectedIds(new Set()), []);
 
-  /* ---------------- End move/resize (emit + history) - OPTIMIZED ---------------- */
+  /* ---------------- End move/resize (final emit, one undo step per drag) - OPTIMIZED ---------------- */
   const endMoveOrResize = useCallback(() => {
     const d = dragRef.current;
     if (!d) return;
@@ -808,38 +1062,20 @@ socket.on("drawing:replay", ({ roomId: rid, strokes }) => {
       const { dx, dy } = d.last;
       if (dx !== 0 || dy !== 0) {
         d.ids.forEach((id) => {
-          const o = d.originals.get(id);
-          const before = { x: o.x, y: o.y };
-          const after = { x: o.x + dx, y: o.y + dy };
+          const after = movedBy(d.originals.get(id), dx, dy);
 
           // Final sync to ensure consistency (real-time sync was already happening)
           applyLocalUpdate(id, after);
           if (socketRef.current?.connected) {
-            socketRef.current.emit("shape:update", { roomId, id, patch: after });
+            socketRef.current.emit("shape:update", { roomId, id, patch: after, batch: d.batch });
           } else {
             console.warn("Socket not connected, cannot emit final shape move update");
           }
-
-          pushCmd({
-            do: () => {
-              applyLocalUpdate(id, after);
-              if (socketRef.current?.connected) {
-                socketRef.current.emit("shape:update", { roomId, id, patch: after });
-              }
-            },
-            undo: () => {
-              applyLocalUpdate(id, before);
-              if (socketRef.current?.connected) {
-                socketRef.current.emit("shape:update", { roomId, id, patch: before });
-              }
-            },
-          });
         });
       }
     } else if (d.mode === "resize") {
       const s = shapes.find((x) => x._id === d.id);
       if (s) {
-        const before = d.orig;
         const after = { x: s.x, y: s.y, w: s.w, h: s.h };
 
         // Apply local update first for immediate feedback
@@ -852,34 +1088,11 @@ socket.on("drawing:replay", ({ roomId: rid, strokes }) => {
             roomId,
             id: s._id,
             patch: after,
+            batch: d.batch,
           });
         } else {
           console.warn("Socket not connected, cannot emit final shape update");
         }
-
-        // Add to undo/redo history
-        pushCmd({
-          do: () => {
-            applyLocalUpdate(s._id, after);
-            if (socketRef.current?.connected) {
-              socketRef.current.emit("shape:update", {
-                roomId,
-                id: s._id,
-                patch: after,
-              });
-            }
-          },
-          undo: () => {
-            applyLocalUpdate(s._id, before);
-            if (socketRef.current?.connected) {
-              socketRef.current.emit("shape:update", {
-                roomId,
-                id: s._id,
-                patch: before,
-              });
-            }
-          },
-        });
       }
     }
 
@@ -892,7 +1105,7 @@ socket.on("drawing:replay", ({ roomId: rid, strokes }) => {
 
     // Reset drag state
     dragRef.current = null;
-  }, [shapes, roomId, applyLocalUpdate, pushCmd, camera.x, camera.y, camera.scale]);
+  }, [shapes, roomId, applyLocalUpdate, camera.x, camera.y, camera.scale]);
 
   /* ---------------- Drag / Touch drag (group) - OPTIMIZED ---------------- */
   const onPointerMove = useCallback((e) => {
@@ -918,8 +1131,7 @@ socket.on("drawing:replay", ({ roomId: rid, strokes }) => {
     setShapes((prev) =>
       prev.map((s) => {
         if (!d.ids.has(s._id)) return s;
-        const o = d.originals.get(s._id);
-        return { ...s, x: o.x + dx, y: o.y + dy };
+        return { ...s, ...movedBy(d.originals.get(s._id), dx, dy) };
       })
     );
 
@@ -929,7 +1141,7 @@ socket.on("drawing:replay", ({ roomId: rid, strokes }) => {
       d.ids.forEach((id) => {
         const o = d.originals.get(id);
         if (o) {
-          const patch = { x: o.x + dx, y: o.y + dy };
+          const patch = movedBy(o, dx, dy);
           console.log("Real-time move sync:", { id, patch, socketConnected: socketRef.current?.connected });
 
           if (socketRef.current?.connected) {
@@ -938,6 +1150,7 @@ socket.on("drawing:replay", ({ roomId: rid, strokes }) => {
               roomId,
               id,
               patch,
+              batch: d.batch,
             });
           } else {
             console.warn("Socket not connected during move sync");
@@ -987,7 +1200,7 @@ socket.on("drawing:replay", ({ roomId: rid, strokes }) => {
 
     const originals = new Map();
     shapes.forEach((s) => {
-      if (idsToMove.has(s._id)) originals.set(s._id, { x: s.x, y: s.y });
+      if (idsToMove.has(s._id)) originals.set(s._id, s);
     });
 
     dragRef.current = {
@@ -998,6 +1211,7 @@ socket.on("drawing:replay", ({ roomId: rid, strokes }) => {
       originals,
       last: { dx: 0, dy: 0 },
       lastSync: 0, // For throttling real-time sync
+      batch: newBatch(), // every sync of this drag = one undo step
     };
 
     // Use passive listeners for better performance
@@ -1074,7 +1288,7 @@ socket.on("drawing:replay", ({ roomId: rid, strokes }) => {
 
       const patch = { x, y, w, h };
       if (socketRef.current?.connected) {
-        socketRef.current.emit("shape:update", { roomId, id: d.id, patch });
+        socketRef.current.emit("shape:update", { roomId, id: d.id, patch, batch: d.batch });
       }
       d.lastSync = now;
     }
@@ -1114,6 +1328,7 @@ socket.on("drawing:replay", ({ roomId: rid, strokes }) => {
     startY,
     orig: { x: s.x, y: s.y, w: s.w, h: s.h },
     lastSync: 0,
+    batch: newBatch(),
     pointerId: e.pointerId ?? null,
   };
 
@@ -1124,19 +1339,19 @@ socket.on("drawing:replay", ({ roomId: rid, strokes }) => {
 
 
   const onShapeMouseDown = useCallback((e, id) => {
-    if (tool.mode !== "select") return;
+    if (tool.mode !== "select" || !canEdit) return;
     e.preventDefault();
     boardRef.current?.focus();
     startMovePointer(e.clientX, e.clientY, id, e.shiftKey);
-  }, [tool.mode, startMovePointer]);
+  }, [tool.mode, canEdit, startMovePointer]);
 
   const onShapeTouchStart = useCallback((e, id) => {
-    if (tool.mode !== "select") return;
+    if (tool.mode !== "select" || !canEdit) return;
     const t = e.touches[0];
     if (!t) return;
     boardRef.current?.focus();
     startMovePointer(t.clientX, t.clientY, id, e.shiftKey || false);
-  }, [tool.mode, startMovePointer]);
+  }, [tool.mode, canEdit, startMovePointer]);
 
   /* ---------------- Keyboard controls ---------------- */
   useEffect(() => {
@@ -1149,6 +1364,9 @@ socket.on("drawing:replay", ({ roomId: rid, strokes }) => {
         spaceDownRef.current = true;
       }
 
+      // viewers: pan only
+      if (!canEdit) return;
+
       // Undo/Redo
       if (e.ctrlKey && e.key.toLowerCase() === "z") {
         e.preventDefault();
@@ -1174,9 +1392,10 @@ socket.on("drawing:replay", ({ roomId: rid, strokes }) => {
         clearSelection();
         return;
       } else if (e.key === "Delete" || e.key === "Backspace") {
-        // just emit; wrapper will handle optimistic + history
+        // just emit; wrapper will handle optimistic + stamps (one undo step)
+        const batch = newBatch();
         selectedIds.forEach((id) => {
-          socketRef.current?.emit("shape:delete", { roomId, id });
+          socketRef.current?.emit("shape:delete", { roomId, id, batch });
         });
         return;
       } else return;
@@ -1186,30 +1405,19 @@ socket.on("drawing:replay", ({ roomId: rid, strokes }) => {
       // local preview
       setShapes((prev) =>
         prev.map((s) =>
-          selectedIds.has(s._id) ? { ...s, x: s.x + dx, y: s.y + dy } : s
+          selectedIds.has(s._id) ? { ...s, ...movedBy(s, dx, dy) } : s
         )
       );
 
-      // emit + history per-shape (optimistic)
+      // emit per-shape (optimistic), one undo step per key press
+      const batch = newBatch();
       selectedIds.forEach((id) => {
         const sh = shapes.find((x) => x._id === id);
         if (!sh) return;
-        const before = { x: sh.x ?? 0, y: sh.y ?? 0 };
-        const after = { x: before.x + dx, y: before.y + dy };
+        const after = movedBy(sh, dx, dy);
 
         applyLocalUpdate(id, after);
-        socketRef.current?.emit("shape:update", { roomId, id, patch: after });
-
-        pushCmd({
-          do: () => {
-            applyLocalUpdate(id, after);
-            socketRef.current?.emit("shape:update", { roomId, id, patch: after });
-          },
-          undo: () => {
-            applyLocalUpdate(id, before);
-            socketRef.current?.emit("shape:update", { roomId, id, patch: before });
-          },
-        });
+        socketRef.current?.emit("shape:update", { roomId, id, patch: after, batch });
       });
     };
 
@@ -1223,7 +1431,7 @@ socket.on("drawing:replay", ({ roomId: rid, strokes }) => {
       el.removeEventListener("keydown", onKeyDown);
       el.removeEventListener("keyup", onKeyUp);
     };
-  }, [selectedIds, shapes, roomId]);
+  }, [selectedIds, shapes, roomId, canEdit]);
 
   /* ---------------- Pan / Zoom + camera sync ---------------- */
   useEffect(() => {
@@ -1284,6 +1492,12 @@ socket.on("drawing:replay", ({ roomId: rid, strokes }) => {
     };
   }, [camera.x, camera.y, camera.scale, roomId]);
 
+  // saved view (Toolbar bookmarks): the camera follows like a pan does
+  const jumpTo = useCallback(({ x, y, scale }) => {
+    setCamera({ x, y, scale });
+    socketRef.current?.emit("camera:update", { roomId, patch: { x, y, scale } });
+  }, [roomId]);
+
   // drawing activity banner (local fallback + server) - optimized
   const setDrawingActivity = useCallback((val) => {
     const id = myIdRef.current || "me";
@@ -1394,6 +1608,14 @@ socket.on("drawing:replay", ({ roomId: rid, strokes }) => {
         ctx.ellipse(cx, cy, (s.w / 2) * sx, (s.h / 2) * sy, 0, 0, Math.PI * 2);
         ctx.stroke();
       };
+      const drawLine = (s) => {
+        ctx.strokeStyle = s.color || "#111";
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo((s.x1 ?? s.x) * sx, (s.y1 ?? s.y) * sy);
+        ctx.lineTo((s.x2 ?? s.x + s.w) * sx, (s.y2 ?? s.y + s.h) * sy);
+        ctx.stroke();
+      };
       const drawNote = (s) => {
         ctx.fillStyle = s.color || "#ffef8a";
         ctx.strokeStyle = "#d4d4d4";
@@ -1401,24 +1623,20 @@ socket.on("drawing:replay", ({ roomId: rid, strokes }) => {
         ctx.fillRect(x, y, w, h);
         ctx.strokeRect(x, y, w, h);
       };
+      // in its brush like on the board, never thinner than 1px
       const drawPath = (s) => {
-        const pts = s.points || [];
-        if (pts.length < 2) return;
-        ctx.strokeStyle = s.color || "#111";
-        ctx.lineWidth = 1;
-        ctx.beginPath();
-        ctx.moveTo(pts[0].x * sx, pts[0].y * sy);
-        for (let i = 1; i < pts.length; i++) {
-          const p = pts[i];
-          ctx.lineTo(p.x * sx, p.y * sy);
-        }
-        ctx.stroke();
+        ctx.save();
+        ctx.scale(sx, sy);
+        paintStroke(ctx, s, { minWidth: 1 / sx });
+        ctx.restore();
       };
 
-      for (const s of shapes || []) {
+      const list = shapes || [];
+      for (const s of [...list.filter(drawnBelow), ...list.filter((s) => !drawnBelow(s))]) {
         if (s.type === "rect") drawRect(s);
         else if (s.type === "ellipse") drawEllipse(s);
         else if (s.type === "note") drawNote(s);
+        else if (s.type === "line" || s.type === "arrow") drawLine(s);
         else if (s.type === "path") drawPath(s);
       }
 
@@ -1588,8 +1806,21 @@ socket.on("drawing:replay", ({ roomId: rid, strokes }) => {
           roomId={roomId}
           onUndo={undo}
           onRedo={redo}
-          canUndo={undoRef.current.length > 0}   // historyVer triggers re-render
-          canRedo={redoRef.current.length > 0}   // via state ticker above
+          canUndo={history.canUndo}
+          canRedo={history.canRedo}
+          role={role}
+          onToggleMembers={() => setShowMembers((v) => !v)}
+          onToggleHistory={() => setShowHistory((v) => !v)}
+          onToggleTimelapse={() => {
+            setPreview(null);
+            setShowTimelapse((v) => !v);
+          }}
+          onExport={exportBoard}
+          onDownloadBoard={downloadBoardFile}
+          onImportBoard={uploadBoardFile}
+          hasSelection={selectedIds.size > 0}
+          camera={camera}
+          onJumpTo={jumpTo}
         />
       </div>
 
@@ -1623,12 +1854,16 @@ socket.on("drawing:replay", ({ roomId: rid, strokes }) => {
           }}
         >
           {/* ✅ DrawingCanvas as viewport overlay (NOT inside world) */}
-          <DrawingCanvas
-            socket={socketRef.current}
-            tool={tool}
-            roomId={roomId}
-            shapes={shapes}
-          />
+          {!preview && !playback && (
+            <DrawingCanvas
+              ref={inkRef}
+              socket={socketRef.current}
+              tool={tool}
+              roomId={roomId}
+              shapes={shapes}
+              camera={camera}
+            />
+          )}
 
           {/* World (infinite canvas) with camera transform */}
           <div style={{ position: "absolute", inset: 0, overflow: "hidden", zIndex: 1 }}>
@@ -1645,7 +1880,7 @@ socket.on("drawing:replay", ({ roomId: rid, strokes }) => {
             >
               {/* Shapes overlay (world space) - OPTIMIZED */}
               <ShapeRenderer
-                shapes={shapes}
+                shapes={boardShapes}
                 selectedIds={selectedIds}
                 tool={tool}
                 roomId={roomId}
@@ -1655,6 +1890,7 @@ socket.on("drawing:replay", ({ roomId: rid, strokes }) => {
                 setSelectedIds={setSelectedIds}
                 setShapes={setShapes}
                 onResize={startResize}
+                canEdit={canEdit}
               />
             </div>
           </div>
@@ -1687,8 +1923,77 @@ socket.on("drawing:replay", ({ roomId: rid, strokes }) => {
             camera={camera}
           />
 
+          {showMembers && role === "owner" && (
+            <MembersPanel
+              socket={socketRef.current}
+              roomId={roomId}
+              presence={presence}
+              roles={roles}
+              myId={myIdRef.current}
+              settings={roomSettings}
+              onClose={() => setShowMembers(false)}
+            />
+          )}
+
+          {showHistory && (
+            <HistoryPanel
+              socket={socketRef.current}
+              roomId={roomId}
+              role={role}
+              myName={nameRef.current}
+              previewId={preview?._id || null}
+              onPreview={(snap) => {
+                if (snap) setShowTimelapse(false);
+                setPreview(snap);
+              }}
+              onForked={(res) => {
+                setShowHistory(false);
+                navigate(`/room/${res.roomId}`);
+              }}
+              onClose={() => setShowHistory(false)}
+            />
+          )}
+
+          {/* read-only snapshot preview banner */}
+          {preview && (
+            <div
+              style={{
+                position: "absolute",
+                left: "50%",
+                top: 12,
+                transform: "translateX(-50%)",
+                background: "#1f2937",
+                color: "#fff",
+                padding: "6px 12px",
+                borderRadius: 8,
+                fontSize: 13,
+                zIndex: 80,
+                display: "flex",
+                gap: 10,
+                alignItems: "center",
+              }}
+            >
+              <span>👁️ Previewing "{preview.name}" (read-only)</span>
+              <button
+                onClick={() => setPreview(null)}
+                style={{
+                  border: "none",
+                  borderRadius: 4,
+                  padding: "2px 8px",
+                  cursor: "pointer",
+                }}
+              >
+                Back to live board
+              </button>
+            </div>
+          )}
+
+          {showTimelapse && (
+            <TimelapsePanel roomId={roomId} onFrame={setPlayback} onClose={closeTimelapse} />
+          )}
+
           {/* MiniMap */}
-          <MiniMap shapes={shapes} camera={camera} />
+          <MiniMap shapes={boardShapes} camera={camera} />
         </div>
       </div>
     </>
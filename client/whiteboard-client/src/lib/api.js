@@ -0,0 +1,157 @@
+// client/src/lib/api.js
+import axios from "axios";
+
+// same server as the socket (see lib/socket.js)
+const SERVER_URL =
+  import.meta.env.VITE_SOCKET_URL?.trim() ||
+  "http://localhost:5000";
+
+export const api = axios.create({
+  baseURL: `${SERVER_URL}/api`,
+  withCredentials: true,
+  timeout: 10000,
+});
+
+// room token from POST /api/rooms/join, kept per tab
+const tokenKey = (roomId) => `wb:token:${roomId}`;
+export const getRoomToken = (roomId) => sessionStorage.getItem(tokenKey(roomId));
+export const clearRoomToken = (roomId) => sessionStorage.removeItem(tokenKey(roomId));
+
+// persistent per browser: issued (signed) by the server on the first join and
+// sent back on the next ones, so the room token (undo history, audit trail)
+// carries who you are across reloads and rooms
+const USER_TOKEN_KEY = "wb:userToken";
+
+// rooms joined from this browser, newest first: [{ roomId, role, title, mine, visitedAt }]
+// mine = created or claimed (owner secret) from here; see POST /rooms/join
+const RECENT_KEY = "wb:recentRooms";
+const RECENT_LIMIT = 30;
+
+export function getRecentRooms() {
+  try {
+    const list = JSON.parse(localStorage.getItem(RECENT_KEY) || "[]");
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+function rememberRoom({ roomId, role, title, mine }) {
+  const prev = getRecentRooms().find((r) => r.roomId === roomId);
+  const list = [
+    // once ours, stays listed under "your rooms" even after joining as a guest
+    { roomId, role, title, mine: !!(mine || prev?.mine), visitedAt: Date.now() },
+    ...getRecentRooms().filter((r) => r.roomId !== roomId),
+  ].slice(0, RECENT_LIMIT);
+  localStorage.setItem(RECENT_KEY, JSON.stringify(list));
+}
+
+/**
+ * Join (or create) a room. Throws the axios error on 401, with
+ * err.response.data.error = "password_required" | "invalid_password".
+ */
+export async function joinRoom(roomId, { password, ownerSecret, title } = {}) {
+  const { data } = await api.post("/rooms/join", {
+    roomId,
+    password,
+    ownerSecret,
+    title,
+    userToken: localStorage.getItem(USER_TOKEN_KEY) || undefined,
+  });
+  sessionStorage.setItem(tokenKey(roomId), data.token);
+  if (data.userToken) localStorage.setItem(USER_TOKEN_KEY, data.userToken);
+  rememberRoom(data);
+  return data;
+}
+
+// room directory: { q?, ids?: [roomId], page?, limit? } -> { rooms, page, limit, total }
+export const listRooms = ({ q, ids, page, limit } = {}) =>
+  api
+    .get("/rooms", { params: { q: q || undefined, ids: ids?.join(","), page, limit } })
+    .then((r) => r.data);
+
+// room-scoped REST calls carry the same room token as the socket
+const roomAuth = (roomId) => ({
+  headers: { Authorization: `Bearer ${getRoomToken(roomId)}` },
+});
+
+/* ---------- snapshots (version history) ---------- */
+export const listSnapshots = (roomId) =>
+  api.get(`/rooms/${roomId}/snapshots`, roomAuth(roomId)).then((r) => r.data);
+
+export const createSnapshot = (roomId, name, createdBy) =>
+  api.post(`/rooms/${roomId}/snapshots`, { name, createdBy }, roomAuth(roomId)).then((r) => r.data);
+
+// meta + shapes, for read-only preview
+export const getSnapshot = (roomId, snapshotId) =>
+  api.get(`/rooms/${roomId}/snapshots/${snapshotId}`, roomAuth(roomId)).then((r) => r.data);
+
+export const deleteSnapshot = (roomId, snapshotId) =>
+  api.delete(`/rooms/${roomId}/snapshots/${snapshotId}`, roomAuth(roomId));
+
+// mode "replace" (owner) | "fork" -> fork returns { roomId, token, role } of the new room
+export async function restoreSnapshot(roomId, snapshotId, mode) {
+  const { data } = await api.post(
+    `/rooms/${roomId}/snapshots/${snapshotId}/restore`,
+    { mode },
+    roomAuth(roomId)
+  );
+  if (mode === "fork") {
+    sessionStorage.setItem(tokenKey(data.roomId), data.token);
+    rememberRoom(data);
+  }
+  return data;
+}
+
+/* ---------- history (time-lapse playback) ---------- */
+// every page of GET /rooms/:roomId/history -> { base, ops }
+export async function fetchHistory(roomId) {
+  const limit = 5000;
+  let offset = 0;
+  let base = [];
+  const ops = [];
+  for (;;) {
+    const { data } = await api.get(`/rooms/${roomId}/history`, {
+      ...roomAuth(roomId),
+      params: { offset, limit },
+    });
+    if (offset === 0) base = data.base || [];
+    ops.push(...(data.ops || []));
+    offset += limit;
+    if (!data.ops?.length || offset >= data.total) break;
+  }
+  return { base, ops };
+}
+
+/* ---------- board files (.wbjson) ---------- */
+export const exportBoardFile = (roomId) =>
+  api
+    .get(`/rooms/${roomId}/export.json`, { ...roomAuth(roomId), responseType: "blob" })
+    .then((r) => r.data);
+
+// mode "replace" (owner) | "merge" | "new" -> new returns { roomId, token, role } of the new room
+export async function importBoardFile(roomId, file, mode) {
+  const { data } = await api.post(`/rooms/${roomId}/import`, file, {
+    ...roomAuth(roomId),
+    params: { mode },
+    timeout: 60000,
+  });
+  if (mode === "new") {
+    sessionStorage.setItem(tokenKey(data.roomId), data.token);
+    rememberRoom(data);
+  }
+  return data;
+}
+
+/* ---------- bookmarks (saved camera positions, shared by the room) ---------- */
+export const listBookmarks = (roomId) =>
+  api.get(`/rooms/${roomId}/bookmarks`, roomAuth(roomId)).then((r) => r.data);
+
+// same name = move that bookmark; -> the room's bookmarks
+export const saveBookmark = (roomId, name, { x, y, scale }) =>
+  api
+    .put(`/rooms/${roomId}/bookmarks/${encodeURIComponent(name)}`, { x, y, scale }, roomAuth(roomId))
+    .then((r) => r.data);
+
+export const deleteBookmark = (roomId, name) =>
+  api.delete(`/rooms/${roomId}/bookmarks/${encodeURIComponent(name)}`, roomAuth(roomId));
@@ -0,0 +1,87 @@
+// client/src/lib/brushes.js
+import {
+  inkRadius, pathOutline, usesOutline, dashPattern, chiselPolygons,
+} from "@shared/paths.js";
+
+/**
+ * Brush presets of the draw tool (the stored fields are described in
+ * shared/paths.js). `color` / `width` are where each brush starts; the Toolbar
+ * remembers what the user picked per brush after that.
+ */
+export const BRUSHES = {
+  pen: { label: "Pen", color: "black", width: 2, opacity: 1, blend: "normal" },
+  highlighter: { label: "Highlighter", color: "yellow", width: 14, opacity: 0.35, blend: "multiply" },
+  marker: { label: "Marker", color: "black", width: 8, opacity: 0.9, blend: "normal" },
+  dashed: { label: "Dashed pen", color: "black", width: 2, opacity: 1, blend: "normal" },
+};
+
+// fields a new stroke of this brush carries (none for the plain pen)
+export function brushFields(name) {
+  const b = BRUSHES[name];
+  if (!b || name === "pen") return {};
+  return { brush: name, opacity: b.opacity, blend: b.blend };
+}
+
+// strokes that can't be drawn piece by piece (overlapping joins would show)
+export const paintsWhole = (s) =>
+  (!!s?.brush && s.brush !== "pen") || (typeof s?.opacity === "number" && s.opacity < 1);
+
+// same curve as curvePathData (shared/paths.js): quadratics through the midpoints
+export const traceCurve = (ctx, pts) => {
+  ctx.moveTo(pts[0].x, pts[0].y);
+  for (let i = 1; i < pts.length - 1; i++) {
+    const a = pts[i];
+    const b = pts[i + 1];
+    ctx.quadraticCurveTo(a.x, a.y, (a.x + b.x) / 2, (a.y + b.y) / 2);
+  }
+  const last = pts[pts.length - 1];
+  ctx.lineTo(last.x, last.y);
+};
+
+// polygons filled together in one go (nonzero: their union)
+export const fillPolygons = (ctx, polys) => {
+  ctx.beginPath();
+  for (const poly of polys) {
+    if (!poly.length) continue;
+    ctx.moveTo(poly[0].x, poly[0].y);
+    for (let i = 1; i < poly.length; i++) ctx.lineTo(poly[i].x, poly[i].y);
+    ctx.closePath();
+  }
+  ctx.fill();
+};
+
+/**
+ * One stroke / path shape on a 2d canvas, drawn like ShapeItem draws it.
+ * minWidth: thinnest line in the context's units (the MiniMap keeps 1px)
+ */
+export function paintStroke(ctx, s, { minWidth = 0 } = {}) {
+  const pts = s.points || [];
+  if (!pts.length) return;
+  const color = s.color || "#111";
+  const width = Math.max(minWidth, 0.5, Number(s.strokeWidth ?? s.width) || 2);
+
+  ctx.save();
+  ctx.globalAlpha = typeof s.opacity === "number" ? s.opacity : 1;
+  ctx.globalCompositeOperation = s.blend === "multiply" ? "multiply" : "source-over";
+  ctx.fillStyle = color;
+  ctx.strokeStyle = color;
+  ctx.lineWidth = width;
+  ctx.lineCap = "round";
+  ctx.lineJoin = "round";
+
+  if (s.brush === "marker") {
+    fillPolygons(ctx, chiselPolygons(pts, width));
+  } else if (pts.length === 1) {
+    ctx.beginPath();
+    ctx.arc(pts[0].x, pts[0].y, Math.max(minWidth / 2, inkRadius(pts[0], width)), 0, Math.PI * 2);
+    ctx.fill();
+  } else if (usesOutline(s)) {
+    fillPolygons(ctx, [pathOutline(pts, width)]);
+  } else {
+    if (s.brush === "dashed") ctx.setLineDash(dashPattern(width));
+    ctx.beginPath();
+    traceCurve(ctx, pts);
+    ctx.stroke();
+  }
+  ctx.restore();
+}
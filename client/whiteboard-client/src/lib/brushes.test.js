@@ -0,0 +1,89 @@
+// client/src/lib/brushes.test.js
+import { test, expect } from "vitest";
+import { BRUSHES, brushFields, paintsWhole, paintStroke } from "./brushes";
+import { chiselPolygons, drawnBelow, dashPattern } from "@shared/paths.js";
+
+// 2d context that records what was done to it
+function fakeContext() {
+  const calls = [];
+  const state = { globalAlpha: 1, globalCompositeOperation: "source-over", lineWidth: 1 };
+  const snapshots = [];
+  const ctx = new Proxy(state, {
+    get(target, key) {
+      if (key in target) return target[key];
+      if (key === "calls") return calls;
+      return (...args) => {
+        calls.push([key, ...args]);
+        if (key === "save") snapshots.push({ ...state });
+        if (key === "restore") Object.assign(state, snapshots.pop());
+        if (key === "fill" || key === "stroke") {
+          calls.push(["@", { alpha: state.globalAlpha, blend: state.globalCompositeOperation, width: state.lineWidth }]);
+        }
+      };
+    },
+  });
+  return ctx;
+}
+
+const names = (ctx) => ctx.calls.map(([name]) => name);
+const paintedWith = (ctx) => ctx.calls.find(([name]) => name === "@")[1];
+const stroke = (extra = {}) => ({
+  points: [{ x: 0, y: 0 }, { x: 20, y: 10 }, { x: 40, y: 0 }],
+  color: "red",
+  strokeWidth: 4,
+  ...extra,
+});
+
+test("only non-pen brushes put their fields on the stroke", () => {
+  expect(brushFields("pen")).toEqual({});
+  expect(brushFields("nope")).toEqual({});
+  expect(brushFields("highlighter")).toEqual({ brush: "highlighter", opacity: 0.35, blend: "multiply" });
+  expect(Object.keys(BRUSHES)).toEqual(["pen", "highlighter", "marker", "dashed"]);
+});
+
+test("translucent and shaped ink is repainted whole, plain ink piece by piece", () => {
+  expect(paintsWhole(stroke())).toBe(false);
+  expect(paintsWhole(stroke({ brush: "pen" }))).toBe(false);
+  expect(paintsWhole(stroke({ brush: "dashed" }))).toBe(true);
+  expect(paintsWhole(stroke({ opacity: 0.5 }))).toBe(true);
+  expect(paintsWhole(null)).toBe(false);
+});
+
+test("a highlighter is drawn translucent, multiplied, beneath the shapes", () => {
+  const ctx = fakeContext();
+  paintStroke(ctx, stroke(brushFields("highlighter")));
+  expect(paintedWith(ctx)).toEqual({ alpha: 0.35, blend: "multiply", width: 4 });
+  expect(names(ctx).at(-1)).toBe("restore");
+  expect(ctx.globalAlpha).toBe(1);
+  expect(drawnBelow({ type: "path", brush: "highlighter" })).toBe(true);
+  expect(drawnBelow({ type: "path" })).toBe(false);
+});
+
+test("a marker fills its chisel polygons", () => {
+  const ctx = fakeContext();
+  const s = stroke(brushFields("marker"));
+  paintStroke(ctx, s);
+  expect(names(ctx)).not.toContain("stroke");
+  const polys = chiselPolygons(s.points, 4);
+  expect(names(ctx).filter((n) => n === "closePath")).toHaveLength(polys.filter((p) => p.length).length);
+  expect(paintedWith(ctx).alpha).toBe(0.9);
+});
+
+test("a dashed pen strokes its curve with the dash pattern", () => {
+  const ctx = fakeContext();
+  paintStroke(ctx, stroke(brushFields("dashed")));
+  expect(ctx.calls).toContainEqual(["setLineDash", dashPattern(4)]);
+  expect(ctx.calls).toContainEqual(["quadraticCurveTo", 20, 10, 30, 5]);
+  expect(names(ctx)).toContain("stroke");
+});
+
+test("single dots are filled circles, never thinner than minWidth", () => {
+  const ctx = fakeContext();
+  paintStroke(ctx, { points: [{ x: 5, y: 5 }], strokeWidth: 1 }, { minWidth: 4 });
+  expect(ctx.calls).toContainEqual(["arc", 5, 5, 2, 0, Math.PI * 2]);
+  expect(names(ctx)).toContain("fill");
+
+  const empty = fakeContext();
+  paintStroke(empty, { points: [] });
+  expect(empty.calls).toEqual([]);
+});
@@ -0,0 +1,77 @@
+// client/src/lib/exportBoard.test.js
+import { test, expect, vi, afterEach } from "vitest";
+import { renderSvg, renderPng, contentBounds } from "./exportBoard";
+
+const rect = (id, x = 0) => ({ _id: id, type: "rect", x, y: 0, w: 10, h: 10 });
+const hostile = '"/><script>alert(1)</script>';
+const ink = (x, y, w, h) => ({ canvas: { toDataURL: () => "data:image/png;base64,AAAA" }, x, y, w, h });
+
+afterEach(() => vi.unstubAllGlobals());
+
+test("shapes are escaped like the server export", () => {
+  const svg = renderSvg([
+    { type: "note", x: 0, y: 0, w: 50, h: 50, text: hostile, color: hostile },
+    { type: "rect", x: hostile, y: 0, w: 5, h: 5, color: hostile },
+  ]);
+  expect(svg).not.toContain("<script");
+  expect(svg).toContain("&lt;script&gt;");
+  expect(svg).toContain('<rect x="0" y="0" width="5" height="5"');
+});
+
+test("the crop box sets the viewBox; the ink layer sits on top where it is on the board", () => {
+  const svg = renderSvg([rect("a")], { bbox: { x: 10, y: 20, w: 300, h: 200 }, ink: ink(-5, 0, 400.123, 300) });
+  expect(svg).toContain('viewBox="10 20 300 200"');
+  expect(svg).toContain('fill="#fff"');
+  const image = svg.indexOf('<image href="data:image/png;base64,AAAA" x="-5" y="0" width="400.12" height="300"');
+  expect(image).toBeGreaterThan(svg.indexOf("<rect x=\"0\""));
+
+  const clear = renderSvg([rect("a")], { background: "transparent" });
+  expect(clear).not.toContain('fill="#fff"');
+});
+
+test("bounds pad the content and follow line endpoints", () => {
+  expect(contentBounds([])).toBeNull();
+  expect(contentBounds([{ type: "arrow", x1: 50, y1: 50, x2: 0, y2: 10 }])).toEqual({ x: -20, y: -10, w: 90, h: 80 });
+  expect(renderSvg([])).toContain('viewBox="0 0 800 600"');
+});
+
+test("PNG export scales the board and draws the ink layer onto it", async () => {
+  const draws = [];
+  const out = {
+    getContext: () => ({ drawImage: (...args) => draws.push(args) }),
+    toBlob: (cb, type) => cb({ type }),
+  };
+  vi.stubGlobal("document", { createElement: () => out });
+  vi.stubGlobal("URL", { createObjectURL: () => "blob:svg", revokeObjectURL: vi.fn() });
+  vi.stubGlobal(
+    "Image",
+    class {
+      set src(url) {
+        this.url = url;
+        queueMicrotask(() => this.onload());
+      }
+    }
+  );
+
+  const layer = ink(0, 0, 100, 50);
+  const blob = await renderPng([rect("a")], { bbox: { x: 10, y: 20, w: 30, h: 40 }, ink: layer, scale: 2 });
+  expect(blob).toEqual({ type: "image/png" });
+  expect([out.width, out.height]).toEqual([60, 80]);
+  expect(draws[0][0].url).toBe("blob:svg");
+  expect(draws[1]).toEqual([layer.canvas, -20, -40, 200, 100]);
+  expect(URL.revokeObjectURL).toHaveBeenCalledWith("blob:svg");
+});
+
+test("PNG export frees the SVG url when the image fails", async () => {
+  vi.stubGlobal("URL", { createObjectURL: () => "blob:svg", revokeObjectURL: vi.fn() });
+  vi.stubGlobal(
+    "Image",
+    class {
+      set src(_url) {
+        queueMicrotask(() => this.onerror());
+      }
+    }
+  );
+  await expect(renderPng([rect("a")])).rejects.toThrow("SVG render failed");
+  expect(URL.revokeObjectURL).toHaveBeenCalledWith("blob:svg");
+});
@@ -0,0 +1,41 @@
+// client/src/lib/ops.js
+import { mergePatch, survivesDelete } from "@shared/lww.js";
+
+// apply one server op-log entry (see server/socket/opLog.js) to a shape list
+export const applyOp = (list, op) => {
+  const d = op?.data || {};
+  switch (op?.type) {
+    case "shape:add":
+    case "stroke":
+      return d._id && !list.some((x) => x._id === d._id) ? [...list, d] : list;
+    case "shape:update":
+      return list.map((x) => (x._id === d.id ? mergePatch(x, d.patch, d.stamp) : x));
+    case "shape:delete":
+      return list.filter((x) => x._id !== d.id || survivesDelete(x, d.stamp));
+    case "clear":
+      return [];
+    case "merge": {
+      // board file merge: shapes only in history entries, like a restore
+      const have = new Set(list.map((x) => x._id));
+      return [...list, ...(d.shapes || []).filter((x) => x?._id && !have.has(x._id))];
+    }
+    case "restore":
+      // only history entries carry the board (live resync gets a snapshot)
+      return Array.isArray(d.shapes) ? d.shapes : list;
+    default:
+      return list;
+  }
+};
+
+// groups the edits of one gesture (a drag, an erase) into a single step of
+// our server-side undo history (see server/socket/historyStack.js)
+export const newBatch = () =>
+  crypto.randomUUID?.() || `b${Date.now().toString(36)}${Math.random().toString(36).slice(2)}`;
+
+// the patch that moves a shape by (dx, dy): lines / arrows are drawn from
+// their endpoints, so those travel along with the box
+export const movedBy = (s, dx, dy) => {
+  const patch = { x: (s.x ?? 0) + dx, y: (s.y ?? 0) + dy };
+  if (s.x1 == null) return patch;
+  return { ...patch, x1: s.x1 + dx, y1: s.y1 + dy, x2: s.x2 + dx, y2: s.y2 + dy };
+};
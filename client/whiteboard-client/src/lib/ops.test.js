@@ -0,0 +1,60 @@
+// client/src/lib/ops.test.js
+import { test, expect } from "vitest";
+import { applyOp, movedBy } from "./ops";
+
+const stamp = (ms, node = "c") => `${String(ms).padStart(13, "0")}:000000:${node}`;
+const rect = (id, x = 0) => ({ _id: id, type: "rect", x, y: 0, w: 10, h: 10, clock: { _add: stamp(1) } });
+const op = (type, data) => ({ type, data });
+
+test("replaying a history rebuilds the board", () => {
+  const ops = [
+    op("shape:add", rect("a")),
+    op("shape:add", rect("b")),
+    op("shape:update", { id: "a", patch: { x: 50 }, stamp: stamp(10) }),
+    op("shape:delete", { id: "b", stamp: stamp(11) }),
+    op("shape:add", rect("c", 5)),
+  ];
+  const board = ops.reduce(applyOp, []);
+  expect(board.map((s) => [s._id, s.x])).toEqual([["a", 50], ["c", 5]]);
+});
+
+test("adds are idempotent and updates keep last-writer-wins", () => {
+  let board = applyOp([], op("shape:add", rect("a")));
+  board = applyOp(board, op("shape:add", { ...rect("a"), x: 99 }));
+  expect(board).toHaveLength(1);
+  expect(board[0].x).toBe(0);
+
+  board = applyOp(board, op("shape:update", { id: "a", patch: { x: 5 }, stamp: stamp(20) }));
+  board = applyOp(board, op("shape:update", { id: "a", patch: { x: 7 }, stamp: stamp(15) }));
+  expect(board[0].x).toBe(5);
+});
+
+test("a delete older than the shape's add leaves it", () => {
+  const board = [{ ...rect("a"), clock: { _add: stamp(30) } }];
+  expect(applyOp(board, op("shape:delete", { id: "a", stamp: stamp(20) }))).toHaveLength(1);
+  expect(applyOp(board, op("shape:delete", { id: "a", stamp: stamp(40) }))).toHaveLength(0);
+});
+
+test("clear, restore and merge", () => {
+  const board = [rect("a"), rect("b")];
+  expect(applyOp(board, op("clear", {}))).toEqual([]);
+  expect(applyOp(board, op("restore", { shapes: [rect("z")] })).map((s) => s._id)).toEqual(["z"]);
+  expect(applyOp(board, op("restore", {}))).toBe(board);
+  const merged = applyOp(board, op("merge", { shapes: [rect("b"), rect("c")] }));
+  expect(merged.map((s) => s._id)).toEqual(["a", "b", "c"]);
+});
+
+test("unknown ops leave the board alone", () => {
+  const board = [rect("a")];
+  expect(applyOp(board, op("camera:update", {}))).toBe(board);
+  expect(applyOp(board, null)).toBe(board);
+});
+
+test("a move takes a line's endpoints along with its box", () => {
+  expect(movedBy(rect("a", 5), 10, -2)).toEqual({ x: 15, y: -2 });
+  const arrow = { _id: "l", type: "arrow", x: 0, y: 0, w: 50, h: 20, x1: 0, y1: 20, x2: 50, y2: 0 };
+  expect(movedBy(arrow, 10, 5)).toEqual({ x: 10, y: 5, x1: 10, y1: 25, x2: 60, y2: 5 });
+  // the move replays like any update
+  const [moved] = applyOp([arrow], op("shape:update", { id: "l", patch: movedBy(arrow, 10, 5), stamp: stamp(2) }));
+  expect([moved.x1, moved.x2]).toEqual([10, 60]);
+});
@@ -0,0 +1,130 @@
+// client/src/lib/recognize.js
+
+/**
+ * Freehand shape recognition: a finished stroke that is roughly a line,
+ * an arrow (shaft plus a head drawn at its end), a box or a circle ->
+ * the clean shape's geometry, or null. Runs on the stroke's points alone;
+ * DrawingCanvas turns a hit into a real rect / ellipse / line / arrow.
+ */
+const SAMPLES = 64; // points the stroke is resampled to
+const MIN_SIZE = 12; // px: anything smaller stays ink
+const STRAIGHT = 0.94; // chord / length above which a stroke is a line
+const CLOSED = 0.2; // end gap / length below which it is a closed figure
+const SHAFT_MIN = 0.55; // of the stroke an arrow's shaft takes at least
+const HEAD_REACH = 0.45; // how far (of the shaft) the head may stray from the tip
+const RECT_FIT = 0.06; // mean distance from the box edges, of its size
+const ELLIPSE_FIT = 0.1; // mean radial error, of the radius
+
+const dist = (a, b) => Math.hypot(b.x - a.x, b.y - a.y);
+
+function lengthOf(points) {
+  let len = 0;
+  for (let i = 1; i < points.length; i++) len += dist(points[i - 1], points[i]);
+  return len;
+}
+
+// evenly spaced along the stroke, so sparse (simplified) and dense input fit alike
+function resample(points, count) {
+  const step = lengthOf(points) / (count - 1);
+  const out = [{ x: points[0].x, y: points[0].y }];
+  let acc = 0;
+  for (let i = 1; i < points.length && out.length < count; i++) {
+    let a = points[i - 1];
+    const b = points[i];
+    let seg = dist(a, b);
+    while (acc + seg >= step && out.length < count) {
+      const t = (step - acc) / seg;
+      a = { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+      out.push(a);
+      seg = dist(a, b);
+      acc = 0;
+    }
+    acc += seg;
+  }
+  while (out.length < count) out.push({ ...points[points.length - 1] });
+  return out;
+}
+
+function boundsOf(points) {
+  const xs = points.map((p) => p.x);
+  const ys = points.map((p) => p.y);
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+  return { x, y, w: Math.max(...xs) - x, h: Math.max(...ys) - y };
+}
+
+const lineOf = (a, b) => ({
+  x1: a.x, y1: a.y, x2: b.x, y2: b.y,
+  x: Math.min(a.x, b.x), y: Math.min(a.y, b.y), w: Math.abs(b.x - a.x), h: Math.abs(b.y - a.y),
+});
+
+// shaft from the start to the turning point, then a short head around the tip
+function arrowOf(pts, len) {
+  let walked = 0;
+  let tip = -1;
+  for (let i = 1; i < pts.length; i++) {
+    walked += dist(pts[i - 1], pts[i]);
+    if (walked < len * SHAFT_MIN) continue;
+    // the longest prefix that is still straight ends at the tip
+    if (dist(pts[0], pts[i]) / walked >= STRAIGHT) tip = i;
+  }
+  if (tip === -1 || tip >= pts.length - 2) return null;
+
+  const a = pts[0];
+  const b = pts[tip];
+  const shaft = dist(a, b);
+  const dx = (b.x - a.x) / shaft;
+  const dy = (b.y - a.y) / shaft;
+  const head = pts.slice(tip + 1);
+  // the head stays near the tip and points back along the shaft
+  const near = head.every((p) => dist(p, b) <= shaft * HEAD_REACH);
+  const back = head.filter((p) => (p.x - b.x) * dx + (p.y - b.y) * dy < 0).length;
+  return near && back >= head.length * 0.6 ? lineOf(a, b) : null;
+}
+
+function rectError(pts, box) {
+  const size = Math.max(box.w, box.h);
+  const off = pts.map((p) =>
+    Math.min(
+      Math.abs(p.x - box.x), Math.abs(p.x - box.x - box.w),
+      Math.abs(p.y - box.y), Math.abs(p.y - box.y - box.h)
+    )
+  );
+  return off.reduce((s, d) => s + d, 0) / pts.length / size;
+}
+
+function ellipseError(pts, box) {
+  const rx = box.w / 2;
+  const ry = box.h / 2;
+  const cx = box.x + rx;
+  const cy = box.y + ry;
+  const off = pts.map((p) => Math.abs(Math.hypot((p.x - cx) / rx, (p.y - cy) / ry) - 1));
+  return off.reduce((s, d) => s + d, 0) / pts.length;
+}
+
+/**
+ * points -> { type: "line" | "arrow", x1, y1, x2, y2, x, y, w, h }
+ *         | { type: "rect" | "ellipse", x, y, w, h }
+ *         | null
+ */
+export function recognizeStroke(points = []) {
+  if (points.length < 2) return null;
+  const len = lengthOf(points);
+  if (len < MIN_SIZE) return null;
+  const pts = resample(points, SAMPLES);
+  const first = pts[0];
+  const last = pts[pts.length - 1];
+
+  if (dist(first, last) / len >= STRAIGHT) return { type: "line", ...lineOf(first, last) };
+
+  const arrow = arrowOf(pts, len);
+  if (arrow) return { type: "arrow", ...arrow };
+
+  const box = boundsOf(pts);
+  if (dist(first, last) / len > CLOSED || box.w < MIN_SIZE || box.h < MIN_SIZE) return null;
+  const rect = rectError(pts, box);
+  const ellipse = ellipseError(pts, box);
+  if (rect <= RECT_FIT && rect * 2 <= ellipse) return { type: "rect", ...box };
+  if (ellipse <= ELLIPSE_FIT) return { type: "ellipse", ...box };
+  return null;
+}
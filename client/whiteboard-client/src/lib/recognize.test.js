@@ -0,0 +1,75 @@
+// client/src/lib/recognize.test.js
+import { test, expect } from "vitest";
+import { recognizeStroke } from "./recognize";
+
+// a polyline through `corners`, with `n` points per leg and a little jitter
+function drawn(corners, n = 10, jitter = 0.8) {
+  let seed = 7;
+  const noise = () => ((seed = (seed * 16807) % 2147483647) / 2147483647 - 0.5) * 2 * jitter;
+  const out = [];
+  for (let c = 1; c < corners.length; c++) {
+    const [a, b] = [corners[c - 1], corners[c]];
+    for (let i = c === 1 ? 0 : 1; i <= n; i++) {
+      out.push({ x: a.x + ((b.x - a.x) * i) / n + noise(), y: a.y + ((b.y - a.y) * i) / n + noise() });
+    }
+  }
+  return out;
+}
+
+const near = (actual, expected, tol = 3) => expect(Math.abs(actual - expected)).toBeLessThanOrEqual(tol);
+
+test("a straight stroke becomes a line from its start to its end", () => {
+  const res = recognizeStroke(drawn([{ x: 10, y: 10 }, { x: 210, y: 110 }], 40));
+  expect(res.type).toBe("line");
+  near(res.x1, 10);
+  near(res.y1, 10);
+  near(res.x2, 210);
+  near(res.y2, 110);
+});
+
+test("a shaft with a head drawn back at its tip becomes an arrow", () => {
+  const res = recognizeStroke(
+    drawn([{ x: 0, y: 0 }, { x: 200, y: 0 }, { x: 180, y: -15 }, { x: 200, y: 0 }, { x: 180, y: 15 }], 20, 0.3)
+  );
+  expect(res?.type).toBe("arrow");
+  near(res.x1, 0);
+  // the tip is the end of the longest still-straight prefix of the resampled
+  // stroke: up to a couple of sample steps (~4px each here) into the head
+  near(Math.hypot(res.x2 - 200, res.y2), 0, 9);
+});
+
+test("a closed four-cornered stroke becomes a rect", () => {
+  const res = recognizeStroke(
+    drawn([{ x: 50, y: 50 }, { x: 250, y: 50 }, { x: 250, y: 150 }, { x: 50, y: 150 }, { x: 52, y: 52 }])
+  );
+  expect(res?.type).toBe("rect");
+  near(res.x, 50);
+  near(res.y, 50);
+  near(res.w, 200, 4);
+  near(res.h, 100, 4);
+});
+
+test("a closed round stroke becomes an ellipse", () => {
+  const ring = Array.from({ length: 60 }, (_, i) => {
+    const a = (i / 59) * Math.PI * 2;
+    return { x: 100 + 80 * Math.cos(a), y: 100 + 40 * Math.sin(a) };
+  });
+  const res = recognizeStroke(ring);
+  expect(res?.type).toBe("ellipse");
+  near(res.x, 20);
+  near(res.w, 160, 4);
+  near(res.h, 80, 4);
+});
+
+test("scribbles, open curves and tiny strokes stay ink", () => {
+  const zigzag = drawn([{ x: 0, y: 0 }, { x: 40, y: 80 }, { x: 80, y: 0 }, { x: 120, y: 80 }, { x: 160, y: 0 }]);
+  expect(recognizeStroke(zigzag)).toBe(null);
+  const arc = Array.from({ length: 30 }, (_, i) => {
+    const a = (i / 29) * Math.PI;
+    return { x: 100 + 50 * Math.cos(a), y: 100 + 50 * Math.sin(a) };
+  });
+  expect(recognizeStroke(arc)).toBe(null);
+  expect(recognizeStroke([{ x: 0, y: 0 }, { x: 5, y: 3 }])).toBe(null);
+  expect(recognizeStroke([{ x: 0, y: 0 }])).toBe(null);
+  expect(recognizeStroke()).toBe(null);
+});
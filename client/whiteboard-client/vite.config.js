@@ -1,7 +1,18 @@
-import { defineConfig } from 'vite'
+import { defineConfig, searchForWorkspaceRoot } from 'vite'
 import react from '@vitejs/plugin-react'
+import { fileURLToPath } from 'node:url'
+
+// code the server uses too (../../shared, e.g. the freehand path rules)
+const shared = fileURLToPath(new URL('../../shared', import.meta.url))
+const root = fileURLToPath(new URL('.', import.meta.url))
 
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  resolve: {
+    alias: { '@shared': shared },
+  },
+  server: {
+    fs: { allow: [searchForWorkspaceRoot(root), shared] },
+  },
 })
@@ -1,13 +1,74 @@
 // server/cleanupJob.js
 import cron from 'node-cron';
 import Room from './models/Room.js';
+import { archiveRoom, listArchives, deleteArchive } from './lib/archive.js';
 
-export function startCleanupJob() {
+/**
+ * Daily retention run: rooms idle longer than their retention (settings.retentionDays,
+ * else ROOM_RETENTION_DAYS) are archived (lib/archive.js) and removed from the DB;
+ * pinned rooms and rooms with people in them are left alone. Archive files
+ * older than ARCHIVE_KEEP_DAYS are purged for good.
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+export const DEFAULT_RETENTION_DAYS = Number(process.env.ROOM_RETENTION_DAYS) || 1;
+export const ARCHIVE_KEEP_DAYS = Number(process.env.ARCHIVE_KEEP_DAYS) || 30;
 
-  cron.schedule('0 0 * * *', async () => {
-    const cutoff = new Date(Date.now() - 24 * 60 * 60 * 1000); // 24 hours ago
-    const result = await Room.deleteMany({ lastActivity: { $lt: cutoff } });
+export const retentionOf = (room) => room.settings?.retentionDays || DEFAULT_RETENTION_DAYS;
 
-    console.log(`🧹 Cleaned up ${result.deletedCount} inactive rooms`);
+/**
+ * What the next run would do (also the dry-run report, see routes/adminRoutes.js)
+ * -> { at, defaults, archive: [{ roomId, lastActivity, retentionDays, expiredAt }],
+ *      purge: [{ roomId, archivedAt, bytes }] }
+ */
+export async function planCleanup(realtime, now = Date.now()) {
+  // shortest possible retention first, the per-room check below does the rest
+  const minDays = Math.min(1, DEFAULT_RETENTION_DAYS);
+  const candidates = await Room.find(
+    { 'settings.pinned': { $ne: true }, lastActivity: { $lt: new Date(now - minDays * DAY_MS) } },
+    { roomId: 1, lastActivity: 1, settings: 1 }
+  ).lean();
+
+  const archive = [];
+  for (const room of candidates) {
+    const retentionDays = retentionOf(room);
+    const expiredAt = new Date(room.lastActivity.getTime() + retentionDays * DAY_MS);
+    if (expiredAt.getTime() > now) continue;
+    if (realtime?.userCount(room.roomId)) continue; // idle board, but someone's looking at it
+    archive.push({ roomId: room.roomId, lastActivity: room.lastActivity, retentionDays, expiredAt });
+  }
+
+  const purge = (await listArchives())
+    .filter((a) => now - a.archivedAt.getTime() >= ARCHIVE_KEEP_DAYS * DAY_MS)
+    .map(({ roomId, archivedAt, bytes }) => ({ roomId, archivedAt, bytes }));
+
+  return {
+    at: new Date(now),
+    defaults: { retentionDays: DEFAULT_RETENTION_DAYS, archiveKeepDays: ARCHIVE_KEEP_DAYS },
+    archive,
+    purge,
+  };
+}
+
+export async function runCleanup(realtime) {
+  const plan = await planCleanup(realtime);
+
+  let archived = 0;
+  for (const { roomId } of plan.archive) {
+    try {
+      if (await archiveRoom(roomId)) archived++;
+    } catch (e) {
+      // room stays in the DB, next run tries again
+      console.error(`❌ archiving ${roomId} failed:`, e?.message || e);
+    }
+  }
+  for (const { roomId } of plan.purge) await deleteArchive(roomId);
+
+  console.log(`🧹 Archived ${archived} inactive rooms, purged ${plan.purge.length} old archives`);
+  return { archived, purged: plan.purge.length };
+}
+
+export function startCleanupJob(realtime) {
+  cron.schedule('0 0 * * *', () => {
+    runCleanup(realtime).catch((e) => console.error('❌ cleanup failed:', e?.message || e));
   });
 }
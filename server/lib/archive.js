@@ -0,0 +1,156 @@
+// server/lib/archive.js
+import fs from "fs/promises";
+import path from "path";
+import { promisify } from "util";
+import zlib from "zlib";
+import Room from "../models/Room.js";
+import Snapshot from "../models/Snapshot.js";
+import RoomHistory from "../models/RoomHistory.js";
+import Webhook from "../models/Webhook.js";
+import WebhookDelivery from "../models/WebhookDelivery.js";
+import HistoryEntry from "../models/HistoryEntry.js";
+import { toBoardFile, readBoardFile } from "./boardFile.js";
+import { clock } from "../socket/shapeStore.js";
+
+/**
+ * Expired rooms are archived before they are deleted: one gzipped JSON file
+ * per room in ARCHIVE_DIR,
+ *   { archiveVersion: 1, archivedAt, room, board, snapshots, webhooks }
+ * `board` is the .wbjson export (lib/boardFile.js), `room` keeps what the
+ * board file doesn't (password/owner hashes, settings, dates). Time-lapse
+ * history and webhook delivery logs are not kept.
+ * restoreRoom() brings it back; cleanupJob purges files past ARCHIVE_KEEP_DAYS.
+ */
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+const SUFFIX = ".json.gz";
+
+export const archiveDir = () => path.resolve(process.env.ARCHIVE_DIR || "archive");
+const fileOf = (roomId) => path.join(archiveDir(), `${roomId}${SUFFIX}`);
+
+// -> [{ roomId, file, bytes, archivedAt }] (archivedAt = file mtime)
+export async function listArchives() {
+  let names;
+  try {
+    names = await fs.readdir(archiveDir());
+  } catch (e) {
+    if (e.code === "ENOENT") return [];
+    throw e;
+  }
+  const out = [];
+  for (const name of names.filter((n) => n.endsWith(SUFFIX))) {
+    const file = path.join(archiveDir(), name);
+    const st = await fs.stat(file);
+    out.push({ roomId: name.slice(0, -SUFFIX.length), file, bytes: st.size, archivedAt: st.mtime });
+  }
+  return out;
+}
+
+/**
+ * Write the archive file, then delete the room and everything hanging off it.
+ * -> { roomId, file, bytes } or null if the room is gone or was used while
+ * the file was written (then the file goes instead, the next run retries)
+ */
+export async function archiveRoom(roomId) {
+  const room = await Room.findOne({ roomId }, { ops: 0, tombstones: 0 }).lean();
+  if (!room) return null;
+  const [snapshots, webhooks] = await Promise.all([
+    Snapshot.find({ roomId }, { _id: 0, roomId: 0 }).lean(),
+    Webhook.find({ roomId }, { _id: 0, roomId: 0 }).lean(),
+  ]);
+
+  const archive = {
+    archiveVersion: 1,
+    archivedAt: new Date().toISOString(),
+    room: {
+      roomId,
+      createdAt: room.createdAt,
+      lastActivity: room.lastActivity,
+      passwordHash: room.passwordHash,
+      ownerSecretHash: room.ownerSecretHash,
+      settings: room.settings,
+    },
+    board: toBoardFile(room),
+    snapshots,
+    webhooks,
+  };
+  const data = await gzip(JSON.stringify(archive));
+
+  // write-then-rename so a crash never leaves half a file behind a deleted room
+  await fs.mkdir(archiveDir(), { recursive: true });
+  const file = fileOf(roomId);
+  await fs.writeFile(`${file}.tmp`, data);
+  await fs.rename(`${file}.tmp`, file);
+
+  // only the room as it was read: a late edit must not vanish with it
+  const { deletedCount } = await Room.deleteOne({
+    roomId,
+    seq: room.seq ?? null,
+    lastActivity: room.lastActivity ?? null,
+  });
+  if (!deletedCount) {
+    await deleteArchive(roomId);
+    return null;
+  }
+  await purgeRoomData([roomId]);
+  return { roomId, file, bytes: data.length };
+}
+
+// everything stored for these rooms (not their archive files)
+export async function purgeRoomData(roomIds) {
+  const filter = { roomId: { $in: roomIds } };
+  const { deletedCount } = await Room.deleteMany(filter);
+  await Snapshot.deleteMany(filter);
+  await RoomHistory.deleteMany(filter);
+  await Webhook.deleteMany(filter);
+  await WebhookDelivery.deleteMany(filter);
+  await HistoryEntry.deleteMany(filter);
+  return deletedCount;
+}
+
+export const hasArchive = (roomId) =>
+  fs.access(fileOf(roomId)).then(() => true, () => false);
+
+export const deleteArchive = (roomId) => fs.rm(fileOf(roomId), { force: true });
+
+/**
+ * Archive file -> live room again (lastActivity = now, so it isn't picked
+ * up by the next cleanup). An empty room of the same id (e.g. recreated by a
+ * stale tab reconnecting) is replaced, a used one is not.
+ * -> { roomId, shapes, snapshots } | { error: "archive_not_found" | "room_exists" | "invalid_archive" }
+ */
+export async function restoreRoom(roomId) {
+  let archive;
+  try {
+    archive = JSON.parse((await gunzip(await fs.readFile(fileOf(roomId)))).toString());
+  } catch (e) {
+    return { error: e.code === "ENOENT" ? "archive_not_found" : "invalid_archive" };
+  }
+  const { board, error } = readBoardFile(archive.board);
+  if (error) return { error: "invalid_archive" };
+
+  const existing = await Room.findOne({ roomId }, { seq: 1, "shapes._id": 1 }).lean();
+  if (existing && (existing.seq || existing.shapes?.length)) return { error: "room_exists" };
+  if (existing) await purgeRoomData([roomId]);
+
+  const { room = {} } = archive;
+  await Room.create({
+    roomId,
+    createdAt: room.createdAt,
+    lastActivity: new Date(),
+    passwordHash: room.passwordHash || null,
+    ownerSecretHash: room.ownerSecretHash || null,
+    settings: room.settings,
+    title: board.meta.title,
+    bookmarks: board.bookmarks,
+    shapes: board.shapes.map((s) => ({ ...s, clock: { _add: clock.tick() } })),
+  });
+  const snapshots = archive.snapshots || [];
+  if (snapshots.length) await Snapshot.insertMany(snapshots.map((s) => ({ ...s, roomId })));
+  if (archive.webhooks?.length) {
+    await Webhook.insertMany(archive.webhooks.map((w) => ({ ...w, roomId })));
+  }
+
+  await deleteArchive(roomId);
+  return { roomId, shapes: board.shapes.length, snapshots: snapshots.length };
+}
@@ -0,0 +1,39 @@
+// server/lib/audit.js
+import AuditEntry from "../models/AuditEntry.js";
+
+/**
+ * Audit trail of board changes, written by socket/shapeStore.js for every
+ * applied add / update / delete / clear / restore / merge, whoever made it
+ * (socket, REST, import). Best effort: a failed write is logged, never thrown.
+ *
+ * actor = { userId, name, socketId, via } — see socketActor / restActor
+ */
+export const SYSTEM_ACTOR = { userId: null, name: null, socketId: null, via: "system" };
+
+export const socketActor = (socket, { userId, name } = {}) => ({
+  userId: userId || null,
+  name: name || null,
+  socketId: socket.id,
+  via: "socket",
+});
+
+// REST callers: user id from the room token, name optional (X-User-Name)
+export const restActor = (req) => ({
+  userId: req.room?.userId || null,
+  name: req.get("x-user-name")?.slice(0, 64) || null,
+  socketId: null,
+  via: "rest",
+});
+
+// freehand points can run to thousands; the trail keeps how many, not where
+export const summarize = (shape) => {
+  if (!shape) return null;
+  const { points, clock: _clock, ...rest } = shape;
+  return points ? { ...rest, pointCount: points.length } : rest;
+};
+
+export function audit(roomId, event, { actor = SYSTEM_ACTOR, shapeId = null, before = null, after = null } = {}) {
+  AuditEntry.create({ roomId, event, actor, shapeId, before, after }).catch((e) =>
+    console.error("audit write error:", e?.message || e)
+  );
+}
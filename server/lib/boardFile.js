@@ -0,0 +1,137 @@
+// server/lib/boardFile.js
+import { v4 as uuid } from "uuid";
+import { toPathShape } from "../../shared/paths.js";
+import { optional, str, num, arr, obj } from "./validate.js";
+import { SHAPE } from "../socket/schemas.js";
+
+/**
+ * `.wbjson` board file — a whole room as one JSON document, for moving boards
+ * between deployments or keeping them in git.
+ *
+ * formatVersion 1:
+ * {
+ *   format: "wbjson",
+ *   formatVersion: 1,
+ *   exportedAt: "<ISO date>",
+ *   meta: { roomId, title, createdAt, lastActivity, settings: { defaultRole } },
+ *   shapes: [shape],                        // everything except freehand strokes
+ *   strokes: [path shape],                  // freehand strokes ({ points, color, strokeWidth, mask? })
+ *   bookmarks: [{ name, x, y, scale }],     // saved camera positions
+ * }
+ * Shapes are stored without their LWW clocks; an import stamps them afresh.
+ *
+ * Older files are upgraded one version at a time (UPGRADES[v] turns v into
+ * v + 1), so bumping the format = add the upgrade and raise FORMAT_VERSION.
+ */
+export const FORMAT = "wbjson";
+export const FORMAT_VERSION = 1;
+export const MAX_IMPORT_SHAPES = 20000;
+
+const UPGRADES = {
+  // 0: no format yet — a bare shapes array or a raw room document, maybe with
+  // pre-"path" strokes in drawingData (see migrations/strokesToShapes.js)
+  0: (input) => {
+    const room = Array.isArray(input) ? { shapes: input } : input;
+    const shapes = room.shapes || [];
+
+    let legacy = []; // strokes still on the board = after the last clear
+    for (const d of room.drawingData || []) {
+      if (d?.type === "clear") legacy = [];
+      else if (d?.type === "stroke" && d.data?.points?.length) legacy.push(toPathShape(d.data));
+    }
+    const ids = new Set(shapes.map((s) => String(s._id)));
+
+    return {
+      format: FORMAT,
+      formatVersion: 1,
+      meta: {
+        roomId: room.roomId,
+        title: room.title,
+        createdAt: room.createdAt,
+        lastActivity: room.lastActivity,
+        settings: room.settings,
+      },
+      shapes: shapes.filter((s) => s.type !== "path"),
+      strokes: [...shapes.filter((s) => s.type === "path"), ...legacy.filter((s) => !ids.has(s._id))],
+      bookmarks: [],
+    };
+  },
+};
+
+// saved camera positions, also edited in place (PUT /api/rooms/:roomId/bookmarks/:name)
+export const MAX_BOOKMARKS = 200;
+export const BOOKMARK = obj({ name: str(80), x: num(), y: num(), scale: num(0.05, 10) });
+const bookmarks = optional(arr(BOOKMARK, MAX_BOOKMARKS));
+
+const withoutClock = ({ clock: _clock, ...shape }) => shape;
+
+/**
+ * room document -> board file (current version)
+ */
+export function toBoardFile(room) {
+  const shapes = (room.shapes || []).map(withoutClock);
+  return {
+    format: FORMAT,
+    formatVersion: FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    meta: {
+      roomId: room.roomId,
+      title: room.title || "",
+      createdAt: room.createdAt,
+      lastActivity: room.lastActivity,
+      settings: { defaultRole: room.settings?.defaultRole || "editor" },
+    },
+    shapes: shapes.filter((s) => s.type !== "path"),
+    strokes: shapes.filter((s) => s.type === "path"),
+    bookmarks: room.bookmarks || [],
+  };
+}
+
+/**
+ * Parsed JSON of any known version -> { board: { meta, shapes, bookmarks } }
+ * with strokes folded into `shapes`, each checked against the shape:add
+ * schema and given an id; or { error: "invalid_file" | "unsupported_version", msg }
+ */
+export function readBoardFile(input) {
+  if (!input || typeof input !== "object") return { error: "invalid_file", msg: "not a board file" };
+
+  let file = input;
+  let version = Array.isArray(input) ? 0 : input.formatVersion ?? 0;
+  if (!Number.isInteger(version) || version < 0 || version > FORMAT_VERSION) {
+    return { error: "unsupported_version", msg: `formatVersion ${version} (max ${FORMAT_VERSION})` };
+  }
+  if (version > 0 && input.format !== FORMAT) {
+    return { error: "invalid_file", msg: `format must be "${FORMAT}"` };
+  }
+  while (version < FORMAT_VERSION) file = UPGRADES[version++](file);
+
+  const problem = bookmarks(file.bookmarks, "bookmarks");
+  if (problem) return { error: "invalid_file", msg: problem };
+
+  const shapes = [];
+  for (const key of ["shapes", "strokes"]) {
+    const list = file[key] ?? [];
+    if (!Array.isArray(list)) return { error: "invalid_file", msg: `${key}: expected array` };
+    if (shapes.length + list.length > MAX_IMPORT_SHAPES) {
+      return { error: "invalid_file", msg: `more than ${MAX_IMPORT_SHAPES} shapes` };
+    }
+    for (let i = 0; i < list.length; i++) {
+      const raw = withoutClock(list[i] || {});
+      const shape =
+        raw.type === "path" || key === "strokes"
+          ? toPathShape(raw)
+          : { ...raw, _id: String(raw._id || uuid()) };
+      const bad = SHAPE(shape, `${key}[${i}]`);
+      if (bad) return { error: "invalid_file", msg: bad };
+      shapes.push(shape);
+    }
+  }
+
+  return {
+    board: {
+      meta: { ...file.meta, title: String(file.meta?.title || "").slice(0, 120) },
+      shapes,
+      bookmarks: file.bookmarks || [],
+    },
+  };
+}
@@ -0,0 +1,117 @@
+// server/lib/metrics.js
+
+/**
+ * Minimal Prometheus registry (text exposition format 0.0.4), served by
+ * GET /metrics in server.js. Counters / histograms take a label object;
+ * keep label values bounded (event names are whitelisted by the callers).
+ * Gauges are read when scraped.
+ */
+const metrics = new Map(); // name -> metric
+
+const escapeLabel = (v) => String(v).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+const labelKey = (labels = {}) =>
+  Object.keys(labels)
+    .sort()
+    .map((k) => `${k}="${escapeLabel(labels[k])}"`)
+    .join(",");
+const withLabels = (name, key, extra) => {
+  const all = [key, extra].filter(Boolean).join(",");
+  return all ? `${name}{${all}}` : name;
+};
+
+function register(name, metric) {
+  if (metrics.has(name)) return metrics.get(name);
+  metrics.set(name, metric);
+  return metric;
+}
+
+export function counter(name, help) {
+  const values = new Map(); // labelKey -> number
+  return register(name, {
+    inc(labels, by = 1) {
+      const key = labelKey(labels);
+      values.set(key, (values.get(key) || 0) + by);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      for (const [key, v] of values) lines.push(`${withLabels(name, key)} ${v}`);
+      return lines;
+    },
+  });
+}
+
+// read(): number, or [[labels, number], ...] for labelled gauges
+export function gauge(name, help, read) {
+  return register(name, {
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`];
+      const v = read();
+      const rows = Array.isArray(v) ? v : [[{}, v]];
+      for (const [labels, n] of rows) lines.push(`${withLabels(name, labelKey(labels))} ${n}`);
+      return lines;
+    },
+  });
+}
+
+export const DURATION_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+export function histogram(name, help, buckets = DURATION_BUCKETS) {
+  const series = new Map(); // labelKey -> { counts[], sum, count }
+  return register(name, {
+    observe(labels, value) {
+      const key = labelKey(labels);
+      let s = series.get(key);
+      if (!s) series.set(key, (s = { counts: buckets.map(() => 0), sum: 0, count: 0 }));
+      for (let i = 0; i < buckets.length; i++) if (value <= buckets[i]) s.counts[i]++;
+      s.sum += value;
+      s.count++;
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const [key, s] of series) {
+        buckets.forEach((b, i) => lines.push(`${withLabels(`${name}_bucket`, key, `le="${b}"`)} ${s.counts[i]}`));
+        lines.push(`${withLabels(`${name}_bucket`, key, 'le="+Inf"')} ${s.count}`);
+        lines.push(`${withLabels(`${name}_sum`, key)} ${s.sum}`);
+        lines.push(`${withLabels(`${name}_count`, key)} ${s.count}`);
+      }
+      return lines;
+    },
+  });
+}
+
+export function renderMetrics() {
+  const out = [];
+  for (const m of metrics.values()) {
+    try {
+      out.push(...m.render());
+    } catch (e) {
+      console.error("metrics render error:", e);
+    }
+  }
+  return out.join("\n") + "\n";
+}
+
+/* ---------- shared metrics (instrumented in socket.js, adapters, server.js) ---------- */
+export const socketEvents = counter(
+  "wb_socket_events_total",
+  "Inbound socket events by event name"
+);
+export const socketEventsRejected = counter(
+  "wb_socket_events_rejected_total",
+  "Inbound socket events dropped by reason (rate_limited, invalid, forbidden)"
+);
+export const broadcasts = counter("wb_broadcasts_total", "Room broadcasts by event name");
+export const broadcastFanout = histogram(
+  "wb_broadcast_fanout",
+  "Sockets on this instance reached by one room broadcast",
+  [0, 1, 2, 5, 10, 25, 50, 100, 250, 500]
+);
+export const mongoDuration = histogram(
+  "wb_mongo_command_duration_seconds",
+  "MongoDB command latency by command"
+);
+export const mongoErrors = counter("wb_mongo_command_errors_total", "Failed MongoDB commands by command");
+export const engineErrors = counter(
+  "wb_engine_connection_errors_total",
+  "Socket.IO engine connection errors by code"
+);
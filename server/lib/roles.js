@@ -0,0 +1,52 @@
+// server/lib/roles.js
+
+/**
+ * Per-room roles: viewer < editor < owner.
+ * viewer -> watch, own cursor/camera/presence
+ * editor -> + draw and edit shapes
+ * owner  -> + clear canvas, room settings, member roles
+ */
+export const ROLES = ["viewer", "editor", "owner"];
+const RANK = { viewer: 0, editor: 1, owner: 2 };
+
+// minimum role per socket event; events not listed are open to everyone in the room
+export const EVENT_ROLES = {
+  "shape:add": "editor",
+  "shape:update": "editor",
+  "shape:delete": "editor",
+  "draw-start": "editor",
+  "draw-move": "editor",
+  "draw-end": "editor",
+  "drawing:undo": "editor",
+  "drawing:redo": "editor",
+  "history:undo": "editor",
+  "history:redo": "editor",
+  "clear-canvas": "owner",
+  "settings:update": "owner",
+  "member:role": "owner",
+};
+
+export const isRole = (role) => ROLES.includes(role);
+
+export const atLeast = (role, min) => isRole(role) && RANK[role] >= RANK[min];
+
+// minimum role for an event, null when it's open (own keys only: event names
+// come from clients, "constructor" is not a gated event)
+export const requiredRole = (event) =>
+  Object.hasOwn(EVENT_ROLES, event) ? EVENT_ROLES[event] : null;
+
+export function can(role, event) {
+  const required = requiredRole(event);
+  if (!required) return true;
+  return atLeast(role, required);
+}
+
+/**
+ * Role handed out by POST /api/rooms/join: rooms without an owner secret stay
+ * open (everyone is owner, like before); claimed rooms give the owner secret
+ * holder "owner" and everyone else the room's default role.
+ */
+export function roleFor(room, { isOwner }) {
+  if (!room?.ownerSecretHash || isOwner) return "owner";
+  return room.settings?.defaultRole || "editor";
+}
@@ -0,0 +1,126 @@
+// server/lib/roomAuth.js
+import crypto from "crypto";
+import { atLeast } from "./roles.js";
+
+/**
+ * Room passwords / owner secrets (scrypt hashes) and the signed room token
+ * that POST /api/rooms/join hands out and join-room checks.
+ * Token = base64url(payload) + "." + base64url(hmac-sha256(payload)).
+ */
+const TOKEN_TTL_MS = 12 * 60 * 60 * 1000; // 12h
+
+// read lazily: imports run before dotenv.config() in server.js
+let secret = null;
+function getSecret() {
+  if (secret) return secret;
+  secret = process.env.ROOM_TOKEN_SECRET;
+  if (!secret) {
+    // tokens won't survive a restart (or work across instances) without it
+    console.warn("⚠️ ROOM_TOKEN_SECRET missing in .env, using a random one");
+    secret = crypto.randomBytes(32).toString("hex");
+  }
+  return secret;
+}
+
+export function hashSecret(plain) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = crypto.scryptSync(String(plain), salt, 32).toString("hex");
+  return `${salt}:${hash}`;
+}
+
+export function verifySecret(plain, stored) {
+  if (!stored || plain == null) return false;
+  const [salt, hash] = String(stored).split(":");
+  if (!salt || !hash) return false;
+  const expected = Buffer.from(hash, "hex");
+  const actual = crypto.scryptSync(String(plain), salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+const sign = (data) =>
+  crypto.createHmac("sha256", getSecret()).update(data).digest("base64url");
+
+/**
+ * Persistent user id of a browser: issued by POST /api/rooms/join as
+ * userToken = userId + "." + signature, kept by the client and sent back on
+ * its next joins. A missing or forged token gets a fresh id, so nobody can
+ * pick someone else's (undo history and audit trail are keyed on it).
+ */
+export const signUserToken = (userId) => `${userId}.${sign(`user:${userId}`)}`;
+
+// -> userId, or null if malformed / tampered
+export function verifyUserToken(token) {
+  if (typeof token !== "string") return null;
+  const [userId, sig] = token.split(".");
+  if (!userId || !sig) return null;
+  const expected = Buffer.from(sign(`user:${userId}`));
+  const actual = Buffer.from(sig);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+  return userId;
+}
+
+// payload: { roomId, role, userId } (see lib/roles.js)
+export function signRoomToken(payload) {
+  const body = Buffer.from(
+    JSON.stringify({ ...payload, exp: Date.now() + TOKEN_TTL_MS })
+  ).toString("base64url");
+  return `${body}.${sign(body)}`;
+}
+
+// -> payload, or null if malformed / tampered / expired / for another room
+export function verifyRoomToken(token, roomId) {
+  if (typeof token !== "string") return null;
+  const [body, sig] = token.split(".");
+  if (!body || !sig) return null;
+
+  const expected = Buffer.from(sign(body));
+  const actual = Buffer.from(sig);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(body, "base64url").toString());
+    if (!payload || payload.exp < Date.now()) return null;
+    if (roomId != null && payload.roomId !== String(roomId)) return null;
+    return payload;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Express guard for /api/rooms/:roomId/... — the same room token as the socket,
+ * sent as "Authorization: Bearer <token>" (or ?token= where a header can't
+ * be set, e.g. an <img> embedding an export). Sets req.room = { roomId, role, userId }.
+ * 401 { error: "unauthorized" } ; 403 { error: "forbidden", required }
+ */
+export const requireRoomRole = (minRole) => (req, res, next) => {
+  const header = req.get("authorization") || "";
+  const token = header.startsWith("Bearer ") ? header.slice(7) : req.query?.token;
+  const auth = verifyRoomToken(token, req.params.roomId);
+  if (!auth) return res.status(401).json({ error: "unauthorized" });
+  if (!atLeast(auth.role, minRole)) {
+    return res.status(403).json({ error: "forbidden", required: minRole });
+  }
+  req.room = { roomId: String(req.params.roomId), role: auth.role, userId: auth.userId || null };
+  next();
+};
+
+/**
+ * Express guard for /api/admin/... — "Authorization: Bearer <ADMIN_TOKEN>".
+ * 403 { error: "admin_disabled" } when ADMIN_TOKEN isn't set; 401 { error: "unauthorized" }
+ */
+export const requireAdmin = (req, res, next) => {
+  const expected = process.env.ADMIN_TOKEN;
+  if (!expected) return res.status(403).json({ error: "admin_disabled" });
+
+  const header = req.get("authorization") || "";
+  const given = header.startsWith("Bearer ") ? header.slice(7) : "";
+  // compare digests: equal length, and no early exit on the first wrong byte
+  const digest = (s) => crypto.createHash("sha256").update(s).digest();
+  if (!crypto.timingSafeEqual(digest(given), digest(expected))) {
+    return res.status(401).json({ error: "unauthorized" });
+  }
+  next();
+};
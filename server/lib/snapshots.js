@@ -0,0 +1,49 @@
+// server/lib/snapshots.js
+import Room from "../models/Room.js";
+import Snapshot from "../models/Snapshot.js";
+import { emitWebhook } from "./webhooks.js";
+
+/**
+ * Capturing room snapshots (named via REST, automatic via snapshotJob).
+ * Listings use `snapshotMeta` so they never ship the shapes themselves.
+ */
+export const AUTO_SNAPSHOT_KEEP = 20; // per room, oldest auto ones go first
+
+export const snapshotMeta = (s) => ({
+  _id: String(s._id),
+  roomId: s.roomId,
+  name: s.name,
+  auto: !!s.auto,
+  createdBy: s.createdBy || null,
+  createdAt: s.createdAt,
+  seq: s.seq || 0,
+  shapeCount: s.shapeCount ?? s.shapes?.length ?? 0,
+});
+
+// -> snapshot meta, or null if the room doesn't exist
+export async function takeSnapshot(roomId, { name, auto = false, createdBy = null }) {
+  const room = await Room.findOne({ roomId }, { shapes: 1, seq: 1 }).lean();
+  if (!room) return null;
+
+  const snap = await Snapshot.create({
+    roomId,
+    name,
+    auto,
+    createdBy,
+    seq: room.seq || 0,
+    shapes: room.shapes || [],
+  });
+  const meta = snapshotMeta(snap);
+  emitWebhook(roomId, "snapshot.saved", { snapshot: meta });
+  return meta;
+}
+
+export async function pruneAutoSnapshots(roomId, keep = AUTO_SNAPSHOT_KEEP) {
+  const stale = await Snapshot.find({ roomId, auto: true }, { _id: 1 })
+    .sort({ createdAt: -1 })
+    .skip(keep)
+    .lean();
+  if (stale.length) {
+    await Snapshot.deleteMany({ _id: { $in: stale.map((s) => s._id) } });
+  }
+}
@@ -0,0 +1,167 @@
+// server/lib/svgExport.js
+import {
+  inkRadius, outlinePathData, curvePathData, usesOutline, drawnBelow, dashPattern, chiselPathData,
+} from "../../shared/paths.js";
+
+/**
+ * Standalone SVG of a board, drawn like the client's ShapeItem
+ * (client/src/components/Whiteboard.jsx): 1px outlined rect/ellipse, yellow
+ * rounded notes with a soft shadow and 14px text, round-capped freehand paths
+ * drawn as curves (filled pressure outlines for stylus strokes, see shared/paths.js)
+ * in their brush: highlighter beneath everything, chisel marker, dashed pen.
+ */
+const PAD = 20; // around the content when no bbox is given
+const NOTE_PAD = 8;
+const FONT = "system-ui, -apple-system, Segoe UI, Roboto, sans-serif";
+const FONT_SIZE = 14;
+
+const esc = (v) =>
+  String(v)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const n = (v) => Math.round((Number(v) || 0) * 100) / 100;
+
+// CSS rotate() in ShapeItem turns around the box center
+const rotate = (s) =>
+  s.rot ? ` transform="rotate(${n(s.rot)} ${n(s.x + s.w / 2)} ${n(s.y + s.h / 2)})"` : "";
+
+const endpoints = (s) => ({
+  x1: s.x1 ?? s.x,
+  y1: s.y1 ?? s.y,
+  x2: s.x2 ?? s.x + s.w,
+  y2: s.y2 ?? s.y + s.h,
+});
+
+function textLines(s, x, y, color) {
+  const lines = String(s.text || "").split("\n");
+  const tspans = lines
+    .map((line, i) => `<tspan x="${n(x)}" dy="${i === 0 ? 0 : "1.2em"}">${esc(line)}</tspan>`)
+    .join("");
+  return `<text x="${n(x)}" y="${n(y + FONT_SIZE)}" font-family="${FONT}" font-size="${FONT_SIZE}" fill="${esc(color)}">${tspans}</text>`;
+}
+
+function clipFor(s, defs) {
+  const m = s.mask;
+  if (!m) return "";
+  const id = `clip-${defs.length}`;
+  const shape =
+    m.type === "ellipse"
+      ? `<ellipse cx="${n(m.x + m.w / 2)}" cy="${n(m.y + m.h / 2)}" rx="${n(m.w / 2)}" ry="${n(m.h / 2)}"/>`
+      : `<rect x="${n(m.x)}" y="${n(m.y)}" width="${n(m.w)}" height="${n(m.h)}"/>`;
+  defs.push(`<clipPath id="${id}">${shape}</clipPath>`);
+  return ` clip-path="url(#${id})"`;
+}
+
+// brush opacity / blend mode of a path
+function inkStyle(s) {
+  let out = typeof s.opacity === "number" && s.opacity < 1 ? ` opacity="${n(s.opacity)}"` : "";
+  if (s.blend && s.blend !== "normal") out += ` style="mix-blend-mode:${esc(s.blend)}"`;
+  return out;
+}
+
+function renderShape(s, defs) {
+  const color = s.color || "#111";
+  const width = s.strokeWidth ?? s.width ?? 2;
+
+  switch (s.type) {
+    case "rect":
+      return `<rect x="${n(s.x)}" y="${n(s.y)}" width="${n(s.w)}" height="${n(s.h)}" rx="2" fill="none" stroke="${esc(color)}" stroke-width="1"${rotate(s)}/>`;
+
+    case "ellipse":
+      return `<ellipse cx="${n(s.x + s.w / 2)}" cy="${n(s.y + s.h / 2)}" rx="${n(s.w / 2)}" ry="${n(s.h / 2)}" fill="none" stroke="${esc(color)}" stroke-width="1"${rotate(s)}/>`;
+
+    case "note":
+      return (
+        `<g${rotate(s)}>` +
+        `<rect x="${n(s.x)}" y="${n(s.y)}" width="${n(s.w)}" height="${n(s.h)}" rx="6" fill="${esc(s.color || "#ffef8a")}" filter="url(#note-shadow)"/>` +
+        textLines(s, s.x + NOTE_PAD, s.y + NOTE_PAD, "#111") +
+        `</g>`
+      );
+
+    case "text":
+      return `<g${rotate(s)}>${textLines(s, s.x, s.y, color)}</g>`;
+
+    case "line":
+    case "arrow": {
+      const { x1, y1, x2, y2 } = endpoints(s);
+      let out = `<line x1="${n(x1)}" y1="${n(y1)}" x2="${n(x2)}" y2="${n(y2)}" stroke="${esc(color)}" stroke-width="${n(width)}" stroke-linecap="round"/>`;
+      if (s.type === "arrow") {
+        const a = Math.atan2(y2 - y1, x2 - x1);
+        const len = Math.max(10, width * 4);
+        const p = (da) => `${n(x2 - len * Math.cos(a + da))},${n(y2 - len * Math.sin(a + da))}`;
+        out += `<polygon points="${n(x2)},${n(y2)} ${p(0.45)} ${p(-0.45)}" fill="${esc(color)}"/>`;
+      }
+      return out;
+    }
+
+    case "path": {
+      const pts = s.points || [];
+      if (!pts.length) return "";
+      const clip = clipFor(s, defs) + inkStyle(s);
+      if (s.brush === "marker") {
+        return `<path d="${chiselPathData(pts, width, 0, 0, n)}" fill="${esc(color)}"${clip}/>`;
+      }
+      if (pts.length === 1) {
+        return `<circle cx="${n(pts[0].x)}" cy="${n(pts[0].y)}" r="${n(inkRadius(pts[0], width))}" fill="${esc(color)}"${clip}/>`;
+      }
+      if (usesOutline(s)) {
+        return `<path d="${outlinePathData(pts, width, 0, 0, n)}" fill="${esc(color)}"${clip}/>`;
+      }
+      const dash = s.brush === "dashed" ? ` stroke-dasharray="${dashPattern(width).map(n).join(" ")}"` : "";
+      return `<path d="${curvePathData(pts, 0, 0, n)}" fill="none" stroke="${esc(color)}" stroke-width="${n(width)}" stroke-linecap="round" stroke-linejoin="round"${dash}${clip}/>`;
+    }
+
+    default:
+      return "";
+  }
+}
+
+// union of the shape boxes (line/arrow by their endpoints)
+export function contentBounds(shapes) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (const s of shapes) {
+    const box =
+      s.type === "line" || s.type === "arrow"
+        ? (({ x1, y1, x2, y2 }) => ({
+            x: Math.min(x1, x2), y: Math.min(y1, y2), w: Math.abs(x2 - x1), h: Math.abs(y2 - y1),
+          }))(endpoints(s))
+        : s;
+    minX = Math.min(minX, box.x);
+    minY = Math.min(minY, box.y);
+    maxX = Math.max(maxX, box.x + box.w);
+    maxY = Math.max(maxY, box.y + box.h);
+  }
+  if (!Number.isFinite(minX)) return null;
+  return { x: minX - PAD, y: minY - PAD, w: maxX - minX + PAD * 2, h: maxY - minY + PAD * 2 };
+}
+
+/**
+ * shapes -> SVG string
+ * bbox: { x, y, w, h } crop in board coordinates (default: everything)
+ * background: CSS color, or "transparent" / null for none
+ */
+export function renderSvg(shapes, { bbox, background = "#fff" } = {}) {
+  const box = bbox || contentBounds(shapes) || { x: 0, y: 0, w: 800, h: 600 };
+  const defs = [
+    `<filter id="note-shadow" x="-10%" y="-10%" width="120%" height="130%"><feDropShadow dx="0" dy="2" stdDeviation="3" flood-color="#000" flood-opacity="0.08"/></filter>`,
+  ];
+  // highlighter ink first, beneath the rest
+  const layered = [...shapes.filter(drawnBelow), ...shapes.filter((s) => !drawnBelow(s))];
+  const body = layered.map((s) => renderShape(s, defs)).filter(Boolean).join("\n  ");
+  const bg =
+    background && background !== "transparent"
+      ? `<rect x="${n(box.x)}" y="${n(box.y)}" width="${n(box.w)}" height="${n(box.h)}" fill="${esc(background)}"/>\n  `
+      : "";
+
+  return (
+    `<?xml version="1.0" encoding="UTF-8"?>\n` +
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${n(box.w)}" height="${n(box.h)}" viewBox="${n(box.x)} ${n(box.y)} ${n(box.w)} ${n(box.h)}">\n` +
+    `  <defs>${defs.join("")}</defs>\n  ` +
+    bg +
+    body +
+    `\n</svg>\n`
+  );
+}
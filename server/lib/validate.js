@@ -0,0 +1,65 @@
+// server/lib/validate.js
+
+/**
+ * Tiny declarative validators for socket payloads (see socket/schemas.js).
+ * A rule is (value, path) -> error string | null.
+ */
+const fail = (path, msg) => `${path || "payload"}: ${msg}`;
+
+export const str = (max = 256) => (v, path) =>
+  typeof v === "string" && v.length <= max ? null : fail(path, `expected string (max ${max})`);
+
+export const pattern = (re, label = String(re)) => (v, path) =>
+  typeof v === "string" && re.test(v) ? null : fail(path, `expected ${label}`);
+
+export const num = (min = -Infinity, max = Infinity) => (v, path) =>
+  Number.isFinite(v) && v >= min && v <= max ? null : fail(path, `expected number in [${min}, ${max}]`);
+
+export const int = (min = 0, max = Number.MAX_SAFE_INTEGER) => (v, path) =>
+  Number.isInteger(v) && v >= min && v <= max ? null : fail(path, `expected integer in [${min}, ${max}]`);
+
+export const bool = () => (v, path) =>
+  typeof v === "boolean" ? null : fail(path, "expected boolean");
+
+export const oneOf = (values) => (v, path) =>
+  values.includes(v) ? null : fail(path, `expected one of ${values.join("|")}`);
+
+export const optional = (rule) => (v, path) => (v == null ? null : rule(v, path));
+
+export const either = (...rules) => (v, path) => {
+  const errors = rules.map((r) => r(v, path));
+  return errors.includes(null) ? null : errors[0];
+};
+
+export const arr = (rule, max = 1000) => (v, path) => {
+  if (!Array.isArray(v)) return fail(path, "expected array");
+  if (v.length > max) return fail(path, `too many items (max ${max})`);
+  for (let i = 0; i < v.length; i++) {
+    const err = rule(v[i], `${path}[${i}]`);
+    if (err) return err;
+  }
+  return null;
+};
+
+/**
+ * Object with declared keys; unknown keys are rejected.
+ * { minKeys } -> at least that many declared keys present (for patches).
+ */
+export const obj = (shape, { minKeys = 0 } = {}) => (v, path) => {
+  if (!v || typeof v !== "object" || Array.isArray(v)) return fail(path, "expected object");
+  const keys = Object.keys(v);
+  for (const k of keys) {
+    if (!Object.prototype.hasOwnProperty.call(shape, k)) {
+      return fail(path ? `${path}.${k}` : k, "unknown field");
+    }
+  }
+  if (keys.length < minKeys) return fail(path, `expected at least ${minKeys} field(s)`);
+  for (const [k, rule] of Object.entries(shape)) {
+    const err = rule(v[k], path ? `${path}.${k}` : k);
+    if (err) return err;
+  }
+  return null;
+};
+
+// run a rule; -> null when valid, error string otherwise
+export const validate = (rule, value) => rule(value, "");
@@ -0,0 +1,278 @@
+// server/lib/webhooks.js
+import crypto from "crypto";
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+import { v4 as uuid } from "uuid";
+import Webhook from "../models/Webhook.js";
+import WebhookDelivery from "../models/WebhookDelivery.js";
+
+/**
+ * Outgoing webhooks. Room owners register URLs + events (routes/webhookRoutes.js);
+ * each matching event is POSTed as JSON
+ *   { id, event, roomId, timestamp, data }
+ * with headers
+ *   X-Whiteboard-Event, X-Whiteboard-Delivery (= id), X-Whiteboard-Timestamp (ms)
+ *   X-Whiteboard-Signature: sha256=hex(hmac_sha256(secret, `${timestamp}.${body}`))
+ * Non-2xx answers and network errors are retried after RETRY_DELAYS_MS, every
+ * attempt goes to the delivery log (models/WebhookDelivery.js). Retries are
+ * timers in this process; resumeDeliveries() picks pending ones up on start.
+ * An instance claims a delivery before each attempt, so with several server
+ * instances every attempt is still made once.
+ *
+ * Targets must be public: hosts resolving to private, loopback, link-local
+ * (cloud metadata) or other internal addresses are refused, at registration
+ * and again on every connect. WEBHOOK_ALLOW_PRIVATE="hooks.internal,10.1.0.0/16"
+ * lets listed host names / addresses / ranges through anyway.
+ */
+export const WEBHOOK_EVENTS = [
+  "room.created", // a new room was forked / imported from this one
+  "user.joined",
+  "user.left",
+  "shape.added",
+  "shape.updated",
+  "shape.deleted",
+  "shapes.imported", // a board file was merged in: { count, ids }
+  "canvas.cleared",
+  "snapshot.saved",
+];
+
+const RETRY_DELAYS_MS = [10_000, 60_000, 5 * 60_000, 30 * 60_000]; // after 1st..4th failure
+const TIMEOUT_MS = 10_000;
+const CLAIM_MS = TIMEOUT_MS + 20_000; // an attempt's claim lapses after this (crashed instance)
+
+/* ---------------- target address check (SSRF) ---------------- */
+
+const INTERNAL = new net.BlockList();
+for (const [net4, bits] of [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 3],
+]) INTERNAL.addSubnet(net4, bits, "ipv4");
+for (const [net6, bits] of [
+  ["::", 128], ["::1", 128], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8],
+]) INTERNAL.addSubnet(net6, bits, "ipv6");
+
+// ::ffff:7f00:1 -> 127.0.0.1 (IPv4-mapped IPv6 reaches the IPv4 host)
+function unmap(address) {
+  const m = /^::ffff:(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/i.exec(address);
+  if (!m) return address;
+  if (m[1]) return m[1];
+  const n = (parseInt(m[2], 16) << 16 >>> 0) + parseInt(m[3], 16);
+  return [n >>> 24, (n >>> 16) & 255, (n >>> 8) & 255, n & 255].join(".");
+}
+
+// WEBHOOK_ALLOW_PRIVATE -> { hosts: Set<name>, addresses: BlockList }
+function allowedPrivate(list = process.env.WEBHOOK_ALLOW_PRIVATE || "") {
+  const hosts = new Set();
+  const addresses = new net.BlockList();
+  for (const item of list.split(",").map((s) => s.trim().toLowerCase()).filter(Boolean)) {
+    const [addr, bits] = item.split("/");
+    const type = net.isIP(addr) === 6 ? "ipv6" : "ipv4";
+    if (!net.isIP(addr)) hosts.add(item);
+    else if (bits) addresses.addSubnet(addr, Number(bits), type);
+    else addresses.addAddress(addr, type);
+  }
+  return { hosts, addresses };
+}
+
+// -> true when `address` is internal and not allowed
+function blocked(address, allow = allowedPrivate()) {
+  const ip = unmap(address);
+  const type = net.isIP(ip) === 6 ? "ipv6" : "ipv4";
+  return !allow.addresses.check(ip, type) && INTERNAL.check(ip, type);
+}
+const blockedError = (msg) => Object.assign(new Error(msg), { code: "EBLOCKED" });
+
+const hostOf = (url) => new URL(url).hostname.replace(/^\[|\]$/g, "").toLowerCase();
+
+/**
+ * Resolve the host of a webhook url -> null when it may be called, else why not
+ * (internal address, doesn't resolve). For registration; attempts check the
+ * address they actually connect to (see guardedLookup).
+ */
+export async function checkTarget(url) {
+  const allow = allowedPrivate();
+  const host = hostOf(url);
+  if (allow.hosts.has(host)) return null;
+  if (net.isIP(host)) return blocked(host, allow) ? `${host} is an internal address` : null;
+  try {
+    const found = await dns.promises.lookup(host, { all: true });
+    const internal = found.find(({ address }) => blocked(address, allow));
+    return internal ? `${host} resolves to internal address ${internal.address}` : null;
+  } catch {
+    return `${host} does not resolve`;
+  }
+}
+
+// dns.lookup for the request itself: a name that re-resolves to an internal
+// address after registration (DNS rebinding) fails the connect
+const guardedLookup = (host, options, cb) => {
+  dns.lookup(host, options, (err, address, family) => {
+    if (err) return cb(err);
+    const list = Array.isArray(address) ? address : [{ address, family }];
+    const internal = list.find((a) => blocked(a.address));
+    if (internal) return cb(blockedError(`${host} resolves to internal address ${internal.address}`));
+    cb(null, address, family);
+  });
+};
+
+// POST without following redirects -> response status
+function post(url, headers, body) {
+  const host = hostOf(url);
+  const allow = allowedPrivate();
+  if (net.isIP(host) && !allow.hosts.has(host) && blocked(host, allow)) {
+    return Promise.reject(blockedError(`${host} is an internal address`));
+  }
+  const client = url.startsWith("https:") ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = client.request(url, {
+      method: "POST",
+      headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+      lookup: allow.hosts.has(host) ? undefined : guardedLookup,
+      signal: AbortSignal.timeout(TIMEOUT_MS),
+    }, (res) => {
+      res.resume(); // the answer's body doesn't matter
+      resolve(res.statusCode);
+    });
+    req.on("error", reject);
+    req.end(body);
+  });
+}
+
+// roomId -> { at, hooks }; shape events are frequent, don't hit Mongo for each
+const CACHE_MS = 30_000;
+const CACHE_LIMIT = 1000;
+const hooksCache = new Map();
+
+export const forgetHooks = (roomId) => hooksCache.delete(roomId);
+
+async function hooksFor(roomId) {
+  const hit = hooksCache.get(roomId);
+  if (hit && Date.now() - hit.at < CACHE_MS) return hit.hooks;
+
+  const hooks = await Webhook.find({ roomId, active: true }).lean();
+  if (hooksCache.size >= CACHE_LIMIT) hooksCache.clear();
+  hooksCache.set(roomId, { at: Date.now(), hooks });
+  return hooks;
+}
+
+export const sign = (secret, timestamp, body) =>
+  "sha256=" + crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+
+/**
+ * Fire-and-forget: queue `event` for every active webhook of the room that
+ * subscribed to it. Never throws, never delays the caller.
+ */
+export function emitWebhook(roomId, event, data = {}) {
+  dispatch(roomId, event, data).catch((e) => console.error("webhook dispatch error:", e));
+}
+
+async function dispatch(roomId, event, data) {
+  const hooks = (await hooksFor(roomId)).filter((h) => h.events.includes(event));
+  for (const hook of hooks) await deliver(hook, event, data);
+}
+
+// create the log entry + first attempt -> delivery id
+export async function deliver(hook, event, data) {
+  const payload = { id: uuid(), event, roomId: hook.roomId, timestamp: Date.now(), data };
+  const delivery = await WebhookDelivery.create({
+    webhookId: hook._id,
+    roomId: hook.roomId,
+    event,
+    payload,
+  });
+  const job = { deliveryId: delivery._id, webhookId: hook._id, payload, n: 0 };
+  attempt(job, hook).catch((e) => console.error("webhook attempt error:", e));
+  return delivery._id;
+}
+
+// job = { deliveryId, webhookId, payload, n: attempts made so far }
+async function attempt(job, hook) {
+  const { deliveryId, payload, n } = job;
+  // attempt n+1 is ours only if it wasn't made yet and no other instance is on it
+  const now = new Date();
+  const claimed = await WebhookDelivery.findOneAndUpdate(
+    {
+      _id: deliveryId,
+      status: "pending",
+      [`attempts.${n}`]: { $exists: false },
+      $or: [{ claimedUntil: null }, { claimedUntil: { $lt: now } }],
+    },
+    { $set: { claimedUntil: new Date(now.getTime() + CLAIM_MS) } },
+    { projection: { _id: 1 } }
+  ).lean();
+  if (!claimed) return;
+
+  // retries re-read the hook: it may have been removed, paused or re-keyed since
+  hook = hook || (await Webhook.findById(job.webhookId).lean());
+  if (!hook?.active) {
+    await WebhookDelivery.updateOne(
+      { _id: deliveryId },
+      { $set: { status: "failed", nextAttemptAt: null, claimedUntil: null } }
+    );
+    return;
+  }
+
+  const body = JSON.stringify(payload);
+  const timestamp = String(Date.now());
+  const started = Date.now();
+  let status = null;
+  let error = null;
+  try {
+    status = await post(
+      hook.url,
+      {
+        "Content-Type": "application/json",
+        "User-Agent": "whiteboard-webhooks",
+        "X-Whiteboard-Event": payload.event,
+        "X-Whiteboard-Delivery": payload.id,
+        "X-Whiteboard-Timestamp": timestamp,
+        "X-Whiteboard-Signature": sign(hook.secret, timestamp, body),
+      },
+      body
+    );
+    if (status < 200 || status > 299) error = `HTTP ${status}`;
+  } catch (e) {
+    error = e?.code === "EBLOCKED" ? e.message : e?.code || e?.message || String(e);
+  }
+
+  const retryIn = error ? RETRY_DELAYS_MS[n] : undefined;
+  await WebhookDelivery.updateOne(
+    { _id: deliveryId },
+    {
+      $push: { attempts: { at: new Date(started), status, error, ms: Date.now() - started } },
+      $set: {
+        status: !error ? "delivered" : retryIn != null ? "pending" : "failed",
+        nextAttemptAt: retryIn != null ? new Date(Date.now() + retryIn) : null,
+        claimedUntil: null,
+      },
+    }
+  );
+  if (retryIn == null) {
+    if (error) console.warn(`⚠️ webhook ${payload.event} to ${hook.url} failed: ${error}`);
+    return;
+  }
+  schedule({ ...job, n: n + 1 }, retryIn);
+}
+
+function schedule(job, delay) {
+  const t = setTimeout(() => {
+    attempt(job).catch((e) => console.error("webhook retry error:", e));
+  }, Math.max(0, delay));
+  t.unref?.();
+}
+
+// on start: retries that were waiting when the process went down (every
+// instance schedules them; the claim in attempt() lets only one send each)
+export async function resumeDeliveries() {
+  const pending = await WebhookDelivery.find(
+    { status: "pending" },
+    { webhookId: 1, payload: 1, attempts: 1, nextAttemptAt: 1 }
+  ).lean();
+  for (const d of pending) {
+    const job = { deliveryId: d._id, webhookId: d.webhookId, payload: d.payload, n: d.attempts.length };
+    schedule(job, (d.nextAttemptAt?.getTime() ?? 0) - Date.now());
+  }
+  if (pending.length) console.log(`🪝 Resumed ${pending.length} pending webhook deliveries`);
+}
@@ -0,0 +1,87 @@
+// server/migrations/strokesToShapes.js
+import Room from "../models/Room.js";
+import RoomHistory from "../models/RoomHistory.js";
+import { toPathShape } from "../../shared/paths.js";
+
+/**
+ * One-off: rooms written before strokes became "path" shapes kept every
+ * stroke in `drawingData` AND (from draw-end / shape:add) as loose path
+ * entries in `shapes`. Fold them into one canonical path shape per stroke id,
+ * honour the last "clear" in drawingData, then drop drawingData. The stroke
+ * timestamps are kept as RoomHistory entries so time-lapse playback has them.
+ * Idempotent — only touches rooms that still have a drawingData field.
+ */
+export async function migrateStrokes() {
+  // raw collection: drawingData is no longer part of the schema
+  const cursor = Room.collection.find(
+    { drawingData: { $exists: true } },
+    { projection: { roomId: 1, shapes: 1, drawingData: 1 } }
+  );
+
+  let rooms = 0;
+  let removed = 0;
+  for await (const doc of cursor) {
+    const { shapes, dropped, drawnAt } = dedupeStrokes(doc.shapes || [], doc.drawingData || []);
+    const history = shapes
+      .filter((s) => s.type === "path" && drawnAt.has(s._id))
+      .map((s) => ({
+        roomId: doc.roomId,
+        seq: 0,
+        type: "shape:add",
+        data: s,
+        timestamp: drawnAt.get(s._id),
+      }));
+    if (history.length) await RoomHistory.insertMany(history);
+    await Room.collection.updateOne(
+      { _id: doc._id },
+      { $set: { shapes }, $unset: { drawingData: "" } }
+    );
+    rooms++;
+    removed += dropped;
+  }
+
+  if (rooms) console.log(`🧬 Migrated strokes of ${rooms} rooms (${removed} duplicates dropped)`);
+}
+
+function dedupeStrokes(shapes, drawingData) {
+  // strokes still on the board = those after the last clear
+  let live = [];
+  const cleared = new Set();
+  const drawnAt = new Map(); // stroke id -> drawingData timestamp
+  for (const d of drawingData) {
+    if (d?.type === "clear") {
+      live.forEach((st) => st._id && cleared.add(String(st._id)));
+      live = [];
+    } else if (d?.type === "stroke" && d.data?.points?.length) {
+      live.push(d.data);
+      if (d.data._id && d.timestamp) drawnAt.set(String(d.data._id), d.timestamp);
+    }
+  }
+
+  const out = [];
+  const seen = new Map(); // path id -> index in out
+  let dropped = 0;
+  const addPath = (raw) => {
+    const p = toPathShape(raw);
+    if (!p.points.length || cleared.has(p._id)) {
+      dropped++;
+      return;
+    }
+    if (seen.has(p._id)) {
+      // keep the stamped copy (the one that went through shape:add)
+      const i = seen.get(p._id);
+      if (!out[i].clock?._add && p.clock?._add) out[i] = p;
+      dropped++;
+      return;
+    }
+    seen.set(p._id, out.length);
+    out.push(p);
+  };
+
+  for (const s of shapes) {
+    if (s?.type === "path") addPath(s);
+    else out.push(s);
+  }
+  live.forEach(addPath);
+  return { shapes: out, dropped, drawnAt };
+}
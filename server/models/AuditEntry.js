@@ -0,0 +1,35 @@
+// server/models/AuditEntry.js
+import mongoose from "mongoose";
+
+/* ----------------- Who changed what (see lib/audit.js) ----------------- */
+const actorSchema = new mongoose.Schema(
+  {
+    userId: { type: String, default: null }, // persistent per browser, carried in the room token
+    name: { type: String, default: null }, // display name at the time
+    socketId: { type: String, default: null },
+    via: { type: String, enum: ["socket", "rest", "system"], default: "socket" },
+  },
+  { _id: false }
+);
+
+const auditSchema = new mongoose.Schema(
+  {
+    roomId: { type: String, required: true },
+    event: { type: String, required: true }, // shape:add | shape:update | shape:delete | clear | restore | merge
+    actor: { type: actorSchema, default: () => ({}) },
+    shapeId: { type: String, default: null },
+    before: { type: Object, default: null },
+    after: { type: Object, default: null },
+    timestamp: { type: Date, default: Date.now },
+  },
+  {
+    versionKey: false,
+    // oldest entries roll off on their own
+    capped: { size: 64 * 1024 * 1024, max: 500000 },
+  }
+);
+
+auditSchema.index({ roomId: 1, timestamp: -1 });
+
+const AuditEntry = mongoose.models.AuditEntry || mongoose.model("AuditEntry", auditSchema);
+export default AuditEntry;
@@ -0,0 +1,29 @@
+// server/models/HistoryEntry.js
+import mongoose from "mongoose";
+
+/* ----------------- One step of a user's undo / redo stack (see socket/history.js) ----------------- */
+export const HISTORY_TTL_S = 30 * 24 * 60 * 60; // untouched stacks go after a month
+
+const historyEntrySchema = new mongoose.Schema(
+  {
+    roomId: { type: String, required: true },
+    userKey: { type: String, required: true }, // user id from the room token (socket id for old tokens)
+    stack: { type: String, enum: ["undo", "redo"], required: true },
+    // { op: "add" | "update" | "delete" | "clear", shapeId?, shape?, shapes?,
+    //   before?, after?, stamp?, stamps?, batch? }
+    entry: { type: Object, required: true },
+    at: { type: Date, default: Date.now },
+  },
+  {
+    versionKey: false,
+    minimize: false, // keep empty before/after objects
+  }
+);
+
+// top of a stack = newest _id
+historyEntrySchema.index({ roomId: 1, userKey: 1, stack: 1, _id: -1 });
+historyEntrySchema.index({ at: 1 }, { expireAfterSeconds: HISTORY_TTL_S });
+
+const HistoryEntry =
+  mongoose.models.HistoryEntry || mongoose.model("HistoryEntry", historyEntrySchema);
+export default HistoryEntry;
@@ -1,33 +1,29 @@
 // server/models/Room.js
 import mongoose from "mongoose";
+import { BRUSH_NAMES, BLEND_MODES } from "../../shared/paths.js";
 
-/* ----------------- Drawing (stroke/clear) schema ----------------- */
-const drawingCommandSchema = new mongoose.Schema(
+/* ----------------- Freehand point ----------------- */
+const pointSchema = new mongoose.Schema(
   {
-    type: {
-      type: String,
-      enum: ["stroke", "clear"],
-      required: true,
-    },
-    data: {
-      type: Object,
-      default: {},
-    },
-    timestamp: {
-      type: Date,
-      default: Date.now,
-    },
+    x: { type: Number, required: true },
+    y: { type: Number, required: true },
+    // stylus pressure 0..1 and tilt in degrees, when the pen reports them (see shared/paths.js)
+    p: { type: Number },
+    tx: { type: Number },
+    ty: { type: Number },
   },
-  { _id: false } // subdoc needs no own ObjectId
+  { _id: false }
 );
 
-/* ----------------- Shape (rect/note/text/ellipse/line/arrow) ----------------- */
-const shapeSchema = new mongoose.Schema(
+/* ----------------- Shape (rect/note/text/ellipse/line/arrow/path) ----------------- */
+export const SHAPE_TYPES = ["rect", "ellipse", "line", "arrow", "text", "note", "path"];
+
+export const shapeSchema = new mongoose.Schema(
   {
     _id: { type: String, required: true }, // uuid from client/server
     type: {
       type: String,
-      enum: ["rect", "ellipse", "line", "arrow", "text", "note"],
+      enum: SHAPE_TYPES,
       required: true,
     },
 
@@ -49,22 +45,89 @@ const shapeSchema = new mongoose.Schema(
     y1: { type: Number },
     x2: { type: Number },
     y2: { type: Number },
+
+    // freehand stroke: absolute points, box = their bounds (see shared/paths.js)
+    points: { type: [pointSchema], default: undefined },
+    mask: { type: Object }, // clip rect/ellipse the stroke was drawn inside
+    // brush preset and how its ink is laid down (unset = plain pen)
+    brush: { type: String, enum: BRUSH_NAMES },
+    opacity: { type: Number, min: 0, max: 1 },
+    blend: { type: String, enum: BLEND_MODES },
+    author: { type: String },
+
+    // last-writer-wins stamps: { _add, <field>: stamp } (see shared/lww.js)
+    clock: { type: Object, default: {} },
   },
   { _id: false } // use provided string _id, don't create a second one
 );
 
+/* ----------------- Deleted shape marker (delete vs concurrent re-add) ----------------- */
+const tombstoneSchema = new mongoose.Schema(
+  {
+    _id: { type: String, required: true },
+    stamp: { type: String, required: true },
+  },
+  { _id: false }
+);
+
+/* ----------------- Op log entry (for incremental resync) ----------------- */
+const opSchema = new mongoose.Schema(
+  {
+    seq: { type: Number, required: true },
+    type: {
+      type: String,
+      // "stroke" only in logs written before strokes became path shapes
+      enum: ["shape:add", "shape:update", "shape:delete", "stroke", "clear", "restore", "merge"],
+      required: true,
+    },
+    data: { type: Object, default: {} },
+    timestamp: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+/* ----------------- Saved camera position ----------------- */
+const bookmarkSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    x: { type: Number, required: true },
+    y: { type: Number, required: true },
+    scale: { type: Number, default: 1 },
+  },
+  { _id: false }
+);
+
 /* ----------------- Room schema ----------------- */
 const roomSchema = new mongoose.Schema(
   {
     roomId: { type: String, unique: true, required: true, index: true },
     createdAt: { type: Date, default: Date.now },
     lastActivity: { type: Date, default: Date.now },
+    title: { type: String, default: "" },
 
-    // freehand history (so late joiners can replay)
-    drawingData: { type: [drawingCommandSchema], default: [] },
+    // optional access control (scrypt hashes, see lib/roomAuth.js) — never sent to clients
+    passwordHash: { type: String, default: null },
+    ownerSecretHash: { type: String, default: null },
 
-    // structured shapes
+    // owner-editable settings (settings:update)
+    settings: {
+      defaultRole: { type: String, enum: ["viewer", "editor"], default: "editor" },
+      // idle days before cleanupJob archives the room (null = server default)
+      retentionDays: { type: Number, default: null },
+      pinned: { type: Boolean, default: false }, // never archived
+      listed: { type: Boolean, default: false }, // in the public directory (GET /api/rooms)
+    },
+
+    // everything on the board, freehand strokes included (type "path")
     shapes: { type: [shapeSchema], default: [] },
+    bookmarks: { type: [bookmarkSchema], default: [] },
+
+    // last assigned op sequence number + recent ops (capped, see socket/opLog.js)
+    seq: { type: Number, default: 0 },
+    ops: { type: [opSchema], default: [] },
+
+    // recently deleted shape ids with their delete stamp (capped)
+    tombstones: { type: [tombstoneSchema], default: [] },
   },
   {
     versionKey: false, // no __v
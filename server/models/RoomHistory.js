@@ -0,0 +1,32 @@
+// server/models/RoomHistory.js
+import mongoose from "mongoose";
+
+/* ----------------- Full, timestamped op history (time-lapse playback) -----------------
+ * Room.ops is capped for resync; this keeps every op of a room until the room
+ * itself is cleaned up. Written by socket/opLog.js recordOp.
+ */
+const roomHistorySchema = new mongoose.Schema(
+  {
+    roomId: { type: String, required: true },
+    seq: { type: Number, default: 0 }, // 0 = imported from before the log existed
+    type: {
+      type: String,
+      enum: ["shape:add", "shape:update", "shape:delete", "clear", "restore", "merge"],
+      required: true,
+    },
+    data: { type: Object, default: {} },
+    timestamp: { type: Date, default: Date.now },
+    // gesture of a folded shape:update entry (one per gesture and shape)
+    batch: { type: String, default: null },
+  },
+  {
+    versionKey: false,
+  }
+);
+
+roomHistorySchema.index({ roomId: 1, timestamp: 1, seq: 1 });
+roomHistorySchema.index({ roomId: 1, batch: 1 }, { partialFilterExpression: { batch: { $type: "string" } } });
+
+const RoomHistory =
+  mongoose.models.RoomHistory || mongoose.model("RoomHistory", roomHistorySchema);
+export default RoomHistory;
@@ -0,0 +1,27 @@
+// server/models/Snapshot.js
+import mongoose from "mongoose";
+import { shapeSchema } from "./Room.js";
+
+/* ----------------- Named checkpoint of a room's board ----------------- */
+const snapshotSchema = new mongoose.Schema(
+  {
+    roomId: { type: String, required: true },
+    name: { type: String, required: true },
+    auto: { type: Boolean, default: false }, // taken by snapshotJob, not a person
+    createdBy: { type: String, default: null }, // display name, if given
+    createdAt: { type: Date, default: Date.now },
+
+    // room seq at capture time (auto snapshots skip unchanged rooms)
+    seq: { type: Number, default: 0 },
+    shapes: { type: [shapeSchema], default: [] },
+  },
+  {
+    versionKey: false,
+  }
+);
+
+// newest-first listing per room
+snapshotSchema.index({ roomId: 1, createdAt: -1 });
+
+const Snapshot = mongoose.models.Snapshot || mongoose.model("Snapshot", snapshotSchema);
+export default Snapshot;
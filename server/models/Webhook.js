@@ -0,0 +1,20 @@
+// server/models/Webhook.js
+import mongoose from "mongoose";
+
+/* ----------------- Outgoing webhook of a room (see lib/webhooks.js) ----------------- */
+const webhookSchema = new mongoose.Schema(
+  {
+    roomId: { type: String, required: true, index: true },
+    url: { type: String, required: true },
+    events: { type: [String], default: [] }, // WEBHOOK_EVENTS subset
+    secret: { type: String, required: true }, // HMAC key for X-Whiteboard-Signature
+    active: { type: Boolean, default: true },
+    createdAt: { type: Date, default: Date.now },
+  },
+  {
+    versionKey: false,
+  }
+);
+
+const Webhook = mongoose.models.Webhook || mongoose.model("Webhook", webhookSchema);
+export default Webhook;
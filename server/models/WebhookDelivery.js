@@ -0,0 +1,42 @@
+// server/models/WebhookDelivery.js
+import mongoose from "mongoose";
+
+/* ----------------- One event sent (or being retried) to a webhook ----------------- */
+export const DELIVERY_LOG_TTL_S = 7 * 24 * 60 * 60; // a week of delivery log
+
+const attemptSchema = new mongoose.Schema(
+  {
+    at: { type: Date, default: Date.now },
+    status: { type: Number, default: null }, // HTTP status, null = no response
+    error: { type: String, default: null },
+    ms: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+const deliverySchema = new mongoose.Schema(
+  {
+    webhookId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    roomId: { type: String, required: true },
+    event: { type: String, required: true },
+    // pending -> delivered | failed (after the last retry)
+    status: { type: String, enum: ["pending", "delivered", "failed"], default: "pending" },
+    payload: { type: Object, required: true },
+    attempts: { type: [attemptSchema], default: [] },
+    nextAttemptAt: { type: Date, default: null },
+    // an instance is making an attempt until then (see lib/webhooks.js attempt)
+    claimedUntil: { type: Date, default: null },
+    createdAt: { type: Date, default: Date.now },
+  },
+  {
+    versionKey: false,
+  }
+);
+
+// newest-first log per webhook; old entries expire
+deliverySchema.index({ webhookId: 1, createdAt: -1 });
+deliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: DELIVERY_LOG_TTL_S });
+
+const WebhookDelivery =
+  mongoose.models.WebhookDelivery || mongoose.model("WebhookDelivery", deliverySchema);
+export default WebhookDelivery;
@@ -0,0 +1,54 @@
+import express from 'express';
+import { requireAdmin } from '../lib/roomAuth.js';
+import { validate } from '../lib/validate.js';
+import { ROOM_ID } from '../socket/schemas.js';
+import { listArchives, restoreRoom } from '../lib/archive.js';
+import { planCleanup, ARCHIVE_KEEP_DAYS } from '../cleanupJob.js';
+
+// mounted at /api/admin, all routes need Authorization: Bearer <ADMIN_TOKEN>
+const router = express.Router();
+router.use(requireAdmin);
+
+/**
+ * GET /api/admin/cleanup/dry-run -> what the next cleanup run would archive / purge
+ * (see planCleanup in cleanupJob.js); changes nothing
+ */
+router.get('/cleanup/dry-run', async (req, res) => {
+  res.json(await planCleanup(req.app.get('realtime')));
+});
+
+/**
+ * GET /api/admin/archives -> [{ roomId, bytes, archivedAt, purgeAt }] newest first
+ */
+router.get('/archives', async (_req, res) => {
+  const list = await listArchives();
+  res.json(
+    list
+      .sort((a, b) => b.archivedAt - a.archivedAt)
+      .map(({ roomId, bytes, archivedAt }) => ({
+        roomId,
+        bytes,
+        archivedAt,
+        purgeAt: new Date(archivedAt.getTime() + ARCHIVE_KEEP_DAYS * 24 * 60 * 60 * 1000),
+      }))
+  );
+});
+
+/**
+ * POST /api/admin/archives/:roomId/restore -> { roomId, shapes, snapshots }
+ * 404 archive_not_found ; 409 room_exists (the id is in use again) ; 500 invalid_archive
+ */
+router.post('/archives/:roomId/restore', async (req, res) => {
+  if (validate(ROOM_ID, req.params.roomId)) {
+    return res.status(404).json({ error: 'archive_not_found' });
+  }
+  const result = await restoreRoom(req.params.roomId);
+  if (result.error) {
+    const status = { archive_not_found: 404, room_exists: 409 }[result.error] || 500;
+    return res.status(status).json({ error: result.error });
+  }
+  console.log(`📦 Room ${result.roomId} restored from archive`);
+  res.json(result);
+});
+
+export default router;
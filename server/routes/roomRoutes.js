@@ -1,19 +1,523 @@
 import express from 'express';
+import mongoose from 'mongoose';
+import { v4 as uuid } from 'uuid';
 import Room from '../models/Room.js';
+import Snapshot from '../models/Snapshot.js';
+import {
+  hashSecret, verifySecret, signRoomToken, requireRoomRole, signUserToken, verifyUserToken,
+} from '../lib/roomAuth.js';
+import { roleFor, atLeast } from '../lib/roles.js';
+import { validate, optional, str, oneOf, obj } from '../lib/validate.js';
+import { ROOM_ID } from '../socket/schemas.js';
+import { snapshotMeta, takeSnapshot } from '../lib/snapshots.js';
+import { replaceShapes, mergeShapes, clock } from '../socket/shapeStore.js';
+import { historyOf } from '../socket/opLog.js';
+import { renderSvg } from '../lib/svgExport.js';
+import { toBoardFile, readBoardFile, BOOKMARK, MAX_BOOKMARKS } from '../lib/boardFile.js';
+import { emitWebhook } from '../lib/webhooks.js';
+import { hasArchive } from '../lib/archive.js';
+import { restActor } from '../lib/audit.js';
+import AuditEntry from '../models/AuditEntry.js';
 const router = express.Router();
 
+/* ==================== DIRECTORY ==================== */
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * GET /api/rooms?q=&ids=A,B&page=1&limit=20&sort=-lastActivity|lastActivity
+ * q: substring of room id or title; ids: only these rooms (recent-rooms lookup)
+ * Without ids only rooms whose owner listed them (settings.listed) show up;
+ * with ids the caller already knows the rooms, any of them is looked up.
+ * -> { rooms: [{ roomId, title, createdAt, lastActivity, shapeCount, users, protected }],
+ *      page, limit, total }
+ * `users` = live members from the realtime adapter (all instances).
+ */
+router.get('/', async (req, res) => {
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+  const q = typeof req.query.q === 'string' ? req.query.q.trim().slice(0, 64) : '';
+  const ids = typeof req.query.ids === 'string'
+    ? req.query.ids.split(',').filter((id) => !validate(ROOM_ID, id)).slice(0, 100)
+    : null;
+
+  const match = {};
+  if (q) {
+    const re = new RegExp(escapeRegex(q), 'i');
+    match.$or = [{ roomId: re }, { title: re }];
+  }
+  if (ids) match.roomId = { $in: ids };
+  else match['settings.listed'] = true;
+
+  const [list, total] = await Promise.all([
+    Room.aggregate([
+      { $match: match },
+      { $sort: { lastActivity: req.query.sort === 'lastActivity' ? 1 : -1 } },
+      { $skip: (page - 1) * limit },
+      { $limit: limit },
+      {
+        $project: {
+          _id: 0,
+          roomId: 1,
+          title: 1,
+          createdAt: 1,
+          lastActivity: 1,
+          shapeCount: { $size: '$shapes' },
+          protected: { $gt: ['$passwordHash', null] },
+        },
+      },
+    ]),
+    Room.countDocuments(match),
+  ]);
+
+  const realtime = req.app.get('realtime');
+  const rooms = list.map((r) => ({
+    ...r,
+    title: r.title || '',
+    users: realtime?.userCount(r.roomId) || 0,
+  }));
+  res.json({ rooms, page, limit, total });
+});
+
+/**
+ * POST /api/rooms/join { roomId, password?, ownerSecret?, title?, userToken? }
+ * userToken = the browser's persistent id as issued by an earlier join (see
+ * lib/roomAuth.js); its user id goes into the room token (undo history, audit
+ * trail). Without a valid one a new id is issued.
+ * New room: created with the given password / owner secret / title (all optional).
+ * Existing room: password checked if it has one, ownerSecret makes you owner.
+ * -> { roomId, token, role, protected, title, mine, userToken } ; 401 { error: "password_required" | "invalid_password" }
+ * 410 { error: "room_archived" } — expired and archived, an admin can restore it
+ * mine = you created the room just now or proved its owner secret (the owner
+ * role alone doesn't say that: every visitor of an unclaimed room gets it)
+ */
 router.post('/join', async (req, res) => {
-  const { roomId } = req.body;
+  const { roomId, password, ownerSecret, title, userToken } = req.body || {};
+  if (validate(ROOM_ID, roomId)) {
+    return res.status(400).json({ error: 'roomId_required' });
+  }
+  if (validate(optional(str(128)), password) || validate(optional(str(128)), ownerSecret)) {
+    return res.status(400).json({ error: 'invalid_secret' });
+  }
+  if (validate(optional(str(120)), title)) {
+    return res.status(400).json({ error: 'invalid_title' });
+  }
+  if (validate(optional(str(256)), userToken)) {
+    return res.status(400).json({ error: 'invalid_user_token' });
+  }
 
-  let room = await Room.findOne({ roomId });
+  let room = await Room.findOne(
+    { roomId },
+    { passwordHash: 1, ownerSecretHash: 1, settings: 1, title: 1 }
+  ).lean();
 
- 
+  let owner = false;
+  let created = false;
+  if (!room && (await hasArchive(roomId))) {
+    // don't let a fresh empty room take the id of an archived board
+    return res.status(410).json({ error: 'room_archived' });
+  }
   if (!room) {
-    room = await Room.create({ roomId });
-    console.log("🆕 Room created:", roomId);
+    room = await Room.create({
+      roomId,
+      passwordHash: password ? hashSecret(password) : null,
+      ownerSecretHash: ownerSecret ? hashSecret(ownerSecret) : null,
+      title: title?.trim() || '',
+    });
+    owner = !!ownerSecret;
+    created = true;
+    console.log("🆕 Room created:", roomId, room.passwordHash ? "(protected)" : "");
+  } else {
+    if (room.passwordHash) {
+      if (!password) return res.status(401).json({ error: 'password_required' });
+      if (!verifySecret(password, room.passwordHash)) {
+        return res.status(401).json({ error: 'invalid_password' });
+      }
+    }
+    owner = !!ownerSecret && verifySecret(ownerSecret, room.ownerSecretHash);
+  }
+
+  const role = roleFor(room, { isOwner: owner });
+  const userId = verifyUserToken(userToken) || uuid();
+  const token = signRoomToken({ roomId, role, userId });
+  res.json({
+    roomId,
+    token,
+    role,
+    protected: !!room.passwordHash,
+    title: room.title || '',
+    mine: created || owner,
+    userToken: signUserToken(userId),
+  });
+});
+
+/* ==================== HISTORY (time-lapse playback) ==================== */
+
+/**
+ * GET /api/rooms/:roomId/history?offset=&limit= (viewer)
+ * -> { seq, base, ops: [{ seq, type, data, timestamp }], total }, oldest first.
+ * `base` (first page only) = shapes older than the recorded history.
+ */
+router.get('/:roomId/history', requireRoomRole('viewer'), async (req, res) => {
+  const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+  const limit = Math.min(20000, Math.max(1, parseInt(req.query.limit, 10) || 5000));
+  const history = await historyOf(req.room.roomId, { offset, limit });
+  if (!history) return res.status(404).json({ error: 'room_not_found' });
+  res.json(history);
+});
+
+/* ==================== AUDIT TRAIL (see lib/audit.js) ==================== */
+
+const AUDIT_EVENTS = ['shape:add', 'shape:update', 'shape:delete', 'clear', 'restore', 'merge'];
+
+/**
+ * GET /api/rooms/:roomId/audit?userId=&name=&event=&shapeId=&since=&until=&limit= (owner)
+ * -> [{ event, actor: { userId, name, socketId, via }, shapeId, before, after, timestamp }]
+ * newest first; page back with until=<timestamp of the last entry>
+ */
+router.get('/:roomId/audit', requireRoomRole('owner'), async (req, res) => {
+  const { userId, name, event, shapeId, since, until } = req.query;
+  const filter = { roomId: req.room.roomId };
+  if (typeof userId === 'string') filter['actor.userId'] = userId;
+  if (typeof name === 'string') filter['actor.name'] = name;
+  if (typeof shapeId === 'string') filter.shapeId = shapeId;
+  if (event != null) {
+    const events = String(event).split(',');
+    if (!events.every((e) => AUDIT_EVENTS.includes(e))) {
+      return res.status(400).json({ error: 'invalid_event', allowed: AUDIT_EVENTS });
+    }
+    filter.event = { $in: events };
   }
+  for (const [key, op] of [[since, '$gte'], [until, '$lt']]) {
+    if (key == null) continue;
+    const at = new Date(isNaN(key) ? key : Number(key));
+    if (isNaN(at)) return res.status(400).json({ error: 'invalid_date' });
+    filter.timestamp = { ...filter.timestamp, [op]: at };
+  }
+  const limit = Math.min(1000, Math.max(1, parseInt(req.query.limit, 10) || 100));
+
+  const list = await AuditEntry.find(filter, { _id: 0, roomId: 0 })
+    .sort({ timestamp: -1 })
+    .limit(limit)
+    .lean();
+  res.json(list);
+});
+
+/* ==================== EXPORT ==================== */
+
+const COLOR = /^(#[0-9a-f]{3,8}|[a-z]{3,20}|rgba?\([\d\s.,%]+\))$/i;
+
+// "x,y,w,h" -> box, or null if malformed
+const parseBbox = (raw) => {
+  const v = String(raw).split(',').map(Number);
+  if (v.length !== 4 || !v.every(Number.isFinite) || v[2] <= 0 || v[3] <= 0) return null;
+  return { x: v[0], y: v[1], w: v[2], h: v[3] };
+};
+
+/**
+ * GET /api/rooms/:roomId/export.svg?bbox=x,y,w,h&background=#fff|transparent (viewer)
+ * Whole board by default; token may be passed as ?token= for <img> embeds.
+ */
+router.get('/:roomId/export.svg', requireRoomRole('viewer'), async (req, res) => {
+  const bbox = req.query.bbox != null ? parseBbox(req.query.bbox) : undefined;
+  if (bbox === null) return res.status(400).json({ error: 'invalid_bbox' });
+  const background = req.query.background ?? '#fff';
+  if (!COLOR.test(background)) return res.status(400).json({ error: 'invalid_background' });
+
+  const doc = await Room.findOne({ roomId: req.room.roomId }, { shapes: 1 }).lean();
+  if (!doc) return res.status(404).json({ error: 'room_not_found' });
+
+  res.type('image/svg+xml').send(renderSvg(doc.shapes || [], { bbox, background }));
+});
+
+/* ==================== BOARD FILES (.wbjson, see lib/boardFile.js) ==================== */
+
+const importQuery = obj({ mode: oneOf(['replace', 'merge', 'new']), newRoomId: optional(ROOM_ID) });
+
+/**
+ * GET /api/rooms/:roomId/export.json (viewer) -> board file, as a download
+ */
+router.get('/:roomId/export.json', requireRoomRole('viewer'), async (req, res) => {
+  const { roomId } = req.room;
+  const doc = await Room.findOne(
+    { roomId },
+    { roomId: 1, title: 1, createdAt: 1, lastActivity: 1, settings: 1, shapes: 1, bookmarks: 1 }
+  ).lean();
+  if (!doc) return res.status(404).json({ error: 'room_not_found' });
+
+  res.set('Content-Disposition', `attachment; filename="${roomId}.wbjson"`);
+  res.json(toBoardFile(doc));
+});
+
+/**
+ * POST /api/rooms/:roomId/import?mode=replace|merge|new&newRoomId= <board file, any version>
+ * replace (owner): board becomes the file's (auto-snapshot first), everyone
+ *   gets snapshot:restored
+ * merge (editor): file's shapes are added next to the existing ones (clashing
+ *   ids get new ones) in one write, broadcast as shapes:added { shapes }
+ *   409 when shapes with those ids were added meanwhile
+ * new (editor): new room with the file's board -> 201 { roomId, token, role }
+ *   409 room_exists, 410 room_archived (like /join, an archived id isn't reused)
+ * 400 { error: "invalid_import" | "invalid_file" | "unsupported_version" }
+ */
+router.post('/:roomId/import', requireRoomRole('editor'), async (req, res) => {
+  const query = { mode: req.query.mode, newRoomId: req.query.newRoomId };
+  const problem = validate(importQuery, query);
+  if (problem) return res.status(400).json({ error: 'invalid_import', msg: problem });
+
+  const { board, error, msg } = readBoardFile(req.body);
+  if (error) return res.status(400).json({ error, msg });
+  const { roomId } = req.room;
+  const imported = board.shapes.length;
+
+  if (query.mode === 'new') {
+    const newRoomId = query.newRoomId || `${roomId.slice(0, 48)}-${uuid().slice(0, 8)}`;
+    if (await Room.exists({ roomId: newRoomId })) {
+      return res.status(409).json({ error: 'room_exists' });
+    }
+    if (await hasArchive(newRoomId)) return res.status(410).json({ error: 'room_archived' });
+    await Room.create({
+      roomId: newRoomId,
+      title: board.meta.title,
+      bookmarks: board.bookmarks,
+      shapes: board.shapes.map((s) => ({ ...s, clock: { _add: clock.tick() } })),
+    });
+    console.log(`📥 Room ${newRoomId} created from a board file (${imported} shapes)`);
+    emitWebhook(roomId, 'room.created', { roomId: newRoomId, source: 'import', shapeCount: imported });
+
+    // unclaimed new room -> its creator is owner (see roleFor)
+    const role = 'owner';
+    const token = signRoomToken({ roomId: newRoomId, role, userId: req.room.userId });
+    return res.status(201).json({ roomId: newRoomId, token, role, imported, mine: true });
+  }
+
+  const realtime = req.app.get('realtime');
+
+  if (query.mode === 'merge') {
+    const doc = await Room.findOne({ roomId }, { 'shapes._id': 1, 'bookmarks.name': 1 }).lean();
+    if (!doc) return res.status(404).json({ error: 'room_not_found' });
+    const taken = new Set(doc.shapes.map((s) => s._id));
 
-  res.json(room);
+    const shapes = board.shapes.map((s) => {
+      const _id = !s._id || taken.has(s._id) ? uuid() : s._id;
+      taken.add(_id);
+      return { ...s, _id };
+    });
+    const { seq, shapes: added } = await mergeShapes(roomId, shapes, { import: true }, { actor: restActor(req) });
+    if (seq === null) return res.status(409).json({ error: 'import_conflict' });
+    realtime?.to(roomId).emit('shapes:added', { shapes: added }, { seq });
+
+    const names = new Set(doc.bookmarks.map((b) => b.name));
+    const bookmarks = board.bookmarks.filter((b) => !names.has(b.name));
+    if (bookmarks.length) await Room.updateOne({ roomId }, { $push: { bookmarks: { $each: bookmarks } } });
+
+    console.log(`📥 Merged ${imported} shapes from a board file into ${roomId}`);
+    return res.json({ roomId, seq, imported });
+  }
+
+  if (!atLeast(req.room.role, 'owner')) {
+    return res.status(403).json({ error: 'forbidden', required: 'owner' });
+  }
+
+  const backup = await takeSnapshot(roomId, { name: 'Before importing a board file', auto: true });
+  if (!backup) return res.status(404).json({ error: 'room_not_found' });
+  const { seq, shapes } = await replaceShapes(roomId, board.shapes, { import: true }, { actor: restActor(req) });
+  await Room.updateOne(
+    { roomId },
+    { $set: { bookmarks: board.bookmarks, ...(board.meta.title ? { title: board.meta.title } : {}) } }
+  );
+
+  realtime?.to(roomId).emit('snapshot:saved', backup);
+  realtime?.to(roomId).emit('snapshot:restored', { roomId, seq, shapes, snapshot: null });
+  console.log(`📥 Room ${roomId} replaced by a board file (${imported} shapes)`);
+  res.json({ roomId, seq, imported });
+});
+
+/* ==================== BOOKMARKS (saved camera positions) ==================== */
+
+const bookmarksOf = async (roomId) =>
+  (await Room.findOne({ roomId }, { bookmarks: 1 }).lean())?.bookmarks;
+
+/**
+ * GET /api/rooms/:roomId/bookmarks (viewer) -> [{ name, x, y, scale }]
+ */
+router.get('/:roomId/bookmarks', requireRoomRole('viewer'), async (req, res) => {
+  const list = await bookmarksOf(req.room.roomId);
+  if (!list) return res.status(404).json({ error: 'room_not_found' });
+  res.json(list);
+});
+
+/**
+ * PUT /api/rooms/:roomId/bookmarks/:name { x, y, scale? } (editor) -> [bookmark]
+ * Saves the camera position under that name (an existing one is moved in
+ * place); everyone in the room gets bookmarks:updated with the new list.
+ * 409 { error: "too_many_bookmarks" } past MAX_BOOKMARKS
+ */
+router.put('/:roomId/bookmarks/:name', requireRoomRole('editor'), async (req, res) => {
+  const name = req.params.name.trim();
+  const bookmark = { name, x: req.body?.x, y: req.body?.y, scale: req.body?.scale ?? 1 };
+  const problem = validate(BOOKMARK, bookmark);
+  if (problem || !name) return res.status(400).json({ error: 'invalid_bookmark', msg: problem });
+  const { roomId } = req.room;
+
+  const moved = await Room.updateOne(
+    { roomId, 'bookmarks.name': name },
+    {
+      $set: {
+        'bookmarks.$[b].x': bookmark.x,
+        'bookmarks.$[b].y': bookmark.y,
+        'bookmarks.$[b].scale': bookmark.scale,
+      },
+    },
+    { arrayFilters: [{ 'b.name': name }] }
+  );
+  if (!moved.matchedCount) {
+    const added = await Room.updateOne(
+      { roomId, 'bookmarks.name': { $ne: name }, [`bookmarks.${MAX_BOOKMARKS - 1}`]: { $exists: false } },
+      { $push: { bookmarks: bookmark } }
+    );
+    if (!added.matchedCount) {
+      if (!(await Room.exists({ roomId }))) return res.status(404).json({ error: 'room_not_found' });
+      return res.status(409).json({ error: 'too_many_bookmarks' });
+    }
+  }
+
+  const list = await bookmarksOf(roomId);
+  req.app.get('realtime')?.to(roomId).emit('bookmarks:updated', list);
+  res.json(list);
+});
+
+/**
+ * DELETE /api/rooms/:roomId/bookmarks/:name (editor) -> 204
+ */
+router.delete('/:roomId/bookmarks/:name', requireRoomRole('editor'), async (req, res) => {
+  const { roomId } = req.room;
+  const name = req.params.name.trim();
+  const { matchedCount } = await Room.updateOne(
+    { roomId, 'bookmarks.name': name },
+    { $pull: { bookmarks: { name } } }
+  );
+  if (!matchedCount) return res.status(404).json({ error: 'bookmark_not_found' });
+
+  req.app.get('realtime')?.to(roomId).emit('bookmarks:updated', await bookmarksOf(roomId));
+  res.status(204).end();
+});
+
+/* ==================== SNAPSHOTS (version history) ==================== */
+// all need the room token: Authorization: Bearer <token>
+
+const snapshotBody = obj({ name: str(120), createdBy: optional(str(64)) });
+const restoreBody = obj({ mode: oneOf(['replace', 'fork']), newRoomId: optional(ROOM_ID) });
+
+const findSnapshot = (req) =>
+  mongoose.isValidObjectId(req.params.snapshotId)
+    ? Snapshot.findOne({ _id: req.params.snapshotId, roomId: req.room.roomId }).lean()
+    : null;
+
+/**
+ * GET /api/rooms/:roomId/snapshots -> [meta] newest first (no shapes)
+ */
+router.get('/:roomId/snapshots', requireRoomRole('viewer'), async (req, res) => {
+  const list = await Snapshot.aggregate([
+    { $match: { roomId: req.room.roomId } },
+    { $sort: { createdAt: -1 } },
+    { $limit: 200 },
+    // (an exclusion $project can't compute fields: count first, then drop)
+    { $addFields: { shapeCount: { $size: '$shapes' } } },
+    { $project: { shapes: 0 } },
+  ]);
+  res.json(list.map(snapshotMeta));
+});
+
+/**
+ * POST /api/rooms/:roomId/snapshots { name, createdBy? } -> 201 meta
+ */
+router.post('/:roomId/snapshots', requireRoomRole('editor'), async (req, res) => {
+  const problem = validate(snapshotBody, req.body);
+  const name = req.body?.name?.trim();
+  if (problem || !name) return res.status(400).json({ error: 'invalid_snapshot', msg: problem });
+
+  const snap = await takeSnapshot(req.room.roomId, { name, createdBy: req.body.createdBy });
+  if (!snap) return res.status(404).json({ error: 'room_not_found' });
+
+  req.app.get('realtime')?.to(req.room.roomId).emit('snapshot:saved', snap);
+  console.log(`📸 Snapshot "${name}" saved for ${req.room.roomId}`);
+  res.status(201).json(snap);
+});
+
+/**
+ * GET /api/rooms/:roomId/snapshots/:snapshotId -> meta + shapes (read-only preview)
+ */
+router.get('/:roomId/snapshots/:snapshotId', requireRoomRole('viewer'), async (req, res) => {
+  const snap = await findSnapshot(req);
+  if (!snap) return res.status(404).json({ error: 'snapshot_not_found' });
+  res.json({ ...snapshotMeta(snap), shapes: snap.shapes });
+});
+
+/**
+ * POST /api/rooms/:roomId/snapshots/:snapshotId/restore { mode, newRoomId? }
+ * replace (owner): live board becomes the snapshot; the board as it was is
+ *   auto-saved first, everyone in the room gets snapshot:restored
+ * fork (editor): new room with the snapshot's board -> { roomId, token, role }
+ *   409 room_exists, 410 room_archived
+ */
+router.post('/:roomId/snapshots/:snapshotId/restore', requireRoomRole('editor'), async (req, res) => {
+  const problem = validate(restoreBody, req.body);
+  if (problem) return res.status(400).json({ error: 'invalid_restore', msg: problem });
+
+  const snap = await findSnapshot(req);
+  if (!snap) return res.status(404).json({ error: 'snapshot_not_found' });
+  const { roomId } = req.room;
+
+  if (req.body.mode === 'fork') {
+    const newRoomId = req.body.newRoomId || `${roomId.slice(0, 48)}-${uuid().slice(0, 8)}`;
+    if (await Room.exists({ roomId: newRoomId })) {
+      return res.status(409).json({ error: 'room_exists' });
+    }
+    if (await hasArchive(newRoomId)) return res.status(410).json({ error: 'room_archived' });
+    await Room.create({ roomId: newRoomId, shapes: snap.shapes });
+    console.log(`🍴 Room ${newRoomId} forked from ${roomId} ("${snap.name}")`);
+    emitWebhook(roomId, 'room.created', { roomId: newRoomId, source: 'fork', snapshot: snapshotMeta(snap) });
+
+    // unclaimed new room -> its creator is owner (see roleFor)
+    const role = 'owner';
+    const token = signRoomToken({ roomId: newRoomId, role, userId: req.room.userId });
+    return res.status(201).json({ roomId: newRoomId, token, role, mine: true });
+  }
+
+  if (!atLeast(req.room.role, 'owner')) {
+    return res.status(403).json({ error: 'forbidden', required: 'owner' });
+  }
+
+  const backup = await takeSnapshot(roomId, { name: `Before restoring "${snap.name}"`, auto: true });
+  const meta = snapshotMeta(snap);
+  const { seq, shapes } = await replaceShapes(
+    roomId,
+    snap.shapes,
+    { snapshotId: meta._id },
+    { actor: restActor(req) }
+  );
+
+  const realtime = req.app.get('realtime');
+  if (backup) realtime?.to(roomId).emit('snapshot:saved', backup);
+  realtime?.to(roomId).emit('snapshot:restored', { roomId, seq, shapes, snapshot: meta });
+  console.log(`⏪ Room ${roomId} restored to "${snap.name}"`);
+  res.json({ roomId, seq, snapshot: meta });
+});
+
+/**
+ * DELETE /api/rooms/:roomId/snapshots/:snapshotId (owner) -> 204
+ */
+router.delete('/:roomId/snapshots/:snapshotId', requireRoomRole('owner'), async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.snapshotId)) {
+    return res.status(404).json({ error: 'snapshot_not_found' });
+  }
+  const { deletedCount } = await Snapshot.deleteOne({
+    _id: req.params.snapshotId,
+    roomId: req.room.roomId,
+  });
+  if (!deletedCount) return res.status(404).json({ error: 'snapshot_not_found' });
+  res.status(204).end();
 });
 
 export default router;
@@ -0,0 +1,98 @@
+import express from 'express';
+import Room from '../models/Room.js';
+import { requireRoomRole } from '../lib/roomAuth.js';
+import { EVENT_ROLES } from '../lib/roles.js';
+import { validate } from '../lib/validate.js';
+import { EVENT_SCHEMAS } from '../socket/schemas.js';
+import { addShape, updateShape, deleteShape } from '../socket/shapeStore.js';
+import { restActor } from '../lib/audit.js';
+
+// mounted at /api/rooms/:roomId/shapes
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Shape CRUD over HTTP for scripts/bots that don't keep a socket open.
+ * Same payload schemas (socket/schemas.js), roles (lib/roles.js) and write
+ * path (socket/shapeStore.js) as the socket handlers; every change is
+ * broadcast to the room like a socket edit would be.
+ * Auth: Authorization: Bearer <room token from POST /api/rooms/join>
+ * Optional X-User-Name header = display name in the audit trail.
+ */
+
+const broadcast = (req, event, payload, seq) =>
+  req.app.get('realtime')?.to(req.room.roomId).emit(event, payload, { seq });
+
+const findShape = async (roomId, id) => {
+  const doc = await Room.findOne({ roomId }, { shapes: { $elemMatch: { _id: id } } }).lean();
+  return doc?.shapes?.[0] || null;
+};
+
+/**
+ * GET /api/rooms/:roomId/shapes?type= -> [shape]
+ */
+router.get('/', requireRoomRole('viewer'), async (req, res) => {
+  const doc = await Room.findOne({ roomId: req.room.roomId }, { shapes: 1 }).lean();
+  if (!doc) return res.status(404).json({ error: 'room_not_found' });
+  const { type } = req.query;
+  res.json(type ? doc.shapes.filter((s) => s.type === type) : doc.shapes);
+});
+
+/**
+ * GET /api/rooms/:roomId/shapes/:id -> shape
+ */
+router.get('/:id', requireRoomRole('viewer'), async (req, res) => {
+  const shape = await findShape(req.room.roomId, req.params.id);
+  if (!shape) return res.status(404).json({ error: 'shape_not_found' });
+  res.json(shape);
+});
+
+/**
+ * POST /api/rooms/:roomId/shapes <shape> -> 201 shape (with _id + clock)
+ * 409 { error: "shape_exists" | "shape_deleted" }
+ */
+router.post('/', requireRoomRole(EVENT_ROLES['shape:add']), async (req, res) => {
+  const { roomId } = req.room;
+  const problem = validate(EVENT_SCHEMAS['shape:add'], { roomId, shape: req.body });
+  if (problem) return res.status(400).json({ error: 'invalid_shape', msg: problem });
+
+  const result = await addShape(roomId, req.body, { actor: restActor(req) });
+  if (result.seq === null) {
+    return res.status(409).json({ error: result.tombstone ? 'shape_deleted' : 'shape_exists' });
+  }
+
+  broadcast(req, 'shape:added', result.shape, result.seq);
+  res.status(201).json(result.shape);
+});
+
+/**
+ * PATCH /api/rooms/:roomId/shapes/:id <patch fields> -> updated shape
+ */
+router.patch('/:id', requireRoomRole(EVENT_ROLES['shape:update']), async (req, res) => {
+  const { roomId } = req.room;
+  const { id } = req.params;
+  const problem = validate(EVENT_SCHEMAS['shape:update'], { roomId, id, patch: req.body });
+  if (problem) return res.status(400).json({ error: 'invalid_patch', msg: problem });
+
+  const result = await updateShape(roomId, id, req.body, undefined, { actor: restActor(req) });
+  if (result.seq === null) return res.status(404).json({ error: 'shape_not_found' });
+
+  broadcast(req, 'shape:updated', { id, patch: req.body, stamp: result.stamp }, result.seq);
+  res.json(await findShape(roomId, id));
+});
+
+/**
+ * DELETE /api/rooms/:roomId/shapes/:id -> 204
+ */
+router.delete('/:id', requireRoomRole(EVENT_ROLES['shape:delete']), async (req, res) => {
+  const { roomId } = req.room;
+  const { id } = req.params;
+  const problem = validate(EVENT_SCHEMAS['shape:delete'], { roomId, id });
+  if (problem) return res.status(400).json({ error: 'invalid_id', msg: problem });
+  if (!(await findShape(roomId, id))) return res.status(404).json({ error: 'shape_not_found' });
+
+  const result = await deleteShape(roomId, id, undefined, { actor: restActor(req) });
+  broadcast(req, 'shape:deleted', { id, stamp: result.stamp }, result.seq);
+  res.status(204).end();
+});
+
+export default router;
@@ -0,0 +1,155 @@
+import express from 'express';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Room from '../models/Room.js';
+import Webhook from '../models/Webhook.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import { requireRoomRole } from '../lib/roomAuth.js';
+import { validate, optional, str, bool, oneOf, arr, obj } from '../lib/validate.js';
+import { WEBHOOK_EVENTS, deliver, forgetHooks, checkTarget } from '../lib/webhooks.js';
+
+// mounted at /api/rooms/:roomId/webhooks
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Outgoing webhooks of a room (owner only). Payload format, signature and
+ * retries: see lib/webhooks.js. The secret is only returned on create and
+ * when rotated.
+ * Auth: Authorization: Bearer <room token from POST /api/rooms/join>
+ * Only claimed rooms (created with an owner secret) have webhooks: in an
+ * unclaimed one every visitor is owner (see lib/roles.js roleFor).
+ * 403 { error: "room_not_claimed" }
+ */
+const MAX_HOOKS_PER_ROOM = 10;
+
+const url = (v, path) => {
+  if (typeof v !== 'string' || v.length > 2000) return `${path}: expected url`;
+  try {
+    const { protocol } = new URL(v);
+    return protocol === 'http:' || protocol === 'https:' ? null : `${path}: expected http(s) url`;
+  } catch {
+    return `${path}: expected url`;
+  }
+};
+const events = arr(oneOf(WEBHOOK_EVENTS), WEBHOOK_EVENTS.length);
+
+const createBody = obj({ url, events, secret: optional(str(256)) });
+const patchBody = obj(
+  { url: optional(url), events: optional(events), active: optional(bool()), rotateSecret: optional(bool()) },
+  { minKeys: 1 }
+);
+
+const newSecret = () => crypto.randomBytes(24).toString('hex');
+const publicHook = ({ secret: _secret, ...hook }) => hook;
+
+const findHook = (req) =>
+  mongoose.isValidObjectId(req.params.id)
+    ? Webhook.findOne({ _id: req.params.id, roomId: req.room.roomId })
+    : null;
+
+router.use(requireRoomRole('owner'));
+router.use(async (req, res, next) => {
+  const claimed = await Room.exists({ roomId: req.room.roomId, ownerSecretHash: { $ne: null } });
+  if (!claimed) return res.status(403).json({ error: 'room_not_claimed' });
+  next();
+});
+
+/**
+ * GET /api/rooms/:roomId/webhooks -> [webhook] (no secrets)
+ */
+router.get('/', async (req, res) => {
+  const list = await Webhook.find({ roomId: req.room.roomId }).sort({ createdAt: 1 }).lean();
+  res.json(list.map(publicHook));
+});
+
+/**
+ * POST /api/rooms/:roomId/webhooks { url, events, secret? } -> 201 webhook + secret
+ * 400 { error: "invalid_webhook" } also for urls of internal hosts (lib/webhooks.js)
+ */
+router.post('/', async (req, res) => {
+  const problem = validate(createBody, req.body);
+  if (problem || !req.body.events.length) {
+    return res.status(400).json({ error: 'invalid_webhook', msg: problem || 'events: pick at least one' });
+  }
+  const refused = await checkTarget(req.body.url);
+  if (refused) return res.status(400).json({ error: 'invalid_webhook', msg: `url: ${refused}` });
+  const { roomId } = req.room;
+  if ((await Webhook.countDocuments({ roomId })) >= MAX_HOOKS_PER_ROOM) {
+    return res.status(409).json({ error: 'too_many_webhooks', max: MAX_HOOKS_PER_ROOM });
+  }
+
+  const hook = await Webhook.create({
+    roomId,
+    url: req.body.url,
+    events: [...new Set(req.body.events)],
+    secret: req.body.secret || newSecret(),
+  });
+  forgetHooks(roomId);
+  console.log(`🪝 Webhook added for ${roomId}: ${hook.url}`);
+  res.status(201).json(hook.toObject());
+});
+
+/**
+ * PATCH /api/rooms/:roomId/webhooks/:id { url?, events?, active?, rotateSecret? }
+ * -> webhook (+ secret when rotated)
+ */
+router.patch('/:id', async (req, res) => {
+  const problem = validate(patchBody, req.body);
+  if (problem || req.body.events?.length === 0) {
+    return res.status(400).json({ error: 'invalid_webhook', msg: problem || 'events: pick at least one' });
+  }
+  const hook = await findHook(req);
+  if (!hook) return res.status(404).json({ error: 'webhook_not_found' });
+
+  const { url: newUrl, events: newEvents, active, rotateSecret } = req.body;
+  const refused = newUrl && (await checkTarget(newUrl));
+  if (refused) return res.status(400).json({ error: 'invalid_webhook', msg: `url: ${refused}` });
+  if (newUrl) hook.url = newUrl;
+  if (newEvents) hook.events = [...new Set(newEvents)];
+  if (active != null) hook.active = active;
+  if (rotateSecret) hook.secret = newSecret();
+  await hook.save();
+  forgetHooks(req.room.roomId);
+
+  const out = hook.toObject();
+  res.json(rotateSecret ? out : publicHook(out));
+});
+
+/**
+ * DELETE /api/rooms/:roomId/webhooks/:id -> 204 (its delivery log goes too)
+ */
+router.delete('/:id', async (req, res) => {
+  const hook = await findHook(req);
+  if (!hook) return res.status(404).json({ error: 'webhook_not_found' });
+  await hook.deleteOne();
+  await WebhookDelivery.deleteMany({ webhookId: hook._id });
+  forgetHooks(req.room.roomId);
+  res.status(204).end();
+});
+
+/**
+ * GET /api/rooms/:roomId/webhooks/:id/deliveries?status=&limit= -> [delivery] newest first
+ */
+router.get('/:id/deliveries', async (req, res) => {
+  const hook = await findHook(req);
+  if (!hook) return res.status(404).json({ error: 'webhook_not_found' });
+
+  const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+  const filter = { webhookId: hook._id };
+  if (['pending', 'delivered', 'failed'].includes(req.query.status)) filter.status = req.query.status;
+  const list = await WebhookDelivery.find(filter).sort({ createdAt: -1 }).limit(limit).lean();
+  res.json(list);
+});
+
+/**
+ * POST /api/rooms/:roomId/webhooks/:id/test -> 202 { deliveryId }
+ * Sends a "ping" event (ignores the event filter; paused hooks are skipped).
+ */
+router.post('/:id/test', async (req, res) => {
+  const hook = await findHook(req);
+  if (!hook) return res.status(404).json({ error: 'webhook_not_found' });
+  const deliveryId = await deliver(hook.toObject(), 'ping', { webhookId: String(hook._id) });
+  res.status(202).json({ deliveryId });
+});
+
+export default router;
@@ -6,8 +6,18 @@ import mongoose from "mongoose";
 import dotenv from "dotenv";
 
 import roomRoutes from "./routes/roomRoutes.js";
+import shapeRoutes from "./routes/shapeRoutes.js";
+import webhookRoutes from "./routes/webhookRoutes.js";
+import adminRoutes from "./routes/adminRoutes.js";
 import { setupSocket } from "./socket/socket.js";
+import { createRealtimeAdapter } from "./socket/adapters/index.js";
 import { startCleanupJob } from "./cleanupJob.js";
+import { startSnapshotJob } from "./snapshotJob.js";
+import { migrateStrokes } from "./migrations/strokesToShapes.js";
+import { resumeDeliveries } from "./lib/webhooks.js";
+import {
+  renderMetrics, gauge, mongoDuration, mongoErrors, engineErrors,
+} from "./lib/metrics.js";
 
 dotenv.config();
 
@@ -27,14 +37,15 @@ app.use(
       return cb(new Error(`CORS blocked: ${origin}`));
     },
     credentials: true,
-    methods: ["GET", "POST", "OPTIONS"],
+    methods: ["GET", "POST", "PATCH", "DELETE", "OPTIONS"],
   })
 );
 
 // Preflight for all routes (Express v5: '*' ❌, use regex ✅)
 app.options(/.*/, cors({ origin: ALLOWED_ORIGINS, credentials: true }));
 
-app.use(express.json());
+// board files (POST /api/rooms/:roomId/import) are well over the 100kb default
+app.use(express.json({ limit: process.env.JSON_LIMIT || "10mb" }));
 
 /* ---------------- Basic health route ---------------- */
 app.get("/", (_req, res) => {
@@ -53,8 +64,23 @@ if (!mongoURI) {
       serverSelectionTimeoutMS: 5000, // Keep trying to send operations for 5 seconds
       socketTimeoutMS: 45000, // Close sockets after 45 seconds of inactivity
       bufferCommands: false, // Disable mongoose buffering
+      monitorCommands: true, // command events -> /metrics
     });
     console.log("✅ MongoDB Connected with optimized settings");
+    const client = mongoose.connection.getClient();
+    client.on("commandSucceeded", (e) =>
+      mongoDuration.observe({ command: e.commandName }, e.duration / 1000)
+    );
+    client.on("commandFailed", (e) => {
+      mongoDuration.observe({ command: e.commandName }, e.duration / 1000);
+      mongoErrors.inc({ command: e.commandName });
+    });
+    await migrateStrokes().catch((e) =>
+      console.error("❌ stroke migration failed:", e?.message || e)
+    );
+    resumeDeliveries().catch((e) =>
+      console.error("❌ resuming webhook deliveries failed:", e?.message || e)
+    );
   } catch (err) {
     console.error("❌ MongoDB connect error:", err?.message || err);
   }
@@ -62,6 +88,9 @@ if (!mongoURI) {
 
 /* ---------------- API Routes ---------------- */
 app.use("/api/rooms", roomRoutes);
+app.use("/api/rooms/:roomId/shapes", shapeRoutes);
+app.use("/api/rooms/:roomId/webhooks", webhookRoutes);
+app.use("/api/admin", adminRoutes);
 
 /* ---------------- HTTP + Socket.IO ---------------- */
 const server = http.createServer(app);
@@ -77,6 +106,7 @@ const io = new Server(server, {
 });
 
 io.engine.on("connection_error", (err) => {
+  engineErrors.inc({ code: err.code ?? "unknown" });
   console.error("⚠️ engine connection_error:", {
     code: err.code,
     message: err.message,
@@ -84,8 +114,32 @@ io.engine.on("connection_error", (err) => {
   });
 });
 
-setupSocket(io);
-startCleanupJob();
+// REALTIME_ADAPTER=pubsub when running several instances behind a load balancer
+const realtime = createRealtimeAdapter(process.env.REALTIME_ADAPTER);
+app.set("realtime", realtime); // REST routes broadcast through it too
+setupSocket(io, realtime);
+startCleanupJob(realtime);
+
+/* ---------------- Metrics (Prometheus) ---------------- */
+gauge("wb_sockets_connected", "Socket.IO clients connected to this instance", () => io.engine.clientsCount);
+gauge("wb_rooms_active", "Rooms with at least one member (all instances)", () => {
+  let n = 0;
+  for (const R of realtime.rooms.values()) if (R.members.size) n++;
+  return n;
+});
+gauge("wb_mongo_connected", "1 while the MongoDB connection is up", () =>
+  mongoose.connection.readyState === 1 ? 1 : 0
+);
+
+// METRICS_TOKEN set -> scrapers send "Authorization: Bearer <token>"
+app.get("/metrics", (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token && req.get("authorization") !== `Bearer ${token}`) {
+    return res.status(401).type("text/plain").send("unauthorized\n");
+  }
+  res.type("text/plain; version=0.0.4").send(renderMetrics());
+});
+startSnapshotJob(realtime);
 
 /* ---------------- Global error logging ---------------- */
 process.on("unhandledRejection", (e) =>
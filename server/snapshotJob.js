@@ -0,0 +1,36 @@
+// server/snapshotJob.js
+import cron from 'node-cron';
+import Room from './models/Room.js';
+import Snapshot from './models/Snapshot.js';
+import { takeSnapshot, pruneAutoSnapshots } from './lib/snapshots.js';
+
+// auto-save every SNAPSHOT_EVERY_MIN minutes (default 15) for rooms that changed
+export function startSnapshotJob(realtime) {
+  const every = Math.min(59, Math.max(1, Number(process.env.SNAPSHOT_EVERY_MIN) || 15));
+
+  cron.schedule(`*/${every} * * * *`, async () => {
+    try {
+      const since = new Date(Date.now() - every * 60 * 1000);
+      const rooms = await Room.find({ lastActivity: { $gte: since } }, { roomId: 1, seq: 1 }).lean();
+
+      let taken = 0;
+      for (const { roomId, seq } of rooms) {
+        const last = await Snapshot.findOne({ roomId }, { seq: 1 }).sort({ createdAt: -1 }).lean();
+        if (last && last.seq === (seq || 0)) continue; // nothing new
+
+        const snap = await takeSnapshot(roomId, {
+          name: `Auto-save ${new Date().toISOString().slice(0, 16).replace("T", " ")}`,
+          auto: true,
+        });
+        if (!snap) continue;
+        await pruneAutoSnapshots(roomId);
+        realtime.to(roomId).emit("snapshot:saved", snap);
+        taken++;
+      }
+
+      if (taken) console.log(`📸 Auto-saved ${taken} rooms`);
+    } catch (e) {
+      console.error("snapshot job error:", e);
+    }
+  });
+}
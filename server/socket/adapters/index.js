@@ -0,0 +1,22 @@
+// server/socket/adapters/index.js
+import { createMemoryAdapter } from "./memoryAdapter.js";
+import { createPubSubAdapter } from "./pubsubAdapter.js";
+import { createLocalPubSub } from "./localPubSub.js";
+
+// one bus per process, so several instances started in the same process
+// (tests, local multi-instance setups) see each other
+const sharedPubSub = createLocalPubSub();
+
+/**
+ * REALTIME_ADAPTER=memory (default) -> single process
+ * REALTIME_ADAPTER=pubsub           -> replicated through a pub/sub client
+ *                                      (pass `pubsub` for a real broker)
+ */
+export function createRealtimeAdapter(kind = "memory", { pubsub } = {}) {
+  if (kind === "pubsub") {
+    return createPubSubAdapter({ pubsub: pubsub || sharedPubSub });
+  }
+  return createMemoryAdapter();
+}
+
+export { createMemoryAdapter, createPubSubAdapter, createLocalPubSub };
@@ -0,0 +1,25 @@
+// server/socket/adapters/localPubSub.js
+import { EventEmitter } from "events";
+
+/**
+ * In-process stand-in for a pub/sub broker (Redis, NATS, ...).
+ * Same shape the pubsub adapter expects from a real client:
+ *   publish(channel, message:string)
+ *   subscribe(channel, handler(message)) -> unsubscribe()
+ * Delivery is async (next tick) like a real broker, and every subscriber
+ * (including the publisher) gets the message.
+ */
+export function createLocalPubSub() {
+  const bus = new EventEmitter();
+  bus.setMaxListeners(0);
+
+  return {
+    publish(channel, message) {
+      setImmediate(() => bus.emit(channel, message));
+    },
+    subscribe(channel, handler) {
+      bus.on(channel, handler);
+      return () => bus.off(channel, handler);
+    },
+  };
+}
@@ -0,0 +1,73 @@
+// server/socket/adapters/memoryAdapter.js
+import { broadcasts, broadcastFanout } from "../../lib/metrics.js";
+
+/**
+ * Realtime adapter interface (what socket.js talks to instead of a bare Map / io.to):
+ *   attach(io)                              -> bind to the local Socket.IO server
+ *   room(roomId)                            -> { presence, activity, camera, cursors, members, roles } (Maps, read-only)
+ *   set(roomId, kind, socketId, value)      -> write one entry of a kind
+ *   remove(roomId, kind, socketId)          -> drop one entry
+ *   join(roomId, socketId) / leave(...)     -> room membership (for user counts)
+ *   userCount(roomId)                       -> members across all instances
+ *   to(roomId, { except? }).emit(ev, ...a)  -> broadcast to the room on every instance
+ *
+ * This one keeps everything in the current process (single server).
+ */
+export const STATE_KINDS = ["presence", "activity", "camera", "cursors", "members", "roles"];
+
+export function createMemoryAdapter({ instanceId = "local" } = {}) {
+  const rooms = new Map();
+  let io = null;
+
+  const ensure = (roomId) => {
+    if (!rooms.has(roomId)) {
+      rooms.set(roomId, Object.fromEntries(STATE_KINDS.map((k) => [k, new Map()])));
+    }
+    return rooms.get(roomId);
+  };
+
+  const set = (roomId, kind, socketId, value) => {
+    ensure(roomId)[kind].set(socketId, value);
+  };
+
+  const remove = (roomId, kind, socketId) => {
+    const R = rooms.get(roomId);
+    if (!R) return;
+    R[kind].delete(socketId);
+    // forget rooms nobody is in any more
+    if (STATE_KINDS.every((k) => R[k].size === 0)) rooms.delete(roomId);
+  };
+
+  return {
+    name: "memory",
+    instanceId,
+    rooms,
+    attach(server) {
+      io = server;
+    },
+    room: ensure,
+    set,
+    remove,
+    join: (roomId, socketId) => set(roomId, "members", socketId, instanceId),
+    leave: (roomId, socketId) => remove(roomId, "members", socketId),
+    userCount: (roomId) => rooms.get(roomId)?.members.size || 0,
+    to(roomId, { except } = {}) {
+      return {
+        emit(event, ...args) {
+          if (!io) return;
+          let target = io.to(roomId);
+          if (except) target = target.except(except);
+          target.emit(event, ...args);
+
+          // local fan-out only; every instance records its own share
+          const members = io.sockets.adapter.rooms.get(roomId);
+          const skip = new Set([].concat(except || []));
+          let reached = 0;
+          members?.forEach((sid) => !skip.has(sid) && reached++);
+          broadcasts.inc({ event });
+          broadcastFanout.observe({}, reached);
+        },
+      };
+    },
+  };
+}
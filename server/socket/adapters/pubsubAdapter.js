@@ -0,0 +1,129 @@
+// server/socket/adapters/pubsubAdapter.js
+import { v4 as uuid } from "uuid";
+import { createMemoryAdapter, STATE_KINDS } from "./memoryAdapter.js";
+
+/**
+ * Multi-instance adapter: every instance keeps a local replica of the realtime
+ * state and relays writes + broadcasts through a pub/sub client
+ * ({ publish, subscribe }, see localPubSub.js). A new instance says "hello"
+ * and the others replay the entries of their own sockets to it.
+ *
+ * Instances send a heartbeat every `heartbeatMs`; when one stays silent for
+ * `peerTimeoutMs` (crashed, killed, cut off) the others drop the entries of
+ * its sockets, so its users don't stay in member / presence lists forever.
+ */
+export const HEARTBEAT_MS = 5000;
+
+export function createPubSubAdapter({
+  pubsub,
+  instanceId = uuid(),
+  channel = "wb:realtime",
+  heartbeatMs = HEARTBEAT_MS,
+  peerTimeoutMs = heartbeatMs * 3,
+}) {
+  const local = createMemoryAdapter({ instanceId });
+  const peers = new Map(); // instanceId -> last time we heard from it
+  const lost = new Set(); // instances we expired (they may come back)
+
+  const publish = (msg) =>
+    pubsub.publish(channel, JSON.stringify({ ...msg, from: instanceId }));
+
+  const set = (roomId, kind, socketId, value) => {
+    local.set(roomId, kind, socketId, value);
+    publish({ type: "state", roomId, kind, socketId, value });
+  };
+
+  const remove = (roomId, kind, socketId) => {
+    local.remove(roomId, kind, socketId);
+    publish({ type: "state", roomId, kind, socketId, value: null });
+  };
+
+  // entries of sockets connected to this instance -> to a newcomer
+  const replayOwnState = () => {
+    for (const [roomId, R] of local.rooms) {
+      for (const [socketId, owner] of R.members) {
+        if (owner !== instanceId) continue;
+        for (const kind of STATE_KINDS) {
+          if (R[kind].has(socketId)) {
+            publish({ type: "state", roomId, kind, socketId, value: R[kind].get(socketId) });
+          }
+        }
+      }
+    }
+  };
+
+  // drop everything of the sockets on `peer`, and tell our own sockets
+  // what the dead instance can no longer tell them
+  const expire = (peer) => {
+    peers.delete(peer);
+    lost.add(peer);
+    for (const [roomId, R] of [...local.rooms]) {
+      const gone = [...R.members].filter(([, owner]) => owner === peer).map(([sid]) => sid);
+      if (!gone.length) continue;
+      for (const socketId of gone) {
+        const present = R.presence.has(socketId);
+        for (const kind of STATE_KINDS) local.remove(roomId, kind, socketId);
+        if (present) local.to(roomId).emit("presence:leave", socketId);
+      }
+      local.to(roomId).emit("user-count", local.userCount(roomId));
+    }
+    console.warn(`⚠️ realtime instance ${peer} went silent, dropped its sockets`);
+  };
+
+  const heartbeat = setInterval(() => {
+    publish({ type: "heartbeat" });
+    const cutoff = Date.now() - peerTimeoutMs;
+    for (const [peer, seen] of [...peers]) if (seen < cutoff) expire(peer);
+  }, heartbeatMs);
+  heartbeat.unref?.();
+
+  const unsubscribe = pubsub.subscribe(channel, (raw) => {
+    let msg;
+    try {
+      msg = JSON.parse(raw);
+    } catch {
+      return;
+    }
+    if (!msg || msg.from === instanceId) return;
+
+    peers.set(msg.from, Date.now());
+    if (lost.delete(msg.from)) {
+      // it was only cut off: have everyone (it included) send their entries again
+      publish({ type: "hello" });
+    }
+
+    if (msg.type === "emit") {
+      local.to(msg.roomId, { except: msg.except }).emit(msg.event, ...(msg.args || []));
+    } else if (msg.type === "state") {
+      if (msg.value == null) local.remove(msg.roomId, msg.kind, msg.socketId);
+      else local.set(msg.roomId, msg.kind, msg.socketId, msg.value);
+    } else if (msg.type === "hello") {
+      replayOwnState();
+    }
+    // "heartbeat": being heard from is all it says
+  });
+
+  publish({ type: "hello" });
+
+  return {
+    ...local,
+    name: "pubsub",
+    set,
+    remove,
+    join: (roomId, socketId) => set(roomId, "members", socketId, instanceId),
+    leave: (roomId, socketId) => remove(roomId, "members", socketId),
+    // stop heartbeats and listening (shutdown, tests); peers expire us later
+    close() {
+      clearInterval(heartbeat);
+      unsubscribe?.();
+    },
+    to(roomId, opts = {}) {
+      return {
+        emit(event, ...args) {
+          local.to(roomId, opts).emit(event, ...args);
+          publish({ type: "emit", roomId, except: opts.except || null, event, args });
+        },
+      };
+    },
+  };
+}
@@ -0,0 +1,133 @@
+// server/socket/history.js
+import Room from "../models/Room.js";
+import { addShape, updateShape, deleteShape, clock } from "./shapeStore.js";
+import { popSteps, pushSteps, stampsOf, inTurn } from "./historyStack.js";
+
+/**
+ * history:undo / history:redo: a user's own changes taken back (or redone) on
+ * the server, from the steps ./historyStack.js recorded, so the history
+ * survives a reload. Nothing someone else did afterwards is reverted:
+ *   update          -> only fields still carrying this user's stamp change
+ *   removing shapes -> only while it's still this user's add and nobody else
+ *                      edited the shape since
+ *   bringing back   -> only shapes that are still gone
+ * A step with nothing left to apply is dropped and the one below it tried.
+ * Writes go through ./shapeStore.js with fresh server stamps (undoable: false).
+ */
+const MAX_DROPPED = 20; // steps given up on per request
+
+// a field stamp newer than the add that isn't one of this user's writes
+const editedByOthers = (shape, mine) =>
+  Object.entries(shape.clock || {}).some(
+    ([k, stamp]) => k !== "_add" && stamp > shape.clock._add && !mine.has(stamp)
+  );
+
+async function removeShapes(ctx, step) {
+  const gone = [];
+  for (const shape of step.shapes) {
+    const cur = ctx.board.get(shape._id);
+    // the add this step knows, or the one an earlier step of this batch just made
+    // (an eraser stroke cut, and its piece cut again, in one gesture)
+    const add = cur?.clock?._add;
+    const ours = add === shape.clock?._add || (add && ctx.restored.get(cur._id) === add);
+    if (!cur || !ours || editedByOthers(cur, ctx.mine)) continue;
+
+    const res = await deleteShape(ctx.roomId, cur._id, undefined, ctx.opts);
+    if (res.seq === null) continue;
+    ctx.board.delete(cur._id);
+    ctx.out.push(["shape:deleted", { id: res.id, stamp: res.stamp }, res.seq]);
+    gone.push(cur);
+  }
+  return gone.length ? { ...step, shapes: gone } : null;
+}
+
+async function restoreShapes(ctx, step) {
+  const back = [];
+  for (const { clock: _old, ...shape } of step.shapes) {
+    if (ctx.board.has(shape._id)) continue; // back already, or the id was reused
+
+    // the new add stamp has to beat the delete it undoes
+    clock.observe(ctx.tombs.get(shape._id));
+    const res = await addShape(ctx.roomId, shape, ctx.opts);
+    if (res.seq === null) continue;
+    ctx.board.set(res.shape._id, res.shape);
+    ctx.restored.set(res.shape._id, res.shape.clock?._add);
+    ctx.out.push(["shape:added", res.shape, res.seq]);
+    back.push(res.shape);
+  }
+  return back.length ? { ...step, shapes: back } : null;
+}
+
+// side = "before" (undo) | "after" (redo)
+async function rewrite(ctx, step, side) {
+  const cur = ctx.board.get(step.shapeId);
+  if (!cur) return null;
+  const fields = Object.keys(step.stamps || {}).filter((k) => cur.clock?.[k] === step.stamps[k]);
+  if (!fields.length) return null;
+
+  const patch = Object.fromEntries(fields.map((k) => [k, step[side][k]]));
+  const res = await updateShape(ctx.roomId, cur._id, patch, undefined, ctx.opts);
+  if (res.seq === null) return null;
+
+  const stamps = Object.fromEntries(fields.map((k) => [k, res.stamp]));
+  ctx.mine.add(res.stamp);
+  ctx.board.set(cur._id, { ...cur, ...patch, clock: { ...cur.clock, ...stamps } });
+  ctx.out.push(["shape:updated", { id: cur._id, patch, stamp: res.stamp }, res.seq]);
+  return { ...step, stamps };
+}
+
+const STEPS = {
+  add: { undo: removeShapes, redo: restoreShapes },
+  delete: { undo: restoreShapes, redo: removeShapes },
+  clear: { undo: restoreShapes, redo: removeShapes },
+  update: {
+    undo: (ctx, step) => rewrite(ctx, step, "before"),
+    redo: (ctx, step) => rewrite(ctx, step, "after"),
+  },
+};
+
+async function contextFor(roomId, userKey, steps, { actor, out }) {
+  const doc = await Room.findOne({ roomId }, { shapes: 1, tombstones: 1 }).lean();
+  const ids = [...new Set(steps.flatMap((s) => (s.shapeId ? [s.shapeId] : s.shapes.map((x) => x._id))))];
+  const mine = await stampsOf(roomId, userKey, ids);
+  // the steps being applied are off the stack already
+  steps.forEach((s) => Object.values(s.stamps || {}).forEach((t) => mine.add(t)));
+
+  return {
+    roomId,
+    out,
+    mine,
+    opts: { actor, undoable: false },
+    board: new Map((doc?.shapes || []).map((s) => [s._id, s])),
+    tombs: new Map((doc?.tombstones || []).map((t) => [t._id, t.stamp])),
+    restored: new Map(), // id -> add stamp, shapes brought back by this request
+  };
+}
+
+// dir = "undo" | "redo" -> { applied, broadcasts: [[event, payload, seq]] }
+async function travel(roomId, userKey, dir, actor) {
+  const other = dir === "undo" ? "redo" : "undo";
+  const out = [];
+  for (let dropped = 0; dropped <= MAX_DROPPED; dropped++) {
+    const steps = await popSteps(roomId, userKey, dir);
+    if (!steps.length) break;
+
+    const ctx = await contextFor(roomId, userKey, steps, { actor, out });
+    const done = [];
+    for (const step of steps) {
+      const next = await STEPS[step.op]?.[dir]?.(ctx, step);
+      if (next) done.push(next);
+    }
+    if (done.length) {
+      await pushSteps(roomId, userKey, other, done);
+      return { applied: true, broadcasts: out };
+    }
+  }
+  return { applied: false, broadcasts: out };
+}
+
+// in turn with the user's own changes (historyStack.js inTurn)
+export const undoLast = (roomId, userKey, actor) =>
+  inTurn(roomId, userKey, () => travel(roomId, userKey, "undo", actor));
+export const redoLast = (roomId, userKey, actor) =>
+  inTurn(roomId, userKey, () => travel(roomId, userKey, "redo", actor));
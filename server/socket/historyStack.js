@@ -0,0 +1,143 @@
+// server/socket/historyStack.js
+import HistoryEntry from "../models/HistoryEntry.js";
+
+/**
+ * Storage of the per-user undo / redo stacks, one HistoryEntry per step.
+ * ./shapeStore.js records every change a user makes; ./history.js pops the
+ * steps and applies their inverse. Recording is best effort like the audit
+ * trail: a failed write is logged, never thrown.
+ *
+ * step = { op: "add" | "delete" | "clear", shapes, batch? }
+ *      | { op: "update", shapeId, before, after, stamps: { field: stamp }, batch? }
+ * `batch` = client id of one gesture (a drag, an erase); undo takes it back as a whole.
+ */
+export const HISTORY_LIMIT = 200; // steps kept per user and room
+
+// whose history: the persistent user id from the room token, else the socket
+export const userKeyOf = (actor) => actor?.userId || actor?.socketId || null;
+
+const stackOf = (roomId, userKey, stack) => ({ roomId, userKey, stack });
+
+/**
+ * Run `fn` after everything queued before it for this user and room: their
+ * changes (./shapeStore.js) and undo / redo (./history.js) read and write the
+ * stacks in turn, in the order the requests came in. Per server instance —
+ * a user's sockets in one room are normally on the same one.
+ */
+const turns = new Map(); // `${roomId} ${userKey}` -> promise of the last queued
+export function inTurn(roomId, userKey, fn) {
+  const key = `${roomId} ${userKey}`;
+  const run = (turns.get(key) || Promise.resolve()).then(() => fn());
+  const settled = run.catch(() => {}); // a failed one doesn't stop the queue
+  turns.set(key, settled);
+  settled.then(() => {
+    if (turns.get(key) === settled) turns.delete(key);
+  });
+  return run;
+}
+
+// a new change: on top of the undo stack, and the redo stack is gone
+export async function recordStep(roomId, userKey, step) {
+  if (!userKey) return;
+  try {
+    if (step.op === "update" && step.batch && (await foldUpdate(roomId, userKey, step))) return;
+    await HistoryEntry.create({ ...stackOf(roomId, userKey, "undo"), entry: step });
+    await HistoryEntry.deleteMany(stackOf(roomId, userKey, "redo"));
+    await trim(roomId, userKey);
+  } catch (e) {
+    console.error("history write error:", e?.message || e);
+  }
+}
+
+/**
+ * Updates of a batch still on top of the stack (the live syncs of one drag,
+ * a typing session) fold into one step per shape: `before` keeps the values
+ * from before the batch, `after` / `stamps` follow the latest write.
+ * -> true when folded
+ */
+async function foldUpdate(roomId, userKey, step) {
+  const undo = stackOf(roomId, userKey, "undo");
+  const top = await HistoryEntry.findOne(undo, { "entry.batch": 1 }).sort({ _id: -1 }).lean();
+  if (top?.entry?.batch !== step.batch) return false;
+
+  const prev = await HistoryEntry.findOne(
+    { ...undo, "entry.op": "update", "entry.batch": step.batch, "entry.shapeId": step.shapeId },
+    { "entry.before": 1 }
+  ).lean();
+  if (!prev) return false;
+
+  const $set = { at: new Date() };
+  const $max = {}; // stamps only move forward, even if writes land out of order
+  for (const [k, v] of Object.entries(step.after)) {
+    $set[`entry.after.${k}`] = v;
+    $max[`entry.stamps.${k}`] = step.stamps[k];
+    if (!(k in (prev.entry.before || {}))) $set[`entry.before.${k}`] = step.before[k];
+  }
+  await HistoryEntry.updateOne({ _id: prev._id }, { $set, $max });
+  return true;
+}
+
+async function trim(roomId, userKey) {
+  const old = await HistoryEntry.find(stackOf(roomId, userKey, "undo"), { _id: 1 })
+    .sort({ _id: -1 })
+    .skip(HISTORY_LIMIT)
+    .lean();
+  if (old.length) await HistoryEntry.deleteMany({ _id: { $in: old.map((d) => d._id) } });
+}
+
+/**
+ * Take the top step of a stack off (all of its batch) -> [step], newest first.
+ * Each is deleted on its own, so two tabs of the same user never both get one.
+ */
+export async function popSteps(roomId, userKey, stack) {
+  const top = await HistoryEntry.find(stackOf(roomId, userKey, stack), { "entry.batch": 1 })
+    .sort({ _id: -1 })
+    .limit(HISTORY_LIMIT)
+    .lean();
+  if (!top.length) return [];
+
+  const batch = top[0].entry?.batch;
+  const ids = [];
+  for (const doc of top) {
+    if (ids.length && (!batch || doc.entry?.batch !== batch)) break;
+    ids.push(doc._id);
+  }
+
+  const steps = [];
+  for (const _id of ids) {
+    const doc = await HistoryEntry.findOneAndDelete({ _id }).lean();
+    if (doc) steps.push(doc.entry);
+  }
+  return steps;
+}
+
+// steps in the order they were applied (the last one ends up on top)
+export async function pushSteps(roomId, userKey, stack, steps) {
+  await HistoryEntry.insertMany(
+    steps.map((entry) => ({ ...stackOf(roomId, userKey, stack), entry }))
+  );
+}
+
+// field stamps this user's update steps wrote on these shapes (either stack)
+export async function stampsOf(roomId, userKey, shapeIds) {
+  const docs = await HistoryEntry.find(
+    { roomId, userKey, "entry.shapeId": { $in: shapeIds } },
+    { "entry.stamps": 1 }
+  ).lean();
+  return new Set(docs.flatMap((d) => Object.values(d.entry?.stamps || {})));
+}
+
+// -> { canUndo, canRedo }
+export async function historyState(roomId, userKey) {
+  if (!userKey) return { canUndo: false, canRedo: false };
+  const [undo, redo] = await Promise.all([
+    HistoryEntry.exists(stackOf(roomId, userKey, "undo")),
+    HistoryEntry.exists(stackOf(roomId, userKey, "redo")),
+  ]);
+  return { canUndo: !!undo, canRedo: !!redo };
+}
+
+// the board was replaced wholesale (snapshot restore / import): nothing to go back to
+export async function forgetHistory(roomIds) {
+  await HistoryEntry.deleteMany({ roomId: { $in: [].concat(roomIds) } });
+}
@@ -0,0 +1,40 @@
+// server/socket/lww.js
+
+/**
+ * Last-writer-wins as MongoDB writes: the stamps and merge rules themselves
+ * are in shared/lww.js (the client merges with the same ones).
+ */
+
+/**
+ * $set + arrayFilters that write each patched field of shape `id` only where
+ * the stored field stamp is older than `stamp` (one filter per field).
+ */
+export function lwwUpdate(id, patch, stamp) {
+  const $set = {};
+  const arrayFilters = [];
+  Object.entries(patch).forEach(([k, v], i) => {
+    const f = `f${i}`;
+    $set[`shapes.$[${f}].${k}`] = v;
+    $set[`shapes.$[${f}].clock.${k}`] = stamp;
+    arrayFilters.push({
+      [`${f}._id`]: id,
+      [`${f}.clock.${k}`]: { $not: { $gte: stamp } },
+    });
+  });
+  return { $set, arrayFilters };
+}
+
+/**
+ * Filter matching a room only while shape `id` has at least one of `fields`
+ * stamped older than `stamp`, i.e. when lwwUpdate would write something.
+ */
+export function lwwFilter(id, fields, stamp) {
+  return {
+    shapes: {
+      $elemMatch: {
+        _id: id,
+        $or: fields.map((k) => ({ [`clock.${k}`]: { $not: { $gte: stamp } } })),
+      },
+    },
+  };
+}
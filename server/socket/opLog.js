@@ -0,0 +1,190 @@
+// server/socket/opLog.js
+import Room from "../models/Room.js";
+import RoomHistory from "../models/RoomHistory.js";
+
+/**
+ * Per-room operation log.
+ * Every mutation gets the next `seq` of the room and is appended to `ops`
+ * (capped to the last OP_LOG_LIMIT entries), so a reconnecting client can ask
+ * for "everything after seq N" instead of a full snapshot.
+ * Every op is also appended (uncapped) to RoomHistory for time-lapse playback
+ * (the updates of one gesture folded into one entry per shape).
+ */
+export const OP_LOG_LIMIT = 500;
+
+const SEQ_ATTEMPTS = 20; // concurrent writers retry this often before giving up
+
+/**
+ * Apply `update` together with the next sequence number of the room and the
+ * op entry, in one write. Returns the assigned seq, or null when the extra
+ * `filter` did not match (nothing written, no seq used).
+ * options.history = data for the history entry when it needs more than the
+ * resync log (e.g. the full board of a restore).
+ * options.batch = gesture id: the shape:update history entries of one gesture
+ * fold into one per shape (see writeHistory).
+ */
+export async function recordOp(roomId, type, data, update = {}, options = {}) {
+  return (await recordOpWithBefore(roomId, type, data, update, options)).seq;
+}
+
+/**
+ * recordOp that also returns the shape `options.shapeId` as it was right
+ * before the write -> { seq, before }
+ * options.allShapes -> `before` is the whole board instead
+ *
+ * The write is conditional on the seq read with `before` (compare-and-set):
+ * if another op got in between it is retried, so seqs are gapless, ops land
+ * (and are broadcast) in seq order, and `before` is exactly what was replaced.
+ */
+export async function recordOpWithBefore(roomId, type, data, update = {}, options = {}) {
+  const { filter = {}, arrayFilters, history = data, shapeId, allShapes, batch } = options;
+  const projection = allShapes
+    ? { seq: 1, shapes: 1 }
+    : shapeId
+      ? { seq: 1, shapes: { $elemMatch: { _id: shapeId } } }
+      : { seq: 1 };
+
+  for (let attempt = 0; attempt < SEQ_ATTEMPTS; attempt++) {
+    const cur = await currentOf(roomId, projection);
+    const last = cur.seq || 0;
+    const seq = last + 1;
+    const before = allShapes ? cur.shapes || [] : cur.shapes?.[0] || null;
+
+    const op = { seq, type, data, timestamp: new Date() };
+    const res = await Room.updateOne(
+      { roomId, seq: last ? last : { $in: [0, null] }, ...filter },
+      {
+        ...update,
+        $set: { ...(update.$set || {}), seq },
+        $push: {
+          ...(update.$push || {}),
+          ops: { $each: [op], $slice: -OP_LOG_LIMIT },
+        },
+      },
+      arrayFilters ? { arrayFilters } : {}
+    );
+
+    if (res.matchedCount === 0) {
+      // someone else took this seq -> again; same seq -> `filter` didn't match
+      const now = await Room.findOne({ roomId }, { seq: 1 }).lean();
+      if ((now?.seq || 0) !== last) continue;
+      return { seq: null, before };
+    }
+
+    writeHistory({ roomId, seq, type, data: history, timestamp: op.timestamp }, batch);
+    return { seq, before };
+  }
+  throw new Error(`op log busy for room ${roomId}`);
+}
+
+/**
+ * History is best effort: never fail (or wait with) the live op because of it.
+ * The live syncs of one gesture (a drag: a write every few ms) would be a
+ * history entry each; instead they fold into one entry per shape, with the
+ * patches merged, at the seq and time of the last one. Writes of a room run
+ * one after the other so the folding upserts can't race.
+ */
+const historyQueue = new Map(); // roomId -> its last pending write
+
+function writeHistory(entry, batch) {
+  const { roomId, seq, type, data, timestamp } = entry;
+  const write =
+    batch && type === "shape:update"
+      ? () =>
+          RoomHistory.updateOne(
+            { roomId, type, batch, "data.id": data.id },
+            {
+              $set: {
+                seq,
+                timestamp,
+                "data.stamp": data.stamp,
+                ...Object.fromEntries(Object.entries(data.patch || {}).map(([k, v]) => [`data.patch.${k}`, v])),
+              },
+            },
+            { upsert: true }
+          )
+      : () => RoomHistory.create(entry);
+
+  const tail = (historyQueue.get(roomId) || Promise.resolve())
+    .then(write)
+    .catch((e) => console.error("history write error:", e?.message || e))
+    .finally(() => {
+      if (historyQueue.get(roomId) === tail) historyQueue.delete(roomId);
+    });
+  historyQueue.set(roomId, tail);
+}
+
+// the room's seq (+ projected shapes), creating the room on its first op
+async function currentOf(roomId, projection) {
+  const doc = await Room.findOne({ roomId }, projection).lean();
+  if (doc) return doc;
+  try {
+    await Room.updateOne({ roomId }, { $setOnInsert: { seq: 0 } }, { upsert: true });
+  } catch (e) {
+    if (e?.code !== 11000) throw e; // created concurrently: fine
+  }
+  return (await Room.findOne({ roomId }, projection).lean()) || { seq: 0 };
+}
+
+/**
+ * Timestamped ops of a room, oldest first, plus `base`: shapes on the board
+ * now that no history entry ever added (rooms older than the history).
+ * -> { seq, base, ops, total }
+ */
+export async function historyOf(roomId, { offset = 0, limit = 5000 } = {}) {
+  const [doc, total, ops] = await Promise.all([
+    Room.findOne({ roomId }, { shapes: 1, seq: 1 }).lean(),
+    RoomHistory.countDocuments({ roomId }),
+    RoomHistory.find({ roomId }, { _id: 0, roomId: 0, batch: 0 })
+      .sort({ timestamp: 1, seq: 1 })
+      .skip(offset)
+      .limit(limit)
+      .lean(),
+  ]);
+  if (!doc) return null;
+
+  let base = [];
+  if (offset === 0) {
+    const [added, merged] = await Promise.all([
+      RoomHistory.distinct("data._id", { roomId, type: "shape:add" }),
+      RoomHistory.distinct("data.shapes._id", { roomId, type: "merge" }),
+    ]);
+    const known = new Set([...added, ...merged].map(String));
+    base = (doc.shapes || []).filter((s) => !known.has(String(s._id)));
+  }
+  return { seq: doc.seq || 0, base, ops, total };
+}
+
+/* board state as sent on join (freehand strokes are "path" shapes) */
+export function snapshotOf(roomDoc) {
+  return { shapes: Array.isArray(roomDoc?.shapes) ? roomDoc.shapes : [] };
+}
+
+/**
+ * Ops after `since` for a room.
+ * -> { seq, ops }                 when the log still covers (since, seq]
+ * -> { seq, snapshot: {...} }     when it was compacted past `since`
+ */
+export async function opsSince(roomId, since) {
+  const doc = await Room.findOne({ roomId }).lean();
+  if (!doc) return { seq: 0, ops: [] };
+
+  const seq = doc.seq || 0;
+  const from = Number(since) || 0;
+  if (from === seq) return { seq, ops: [] };
+
+  const log = doc.ops || [];
+  const ops = log.filter((o) => o.seq > from).sort((a, b) => a.seq - b.seq);
+
+  // seqs of older rooms can have gaps (rejected writes used to skip one),
+  // so only a full log can be trimmed; also fall back when the client is ahead of a room that was reset
+  const oldest = log.reduce((m, o) => Math.min(m, o.seq), Infinity);
+  const trimmed = log.length >= OP_LOG_LIMIT && oldest > from + 1;
+  // a snapshot restore replaced the board / a file merge added a lot of it:
+  // only the history has their shapes, no op-by-op way to get there
+  const restored = ops.some((o) => o.type === "restore" || o.type === "merge");
+  if (from > seq || trimmed || restored) {
+    return { seq, snapshot: snapshotOf(doc) };
+  }
+  return { seq, ops };
+}
@@ -0,0 +1,180 @@
+// server/socket/rateLimit.js
+
+/**
+ * Token-bucket limits per socket and per room, per event type.
+ *   rate  = tokens refilled per second, burst = bucket size
+ *   mode  = "coalesce" -> over the limit only the latest packet is kept and
+ *                         delivered once a token frees up (cursor/camera)
+ *           "reject"   -> over the limit the packet is dropped, the client
+ *                         gets a RATE_LIMITED error + a rate:limited warning
+ * Room buckets are per server instance.
+ * Override with RATE_LIMITS='{"draw-move":{"socket":{"rate":60,"burst":120}}}'.
+ */
+export const DEFAULT_RATE_LIMITS = {
+  "cursor-move": { mode: "coalesce", socket: { rate: 30, burst: 30 }, room: { rate: 600, burst: 600 } },
+  "cursor:update": { mode: "coalesce", socket: { rate: 30, burst: 30 }, room: { rate: 600, burst: 600 } },
+  "camera:update": { mode: "coalesce", socket: { rate: 20, burst: 20 }, room: { rate: 300, burst: 300 } },
+  "activity:update": { mode: "coalesce", socket: { rate: 5, burst: 10 }, room: { rate: 100, burst: 100 } },
+
+  "draw-start": { mode: "reject", socket: { rate: 20, burst: 40 }, room: { rate: 200, burst: 400 } },
+  "draw-move": { mode: "reject", socket: { rate: 150, burst: 300 }, room: { rate: 1500, burst: 3000 } },
+  "draw-end": { mode: "reject", socket: { rate: 20, burst: 40 }, room: { rate: 200, burst: 400 } },
+  "shape:add": { mode: "reject", socket: { rate: 20, burst: 50 }, room: { rate: 200, burst: 400 } },
+  "shape:update": { mode: "reject", socket: { rate: 40, burst: 80 }, room: { rate: 400, burst: 800 } },
+  "shape:delete": { mode: "reject", socket: { rate: 20, burst: 50 }, room: { rate: 200, burst: 400 } },
+  "clear-canvas": { mode: "reject", socket: { rate: 0.5, burst: 2 }, room: { rate: 1, burst: 4 } },
+  "drawing:undo": { mode: "reject", socket: { rate: 10, burst: 20 }, room: { rate: 100, burst: 200 } },
+  "drawing:redo": { mode: "reject", socket: { rate: 10, burst: 20 }, room: { rate: 100, burst: 200 } },
+  "history:undo": { mode: "reject", socket: { rate: 10, burst: 20 }, room: { rate: 100, burst: 200 } },
+  "history:redo": { mode: "reject", socket: { rate: 10, burst: 20 }, room: { rate: 100, burst: 200 } },
+};
+
+// limit entry of an event; event names come from clients, so inherited keys
+// ("constructor", "toString", ...) must not count as configured events
+const limitOf = (limits, event) => (Object.hasOwn(limits, event) ? limits[event] : null);
+
+// -> error string for a bad limit entry, null when usable
+// (a rate of 0 would never refill: coalesced packets would wait forever)
+function checkLimit({ mode, socket, room }) {
+  if (!["coalesce", "reject"].includes(mode)) return `mode must be "coalesce" or "reject"`;
+  for (const [scope, b] of Object.entries({ socket, room })) {
+    if (b == null && scope === "room") continue; // no per-room limit
+    if (!b || !(Number.isFinite(b.rate) && b.rate > 0) || !(Number.isFinite(b.burst) && b.burst >= 1)) {
+      return `${scope} needs rate > 0 and burst >= 1`;
+    }
+  }
+  return null;
+}
+
+export function loadRateLimits(json = process.env.RATE_LIMITS) {
+  if (!json) return DEFAULT_RATE_LIMITS;
+  try {
+    const overrides = JSON.parse(json);
+    const merged = { ...DEFAULT_RATE_LIMITS };
+    for (const [event, cfg] of Object.entries(overrides)) {
+      const next = { ...(limitOf(merged, event) || { mode: "reject" }), ...cfg };
+      const problem = checkLimit(next);
+      if (problem) {
+        console.error(`❌ RATE_LIMITS["${event}"]: ${problem}, ignoring it`);
+        continue;
+      }
+      merged[event] = next;
+    }
+    return merged;
+  } catch (e) {
+    console.error("❌ RATE_LIMITS is not valid JSON, using defaults:", e.message);
+    return DEFAULT_RATE_LIMITS;
+  }
+}
+
+function createBucket({ rate, burst }) {
+  let tokens = burst;
+  let last = Date.now();
+
+  const refill = () => {
+    const now = Date.now();
+    tokens = Math.min(burst, tokens + ((now - last) / 1000) * rate);
+    last = now;
+  };
+
+  return {
+    available() {
+      refill();
+      return tokens >= 1;
+    },
+    take() {
+      tokens -= 1;
+    },
+    // ms until one token is available
+    waitMs() {
+      refill();
+      return tokens >= 1 || rate <= 0 ? 0 : Math.ceil(((1 - tokens) / rate) * 1000);
+    },
+  };
+}
+
+/**
+ * One limiter per server; `forSocket()` gives the per-socket middleware.
+ */
+export function createRateLimiter(limits = DEFAULT_RATE_LIMITS) {
+  const roomBuckets = new Map(); // roomId -> Map<event, bucket>
+
+  const roomBucket = (roomId, event) => {
+    if (!roomBuckets.has(roomId)) roomBuckets.set(roomId, new Map());
+    const m = roomBuckets.get(roomId);
+    if (!m.has(event)) m.set(event, createBucket(limitOf(limits, event).room));
+    return m.get(event);
+  };
+
+  return {
+    forgetRoom: (roomId) => roomBuckets.delete(roomId),
+
+    /**
+     * getRoom() -> current room of the socket (null before join)
+     * onReject(event, args, retryInMs) -> tell the client
+     */
+    forSocket({ getRoom, onReject }) {
+      const buckets = new Map(); // event -> bucket
+      const held = new Map(); // event -> { next, timer } (coalesce: latest only)
+
+      const bucketsFor = (event) => {
+        const cfg = limitOf(limits, event);
+        if (!buckets.has(event)) buckets.set(event, createBucket(cfg.socket));
+        const room = getRoom();
+        return room && cfg.room
+          ? [buckets.get(event), roomBucket(room, event)]
+          : [buckets.get(event)];
+      };
+
+      const tryTake = (event) => {
+        const bs = bucketsFor(event);
+        if (!bs.every((b) => b.available())) return false;
+        bs.forEach((b) => b.take());
+        return true;
+      };
+
+      const waitMs = (event) => Math.max(...bucketsFor(event).map((b) => b.waitMs()));
+
+      // deliver the held (latest) packet once there is a token for it
+      const flush = (event) => {
+        const h = held.get(event);
+        if (!h) return;
+        if (tryTake(event)) {
+          held.delete(event);
+          h.next();
+        } else {
+          h.timer = setTimeout(() => flush(event), waitMs(event));
+        }
+      };
+
+      const middleware = ([event, ...args], next) => {
+        const cfg = limitOf(limits, event);
+        if (!cfg) return next();
+
+        if (cfg.mode === "coalesce") {
+          const h = held.get(event);
+          if (h) {
+            // newer packet replaces the waiting one (the old one is dropped)
+            h.next = next;
+            return;
+          }
+          if (tryTake(event)) return next();
+          const entry = { next, timer: null };
+          held.set(event, entry);
+          entry.timer = setTimeout(() => flush(event), waitMs(event));
+          return;
+        }
+
+        if (tryTake(event)) return next();
+        onReject(event, args, waitMs(event));
+      };
+
+      middleware.dispose = () => {
+        for (const h of held.values()) clearTimeout(h.timer);
+        held.clear();
+      };
+
+      return middleware;
+    },
+  };
+}
@@ -0,0 +1,173 @@
+// server/socket/schemas.js
+import { SHAPE_TYPES } from "../models/Room.js";
+import { BRUSH_NAMES, BLEND_MODES } from "../../shared/paths.js";
+import { STAMP } from "../../shared/lww.js";
+import {
+  str, pattern, num, int, bool, oneOf, optional, either, arr, obj,
+} from "../lib/validate.js";
+
+/**
+ * Declared payload schema per inbound socket event.
+ * setupSocket checks every event against these before any handler runs;
+ * events without an entry have no handler and are let through untouched.
+ */
+export const MAX_POINTS = 5000; // per stroke
+const COORD = 1e6; // world is 100000px, leave room for panning
+const MAX_TEXT = 5000;
+
+export const ROOM_ID = pattern(/^[A-Za-z0-9_-]{1,64}$/, "room id");
+const roomId = ROOM_ID;
+const id = str(64);
+const stamp = pattern(STAMP, "clock stamp"); // how far ahead: shapeStore (clock.accept)
+const coord = num(-COORD, COORD);
+const size = num(0, COORD);
+const color = str(32);
+const width = num(0, 100);
+
+// fields a shape:update patch may touch (no _id / type / clock)
+const SHAPE_FIELDS = {
+  x: coord,
+  y: coord,
+  w: size,
+  h: size,
+  rot: num(-360, 360),
+  color,
+  strokeWidth: width,
+  text: str(MAX_TEXT),
+  x1: coord,
+  y1: coord,
+  x2: coord,
+  y2: coord,
+};
+export const PATCH_FIELDS = Object.keys(SHAPE_FIELDS);
+
+const optionalAll = (rules) =>
+  Object.fromEntries(Object.entries(rules).map(([k, r]) => [k, optional(r)]));
+
+const point = obj({ x: coord, y: coord });
+// freehand sample, with stylus pressure / tilt when the pen reports them
+const pressure = num(0, 1);
+const tilt = num(-90, 90);
+const inkPoint = obj({ x: coord, y: coord, p: optional(pressure), tx: optional(tilt), ty: optional(tilt) });
+
+// clip region of a stroke drawn inside a rect/ellipse
+const mask = optional(
+  obj({ id: optional(id), type: oneOf(["rect", "ellipse"]), x: coord, y: coord, w: size, h: size })
+);
+
+// brush preset of a stroke (see shared/paths.js)
+const BRUSH = optionalAll({ brush: oneOf(BRUSH_NAMES), opacity: num(0, 1), blend: oneOf(BLEND_MODES) });
+
+// also used for REST / file imports
+export const SHAPE = obj({
+  _id: optional(id),
+  type: oneOf(SHAPE_TYPES),
+  x: coord,
+  y: coord,
+  w: size,
+  h: size,
+  ...optionalAll({
+    rot: SHAPE_FIELDS.rot,
+    color,
+    strokeWidth: width,
+    text: SHAPE_FIELDS.text,
+    x1: coord,
+    y1: coord,
+    x2: coord,
+    y2: coord,
+  }),
+  // freehand "path" shapes (box is recomputed from the points on the server)
+  points: optional(arr(inkPoint, MAX_POINTS)),
+  ...BRUSH,
+  mask,
+  author: optional(id),
+  clock: optional(obj({ _add: optional(stamp) })),
+});
+
+const stroke = obj({
+  _id: optional(id),
+  type: optional(oneOf(["path"])),
+  color: optional(color),
+  width: optional(width), // legacy name of strokeWidth
+  strokeWidth: optional(width),
+  points: arr(inkPoint, MAX_POINTS),
+  ...BRUSH,
+  mask,
+  author: optional(id),
+});
+
+const segment = (withEnd) =>
+  obj({
+    _id: optional(id),
+    x0: coord,
+    y0: coord,
+    ...optionalAll({ p0: pressure, tx0: tilt, ty0: tilt }),
+    ...(withEnd ? { x1: coord, y1: coord, ...optionalAll({ p1: pressure, tx1: tilt, ty1: tilt }) } : {}),
+    color: optional(color),
+    width: optional(width),
+    ...BRUSH,
+    mask,
+  });
+
+const role = oneOf(["viewer", "editor", "owner"]);
+
+export const EVENT_SCHEMAS = {
+  "join-room": either(
+    roomId,
+    obj({ roomId, token: optional(str(2048)), since: optional(int()) })
+  ),
+  "presence:join": optional(obj({ roomId: optional(roomId), name: optional(str(64)), color: optional(color) })),
+  "presence:update": obj({
+    roomId: optional(roomId),
+    patch: obj({ isIdle: optional(bool()), lastActive: optional(num(0)) }, { minKeys: 1 }),
+  }),
+  "shapes:request": optional(either(roomId, obj({ roomId: optional(roomId) }))),
+  "sync:since": obj({ roomId: optional(roomId), seq: int() }),
+
+  "activity:update": obj({
+    roomId,
+    patch: obj({ drawing: optional(bool()), typing: optional(bool()) }),
+  }),
+  "camera:update": obj({
+    roomId,
+    patch: obj({ x: optional(coord), y: optional(coord), scale: optional(num(0.05, 10)) }, { minKeys: 1 }),
+  }),
+  "cursor-move": obj({ roomId, cursor: point }),
+
+  "draw-start": obj({ roomId, stroke: segment(false) }),
+  "draw-move": obj({ roomId, stroke: segment(true) }),
+  // `stroke` is still accepted from older clients but not stored (shape:add is)
+  "draw-end": obj({ roomId, id: optional(id), stroke: optional(stroke) }),
+  "drawing:undo": obj({ roomId, id: optional(id) }),
+  "drawing:redo": obj({ roomId, id: optional(id), stroke }),
+  "drawing:replay:request": obj({ roomId: optional(roomId) }),
+  "clear-canvas": obj({ roomId }),
+
+  // batch = client id of one gesture: a single undo step (see historyStack.js)
+  "shape:add": obj({ roomId, shape: SHAPE, batch: optional(id) }),
+  "shape:update": obj({
+    roomId,
+    id,
+    patch: obj(optionalAll(SHAPE_FIELDS), { minKeys: 1 }),
+    stamp: optional(stamp),
+    batch: optional(id),
+  }),
+  "shape:delete": obj({ roomId, id, stamp: optional(stamp), batch: optional(id) }),
+  "history:undo": obj({ roomId }),
+  "history:redo": obj({ roomId }),
+
+  "member:role": obj({ roomId, socketId: id, role }),
+  "settings:update": obj({
+    roomId,
+    patch: obj(
+      {
+        defaultRole: optional(oneOf(["viewer", "editor"])),
+        retentionDays: optional(int(1, 3650)),
+        pinned: optional(bool()),
+        listed: optional(bool()),
+      },
+      { minKeys: 1 }
+    ),
+  }),
+  "test-ping": obj({ roomId: optional(roomId), timestamp: optional(num(0)) }),
+};
@@ -0,0 +1,258 @@
+// server/socket/shapeStore.js
+import Room from "../models/Room.js";
+import { v4 as uuid } from "uuid";
+import { recordOp, recordOpWithBefore } from "./opLog.js";
+import { createClock, winningFields } from "../../shared/lww.js";
+import { lwwUpdate, lwwFilter } from "./lww.js";
+import { pathBounds } from "../../shared/paths.js";
+import { emitWebhook } from "../lib/webhooks.js";
+import { audit, summarize } from "../lib/audit.js";
+import { recordStep, userKeyOf, forgetHistory, inTurn as userTurn } from "./historyStack.js";
+
+/**
+ * The one write path for board content (shapes and freehand `path` strokes).
+ * Each function persists + logs the op and returns what the caller should
+ * broadcast; concurrent edits converge via last-writer-wins stamps (shared/lww.js).
+ * Applied changes also go out to the room's webhooks (lib/webhooks.js) and
+ * the audit trail (lib/audit.js); `actor` = who made it (default: system).
+ * Changes by a user also land on their undo stack (./historyStack.js), in
+ * gesture `batch`es, unless `undoable: false` (undo / redo themselves, imports).
+ */
+
+// server-side stamps for legacy clients that don't send their own
+export const clock = createClock("server");
+const TOMBSTONE_LIMIT = 1000;
+
+// changes a user can undo run one at a time per user, in the order they came
+// in, and the step is on their stack before the call returns: a following
+// change (batch folding) or undo always sees it
+const inTurn = (roomId, actor, undoable, fn) => {
+  const key = undoable ? userKeyOf(actor) : null;
+  return key ? userTurn(roomId, key, fn) : fn();
+};
+
+// the live syncs of one gesture (a drag: a write every few ms) reach webhooks
+// and the audit trail as one shape.updated / shape:update per shape once it
+// settles: patches merged, `before` = the values from before the gesture
+const SETTLE_MS = 1000;
+const settling = new Map(); // `${roomId} ${batch} ${id}` -> { before, after, actor, timer }
+
+function settleUpdate(roomId, id, { before, after, actor }, batch) {
+  const report = (was, now, by) => {
+    emitWebhook(roomId, "shape.updated", { id, patch: now });
+    audit(roomId, "shape:update", { actor: by, shapeId: id, before: was, after: now });
+  };
+  if (!batch) return report(before, after, actor);
+
+  const key = `${roomId} ${batch} ${id}`;
+  const pending = settling.get(key) || { before: {}, after: {} };
+  clearTimeout(pending.timer);
+  pending.before = { ...before, ...pending.before };
+  pending.after = { ...pending.after, ...after };
+  pending.actor = actor;
+  pending.timer = setTimeout(() => {
+    settling.delete(key);
+    report(pending.before, pending.after, pending.actor);
+  }, SETTLE_MS);
+  pending.timer.unref?.();
+  settling.set(key, pending);
+}
+
+export const pathsOf = (roomDoc) =>
+  (roomDoc?.shapes || []).filter((s) => s.type === "path");
+
+/**
+ * -> { seq, shape }             added
+ * -> { seq: null, tombstone }   lost against a newer delete (tombstone may be null
+ *                               when the shape simply already exists)
+ */
+export function addShape(roomId, input, { actor, batch, undoable = true } = {}) {
+  return inTurn(roomId, actor, undoable, async () => {
+    const shape = { ...input, _id: input._id || uuid() };
+    if (shape.type === "path") Object.assign(shape, pathBounds(shape.points, shape.strokeWidth));
+
+    const stamp = shape.clock?._add ? clock.accept(shape.clock._add) : clock.tick();
+    shape.clock = { _add: stamp };
+
+    // skip if already present or deleted by a newer delete
+    const seq = await recordOp(
+      roomId,
+      "shape:add",
+      shape,
+      {
+        $push: { shapes: shape },
+        $pull: { tombstones: { _id: shape._id } },
+        $currentDate: { lastActivity: true },
+      },
+      {
+        filter: {
+          "shapes._id": { $ne: shape._id },
+          tombstones: {
+            $not: { $elemMatch: { _id: shape._id, stamp: { $gte: stamp } } },
+          },
+        },
+      }
+    );
+    if (seq !== null) {
+      emitWebhook(roomId, "shape.added", { shape });
+      audit(roomId, "shape:add", { actor, shapeId: shape._id, after: summarize(shape) });
+      if (undoable) await recordStep(roomId, userKeyOf(actor), { op: "add", shapes: [shape], batch });
+      return { seq, shape };
+    }
+
+    const doc = await Room.findOne(
+      { roomId },
+      {
+        shapes: { $elemMatch: { _id: shape._id } },
+        // the delete that beat this add (older ones for the id may be kept too)
+        tombstones: { $elemMatch: { _id: shape._id, stamp: { $gte: stamp } } },
+      }
+    ).lean();
+    const tomb = doc?.tombstones?.[0];
+    return { seq: null, shape, tombstone: tomb && !doc.shapes?.length ? tomb : null };
+  });
+}
+
+// -> { seq, id, patch, stamp } (seq null when the shape isn't there or
+// every field already has a newer stamp: nothing written, nothing to tell)
+export function updateShape(roomId, id, patch, stamp, { actor, batch, undoable = true } = {}) {
+  return inTurn(roomId, actor, undoable, async () => {
+    const ts = stamp ? clock.accept(stamp) : clock.tick();
+
+    // each field is written only if its stored stamp is older (atomic,
+    // no index lookup -> concurrent moves/deletes can't hit the wrong shape)
+    const { $set, arrayFilters } = lwwUpdate(id, patch, ts);
+    const { seq, before } = await recordOpWithBefore(
+      roomId,
+      "shape:update",
+      { id, patch, stamp: ts },
+      { $set, $currentDate: { lastActivity: true } },
+      { filter: lwwFilter(id, Object.keys(patch), ts), arrayFilters, shapeId: id, batch }
+    );
+    if (seq !== null) {
+      // `before` is the shape the write replaced: the fields that won are the changes
+      const fields = winningFields(before, patch, ts);
+      const after = Object.fromEntries(fields.map((k) => [k, patch[k]]));
+      const was = Object.fromEntries(fields.map((k) => [k, before?.[k] ?? null]));
+      settleUpdate(roomId, id, { before: was, after, actor }, batch);
+      if (undoable) {
+        await recordStep(roomId, userKeyOf(actor), {
+          op: "update",
+          shapeId: id,
+          before: was,
+          after,
+          stamps: Object.fromEntries(fields.map((k) => [k, ts])),
+          batch,
+        });
+      }
+    }
+    return { seq, id, patch, stamp: ts };
+  });
+}
+
+// -> { seq, id, stamp }
+export function deleteShape(roomId, id, stamp, { actor, batch, undoable = true } = {}) {
+  return inTurn(roomId, actor, undoable, async () => {
+    const ts = stamp ? clock.accept(stamp) : clock.tick();
+
+    // remove unless it was re-added after this delete; remember the delete
+    // so an older concurrent add can't bring it back
+    const { seq, before } = await recordOpWithBefore(
+      roomId,
+      "shape:delete",
+      { id, stamp: ts },
+      {
+        $pull: { shapes: { _id: id, "clock._add": { $not: { $gt: ts } } } },
+        $push: {
+          tombstones: { $each: [{ _id: id, stamp: ts }], $slice: -TOMBSTONE_LIMIT },
+        },
+        $currentDate: { lastActivity: true },
+      },
+      { shapeId: id }
+    );
+    if (seq !== null) {
+      emitWebhook(roomId, "shape.deleted", { id });
+      audit(roomId, "shape:delete", { actor, shapeId: id, before: summarize(before) });
+      if (undoable && before) await recordStep(roomId, userKeyOf(actor), { op: "delete", shapes: [before], batch });
+    }
+    return { seq, id, stamp: ts };
+  });
+}
+
+// -> seq
+export function clearShapes(roomId, { actor } = {}) {
+  return inTurn(roomId, actor, true, async () => {
+    const { seq, before } = await recordOpWithBefore(
+      roomId,
+      "clear",
+      {},
+      { $set: { shapes: [], lastActivity: new Date() } },
+      { allShapes: true }
+    );
+    if (seq !== null) {
+      emitWebhook(roomId, "canvas.cleared", {});
+      audit(roomId, "clear", { actor });
+      if (before.length) await recordStep(roomId, userKeyOf(actor), { op: "clear", shapes: before });
+    }
+    return seq;
+  });
+}
+
+/**
+ * Add many shapes in one write (board file merge): one op, one audit entry,
+ * one webhook. Ids must not be on the board yet; stamps are fresh.
+ * Not undoable (like a restore).
+ * -> { seq, shapes }
+ */
+export async function mergeShapes(roomId, input, data = {}, { actor } = {}) {
+  const shapes = input.map(({ clock: _old, ...shape }) => ({
+    ...shape,
+    _id: shape._id || uuid(),
+    clock: { _add: clock.tick() },
+  }));
+  const ids = shapes.map((s) => s._id);
+  const seq = await recordOp(
+    roomId,
+    "merge",
+    { ...data, count: shapes.length },
+    {
+      $push: { shapes: { $each: shapes } },
+      $pull: { tombstones: { _id: { $in: ids } } },
+      $currentDate: { lastActivity: true },
+    },
+    { filter: { "shapes._id": { $nin: ids } }, history: { ...data, shapes } }
+  );
+  if (seq !== null) {
+    emitWebhook(roomId, "shapes.imported", { count: shapes.length, ids });
+    audit(roomId, "merge", { actor, after: { ...data, shapeCount: shapes.length } });
+  }
+  return { seq, shapes };
+}
+
+/**
+ * Replace the whole board (snapshot restore). Shapes get fresh add stamps so
+ * deletes still in flight from before the restore can't remove them.
+ * -> { seq, shapes }
+ */
+export async function replaceShapes(roomId, input, data = {}, { actor } = {}) {
+  const shapes = input.map(({ clock: _old, ...shape }) => ({
+    ...shape,
+    clock: { _add: clock.tick() },
+  }));
+  const seq = await recordOp(
+    roomId,
+    "restore",
+    data,
+    {
+      $set: { shapes, lastActivity: new Date() },
+      $pull: { tombstones: { _id: { $in: shapes.map((s) => s._id) } } },
+    },
+    { history: { ...data, shapes } }
+  );
+  if (seq !== null) {
+    audit(roomId, "restore", { actor, after: { ...data, shapeCount: shapes.length } });
+    // undo steps refer to the board that was replaced
+    forgetHistory(roomId).catch((e) => console.error("history reset error:", e?.message || e));
+  }
+  return { seq, shapes };
+}
@@ -1,30 +1,33 @@
 // server/socket/socket.js
 import Room from "../models/Room.js";
-import { v4 as uuid } from "uuid";
+import { opsSince } from "./opLog.js";
+import {
+  pathsOf, addShape, updateShape, deleteShape, clearShapes,
+} from "./shapeStore.js";
+import { toPathShape } from "../../shared/paths.js";
+import { createMemoryAdapter } from "./adapters/index.js";
+import { verifyRoomToken } from "../lib/roomAuth.js";
+import { can, isRole, requiredRole } from "../lib/roles.js";
+import { validate } from "../lib/validate.js";
+import { EVENT_SCHEMAS } from "./schemas.js";
+import { createRateLimiter, loadRateLimits } from "./rateLimit.js";
+import { emitWebhook } from "../lib/webhooks.js";
+import { socketEvents, socketEventsRejected } from "../lib/metrics.js";
+import { socketActor } from "../lib/audit.js";
+import { historyState, userKeyOf } from "./historyStack.js";
+import { undoLast, redoLast } from "./history.js";
 
 /**
- * In-memory realtime state (DB persistence sirf shapes/drawingData ke liye).
- * We keep presence/activity/camera/cursors in RAM for speed.
+ * Realtime state (DB persistence sirf shapes ke liye, see ./shapeStore.js) lives behind
+ * an adapter (see ./adapters): presence/activity/camera/cursors/members per room,
+ *   presence: Map<socketId, { name, color, isIdle, lastActive }>
+ *   activity: Map<socketId, { drawing?:boolean, typing?:boolean, ts:number }>
+ *   camera:   Map<socketId, { x?:number, y?:number, scale?:number }>
+ *   cursors:  Map<socketId, { x:number, y:number, ts:number }>
+ *   roles:    Map<socketId, "viewer" | "editor" | "owner">
+ * and room broadcasts go through `realtime.to(rid)` so they reach sockets
+ * on every server instance.
  */
-const rooms = new Map();
-// rooms: roomId -> {
-//   presence: Map<socketId, { name, color, isIdle, lastActive }>
-//   activity: Map<socketId, { drawing?:boolean, typing?:boolean, ts:number }>
-//   camera:   Map<socketId, { x?:number, y?:number, scale?:number }>
-//   cursors:  Map<socketId, { x:number, y:number, ts:number }>
-// }
-
-function ensureRoom(roomId) {
-  if (!rooms.has(roomId)) {
-    rooms.set(roomId, {
-      presence: new Map(),
-      activity: new Map(),
-      camera: new Map(),
-      cursors: new Map(),
-    });
-  }
-  return rooms.get(roomId);
-}
 
 function toPlainPresence(map) {
   const obj = {};
@@ -32,60 +35,207 @@ function toPlainPresence(map) {
   return obj;
 }
 
-function userCount(io, roomId) {
-  const r = io.sockets.adapter.rooms.get(roomId);
-  return r ? r.size : 0;
+// missed ops after `since` (or a full snapshot if the log no longer covers it)
+async function sendSince(socket, roomId, since) {
+  const res = await opsSince(roomId, since);
+  if (res.snapshot) {
+    socket.emit("sync:snapshot", { roomId, seq: res.seq, ...res.snapshot });
+  } else {
+    socket.emit("sync:ops", { roomId, seq: res.seq, ops: res.ops });
+  }
 }
 
-export function setupSocket(io) {
+export function setupSocket(
+  io,
+  realtime = createMemoryAdapter(),
+  { rateLimits = loadRateLimits() } = {}
+) {
+  realtime.attach(io);
+  const limiter = createRateLimiter(rateLimits);
+
+  // schema of a declared event (own keys only: "constructor" isn't one)
+  const schemaOf = (event) => (Object.hasOwn(EVENT_SCHEMAS, event) ? EVENT_SCHEMAS[event] : null);
+
+  // metric label: declared events by name, anything else lumped together
+  const eventLabel = (event) => ({ event: schemaOf(event) ? event : "other" });
+
   io.on("connection", (socket) => {
     let currentRoom = null;
+    let userId = null; // persistent id from the room token (audit trail)
+
+    // who's acting, for the audit trail (name = current presence name)
+    const actor = () =>
+      socketActor(socket, {
+        userId,
+        name: currentRoom ? realtime.room(currentRoom).presence.get(socket.id)?.name : null,
+      });
+
+    // events only act on the room this socket was admitted to by join-room
+    // (its token was checked there); anything else is ignored
+    const joinedRoom = (roomId) =>
+      currentRoom && roomId != null && String(roomId) === currentRoom
+        ? currentRoom
+        : null;
+
+    const roleOf = (sid) =>
+      currentRoom ? realtime.room(currentRoom).roles.get(sid) || null : null;
+
+    // typed error back to the client (and its ack, if it passed one)
+    const reject = (args, err) => {
+      const ack = args[args.length - 1];
+      if (typeof ack === "function") ack(err);
+      socket.emit("error", err);
+    };
+
+    // flood protection before any real work (see ./rateLimit.js)
+    const lastWarned = new Map(); // event -> ms, one rate:limited per second
+    const rateLimit = limiter.forSocket({
+      getRoom: () => currentRoom,
+      onReject: (event, args, retryInMs) => {
+        const ack = args[args.length - 1];
+        const err = { code: "RATE_LIMITED", event, retryInMs, msg: `Too many ${event} events` };
+        if (typeof ack === "function") ack(err);
+        socketEventsRejected.inc({ ...eventLabel(event), reason: "rate_limited" });
+
+        const now = Date.now();
+        if (now - (lastWarned.get(event) || 0) < 1000) return;
+        lastWarned.set(event, now);
+        console.warn(`⚠️ rate limited ${event} from ${socket.id} (${currentRoom})`);
+        socket.emit("rate:limited", err);
+      },
+    });
+    // every inbound event is counted, rejected ones included (see lib/metrics.js)
+    socket.use(([event], next) => {
+      socketEvents.inc(eventLabel(event));
+      next();
+    });
+    socket.use(rateLimit);
+
+    // payload validation in front of every handler (see ./schemas.js)
+    socket.use(([event, ...args], next) => {
+      const schema = schemaOf(event);
+      if (!schema) return next();
+
+      const payload = typeof args[0] === "function" ? undefined : args[0];
+      const problem = validate(schema, payload);
+      if (!problem) return next();
+
+      console.warn(`⚠️ invalid ${event} from ${socket.id} (${currentRoom}):`, problem);
+      socketEventsRejected.inc({ ...eventLabel(event), reason: "invalid" });
+      reject(args, { code: "INVALID_PAYLOAD", event, msg: problem });
+    });
+
+    // role gate (see lib/roles.js)
+    socket.use(([event, ...args], next) => {
+      const role = roleOf(socket.id);
+      if (can(role, event)) return next();
+      socketEventsRejected.inc({ ...eventLabel(event), reason: "forbidden" });
+
+      reject(args, {
+        code: "FORBIDDEN",
+        event,
+        role,
+        required: requiredRole(event),
+        msg: `Your role (${role || "none"}) can't do ${event}`,
+      });
+    });
+
+    // drop this socket's realtime entries for a room and tell the others
+    const leaveRoom = (rid) => {
+      const R = realtime.room(rid);
+      const name = R.presence.get(socket.id)?.name || null; // for the webhook
+
+      // presence leave
+      if (R.presence.has(socket.id)) {
+        realtime.remove(rid, "presence", socket.id);
+        realtime.to(rid).emit("presence:leave", socket.id);
+      }
+      // cleanup ephemeral maps
+      realtime.remove(rid, "activity", socket.id);
+      realtime.remove(rid, "camera", socket.id);
+      realtime.remove(rid, "cursors", socket.id);
+      realtime.remove(rid, "roles", socket.id);
+      realtime.leave(rid, socket.id);
+
+      const left = realtime.userCount(rid);
+      if (left === 0) limiter.forgetRoom(rid);
+      realtime.to(rid).emit("user-count", left);
+      emitWebhook(rid, "user.left", { socketId: socket.id, name, users: left });
+    };
 
     /* ==================== JOIN ROOM ==================== */
-    // supports: join-room("room123", ack?) OR join-room({roomId}, ack?)
+    // join-room({ roomId, token, since? }, ack?)
+    // `token` = signed room token from POST /api/rooms/join (see lib/roomAuth.js)
+    // `since` = last seq the client applied -> only missed ops are sent back
     socket.on("join-room", async (payload, ack) => {
       try {
         const roomId = typeof payload === "string" ? payload : payload?.roomId;
+        const since = typeof payload === "object" ? payload?.since : undefined;
         if (!roomId) {
           if (typeof ack === "function") ack(false, "roomId missing");
           return;
         }
 
+        const auth = verifyRoomToken(payload?.token, roomId);
+        if (!auth) {
+          if (typeof ack === "function") ack(false, "unauthorized");
+          socket.emit("room:denied", { roomId: String(roomId), reason: "unauthorized" });
+          return;
+        }
+
         // leave previous
-        if (currentRoom) socket.leave(currentRoom);
+        if (currentRoom) {
+          socket.leave(currentRoom);
+          leaveRoom(currentRoom);
+        }
         currentRoom = String(roomId);
+        userId = auth.userId || null;
         socket.join(currentRoom);
-
-        // make sure in-memory room exists
-        const R = ensureRoom(currentRoom);
+        realtime.join(currentRoom, socket.id);
+        realtime.set(currentRoom, "roles", socket.id, isRole(auth.role) ? auth.role : "viewer");
+        const R = realtime.room(currentRoom);
 
         // ensure DB room
-        let roomDoc = await Room.findOne({ roomId: currentRoom }).lean();
+        let roomDoc = await Room.findOne({ roomId: currentRoom }, { ops: 0 }).lean();
         if (!roomDoc) {
-          await Room.create({ roomId: currentRoom, shapes: [], drawingData: [] });
-          roomDoc = { roomId: currentRoom, shapes: [], drawingData: [] };
+          await Room.create({ roomId: currentRoom, shapes: [] });
+          roomDoc = { roomId: currentRoom, shapes: [], seq: 0 };
         }
 
-        // initial snapshots to the new socket
-        socket.emit("shapes:init", roomDoc.shapes || []);
         socket.emit("presence:state", toPlainPresence(R.presence));
 
-        // replay full strokes to the new joiner
-        if (Array.isArray(roomDoc.drawingData) && roomDoc.drawingData.length) {
-          const strokes = roomDoc.drawingData
-            .filter((d) => d.type === "stroke")
-            .map((d) => d.data);
-          socket.emit("drawing:replay", { roomId: currentRoom, strokes });
+        if (typeof since === "number") {
+          // reconnect: client already has the board up to `since`
+          await sendSince(socket, currentRoom, since);
+        } else {
+          // initial snapshot to the new socket (freehand paths included)
+          socket.emit("shapes:init", roomDoc.shapes || [], { seq: roomDoc.seq || 0 });
         }
 
         // let just-joined client know explicitly
         socket.emit("room:joined", {
           roomId: currentRoom,
-          users: userCount(io, currentRoom),
+          users: realtime.userCount(currentRoom),
+          role: roleOf(socket.id),
+          roles: toPlainPresence(R.roles),
+          settings: {
+            defaultRole: roomDoc.settings?.defaultRole || "editor",
+            retentionDays: roomDoc.settings?.retentionDays ?? null,
+            pinned: !!roomDoc.settings?.pinned,
+            listed: !!roomDoc.settings?.listed,
+          },
         });
 
+        // this user's undo/redo history (kept across reloads, see ./history.js)
+        socket.emit("history:state", await historyState(currentRoom, userKeyOf(actor())));
+
         // broadcast user count to room
-        io.to(currentRoom).emit("user-count", userCount(io, currentRoom));
+        realtime.to(currentRoom).emit("user-count", realtime.userCount(currentRoom));
+        emitWebhook(currentRoom, "user.joined", {
+          socketId: socket.id,
+          role: roleOf(socket.id),
+          users: realtime.userCount(currentRoom),
+        });
 
         if (typeof ack === "function") ack(true);
       } catch (e) {
@@ -95,13 +245,39 @@ export function setupSocket(io) {
       }
     });
 
-    /* ==================== PRESENCE ==================== */// client may explicitly request the latest shapes (fallback if join missed it)
+    /* ==================== PRESENCE ==================== */
+    // client emits: presence:join { roomId, name, color }
+    socket.on("presence:join", (payload) => {
+      const rid = joinedRoom(payload?.roomId ?? currentRoom);
+      if (!rid) return;
+      const entry = {
+        name: payload?.name || "Guest",
+        color: payload?.color || "#4c9ffe",
+        isIdle: false,
+        lastActive: Date.now(),
+      };
+      realtime.set(rid, "presence", socket.id, entry);
+      realtime.to(rid).emit("presence:update", { id: socket.id, patch: entry });
+    });
+
+    // client emits: presence:update { roomId, patch: { isIdle?, lastActive? } }
+    socket.on("presence:update", ({ roomId, patch } = {}) => {
+      const rid = joinedRoom(roomId ?? currentRoom);
+      if (!rid || !patch) return;
+      const cur = realtime.room(rid).presence.get(socket.id);
+      if (!cur) return; // not joined yet
+      const merged = { ...cur, ...patch };
+      realtime.set(rid, "presence", socket.id, merged);
+      realtime.to(rid).emit("presence:update", { id: socket.id, patch });
+    });
+
+    // client may explicitly request the latest shapes (fallback if join missed it)
 socket.on("shapes:request", async (payload) => {
   try {
     // payload may be { roomId } or just roomId string
-    const rid = payload && typeof payload === "string"
-      ? payload
-      : payload?.roomId || currentRoom;
+    const rid = joinedRoom(
+      payload && typeof payload === "string" ? payload : payload?.roomId || currentRoom
+    );
 
     if (!rid) {
       // nothing to do
@@ -109,10 +285,10 @@ socket.on("shapes:request", async (payload) => {
       return;
     }
 
-    const roomDoc = await Room.findOne({ roomId: String(rid) }).lean();
+    const roomDoc = await Room.findOne({ roomId: rid }, { ops: 0 }).lean();
     const shapes = Array.isArray(roomDoc?.shapes) ? roomDoc.shapes : [];
     // send only to requester
-    socket.emit("shapes:init", shapes);
+    socket.emit("shapes:init", shapes, { seq: roomDoc?.seq || 0 });
 
     console.log(`shapes:request -> ${socket.id} (${rid}) : ${shapes.length} shapes`);
   } catch (e) {
@@ -121,237 +297,186 @@ socket.on("shapes:request", async (payload) => {
   }
 });
 
+    /* ==================== INCREMENTAL RESYNC ==================== */
+    // client emits: sync:since { roomId, seq } -> sync:ops | sync:snapshot
+    socket.on("sync:since", async ({ roomId, seq } = {}) => {
+      try {
+        const rid = joinedRoom(roomId || currentRoom);
+        if (!rid) return;
+        await sendSince(socket, rid, seq);
+      } catch (e) {
+        console.error("sync:since error:", e);
+        socket.emit("error", { msg: "Failed to sync room" });
+      }
+    });
+
 
     /* ==================== ACTIVITY (typing/drawing) ==================== */
     // client emits: activity:update { roomId, patch: { drawing?:bool, typing?:bool } }
     socket.on("activity:update", ({ roomId, patch }) => {
-      if (!roomId) return;
-      const rid = String(roomId);
-      const R = ensureRoom(rid);
-      const cur = R.activity.get(socket.id) || {};
+      const rid = joinedRoom(roomId);
+      if (!rid) return;
+      const cur = realtime.room(rid).activity.get(socket.id) || {};
       const merged = { ...cur, ...(patch || {}), ts: Date.now() };
-      R.activity.set(socket.id, merged);
-      io.to(rid).emit("activity:update", { id: socket.id, patch: merged });
+      realtime.set(rid, "activity", socket.id, merged);
+      realtime.to(rid).emit("activity:update", { id: socket.id, patch: merged });
     });
 
     /* ==================== CAMERA (pan/zoom) ==================== */
     // client emits: camera:update { roomId, patch: {x?, y?, scale?} }
     socket.on("camera:update", ({ roomId, patch }) => {
-      if (!roomId || !patch) return;
-      const rid = String(roomId);
-      const R = ensureRoom(rid);
-      const cur = R.camera.get(socket.id) || {};
+      const rid = joinedRoom(roomId);
+      if (!rid || !patch) return;
+      const cur = realtime.room(rid).camera.get(socket.id) || {};
       const merged = { ...cur, ...(patch || {}) };
-      R.camera.set(socket.id, merged);
-      io.to(rid).emit("camera:update", { id: socket.id, patch: merged });
+      realtime.set(rid, "camera", socket.id, merged);
+      realtime.to(rid).emit("camera:update", { id: socket.id, patch: merged });
     });
 
     /* ==================== CURSORS ==================== */
     // client emits: cursor-move { roomId, cursor: {x,y} }
     socket.on("cursor-move", ({ roomId, cursor }) => {
-      if (!roomId || !cursor) return;
-      const rid = String(roomId);
-      const R = ensureRoom(rid);
-      R.cursors.set(socket.id, { ...cursor, ts: Date.now() });
-      socket.to(rid).emit("cursor-update", { socketId: socket.id, cursor });
+      const rid = joinedRoom(roomId);
+      if (!rid || !cursor) return;
+      realtime.set(rid, "cursors", socket.id, { ...cursor, ts: Date.now() });
+      realtime.to(rid, { except: socket.id }).emit("cursor-update", { socketId: socket.id, cursor });
     });
 
     /* ==================== FREE DRAW ==================== */
     socket.on("draw-start", (data) => {
-      const rid = data?.roomId;
+      const rid = joinedRoom(data?.roomId);
       if (!rid) return;
-      socket.to(rid).emit("draw-start", data);
+      realtime.to(rid, { except: socket.id }).emit("draw-start", data);
     });
 
     socket.on("draw-move", (data) => {
-      const rid = data?.roomId;
+      const rid = joinedRoom(data?.roomId);
       if (!rid) return;
-      socket.to(rid).emit("draw-move", data);
+      realtime.to(rid, { except: socket.id }).emit("draw-move", data);
     });
 
-// FREE DRAW: store stroke and also convert to a "path" shape so ShapeRenderer shows it
-socket.on("draw-end", async (data) => {
-  try {
-    const rid = data?.roomId;
-    if (!rid) return;
-
-    // broadcast stroke to other connected clients immediately
-    socket.to(rid).emit("draw-end", data);
-
-    if (!data?.stroke) return;
-
-    // ensure stroke has id
-    if (!data.stroke._id) data.stroke._id = uuid();
-
-    // persist stroke into drawingData array
-   await Room.updateOne(
-  { roomId: rid },
-  {
-    $push: {
-      drawingData: {
-        type: "stroke",
-        data: data.stroke,
-        timestamp: new Date(),
-      }
-    },
-    $set: { lastActivity: new Date() },
-  },
-  { upsert: true }
-);
-
-
-    // also convert stroke -> lightweight shape so new joiners get it with shapes:init
-    const strokeShape = {
-      _id: data.stroke._id,
-      type: "path",
-      points: data.stroke.points || [],
-      color: data.stroke.color || "#111",
-      width: data.stroke.width || 2,
-      author: data.stroke.author || socket.id,
-      // optional bbox; front-end can fallback if missing
-      x: data.stroke.points?.[0]?.x ?? 0,
-      y: data.stroke.points?.[0]?.y ?? 0,
-      w: data.stroke.w || 200,
-      h: data.stroke.h || 200,
-    };
-
-    await Room.updateOne(
-      { roomId: rid },
-      { $push: { shapes: strokeShape }, $set: { lastActivity: new Date() } },
-      { upsert: true }
-    );
-
-    // broadcast shape to everyone (including just-joined)
-    io.to(rid).emit("shape:added", strokeShape);
-  } catch (e) {
-    console.error("draw-end error:", e);
-    socket.emit("error", { msg: "Failed to save stroke" });
-  }
-});
-
-
+    // draw-end only tells peers the live stroke is finished; the stroke itself
+    // is persisted once, as a "path" shape through shape:add
+    socket.on("draw-end", (data) => {
+      const rid = joinedRoom(data?.roomId);
+      if (!rid) return;
+      realtime.to(rid, { except: socket.id }).emit("draw-end", { roomId: rid, id: data.id });
+    });
 
-    // ---- UNDO/REDO for drawing ----
-    // Single handler: if id provided -> remove that id; else remove last (prefer same author)
+    // ---- UNDO/REDO for drawing (path shapes) ----
+    // drawing:undo { id? } -> delete that path, else this socket's latest one
     socket.on("drawing:undo", async ({ roomId, id }) => {
       try {
-        if (!roomId) return;
-        const rid = String(roomId);
-        const doc = await Room.findOne({ roomId: rid }, { drawingData: 1 }).lean();
-        if (!doc || !Array.isArray(doc.drawingData)) return;
-
-        let arr = [...doc.drawingData];
-        let changed = false;
-
-        if (id) {
-          const beforeLen = arr.length;
-          arr = arr.filter(
-            (d) => !((d.id && d.id === id) || (d.data && d.data._id === id))
-          );
-          changed = arr.length !== beforeLen;
-        } else {
-          // remove last stroke; prefer authored by this socket if available
-          let idx = -1;
-          for (let i = arr.length - 1; i >= 0; i--) {
-            const it = arr[i];
-            if (it?.type !== "stroke") continue;
-            const authored =
-              it?.data?.author ? it.data.author === socket.id : true;
-            if (authored) {
-              idx = i;
-              break;
-            }
-          }
-          if (idx === -1) {
-            // fallback: remove last stroke of any author
-            for (let i = arr.length - 1; i >= 0; i--) {
-              if (arr[i]?.type === "stroke") {
-                idx = i;
-                break;
-              }
-            }
-          }
-          if (idx !== -1) {
-            arr.splice(idx, 1);
-            changed = true;
-          }
-        }
-
-        if (!changed) return;
-
-        await Room.updateOne(
-          { roomId: rid },
-          { $set: { drawingData: arr }, $currentDate: { lastActivity: true } }
-        );
-        const strokes = arr.filter((d) => d.type === "stroke").map((d) => d.data);
-        io.to(rid).emit("drawing:replay", { roomId: rid, strokes });
+        const rid = joinedRoom(roomId);
+        if (!rid) return;
+        const doc = await Room.findOne({ roomId: rid }, { shapes: 1 }).lean();
+        const paths = pathsOf(doc);
+        const target = id
+          ? paths.find((p) => p._id === id)
+          : paths.findLast((p) => p.author === socket.id) || paths.at(-1);
+        if (!target) return;
+
+        const res = await deleteShape(rid, target._id, undefined, { actor: actor() });
+        realtime.to(rid).emit("shape:deleted", { id: res.id, stamp: res.stamp }, { seq: res.seq });
       } catch (e) {
         console.error("drawing:undo error:", e);
       }
     });
 
-    socket.on("drawing:redo", async ({ roomId, id, stroke }) => {
-      // convention: client re-commits the stroke it wants to redo
+    // drawing:redo { stroke } -> client re-commits the path it wants back
+    socket.on("drawing:redo", async ({ roomId, stroke }) => {
       try {
-        if (!roomId || !stroke) return;
-        const rid = String(roomId);
-        await Room.updateOne(
-          { roomId: rid },
-          {
-            $push: {
-              drawingData: {
-                type: "stroke",
-                data: stroke,
-                id: stroke._id || id || undefined,
-                timestamp: new Date(),
-              },
-            },
-            $currentDate: { lastActivity: true },
-          }
-        );
-        const doc = await Room.findOne({ roomId: rid }, { drawingData: 1 }).lean();
-        const strokes = (doc?.drawingData || [])
-          .filter((d) => d.type === "stroke")
-          .map((d) => d.data);
-        io.to(rid).emit("drawing:replay", { roomId: rid, strokes });
+        const rid = joinedRoom(roomId);
+        if (!rid) return;
+        // fresh add stamp: a redo must win over the delete it undoes
+        const path = toPathShape({ ...stroke, clock: undefined, author: socket.id });
+        const res = await addShape(rid, path, { actor: actor() });
+        if (res.seq !== null) realtime.to(rid).emit("shape:added", res.shape, { seq: res.seq });
       } catch (e) {
         console.error("drawing:redo error:", e);
       }
     });
 
-    // on replay request, fetch all strokes and broadcast for canvas rebuild
+    // drawing:replay { roomId, strokes } = every path shape of the room
     socket.on("drawing:replay:request", async ({ roomId }) => {
       try {
-        const rid = roomId || currentRoom;
+        const rid = joinedRoom(roomId || currentRoom);
         if (!rid) return;
-        const doc = await Room.findOne({ roomId: rid }).lean();
-        const strokes = (doc?.drawingData || [])
-          .filter((d) => d.type === "stroke")
-          .map((d) => d.data);
-        io.to(rid).emit("drawing:replay", { roomId: rid, strokes });
+        const doc = await Room.findOne({ roomId: rid }, { shapes: 1 }).lean();
+        socket.emit("drawing:replay", { roomId: rid, strokes: pathsOf(doc) });
       } catch (e) {
         console.error("drawing:replay error:", e);
       }
     });
 
+    // ---- per-user undo/redo of board changes (server side, see ./history.js) ----
+    // history:undo|redo { roomId } (ack?) -> ack { ok, canUndo, canRedo }
+    // the result reaches everyone as ordinary shape:* events
+    const stepHistory = (dir) => async ({ roomId } = {}, ack) => {
+      try {
+        const rid = joinedRoom(roomId);
+        if (!rid) return;
+        const who = actor();
+        const key = userKeyOf(who);
+        const res = await (dir === "undo" ? undoLast : redoLast)(rid, key, who);
+        for (const [event, payload, seq] of res.broadcasts) {
+          realtime.to(rid).emit(event, payload, { seq });
+        }
+
+        const state = await historyState(rid, key);
+        socket.emit("history:state", state);
+        if (typeof ack === "function") ack({ ok: res.applied, ...state });
+      } catch (e) {
+        console.error(`history:${dir} error:`, e);
+        socket.emit("error", { msg: `Failed to ${dir}` });
+      }
+    };
+    socket.on("history:undo", stepHistory("undo"));
+    socket.on("history:redo", stepHistory("redo"));
+
     socket.on("clear-canvas", async ({ roomId }) => {
       try {
-        if (!roomId) return;
-        const rid = String(roomId);
-        io.to(rid).emit("clear-canvas");
-        await Room.updateOne(
-          { roomId: rid },
-          {
-            $push: { drawingData: { type: "clear", timestamp: new Date() } },
-            $set: { lastActivity: new Date() },
-          }
-        );
+        const rid = joinedRoom(roomId);
+        if (!rid) return;
+        const seq = await clearShapes(rid, { actor: actor() });
+        realtime.to(rid).emit("clear-canvas", { roomId: rid }, { seq });
       } catch (e) {
         console.error("clear-canvas error:", e);
         socket.emit("error", { msg: "Failed to clear canvas" });
       }
     });
 
+    /* ==================== MEMBERS / SETTINGS (owner) ==================== */
+    // client emits: member:role { roomId, socketId, role }
+    socket.on("member:role", ({ roomId, socketId, role } = {}) => {
+      const rid = joinedRoom(roomId);
+      if (!rid || !isRole(role)) return;
+      if (!realtime.room(rid).roles.has(socketId)) return; // not in this room
+      realtime.set(rid, "roles", socketId, role);
+      realtime.to(rid).emit("member:role", { id: socketId, role });
+    });
+
+    // client emits: settings:update { roomId, patch: { defaultRole, retentionDays, pinned, listed } }
+    socket.on("settings:update", async ({ roomId, patch } = {}) => {
+      try {
+        const rid = joinedRoom(roomId);
+        if (!rid || !patch) return;
+        // keys/values checked by the schema layer (schemas.js)
+        const clean = {};
+        for (const key of ["defaultRole", "retentionDays", "pinned", "listed"]) {
+          if (patch[key] != null) clean[key] = patch[key];
+        }
+        if (!Object.keys(clean).length) return;
+
+        const $set = Object.fromEntries(Object.entries(clean).map(([k, v]) => [`settings.${k}`, v]));
+        await Room.updateOne({ roomId: rid }, { $set });
+        realtime.to(rid).emit("settings:updated", { roomId: rid, patch: clean });
+      } catch (e) {
+        console.error("settings:update error:", e);
+        socket.emit("error", { msg: "Failed to update settings" });
+      }
+    });
+
     /* ==================== TEST EVENT ==================== */
     socket.on("test-ping", ({ roomId, timestamp }) => {
       console.log("Received test-ping:", { roomId, timestamp, socketId: socket.id });
@@ -359,87 +484,57 @@ socket.on("draw-end", async (data) => {
     });
 
     /* ==================== SHAPES CRUD ==================== */
-    socket.on("shape:add", async ({ roomId, shape }) => {
+    // persisted through ./shapeStore.js; concurrent edits converge via
+    // last-writer-wins stamps: clients send `stamp`, legacy clients get one
+    // from the server clock
+    socket.on("shape:add", async ({ roomId, shape, batch }) => {
       try {
-        if (!roomId || !shape) return;
-        const rid = String(roomId);
-        if (!shape._id) shape._id = uuid();
-
-        await Room.updateOne(
-          { roomId: rid },
-          { $push: { shapes: shape }, $currentDate: { lastActivity: true } }
-        );
+        const rid = joinedRoom(roomId);
+        if (!rid || !shape) return;
+
+        const res = await addShape(rid, shape, { actor: actor(), batch });
+        if (res.seq === null) {
+          // lost against a newer delete -> take it back on the sender's board
+          if (res.tombstone) {
+            socket.emit("shape:deleted", { id: res.shape._id, stamp: res.tombstone.stamp });
+          }
+          return;
+        }
 
-        io.to(rid).emit("shape:added", shape);
+        realtime.to(rid).emit("shape:added", res.shape, { seq: res.seq });
       } catch (e) {
         console.error("shape:add error:", e);
         socket.emit("error", { msg: "Failed to add shape" });
       }
     });
 
-    socket.on("shape:update", async ({ roomId, id, patch }) => {
+    socket.on("shape:update", async ({ roomId, id, patch, stamp, batch }) => {
       try {
-        if (!roomId || !id || !patch) {
-          console.log("Missing required parameters:", { roomId, id, patch });
-          return;
-        }
-        const rid = String(roomId);
-
-        console.log("Server received shape update:", { roomId: rid, id, patch });
-
-        // First, let's find the room and shape to verify it exists
-        const roomDoc = await Room.findOne({ roomId: rid }).lean();
-        if (!roomDoc) {
-          console.log("Room not found:", rid);
-          return;
-        }
-
-        const shapeIndex = roomDoc.shapes?.findIndex(s => s._id === id);
-        if (shapeIndex === -1) {
-          console.log("Shape not found in room:", { roomId: rid, shapeId: id });
-          return;
-        }
-
-        console.log("Found shape at index:", shapeIndex);
-
-        const setObj = {};
-        for (const [k, v] of Object.entries(patch)) {
-          setObj[`shapes.${shapeIndex}.${k}`] = v;
-        }
-
-        console.log("Update object:", setObj);
-
-        const updateResult = await Room.updateOne(
-          { roomId: rid },
-          { $set: setObj, $currentDate: { lastActivity: true } }
-        );
-
-        console.log("Database update result:", updateResult);
-
-        if (updateResult.modifiedCount > 0) {
-          // Broadcast to all users in the room (including sender for consistency)
-          io.to(rid).emit("shape:updated", { id, patch });
-          console.log("Broadcasted shape update to room:", rid);
-        } else {
-          console.log("No documents were modified");
-        }
+        const rid = joinedRoom(roomId);
+        if (!rid || !id || !patch) return;
+
+        // patch keys are whitelisted by the schema layer (PATCH_FIELDS);
+        // who changed what goes to the audit trail (lib/audit.js)
+        const res = await updateShape(rid, id, patch, stamp, { actor: actor(), batch });
+        if (res.seq === null) return; // gone, or every field lost to a newer stamp
+
+        // Broadcast to all users in the room (including sender for consistency);
+        // clients merge with the same stamp rules, so stale fields are ignored
+        realtime
+          .to(rid)
+          .emit("shape:updated", { id, patch, stamp: res.stamp }, { seq: res.seq });
       } catch (e) {
         console.error("shape:update error:", e);
         socket.emit("error", { msg: "Failed to update shape" });
       }
     });
 
-    socket.on("shape:delete", async ({ roomId, id }) => {
+    socket.on("shape:delete", async ({ roomId, id, stamp, batch }) => {
       try {
-        if (!roomId || !id) return;
-        const rid = String(roomId);
-
-        await Room.updateOne(
-          { roomId: rid },
-          { $pull: { shapes: { _id: id } }, $currentDate: { lastActivity: true } }
-        );
-
-        io.to(rid).emit("shape:deleted", { id });
+        const rid = joinedRoom(roomId);
+        if (!rid || !id) return;
+        const res = await deleteShape(rid, id, stamp, { actor: actor(), batch });
+        realtime.to(rid).emit("shape:deleted", { id, stamp: res.stamp }, { seq: res.seq });
       } catch (e) {
         console.error("shape:delete error:", e);
         socket.emit("error", { msg: "Failed to delete shape" });
@@ -448,21 +543,9 @@ socket.on("draw-end", async (data) => {
 
     /* ==================== DISCONNECT ==================== */
     socket.on("disconnect", () => {
+      rateLimit.dispose();
       if (!currentRoom) return;
-      const rid = currentRoom;
-      const R = ensureRoom(rid);
-
-      // presence leave
-      if (R.presence.has(socket.id)) {
-        R.presence.delete(socket.id);
-        io.to(rid).emit("presence:leave", socket.id);
-      }
-      // cleanup ephemeral maps
-      R.activity.delete(socket.id);
-      R.camera.delete(socket.id);
-      R.cursors.delete(socket.id);
-
-      io.to(rid).emit("user-count", userCount(io, rid));
+      leaveRoom(currentRoom);
     });
   });
 }
@@ -0,0 +1,202 @@
+// server/test/archive.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import zlib from "zlib";
+import { archiveRoom, restoreRoom, hasArchive, listArchives } from "../lib/archive.js";
+import { planCleanup, runCleanup } from "../cleanupJob.js";
+import Snapshot from "../models/Snapshot.js";
+import roomRoutes from "../routes/roomRoutes.js";
+import adminRoutes from "../routes/adminRoutes.js";
+import { useDb, settle } from "./helpers/db.js";
+import { serve, tokenFor, fakeRealtime } from "./helpers/http.js";
+
+const DAY_MS = 86_400_000;
+const daysAgo = (d, now = Date.now()) => new Date(now - d * DAY_MS);
+const rect = (id) => ({ _id: id, type: "rect", x: 0, y: 0, w: 10, h: 10 });
+
+// every test archives into a directory of its own
+async function useArchiveDir(t) {
+  const prev = process.env.ARCHIVE_DIR;
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "wb-archive-"));
+  process.env.ARCHIVE_DIR = dir;
+  t.after(async () => {
+    process.env.ARCHIVE_DIR = prev;
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+  return dir;
+}
+
+const readArchive = async (dir, roomId) =>
+  JSON.parse(zlib.gunzipSync(await fs.readFile(path.join(dir, `${roomId}.json.gz`))).toString());
+
+const seed = () => ({
+  Room: [
+    {
+      roomId: "R1",
+      title: "Old board",
+      seq: 5,
+      passwordHash: "pw-hash",
+      ownerSecretHash: "owner-hash",
+      lastActivity: daysAgo(3),
+      shapes: [rect("a")],
+    },
+    { roomId: "R2", shapes: [rect("b")] },
+  ],
+  Snapshot: [{ roomId: "R1", name: "v1", shapes: [rect("a")] }, { roomId: "R2", name: "keep" }],
+  Webhook: [{ roomId: "R1", url: "https://example.com/hook", secret: "s", events: ["shape.added"] }],
+  RoomHistory: [{ roomId: "R1", seq: 1, type: "shape:add", data: rect("a") }],
+});
+
+test("archiving writes the room to a file and removes it from the DB", async (t) => {
+  const dir = await useArchiveDir(t);
+  const db = useDb(t, seed());
+
+  const out = await archiveRoom("R1");
+  assert.equal(out.roomId, "R1");
+  assert.ok(out.bytes > 0);
+  assert.equal(await hasArchive("R1"), true);
+
+  const archive = await readArchive(dir, "R1");
+  assert.equal(archive.archiveVersion, 1);
+  assert.deepEqual([archive.room.passwordHash, archive.room.ownerSecretHash], ["pw-hash", "owner-hash"]);
+  assert.deepEqual(archive.board.shapes.map((s) => s._id), ["a"]);
+  assert.deepEqual(archive.snapshots.map((s) => s.name), ["v1"]);
+  assert.equal(archive.webhooks[0].url, "https://example.com/hook");
+
+  assert.deepEqual(db.Room.map((r) => r.roomId), ["R2"]);
+  assert.deepEqual(db.Snapshot.map((s) => s.name), ["keep"]);
+  assert.deepEqual([db.Webhook.length, db.RoomHistory.length], [0, 0]);
+  assert.equal(await archiveRoom("R1"), null, "gone already");
+});
+
+test("a room used while its archive is written is kept, and the file dropped", async (t) => {
+  await useArchiveDir(t);
+  const db = useDb(t, seed());
+  // someone draws between the read and the delete
+  const find = Snapshot.find;
+  t.mock.method(Snapshot, "find", (...args) => {
+    db.Room[0].seq++;
+    db.Room[0].lastActivity = new Date();
+    return find(...args);
+  });
+
+  assert.equal(await archiveRoom("R1"), null);
+  assert.equal(await hasArchive("R1"), false);
+  assert.deepEqual(db.Room.map((r) => r.roomId), ["R1", "R2"]);
+  assert.equal(db.Snapshot.length, 2);
+  assert.equal(db.Webhook.length, 1);
+});
+
+test("restoring brings the room back once, over an empty room of the same id only", async (t) => {
+  await useArchiveDir(t);
+  const db = useDb(t, seed());
+  await archiveRoom("R1");
+
+  // a stale tab recreated it empty: replaced
+  db.Room.push({ roomId: "R1", seq: 0, shapes: [] });
+  const out = await restoreRoom("R1");
+  assert.deepEqual(out, { roomId: "R1", shapes: 1, snapshots: 1 });
+  const room = db.Room.find((r) => r.roomId === "R1");
+  assert.equal(db.Room.filter((r) => r.roomId === "R1").length, 1);
+  assert.deepEqual([room.title, room.passwordHash, room.ownerSecretHash], ["Old board", "pw-hash", "owner-hash"]);
+  assert.ok(room.shapes[0].clock._add, "fresh add stamps");
+  assert.ok(Date.now() - room.lastActivity < 60_000, "not expired again at once");
+  assert.equal(db.Webhook.length, 1);
+  assert.equal(await hasArchive("R1"), false);
+  assert.deepEqual(await restoreRoom("R1"), { error: "archive_not_found" });
+
+  await archiveRoom("R1");
+  db.Room.push({ roomId: "R1", seq: 3, shapes: [rect("new")] });
+  assert.deepEqual(await restoreRoom("R1"), { error: "room_exists" });
+});
+
+test("cleanup plans expired, unpinned, empty rooms and old archive files", async (t) => {
+  const dir = await useArchiveDir(t);
+  const now = Date.now();
+  useDb(t, {
+    Room: [
+      { roomId: "IDLE", lastActivity: daysAgo(2, now) },
+      { roomId: "FRESH", lastActivity: daysAgo(0.5, now) },
+      { roomId: "PINNED", lastActivity: daysAgo(90, now), settings: { pinned: true } },
+      { roomId: "LONG", lastActivity: daysAgo(5, now), settings: { retentionDays: 7 } },
+      { roomId: "LONG-GONE", lastActivity: daysAgo(8, now), settings: { retentionDays: 7 } },
+      { roomId: "WATCHED", lastActivity: daysAgo(2, now) },
+    ],
+  });
+  await fs.writeFile(path.join(dir, "OLD.json.gz"), "x");
+  await fs.utimes(path.join(dir, "OLD.json.gz"), daysAgo(31, now) / 1000, daysAgo(31, now) / 1000);
+  await fs.writeFile(path.join(dir, "RECENT.json.gz"), "x");
+
+  const plan = await planCleanup(fakeRealtime({ WATCHED: 1 }), now);
+  assert.deepEqual(plan.archive.map((r) => r.roomId).sort(), ["IDLE", "LONG-GONE"]);
+  const idle = plan.archive.find((r) => r.roomId === "IDLE");
+  assert.equal(idle.expiredAt.getTime(), daysAgo(1, now).getTime());
+  assert.deepEqual(plan.purge.map((a) => a.roomId), ["OLD"]);
+  assert.deepEqual(plan.defaults, { retentionDays: 1, archiveKeepDays: 30 });
+});
+
+test("a cleanup run archives and purges what it planned", async (t) => {
+  const dir = await useArchiveDir(t);
+  const db = useDb(t, { Room: [{ roomId: "IDLE", lastActivity: daysAgo(2) }, { roomId: "FRESH" }] });
+  await fs.writeFile(path.join(dir, "OLD.json.gz"), "x");
+  await fs.utimes(path.join(dir, "OLD.json.gz"), daysAgo(40) / 1000, daysAgo(40) / 1000);
+
+  assert.deepEqual(await runCleanup(fakeRealtime()), { archived: 1, purged: 1 });
+  assert.deepEqual(db.Room.map((r) => r.roomId), ["FRESH"]);
+  assert.deepEqual((await listArchives()).map((a) => a.roomId), ["IDLE"]);
+});
+
+test("an archived id can't be taken by a join, an import or a fork", async (t) => {
+  await useArchiveDir(t);
+  const db = useDb(t, {
+    Room: [{ roomId: "GONE", lastActivity: daysAgo(3) }, { roomId: "R1" }],
+    Snapshot: [{ roomId: "R1", name: "v1", shapes: [rect("a")] }],
+  });
+  await archiveRoom("GONE");
+  const { request } = await serve(t, { "/api/rooms": roomRoutes }, { realtime: fakeRealtime() });
+  const editor = tokenFor("R1", "editor");
+
+  assert.deepEqual((await request("POST", "/api/rooms/join", { body: { roomId: "GONE" } })).body, {
+    error: "room_archived",
+  });
+  const imported = await request("POST", "/api/rooms/R1/import?mode=new&newRoomId=GONE", {
+    token: editor,
+    body: [rect("x")],
+  });
+  assert.deepEqual([imported.status, imported.body.error], [410, "room_archived"]);
+  const forked = await request("POST", `/api/rooms/R1/snapshots/${db.Snapshot[0]._id}/restore`, {
+    token: editor,
+    body: { mode: "fork", newRoomId: "GONE" },
+  });
+  assert.deepEqual([forked.status, forked.body.error], [410, "room_archived"]);
+  assert.deepEqual(db.Room.map((r) => r.roomId), ["R1"]);
+  await settle();
+});
+
+test("admins list and restore archives", async (t) => {
+  await useArchiveDir(t);
+  const prev = process.env.ADMIN_TOKEN;
+  process.env.ADMIN_TOKEN = "admin-token";
+  t.after(() => {
+    if (prev == null) delete process.env.ADMIN_TOKEN;
+    else process.env.ADMIN_TOKEN = prev;
+  });
+  const db = useDb(t, { Room: [{ roomId: "GONE", lastActivity: daysAgo(3), shapes: [rect("a")] }] });
+  await archiveRoom("GONE");
+  const { request } = await serve(t, { "/api/admin": adminRoutes });
+  const admin = { token: "admin-token" };
+
+  assert.equal((await request("GET", "/api/admin/archives", { token: "nope" })).status, 401);
+  const list = await request("GET", "/api/admin/archives", admin);
+  assert.deepEqual(list.body.map((a) => a.roomId), ["GONE"]);
+  assert.ok(new Date(list.body[0].purgeAt) > new Date());
+
+  const restored = await request("POST", "/api/admin/archives/GONE/restore", admin);
+  assert.deepEqual(restored.body, { roomId: "GONE", shapes: 1, snapshots: 0 });
+  assert.equal(db.Room.length, 1);
+  assert.equal((await request("POST", "/api/admin/archives/GONE/restore", admin)).status, 404);
+  assert.equal((await request("POST", "/api/admin/archives/..%2Fetc/restore", admin)).status, 404);
+});
@@ -0,0 +1,90 @@
+// server/test/audit.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { addShape, updateShape, deleteShape, clearShapes } from "../socket/shapeStore.js";
+import { summarize, SYSTEM_ACTOR } from "../lib/audit.js";
+import roomRoutes from "../routes/roomRoutes.js";
+import { useDb, settle } from "./helpers/db.js";
+import { serve, tokenFor } from "./helpers/http.js";
+
+const rect = (id, x = 0) => ({ _id: id, type: "rect", x, y: 0, w: 10, h: 10 });
+const ann = { userId: "u-ann", name: "Ann", socketId: "s1", via: "socket" };
+const opts = { actor: ann, undoable: false };
+
+test("every applied change is written with who made it", async (t) => {
+  const db = useDb(t, { Room: [{ roomId: "R1" }] });
+  await addShape("R1", rect("a"), opts);
+  await updateShape("R1", "a", { x: 5, color: "red" }, undefined, opts);
+  await deleteShape("R1", "a", undefined, opts);
+  await clearShapes("R1");
+  await settle();
+
+  assert.deepEqual(
+    db.AuditEntry.map((e) => [e.event, e.shapeId, e.actor.name]),
+    [["shape:add", "a", "Ann"], ["shape:update", "a", "Ann"], ["shape:delete", "a", "Ann"], ["clear", null, null]]
+  );
+  assert.deepEqual(db.AuditEntry[1].before, { x: 0, color: null });
+  assert.deepEqual(db.AuditEntry[1].after, { x: 5, color: "red" });
+  assert.deepEqual(db.AuditEntry[3].actor, SYSTEM_ACTOR);
+});
+
+test("freehand points are summarized, clocks left out", () => {
+  const s = summarize({ _id: "p", type: "path", points: [{ x: 0, y: 0 }, { x: 1, y: 1 }], clock: { _add: "x" } });
+  assert.deepEqual(s, { _id: "p", type: "path", pointCount: 2 });
+  assert.equal(summarize(null), null);
+});
+
+test("a gesture's updates settle into one entry per shape", async (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout"] });
+  const db = useDb(t, { Room: [{ roomId: "R1", shapes: [rect("a"), rect("b")] }] });
+  const drag = { ...opts, batch: "g1" };
+  for (let x = 1; x <= 30; x++) await updateShape("R1", "a", { x }, undefined, drag);
+  await updateShape("R1", "b", { color: "blue" }, undefined, drag);
+  await updateShape("R1", "a", { y: 4 }, undefined, drag);
+  await updateShape("R1", "a", { x: 99 }, undefined, opts); // no batch: right away
+  await settle();
+  assert.deepEqual(db.AuditEntry.map((e) => e.after), [{ x: 99 }]);
+
+  t.mock.timers.tick(999);
+  await settle();
+  assert.equal(db.AuditEntry.length, 1, "still moving");
+
+  t.mock.timers.tick(1);
+  await settle();
+  const folded = db.AuditEntry.slice(1).map((e) => [e.shapeId, e.before, e.after]);
+  assert.deepEqual(folded.sort(), [
+    ["a", { x: 0, y: 0 }, { x: 30, y: 4 }],
+    ["b", { color: "#111" }, { color: "blue" }],
+  ]);
+});
+
+/* ---- GET /audit ---- */
+
+test("owners read the trail, filtered and newest first", async (t) => {
+  const at = (s) => new Date(Date.UTC(2026, 0, 1, 0, 0, s));
+  useDb(t, {
+    AuditEntry: [
+      { roomId: "R1", event: "shape:add", shapeId: "a", actor: ann, timestamp: at(1) },
+      { roomId: "R1", event: "shape:update", shapeId: "a", actor: ann, timestamp: at(2) },
+      { roomId: "R1", event: "shape:delete", shapeId: "b", actor: { userId: "u-bob", name: "Bob" }, timestamp: at(3) },
+      { roomId: "R2", event: "shape:add", shapeId: "z", actor: ann, timestamp: at(4) },
+    ],
+  });
+  const { request } = await serve(t, { "/api/rooms": roomRoutes });
+  const get = (q = "", role = "owner") =>
+    request("GET", `/api/rooms/R1/audit${q}`, { token: tokenFor("R1", role) });
+
+  assert.equal((await get("", "editor")).status, 403);
+  const all = await get();
+  assert.deepEqual(all.body.map((e) => e.shapeId), ["b", "a", "a"]);
+  assert.equal("roomId" in all.body[0], false);
+
+  assert.deepEqual((await get("?userId=u-bob")).body.map((e) => e.event), ["shape:delete"]);
+  assert.deepEqual((await get("?name=Ann&shapeId=a&event=shape:add")).body.length, 1);
+  assert.deepEqual((await get("?event=shape:add,shape:delete")).body.length, 2);
+  assert.deepEqual((await get(`?until=${at(3).getTime()}&limit=1`)).body.map((e) => e.event), ["shape:update"]);
+  assert.deepEqual((await get(`?since=${at(2).toISOString()}`)).body.length, 2);
+
+  assert.equal((await get("?event=drop")).body.error, "invalid_event");
+  assert.equal((await get("?since=yesterday")).body.error, "invalid_date");
+});
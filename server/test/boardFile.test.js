@@ -0,0 +1,196 @@
+// server/test/boardFile.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  readBoardFile, toBoardFile, FORMAT, FORMAT_VERSION, MAX_IMPORT_SHAPES, MAX_BOOKMARKS,
+} from "../lib/boardFile.js";
+import roomRoutes from "../routes/roomRoutes.js";
+import { useDb, settle } from "./helpers/db.js";
+import { serve, tokenFor, fakeRealtime } from "./helpers/http.js";
+
+const STAMP = "1700000000000:000001:abc123";
+const rect = (id) => ({ _id: id, type: "rect", x: 0, y: 0, w: 10, h: 10, clock: { _add: STAMP } });
+const stroke = (id, x = 0) => ({
+  _id: id, type: "path", points: [{ x, y: 0 }, { x: x + 10, y: 10 }], color: "#f00", strokeWidth: 3,
+});
+const legacyStroke = (id, x = 0) => ({
+  type: "stroke", data: { id, points: [{ x, y: 0 }, { x: x + 5, y: 5 }], color: "#00f", width: 4 },
+});
+
+const ids = (res) => res.board.shapes.map((s) => s._id);
+
+test("v0: a bare shapes array", () => {
+  const res = readBoardFile([rect("r1"), stroke("p1")]);
+  assert.equal(res.error, undefined);
+  assert.deepEqual(ids(res), ["r1", "p1"]);
+  assert.deepEqual(res.board.bookmarks, []);
+  assert.ok(res.board.shapes.every((s) => !s.clock), "clocks are dropped, an import stamps afresh");
+});
+
+test("v0: a raw room document, legacy drawingData strokes after the last clear", () => {
+  const res = readBoardFile({
+    roomId: "OLD",
+    title: "Old board",
+    shapes: [rect("r1"), stroke("p1")],
+    drawingData: [
+      legacyStroke("gone"),
+      { type: "clear" },
+      legacyStroke("l1", 20),
+      legacyStroke("p1"), // already migrated into shapes
+      { type: "stroke", data: { id: "empty", points: [] } },
+    ],
+  });
+  assert.equal(res.error, undefined);
+  assert.deepEqual(ids(res), ["r1", "p1", "l1"]);
+  const l1 = res.board.shapes.find((s) => s._id === "l1");
+  assert.equal(l1.type, "path");
+  assert.equal(l1.strokeWidth, 4);
+  assert.equal(l1.color, "#00f");
+  assert.equal(res.board.meta.title, "Old board");
+});
+
+test("current version round-trips through toBoardFile", () => {
+  const room = {
+    roomId: "R1",
+    title: "Board",
+    shapes: [rect("r1"), stroke("p1")],
+    bookmarks: [{ name: "start", x: 0, y: 0, scale: 1 }],
+  };
+  const file = toBoardFile(room);
+  assert.equal(file.format, FORMAT);
+  assert.equal(file.formatVersion, FORMAT_VERSION);
+  assert.deepEqual(file.shapes.map((s) => s._id), ["r1"]);
+  assert.deepEqual(file.strokes.map((s) => s._id), ["p1"]);
+  assert.ok(!("clock" in file.shapes[0]));
+
+  const res = readBoardFile(JSON.parse(JSON.stringify(file)));
+  assert.deepEqual(ids(res), ["r1", "p1"]);
+  assert.deepEqual(res.board.bookmarks, room.bookmarks);
+  assert.equal(res.board.meta.roomId, "R1");
+});
+
+test("shapes without an id get one", () => {
+  const { _id: _unused, ...noId } = rect("x");
+  const res = readBoardFile({ format: FORMAT, formatVersion: 1, shapes: [noId] });
+  assert.equal(typeof res.board.shapes[0]._id, "string");
+  assert.ok(res.board.shapes[0]._id.length > 0);
+});
+
+test("unknown versions and formats are refused", () => {
+  assert.equal(readBoardFile({ format: FORMAT, formatVersion: FORMAT_VERSION + 1 }).error, "unsupported_version");
+  assert.equal(readBoardFile({ format: FORMAT, formatVersion: -1 }).error, "unsupported_version");
+  assert.equal(readBoardFile({ format: FORMAT, formatVersion: "1" }).error, "unsupported_version");
+  assert.equal(readBoardFile({ format: "svg", formatVersion: 1 }).error, "invalid_file");
+  assert.equal(readBoardFile(null).error, "invalid_file");
+  assert.equal(readBoardFile("wbjson").error, "invalid_file");
+});
+
+test("bad contents are refused with the path of the problem", () => {
+  const file = (extra) => ({ format: FORMAT, formatVersion: 1, ...extra });
+  let res = readBoardFile(file({ shapes: [rect("r1"), { ...rect("r2"), type: "hexagon" }] }));
+  assert.equal(res.error, "invalid_file");
+  assert.match(res.msg, /^shapes\[1\]/);
+
+  res = readBoardFile(file({ strokes: "nope" }));
+  assert.match(res.msg, /strokes: expected array/);
+
+  res = readBoardFile(file({ bookmarks: [{ name: "x", x: 0, y: 0, scale: 100 }] }));
+  assert.match(res.msg, /^bookmarks\[0\]\.scale/);
+
+  const many = Array.from({ length: MAX_IMPORT_SHAPES + 1 }, (_, i) => rect(`r${i}`));
+  res = readBoardFile(file({ shapes: many }));
+  assert.match(res.msg, /more than/);
+});
+
+/* ---- REST: export / import / bookmarks ---- */
+
+async function setup(t, seed) {
+  const db = useDb(t, seed);
+  const realtime = fakeRealtime();
+  const { request } = await serve(t, { "/api/rooms": roomRoutes }, { realtime });
+  return { db, realtime, request };
+}
+
+test("export.json downloads the room as a board file", async (t) => {
+  const { request } = await setup(t, {
+    Room: [
+      {
+        roomId: "R1",
+        title: "Board",
+        shapes: [rect("r1"), stroke("p1")],
+        bookmarks: [{ name: "start", x: 1, y: 2, scale: 1 }],
+      },
+    ],
+  });
+  const res = await request("GET", "/api/rooms/R1/export.json", { token: tokenFor("R1", "viewer") });
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get("content-disposition"), /filename="R1\.wbjson"/);
+  assert.deepEqual([res.body.shapes.length, res.body.strokes.length, res.body.bookmarks[0].name], [1, 1, "start"]);
+});
+
+test("importing merges next to the board, replaces it (owner) or makes a new room", async (t) => {
+  const { db, request, realtime } = await setup(t, {
+    Room: [{ roomId: "R1", shapes: [rect("r1")], bookmarks: [{ name: "start", x: 0, y: 0, scale: 1 }] }],
+  });
+  const file = toBoardFile({
+    roomId: "X",
+    shapes: [rect("r1"), stroke("p1")],
+    bookmarks: [{ name: "start", x: 9, y: 9, scale: 2 }, { name: "end", x: 5, y: 5, scale: 1 }],
+  });
+  const imp = (mode, role = "editor") =>
+    request("POST", `/api/rooms/R1/import?mode=${mode}`, { token: tokenFor("R1", role), body: file });
+
+  const merged = await imp("merge");
+  assert.equal(merged.body.imported, 2);
+  const room = db.Room[0];
+  assert.equal(room.shapes.length, 3);
+  assert.equal(new Set(room.shapes.map((s) => s._id)).size, 3, "clashing ids get new ones");
+  assert.deepEqual(room.bookmarks.map((b) => [b.name, b.x]), [["start", 0], ["end", 5]]);
+  assert.deepEqual(realtime.sent.map((m) => m.event), ["shapes:added"]);
+
+  assert.equal((await imp("replace")).status, 403);
+  assert.equal((await imp("replace", "owner")).status, 200);
+  assert.deepEqual(room.shapes.map((s) => s._id), ["r1", "p1"]);
+  assert.equal(room.bookmarks[0].x, 9);
+
+  const created = await imp("new");
+  assert.equal(created.status, 201);
+  assert.equal(db.Room.find((r) => r.roomId === created.body.roomId).shapes.length, 2);
+  assert.deepEqual((await imp("sideways")).body.error, "invalid_import");
+  await settle();
+});
+
+test("bookmarks are saved, moved in place and deleted by editors", async (t) => {
+  const { db, request, realtime } = await setup(t, { Room: [{ roomId: "R1", bookmarks: [] }] });
+  const editor = tokenFor("R1", "editor");
+  const put = (name, body, token = editor) =>
+    request("PUT", `/api/rooms/R1/bookmarks/${encodeURIComponent(name)}`, { token, body });
+
+  assert.equal((await put("a", { x: 1, y: 2 }, tokenFor("R1", "viewer"))).status, 403);
+  assert.deepEqual((await put("a", { x: 1, y: 2 })).body, [{ name: "a", x: 1, y: 2, scale: 1 }]);
+  await put("b / c", { x: 3, y: 4, scale: 2 });
+  const moved = await put("a", { x: 10, y: 20, scale: 0.5 });
+  assert.deepEqual(moved.body.map((b) => [b.name, b.x, b.scale]), [["a", 10, 0.5], ["b / c", 3, 2]]);
+  assert.deepEqual(realtime.sent.map((m) => m.event), ["bookmarks:updated", "bookmarks:updated", "bookmarks:updated"]);
+
+  assert.equal((await put("a", { x: "far", y: 0 })).body.error, "invalid_bookmark");
+  assert.equal((await put("a", { x: 0, y: 0, scale: 100 })).body.error, "invalid_bookmark");
+  assert.equal((await put(" ", { x: 0, y: 0 })).body.error, "invalid_bookmark");
+
+  const list = await request("GET", "/api/rooms/R1/bookmarks", { token: tokenFor("R1", "viewer") });
+  assert.deepEqual(list.body.map((b) => b.name), ["a", "b / c"]);
+
+  assert.equal((await request("DELETE", "/api/rooms/R1/bookmarks/a", { token: editor })).status, 204);
+  assert.equal((await request("DELETE", "/api/rooms/R1/bookmarks/a", { token: editor })).status, 404);
+  assert.deepEqual(db.Room[0].bookmarks.map((b) => b.name), ["b / c"]);
+  assert.equal((await put("x", { x: 0, y: 0 }, tokenFor("NOPE", "editor"))).status, 401);
+});
+
+test("a room holds at most MAX_BOOKMARKS bookmarks", async (t) => {
+  const full = Array.from({ length: MAX_BOOKMARKS }, (_, i) => ({ name: `v${i}`, x: i, y: 0, scale: 1 }));
+  const { request } = await setup(t, { Room: [{ roomId: "R1", bookmarks: full }] });
+  const put = (name) =>
+    request("PUT", `/api/rooms/R1/bookmarks/${name}`, { token: tokenFor("R1"), body: { x: 0, y: 0 } });
+  assert.deepEqual((await put("one-more")).body, { error: "too_many_bookmarks" });
+  assert.equal((await put("v7")).status, 200, "moving one still works");
+});
@@ -0,0 +1,76 @@
+// server/test/directory.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import roomRoutes from "../routes/roomRoutes.js";
+import { useDb } from "./helpers/db.js";
+import { serve, fakeRealtime } from "./helpers/http.js";
+
+const daysAgo = (d) => new Date(Date.now() - d * 86_400_000);
+const room = (roomId, extra = {}) => ({
+  roomId,
+  title: "",
+  shapes: [],
+  settings: { listed: true },
+  lastActivity: daysAgo(1),
+  ...extra,
+});
+
+async function setup(t, rooms, users) {
+  useDb(t, { Room: rooms });
+  const { request } = await serve(t, { "/api/rooms": roomRoutes }, { realtime: fakeRealtime(users) });
+  return (query = "") => request("GET", `/api/rooms${query}`).then((r) => r.body);
+}
+
+test("only listed rooms show up, most recently active first", async (t) => {
+  const list = await setup(
+    t,
+    [
+      room("OLD", { lastActivity: daysAgo(9) }),
+      room("NEW", { lastActivity: daysAgo(0), title: "Planning", shapes: [{ _id: "a" }, { _id: "b" }] }),
+      room("HIDDEN", { settings: { listed: false } }),
+      room("LOCKED", { passwordHash: "scrypt$..." }),
+    ],
+    { NEW: 3 }
+  );
+
+  const body = await list();
+  assert.deepEqual(body.rooms.map((r) => r.roomId), ["NEW", "LOCKED", "OLD"]);
+  assert.equal(body.total, 3);
+  const { createdAt: _c, lastActivity: _l, ...first } = body.rooms[0];
+  assert.deepEqual(first, { roomId: "NEW", title: "Planning", shapeCount: 2, protected: false, users: 3 });
+  assert.equal(body.rooms[1].protected, true);
+  assert.equal("passwordHash" in body.rooms[1], false, "hashes never leave the server");
+
+  assert.deepEqual((await list("?sort=lastActivity")).rooms.map((r) => r.roomId), ["OLD", "LOCKED", "NEW"]);
+});
+
+test("q searches ids and titles, literally and case-insensitively", async (t) => {
+  const list = await setup(t, [
+    room("team-a", { title: "Sprint (Q3)" }),
+    room("B", { title: "team retro" }),
+    room("C", { title: "other" }),
+  ]);
+  assert.deepEqual((await list("?q=TEAM")).rooms.map((r) => r.roomId).sort(), ["B", "team-a"]);
+  assert.deepEqual((await list("?q=(q3)")).rooms.map((r) => r.roomId), ["team-a"]);
+  assert.deepEqual((await list("?q=.*")).rooms, []);
+});
+
+test("ids looks up known rooms, listed or not", async (t) => {
+  const list = await setup(t, [room("A", { settings: { listed: false } }), room("B"), room("C")]);
+  const body = await list("?ids=A,C,bad%20id,MISSING");
+  assert.deepEqual(body.rooms.map((r) => r.roomId).sort(), ["A", "C"]);
+  assert.equal(body.total, 2);
+});
+
+test("pages are clamped", async (t) => {
+  const rooms = Array.from({ length: 5 }, (_, i) => room(`R${i}`, { lastActivity: daysAgo(i) }));
+  const list = await setup(t, rooms);
+
+  const second = await list("?page=2&limit=2");
+  assert.deepEqual(second.rooms.map((r) => r.roomId), ["R2", "R3"]);
+  assert.deepEqual([second.page, second.limit, second.total], [2, 2, 5]);
+
+  const odd = await list("?page=-3&limit=1000");
+  assert.deepEqual([odd.page, odd.limit, odd.rooms.length], [1, 100, 5]);
+  assert.equal((await list("?limit=abc")).limit, 20);
+});
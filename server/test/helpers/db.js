@@ -0,0 +1,25 @@
+// server/test/helpers/db.js
+import Room from "../../models/Room.js";
+import RoomHistory from "../../models/RoomHistory.js";
+import HistoryEntry from "../../models/HistoryEntry.js";
+import AuditEntry from "../../models/AuditEntry.js";
+import Snapshot from "../../models/Snapshot.js";
+import Webhook from "../../models/Webhook.js";
+import WebhookDelivery from "../../models/WebhookDelivery.js";
+import { useMemoryModel } from "./memoryModel.js";
+
+const MODELS = { Room, RoomHistory, HistoryEntry, AuditEntry, Snapshot, Webhook, WebhookDelivery };
+
+/**
+ * Every model in memory for test `t` (see ./memoryModel.js), so a write path
+ * with side effects (op log, history, audit, webhooks) runs without MongoDB.
+ * seed = { Room: [docs], ... } -> { Room: docs, RoomHistory: docs, ... }
+ */
+export function useDb(t, seed = {}) {
+  return Object.fromEntries(
+    Object.entries(MODELS).map(([name, Model]) => [name, useMemoryModel(t, Model, seed[name] || [])])
+  );
+}
+
+// let background writes (history, audit: fire and forget) land
+export const settle = () => new Promise((r) => setImmediate(r));
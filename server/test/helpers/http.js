@@ -0,0 +1,64 @@
+// server/test/helpers/http.js
+import express from "express";
+import os from "os";
+import path from "path";
+import { signRoomToken } from "../../lib/roomAuth.js";
+
+// routes that look for archive files (lib/archive.js) find an empty directory
+process.env.ARCHIVE_DIR ||= path.join(os.tmpdir(), `wb-test-archive-${process.pid}`);
+process.env.ROOM_TOKEN_SECRET ||= "test-secret";
+
+// "Authorization: Bearer" room token for `role` (see lib/roomAuth.js)
+export const tokenFor = (roomId, role = "owner", userId = `user-${role}`) =>
+  signRoomToken({ roomId, role, userId });
+
+// realtime adapter stand-in for routes that broadcast: records what they send
+export function fakeRealtime(users = {}) {
+  const sent = [];
+  return {
+    sent,
+    to: (roomId) => ({ emit: (event, ...args) => sent.push({ roomId, event, args }) }),
+    userCount: (roomId) => users[roomId] || 0,
+  };
+}
+
+/**
+ * Mount routers on a fresh express app listening on an ephemeral port for
+ * test `t` (closed afterwards), the way server.js mounts them.
+ * mounts = { "/api/rooms": roomRoutes, ... }
+ * -> { url, request(method, path, { body, token, headers }) -> { status, headers, body } }
+ */
+export async function serve(t, mounts, { realtime } = {}) {
+  const app = express();
+  app.use(express.json());
+  if (realtime) app.set("realtime", realtime);
+  for (const [at, router] of Object.entries(mounts)) app.use(at, router);
+
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, "127.0.0.1", () => resolve(s));
+  });
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  async function request(method, at, { body, token, headers = {} } = {}) {
+    const res = await fetch(url + at, {
+      method,
+      headers: {
+        ...(body !== undefined ? { "content-type": "application/json" } : {}),
+        ...(token ? { authorization: `Bearer ${token}` } : {}),
+        ...headers,
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    });
+    const text = await res.text();
+    let parsed = text;
+    try {
+      parsed = JSON.parse(text);
+    } catch {
+      // not JSON (svg, plain text)
+    }
+    return { status: res.status, headers: res.headers, body: parsed };
+  }
+
+  return { url, request };
+}
@@ -0,0 +1,428 @@
+// server/test/helpers/memoryModel.js
+
+/**
+ * In-memory stand-in for a mongoose model, for tests without a MongoDB:
+ * `useMemoryModel(t, Model, docs)` mocks the statics the server calls
+ * (findOne, find, updateOne, create, ...) for the duration of test `t` and
+ * returns the backing array. Covers the query / update subset this codebase
+ * uses: dotted paths into arrays, $in/$nin/$ne/$gt.., $not, $or, $elemMatch,
+ * $exists; $set/$unset/$inc/$max/$push($each, $slice)/$pull/$setOnInsert/
+ * $currentDate with upsert and arrayFilters ("shapes.$[f0].x"); aggregate()
+ * with $match/$sort/$skip/$limit/$project/$addFields.
+ * New documents get the schema's defaults (and an _id) via `new Model()`.
+ */
+
+const isObj = (v) => v !== null && typeof v === "object" && !Array.isArray(v) && !(v instanceof Date) && !v._bsontype;
+const isOps = (v) => isObj(v) && Object.keys(v).length > 0 && Object.keys(v).every((k) => k.startsWith("$"));
+// deep copy; ObjectIds are immutable and kept as they are
+function clone(v) {
+  if (Array.isArray(v)) return v.map(clone);
+  if (v instanceof Date) return new Date(v);
+  if (isObj(v)) return Object.fromEntries(Object.entries(v).map(([k, x]) => [k, clone(x)]));
+  return v;
+}
+
+function scalar(v) {
+  if (v instanceof Date) return v.getTime();
+  if (v?._bsontype === "ObjectId") return v.toString();
+  return v;
+}
+
+function equals(a, b) {
+  if (a == null || b == null) return a == null && b == null;
+  a = scalar(a);
+  b = scalar(b);
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((x, i) => equals(x, b[i]));
+  }
+  if (isObj(a) && isObj(b)) {
+    const ka = Object.keys(a).filter((k) => a[k] !== undefined);
+    const kb = Object.keys(b).filter((k) => b[k] !== undefined);
+    return ka.length === kb.length && ka.every((k) => equals(a[k], b[k]));
+  }
+  return a === b;
+}
+
+function compare(a, b) {
+  a = scalar(a);
+  b = scalar(b);
+  if (a == null || b == null || typeof a !== typeof b) return null;
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// values of different types (or missing) never satisfy a range operator
+const cmp = (cands, arg, ok) =>
+  cands.some((c) => {
+    const d = compare(c, arg);
+    return d !== null && ok(d);
+  });
+
+// candidate values at a dotted path, descending into arrays like MongoDB does
+function valuesAt(doc, path) {
+  let cur = [doc];
+  for (const key of path.split(".")) {
+    const next = [];
+    for (const v of cur) {
+      if (Array.isArray(v)) {
+        if (/^\d+$/.test(key)) next.push(v[Number(key)]);
+        else v.forEach((el) => isObj(el) && next.push(el[key]));
+      } else if (isObj(v)) {
+        next.push(v[key]);
+      }
+    }
+    cur = next;
+  }
+  const out = [];
+  for (const v of cur) {
+    out.push(v);
+    if (Array.isArray(v)) out.push(...v);
+  }
+  return out.length ? out : [undefined];
+}
+
+function testCond(cands, cond) {
+  if (!isOps(cond)) {
+    if (cond instanceof RegExp) return cands.some((c) => typeof c === "string" && cond.test(c));
+    return cands.some((c) => equals(c, cond));
+  }
+  return Object.entries(cond).every(([op, arg]) => {
+    switch (op) {
+      case "$eq": return testCond(cands, arg);
+      case "$ne": return !testCond(cands, arg);
+      case "$in": return arg.some((a) => testCond(cands, a));
+      case "$nin": return !arg.some((a) => testCond(cands, a));
+      case "$gt": return cmp(cands, arg, (d) => d > 0);
+      case "$gte": return cmp(cands, arg, (d) => d >= 0);
+      case "$lt": return cmp(cands, arg, (d) => d < 0);
+      case "$lte": return cmp(cands, arg, (d) => d <= 0);
+      case "$exists": return cands.some((c) => c !== undefined) === !!arg;
+      case "$not": return !testCond(cands, arg);
+      case "$regex": return cands.some((c) => typeof c === "string" && new RegExp(arg, cond.$options).test(c));
+      case "$options": return true;
+      case "$elemMatch":
+        return cands.some(
+          (c) => Array.isArray(c) && c.some((el) => (isOps(arg) ? testCond([el], arg) : matches(el, arg)))
+        );
+      default: throw new Error(`memoryModel: unsupported query operator ${op}`);
+    }
+  });
+}
+
+export function matches(doc, filter = {}) {
+  return Object.entries(filter).every(([key, cond]) => {
+    if (key === "$or") return cond.some((f) => matches(doc, f));
+    if (key === "$and") return cond.every((f) => matches(doc, f));
+    if (key === "$nor") return !cond.some((f) => matches(doc, f));
+    return testCond(valuesAt(doc, key), cond);
+  });
+}
+
+/* ---- updates ---- */
+
+// every [parent, key] a (possibly "$[f]"-filtered) path points at
+function targets(doc, path, arrayFilters, create = true) {
+  let cur = [doc];
+  const keys = path.split(".");
+  for (let i = 0; i < keys.length - 1; i++) {
+    const key = keys[i];
+    const next = [];
+    for (const v of cur) {
+      const m = /^\$\[(\w+)\]$/.exec(key);
+      if (m) {
+        const f = arrayFilters.find((af) => Object.keys(af).some((k) => k.split(".")[0] === m[1]));
+        const cond = Object.fromEntries(
+          Object.entries(f || {}).map(([k, c]) => [k.split(".").slice(1).join("."), c])
+        );
+        if (Array.isArray(v)) v.forEach((el) => matches(el, cond) && next.push(el));
+        continue;
+      }
+      if (v[key] == null) {
+        if (!create) continue;
+        v[key] = /^\d+$/.test(keys[i + 1]) ? [] : {};
+      }
+      next.push(v[key]);
+    }
+    cur = next;
+  }
+  return cur.map((parent) => [parent, keys.at(-1)]);
+}
+
+function pullMatches(el, cond) {
+  if (isObj(cond) && !isOps(cond)) return isObj(el) && matches(el, cond);
+  return testCond([el], cond);
+}
+
+export function applyUpdate(doc, update, { arrayFilters = [], inserting = false } = {}) {
+  if (!Object.keys(update).some((k) => k.startsWith("$"))) update = { $set: update };
+  for (const [op, fields] of Object.entries(update)) {
+    if (op === "$setOnInsert" && !inserting) continue;
+    for (const [path, arg] of Object.entries(fields)) {
+      for (const [parent, key] of targets(doc, path, arrayFilters, op !== "$unset" && op !== "$pull")) {
+        switch (op) {
+          case "$set":
+          case "$setOnInsert": parent[key] = clone(arg); break;
+          case "$unset": delete parent[key]; break;
+          case "$inc": parent[key] = (parent[key] || 0) + arg; break;
+          case "$max": if (parent[key] == null || compare(arg, parent[key]) > 0) parent[key] = clone(arg); break;
+          case "$min": if (parent[key] == null || compare(arg, parent[key]) < 0) parent[key] = clone(arg); break;
+          case "$currentDate": parent[key] = new Date(); break;
+          case "$push": {
+            const list = (parent[key] ||= []);
+            const each = isObj(arg) && "$each" in arg ? arg.$each : [arg];
+            list.push(...clone(each));
+            if (isObj(arg) && arg.$slice != null) {
+              parent[key] = arg.$slice < 0 ? list.slice(arg.$slice) : list.slice(0, arg.$slice);
+            }
+            break;
+          }
+          case "$pull":
+            if (Array.isArray(parent[key])) parent[key] = parent[key].filter((el) => !pullMatches(el, arg));
+            break;
+          default: throw new Error(`memoryModel: unsupported update operator ${op}`);
+        }
+      }
+    }
+  }
+  return doc;
+}
+
+/* ---- projection / sorting ---- */
+
+function project(doc, projection) {
+  if (!projection || !Object.keys(projection).length) return doc;
+  const entries = Object.entries(projection);
+  // { _id: 1 } alone is an inclusion too
+  const including = entries.some(
+    ([k, v]) => (k !== "_id" || entries.length === 1) && (v === 1 || v === true || isObj(v))
+  );
+  if (!including) {
+    const out = { ...doc };
+    for (const [k] of entries) {
+      const [head, ...rest] = k.split(".");
+      if (!rest.length) delete out[head];
+      else if (isObj(out[head])) out[head] = project(out[head], { [rest.join(".")]: 0 });
+    }
+    return out;
+  }
+
+  const out = projection._id === 0 || doc._id === undefined ? {} : { _id: doc._id };
+  for (const [k, v] of entries) {
+    if (k === "_id" || v === 0 || v === false) continue;
+    if (isObj(v) && v.$elemMatch) {
+      const el = (doc[k] || []).find((x) => matches(x, v.$elemMatch));
+      if (el) out[k] = [el];
+      continue;
+    }
+    const [head, ...rest] = k.split(".");
+    if (doc[head] === undefined) continue;
+    if (!rest.length || !isObj(doc[head])) out[head] = doc[head];
+    else out[head] = { ...(out[head] || {}), ...project(doc[head], { [rest.join(".")]: 1, _id: 0 }) };
+  }
+  return out;
+}
+
+function sorter(spec) {
+  const keys = Object.entries(spec || {});
+  return (a, b) => {
+    for (const [k, dir] of keys) {
+      const c = compare(valuesAt(a, k)[0], valuesAt(b, k)[0]) ?? 0;
+      if (c) return c * dir;
+    }
+    return 0;
+  };
+}
+
+/* ---- aggregation ---- */
+
+// the expressions the routes use: "$field", { $size }, { $gt: [a, b] }
+function evalExpr(doc, e) {
+  if (typeof e === "string" && e.startsWith("$")) return valuesAt(doc, e.slice(1))[0];
+  if (isObj(e) && "$size" in e) {
+    const list = evalExpr(doc, e.$size);
+    if (!Array.isArray(list)) throw new Error("memoryModel: the argument to $size must be an array");
+    return list.length;
+  }
+  if (isObj(e) && "$gt" in e) {
+    // BSON order: missing / null sort below everything else
+    const [a, b] = e.$gt.map((x) => evalExpr(doc, x));
+    return a != null && (b == null || compare(a, b) > 0);
+  }
+  if (isOps(e)) throw new Error(`memoryModel: unsupported expression ${Object.keys(e)[0]}`);
+  return e;
+}
+
+const isComputed = (v) => isObj(v) || (typeof v === "string" && v.startsWith("$"));
+
+function projectStage(doc, spec) {
+  const entries = Object.entries(spec);
+  const computed = entries.filter(([, v]) => isComputed(v));
+  const plain = Object.fromEntries(entries.filter(([, v]) => !isComputed(v)));
+  const excluding = Object.entries(plain).some(([k, v]) => k !== "_id" && (v === 0 || v === false));
+  if (excluding && computed.length) {
+    // what MongoDB says too
+    throw new Error("memoryModel: Cannot use expression other than $meta in exclusion projection");
+  }
+  const out = computed.length && !Object.keys(plain).some((k) => k !== "_id")
+    ? project(doc, { ...plain, [computed[0][0]]: 1 })
+    : project(doc, plain);
+  for (const [k, v] of computed) out[k] = evalExpr(doc, v);
+  return out;
+}
+
+function aggregate(docs, pipeline) {
+  let list = docs.map(clone);
+  for (const stage of pipeline) {
+    const [[op, arg]] = Object.entries(stage);
+    switch (op) {
+      case "$match": list = list.filter((d) => matches(d, arg)); break;
+      case "$sort": list = [...list].sort(sorter(arg)); break;
+      case "$skip": list = list.slice(arg); break;
+      case "$limit": list = list.slice(0, arg); break;
+      case "$project": list = list.map((d) => projectStage(d, arg)); break;
+      case "$addFields":
+      case "$set":
+        list = list.map((d) => ({ ...d, ...Object.fromEntries(Object.entries(arg).map(([k, v]) => [k, evalExpr(d, v)])) }));
+        break;
+      default: throw new Error(`memoryModel: unsupported pipeline stage ${op}`);
+    }
+  }
+  return list;
+}
+
+/* ---- the model ---- */
+
+// chainable, awaitable query over a result computed when awaited
+function query(run) {
+  const state = { sort: null, skip: 0, limit: 0, projection: undefined };
+  const q = {
+    sort(spec) { state.sort = spec; return q; },
+    skip(n) { state.skip = n; return q; },
+    limit(n) { state.limit = n; return q; },
+    select(p) { state.projection = p; return q; },
+    lean() { return q; },
+    exec() { return Promise.resolve().then(() => run(state)); },
+    then(ok, fail) { return q.exec().then(ok, fail); },
+    catch(fail) { return q.exec().catch(fail); },
+  };
+  return q;
+}
+
+export function useMemoryModel(t, Model, initial = []) {
+  const docs = initial.map((d) => withDefaults(Model, d));
+  const mock = (name, impl) => t.mock.method(Model, name, impl);
+
+  const found = (filter, state) => {
+    let list = docs.filter((d) => matches(d, filter));
+    if (state.sort) list = [...list].sort(sorter(state.sort));
+    if (state.skip) list = list.slice(state.skip);
+    if (state.limit) list = list.slice(0, state.limit);
+    return list;
+  };
+
+  mock("find", (filter = {}, projection) =>
+    query((s) => found(filter, s).map((d) => clone(project(d, s.projection ?? projection))))
+  );
+  mock("findOne", (filter = {}, projection) =>
+    query((s) => {
+      const d = found(filter, { ...s, limit: 1 })[0];
+      return d ? clone(project(d, s.projection ?? projection)) : null;
+    })
+  );
+  mock("findById", (id) => query(() => clone(docs.find((d) => equals(d._id, id)) || null)));
+  mock("exists", (filter = {}) =>
+    query(() => {
+      const d = docs.find((x) => matches(x, filter));
+      return d ? { _id: d._id } : null;
+    })
+  );
+  mock("aggregate", (pipeline = []) => query(() => aggregate(docs, pipeline)));
+  mock("countDocuments", (filter = {}) => query(() => docs.filter((d) => matches(d, filter)).length));
+  mock("distinct", (path, filter = {}) =>
+    query(() => {
+      const out = [];
+      for (const d of docs.filter((x) => matches(x, filter))) {
+        for (const v of valuesAt(d, path)) {
+          if (v !== undefined && !Array.isArray(v) && !out.some((o) => equals(o, v))) out.push(v);
+        }
+      }
+      return out;
+    })
+  );
+
+  const insert = (d) => {
+    const doc = withDefaults(Model, d);
+    const key = uniqueKey(Model);
+    if (key && docs.some((x) => equals(x[key], doc[key]))) {
+      throw Object.assign(new Error(`E11000 duplicate key ${key}`), { code: 11000 });
+    }
+    docs.push(doc);
+    return doc;
+  };
+  mock("create", async (input) =>
+    Array.isArray(input) ? input.map((d) => clone(insert(d))) : clone(insert(input))
+  );
+  mock("insertMany", async (list) => list.map((d) => clone(insert(d))));
+
+  const update = (filter, upd, opts = {}, many = false) => {
+    const hit = docs.filter((d) => matches(d, filter));
+    const list = many ? hit : hit.slice(0, 1);
+    for (const d of list) applyUpdate(d, upd, opts);
+    if (!list.length && opts.upsert) {
+      // equality fields of the filter seed the new document ("data.id" included)
+      const seed = Object.fromEntries(Object.entries(filter).filter(([k, v]) => !k.startsWith("$") && !isOps(v)));
+      const base = applyUpdate({}, { $set: seed });
+      insert(applyUpdate(base, upd, { ...opts, inserting: true }));
+      return { matchedCount: 0, modifiedCount: 0, upsertedCount: 1, acknowledged: true };
+    }
+    return { matchedCount: list.length, modifiedCount: list.length, upsertedCount: 0, acknowledged: true };
+  };
+  mock("updateOne", (filter, upd, opts) => query(() => update(filter, upd, opts)));
+  mock("updateMany", (filter, upd, opts) => query(() => update(filter, upd, opts, true)));
+  mock("findOneAndUpdate", (filter, upd, opts = {}) =>
+    query(() => {
+      const d = found(filter, { sort: opts.sort, limit: 1 })[0];
+      if (!d) {
+        if (!opts.upsert) return null;
+        update(filter, upd, opts);
+        return opts.new ? clone(docs.at(-1)) : null;
+      }
+      const before = clone(d);
+      applyUpdate(d, upd, opts);
+      return clone(project(opts.new ? d : before, opts.projection));
+    })
+  );
+  const remove = (filter, many) =>
+    query(() => {
+      let n = 0;
+      for (let i = docs.length - 1; i >= 0; i--) {
+        if (matches(docs[i], filter) && (many || n === 0)) {
+          docs.splice(i, 1);
+          n++;
+        }
+      }
+      return { deletedCount: n, acknowledged: true };
+    });
+  mock("deleteMany", (filter = {}) => remove(filter, true));
+  mock("deleteOne", (filter = {}) => remove(filter, false));
+  mock("findOneAndDelete", (filter = {}) =>
+    query(() => {
+      const i = docs.findIndex((d) => matches(d, filter));
+      return i === -1 ? null : clone(docs.splice(i, 1)[0]);
+    })
+  );
+
+  return docs;
+}
+
+function withDefaults(Model, d) {
+  const doc = new Model(d).toObject({ depopulate: true });
+  // keep fields the schema doesn't declare (mixed data, test fixtures)
+  return { ...clone(d), ...doc };
+}
+
+function uniqueKey(Model) {
+  for (const [path, type] of Object.entries(Model.schema.paths)) {
+    if (path !== "_id" && type.options?.unique) return path;
+  }
+  return null;
+}
@@ -0,0 +1,7 @@
+// server/test/helpers/setup.js (preloaded by `npm test`, see package.json)
+
+// Node 20's test runner reads each test file's reporter messages from its
+// stdout and can mis-split them when the server's console.log lines are
+// mixed in ("Unable to deserialize cloned data"): keep logs on stderr
+console.log = console.error;
+console.info = console.error;
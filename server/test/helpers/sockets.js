@@ -0,0 +1,61 @@
+// server/test/helpers/sockets.js
+import { createServer } from "http";
+import { Server } from "socket.io";
+import { io as connectClient } from "socket.io-client";
+import { setupSocket } from "../../socket/socket.js";
+import { createMemoryAdapter } from "../../socket/adapters/index.js";
+import { signRoomToken } from "../../lib/roomAuth.js";
+
+process.env.ROOM_TOKEN_SECRET ||= "test-secret";
+
+/**
+ * A Socket.IO server running setupSocket on an ephemeral port for test `t`
+ * (stopped afterwards). Use with ./db.js for the models.
+ * -> { io, realtime, connect(), join(roomId, role) }
+ *   connect()           -> a connected client socket
+ *   join(roomId, role)  -> a client that joined the room with a token for `role`
+ */
+export async function startSockets(t, { realtime = createMemoryAdapter(), rateLimits = {} } = {}) {
+  const httpServer = createServer();
+  const io = new Server(httpServer);
+  setupSocket(io, realtime, { rateLimits });
+  await new Promise((resolve) => httpServer.listen(0, "127.0.0.1", resolve));
+  const url = `http://127.0.0.1:${httpServer.address().port}`;
+  t.after(() => new Promise((resolve) => io.close(() => resolve())));
+
+  async function connect() {
+    const client = connectClient(url, { transports: ["websocket"], forceNew: true, reconnection: false });
+    t.after(() => client.close());
+    await new Promise((resolve, reject) => {
+      client.once("connect", resolve);
+      client.once("connect_error", reject);
+    });
+    return client;
+  }
+
+  async function join(roomId, role = "editor", userId = `user-${role}`) {
+    const client = await connect();
+    const token = signRoomToken({ roomId, role, userId });
+    const [ok, why] = await call(client, "join-room", { roomId, token });
+    if (!ok) throw new Error(`join-room failed: ${why}`);
+    return client;
+  }
+
+  return { io, realtime, connect, join };
+}
+
+// emit with an ack -> the ack's arguments
+export const call = (client, event, ...args) =>
+  new Promise((resolve, reject) => {
+    client.timeout(2000).emit(event, ...args, (err, ...res) => (err ? reject(err) : resolve(res)));
+  });
+
+// next `event` the client receives -> its arguments
+export const next = (client, event, ms = 2000) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`no ${event} within ${ms}ms`)), ms);
+    client.once(event, (...args) => {
+      clearTimeout(timer);
+      resolve(args);
+    });
+  });
@@ -0,0 +1,144 @@
+// server/test/historyStack.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  HISTORY_LIMIT,
+  inTurn,
+  userKeyOf,
+  recordStep,
+  popSteps,
+  historyState,
+} from "../socket/historyStack.js";
+import { addShape, updateShape, deleteShape } from "../socket/shapeStore.js";
+import { undoLast, redoLast } from "../socket/history.js";
+import { useDb, settle } from "./helpers/db.js";
+
+const rect = (id, x = 0) => ({ _id: id, type: "rect", x, y: 0, w: 10, h: 10 });
+const ann = { userId: "u1", name: "Ann" };
+const shapeOf = (db, id) => db.Room[0].shapes.find((s) => s._id === id);
+const stack = (db, name) => db.HistoryEntry.filter((e) => e.stack === name).map((e) => e.entry);
+
+test("a batch's updates fold into one step per shape", async (t) => {
+  const db = useDb(t, { Room: [{ roomId: "R1", shapes: [rect("a"), rect("b")] }] });
+  const drag = { actor: ann, batch: "g1" };
+  for (let x = 1; x <= 5; x++) await updateShape("R1", "a", { x }, undefined, drag);
+  await updateShape("R1", "b", { x: 7 }, undefined, drag);
+  await updateShape("R1", "a", { y: 3 }, undefined, drag);
+
+  const steps = stack(db, "undo");
+  assert.equal(steps.length, 2);
+  const a = steps.find((s) => s.shapeId === "a");
+  assert.deepEqual([a.before, a.after], [{ x: 0, y: 0 }, { x: 5, y: 3 }]);
+  assert.deepEqual(Object.keys(a.stamps).sort(), ["x", "y"]);
+
+  // the next gesture is a step of its own
+  await updateShape("R1", "a", { x: 9 }, undefined, { actor: ann, batch: "g2" });
+  assert.equal(stack(db, "undo").length, 3);
+  await settle();
+});
+
+test("a new change drops the redo stack; popping takes the whole top batch", async (t) => {
+  const db = useDb(t, { Room: [{ roomId: "R1" }] });
+  await addShape("R1", rect("a"), { actor: ann });
+  await addShape("R1", rect("b"), { actor: ann, batch: "e1" });
+  await addShape("R1", rect("c"), { actor: ann, batch: "e1" });
+
+  const steps = await popSteps("R1", "u1", "undo");
+  assert.deepEqual(steps.map((s) => s.shapes[0]._id), ["c", "b"], "newest first");
+  assert.deepEqual((await popSteps("R1", "u1", "undo")).map((s) => s.shapes[0]._id), ["a"]);
+  assert.deepEqual(await popSteps("R1", "u1", "undo"), []);
+
+  await recordStep("R1", "u1", { op: "add", shapes: [rect("x")] });
+  db.HistoryEntry.push({ roomId: "R1", userKey: "u1", stack: "redo", entry: { op: "add", shapes: [] } });
+  assert.deepEqual(await historyState("R1", "u1"), { canUndo: true, canRedo: true });
+  await deleteShape("R1", "a", undefined, { actor: ann });
+  assert.deepEqual(await historyState("R1", "u1"), { canUndo: true, canRedo: false });
+  assert.deepEqual(await historyState("R1", null), { canUndo: false, canRedo: false });
+  await settle();
+});
+
+test(`the undo stack keeps the last ${HISTORY_LIMIT} steps`, async (t) => {
+  const db = useDb(t);
+  for (let i = 0; i <= HISTORY_LIMIT; i++) {
+    await recordStep("R1", "u1", { op: "add", shapes: [rect(`s${i}`)] });
+  }
+  const left = stack(db, "undo");
+  assert.equal(left.length, HISTORY_LIMIT);
+  assert.equal(left[0].shapes[0]._id, "s1", "oldest dropped");
+});
+
+test("undo takes a drag back as a whole, redo replays it", async (t) => {
+  const db = useDb(t, { Room: [{ roomId: "R1", shapes: [rect("a"), rect("b")] }] });
+  const drag = { actor: ann, batch: "g1" };
+  for (let x = 1; x <= 3; x++) {
+    await updateShape("R1", "a", { x }, undefined, drag);
+    await updateShape("R1", "b", { x: x * 2 }, undefined, drag);
+  }
+
+  const undone = await undoLast("R1", "u1", ann);
+  assert.equal(undone.applied, true);
+  assert.deepEqual([shapeOf(db, "a").x, shapeOf(db, "b").x], [0, 0]);
+  assert.deepEqual(undone.broadcasts.map(([event]) => event), ["shape:updated", "shape:updated"]);
+  assert.deepEqual(await historyState("R1", "u1"), { canUndo: false, canRedo: true });
+
+  assert.equal((await redoLast("R1", "u1", ann)).applied, true);
+  assert.deepEqual([shapeOf(db, "a").x, shapeOf(db, "b").x], [3, 6]);
+  assert.equal((await redoLast("R1", "u1", ann)).applied, false);
+  await settle();
+});
+
+test("a partial erase comes back in one undo: the stroke instead of its pieces", async (t) => {
+  const ink = (id, from, to) => ({ _id: id, type: "path", points: [{ x: from, y: 0 }, { x: to, y: 0 }] });
+  const db = useDb(t, { Room: [{ roomId: "R1" }] });
+  await addShape("R1", ink("s", 0, 100), { actor: ann });
+  const erase = { actor: ann, batch: "e1" };
+  await deleteShape("R1", "s", undefined, erase);
+  await addShape("R1", ink("s-1", 0, 44), erase);
+  await addShape("R1", ink("s-2", 56, 100), erase);
+
+  const undone = await undoLast("R1", "u1", ann);
+  assert.equal(undone.applied, true);
+  assert.deepEqual(db.Room[0].shapes.map((s) => s._id), ["s"]);
+  assert.equal(stack(db, "undo").length, 1, "the stroke's own add is still there");
+  assert.equal((await redoLast("R1", "u1", ann)).applied, true);
+  assert.deepEqual(db.Room[0].shapes.map((s) => s._id).sort(), ["s-1", "s-2"]);
+  await settle();
+});
+
+test("undo leaves a field someone else wrote since", async (t) => {
+  const db = useDb(t, { Room: [{ roomId: "R1", shapes: [rect("a")] }] });
+  await updateShape("R1", "a", { x: 5, color: "red" }, undefined, { actor: ann });
+  await updateShape("R1", "a", { x: 8 }, undefined, { actor: { userId: "u2" } });
+
+  assert.equal((await undoLast("R1", "u1", ann)).applied, true);
+  assert.deepEqual([shapeOf(db, "a").x, shapeOf(db, "a").color], [8, "#111"]);
+  await settle();
+});
+
+test("inTurn runs one user's work in order, other users in parallel", async () => {
+  const log = [];
+  const later = (ms, v) => () => new Promise((r) => setTimeout(() => (log.push(v), r(v)), ms));
+
+  const a1 = inTurn("R1", "alice", later(30, "a1"));
+  const a2 = inTurn("R1", "alice", later(1, "a2"));
+  const b1 = inTurn("R1", "bob", later(1, "b1"));
+  const other = inTurn("R2", "alice", later(1, "R2"));
+  assert.deepEqual(await Promise.all([a1, a2, b1, other]), ["a1", "a2", "b1", "R2"]);
+  assert.ok(log.indexOf("a1") < log.indexOf("a2"));
+  assert.ok(log.indexOf("b1") < log.indexOf("a1"));
+});
+
+test("a failed turn is reported to its caller and doesn't stop the queue", async () => {
+  const failed = inTurn("R1", "carol", async () => {
+    throw new Error("boom");
+  });
+  const next = inTurn("R1", "carol", async () => "ok");
+  await assert.rejects(failed, /boom/);
+  assert.equal(await next, "ok");
+});
+
+test("history belongs to the user id, else the socket", () => {
+  assert.equal(userKeyOf({ userId: "u1", socketId: "s1" }), "u1");
+  assert.equal(userKeyOf({ socketId: "s1" }), "s1");
+  assert.equal(userKeyOf(null), null);
+});
@@ -0,0 +1,196 @@
+// server/test/lww.test.js (shared/lww.js + the Mongo writes built from it)
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  createClock, winningFields, mergePatch, survivesDelete, STAMP, MAX_DRIFT_MS,
+} from "../../shared/lww.js";
+import { lwwUpdate, lwwFilter } from "../socket/lww.js";
+import { validate } from "../lib/validate.js";
+import { EVENT_SCHEMAS, SHAPE } from "../socket/schemas.js";
+import { addShape, updateShape, deleteShape } from "../socket/shapeStore.js";
+import { useDb } from "./helpers/db.js";
+
+const stampAt = (ms, counter = 0, node = "client1") =>
+  `${String(ms).padStart(13, "0")}:${String(counter).padStart(6, "0")}:${node}`;
+const soon = (dms, counter = 0, node = "client1") => stampAt(Date.now() + dms, counter, node);
+
+/* ---- clock ---- */
+
+test("ticks are well-formed and strictly increasing, also within one millisecond", () => {
+  const clock = createClock("server");
+  const stamps = Array.from({ length: 500 }, () => clock.tick());
+  for (const s of stamps) assert.match(s, STAMP);
+  for (let i = 1; i < stamps.length; i++) assert.ok(stamps[i] > stamps[i - 1], `${stamps[i]} > ${stamps[i - 1]}`);
+});
+
+test("stamps order by time, then counter, then node (as plain strings)", () => {
+  assert.ok(stampAt(1000, 5) < stampAt(1001, 0));
+  assert.ok(stampAt(1000, 5) < stampAt(1000, 6));
+  assert.ok(stampAt(1000, 5, "a") < stampAt(1000, 5, "b"));
+  assert.ok(stampAt(999) < stampAt(1000)); // fixed width: no "999" > "1000"
+});
+
+test("observe moves the clock past a stamp from another node", () => {
+  const clock = createClock("server");
+  const ahead = soon(2000, 7);
+  clock.observe(ahead);
+  assert.ok(clock.tick() > ahead);
+});
+
+test("the counter rolls over into the next millisecond instead of overflowing", () => {
+  const clock = createClock("server");
+  const ms = Date.now() + 1000;
+  clock.observe(stampAt(ms, 999999));
+  const next = clock.tick();
+  assert.match(next, STAMP);
+  assert.equal(next, stampAt(ms + 1, 0, "server"));
+});
+
+test("accept keeps a client stamp within the allowed drift and observes it", () => {
+  const clock = createClock("server");
+  const near = soon(MAX_DRIFT_MS / 2, 3);
+  assert.equal(clock.accept(near), near);
+  assert.ok(clock.tick() > near);
+});
+
+test("accept replaces far-future and malformed stamps with a fresh one", () => {
+  const clock = createClock("server");
+  const far = soon(365 * 24 * 3600 * 1000);
+  const replaced = clock.accept(far);
+  assert.ok(replaced < far);
+  assert.match(replaced, /:server$/);
+  assert.ok(clock.tick() < far, "the far stamp didn't drag the clock along");
+
+  for (const bad of ["", "nonsense", "1:2:3", `${soon(0)}:extra`]) {
+    assert.match(clock.accept(bad), /:server$/);
+  }
+});
+
+test("the schemas only let well-formed stamps through", () => {
+  const update = (stamp) => ({ roomId: "ROOM1", id: "s1", patch: { x: 1 }, stamp });
+  assert.equal(validate(EVENT_SCHEMAS["shape:update"], update(soon(0))), null);
+  assert.match(validate(EVENT_SCHEMAS["shape:update"], update("zzz")), /clock stamp/);
+  assert.ok(validate(EVENT_SCHEMAS["shape:delete"], { roomId: "ROOM1", id: "s1", stamp: "1:2:3" }));
+  const rect = { type: "rect", x: 0, y: 0, w: 1, h: 1 };
+  assert.equal(validate(SHAPE, { ...rect, clock: { _add: soon(0) } }), null);
+  assert.ok(validate(SHAPE, { ...rect, clock: { _add: "9999999999999999:0:x" } }));
+});
+
+/* ---- merge rules ---- */
+
+test("winningFields = fields whose stored stamp is older (or missing)", () => {
+  const shape = { clock: { _add: stampAt(1), x: stampAt(10), y: stampAt(30) } };
+  const patch = { x: 1, y: 2, color: "red" };
+  assert.deepEqual(winningFields(shape, patch, stampAt(20)), ["x", "color"]);
+  assert.deepEqual(winningFields(shape, patch, stampAt(30)), ["x", "color"]); // ties lose
+  assert.deepEqual(winningFields(null, patch, stampAt(1)), ["x", "y", "color"]);
+});
+
+test("mergePatch applies only fields with an older stamp", () => {
+  const shape = { _id: "s", x: 1, y: 1, clock: { _add: stampAt(1), x: stampAt(10), y: stampAt(30) } };
+  const next = mergePatch(shape, { x: 5, y: 5 }, stampAt(20));
+  assert.deepEqual([next.x, next.y], [5, 1]);
+  assert.deepEqual([next.clock.x, next.clock.y], [stampAt(20), stampAt(30)]);
+  assert.equal(shape.x, 1, "the input is left alone");
+});
+
+test("mergePatch converges whatever order the patches arrive in", () => {
+  const base = { _id: "s", x: 0, clock: { _add: stampAt(1) } };
+  const p1 = [{ x: 1 }, stampAt(10, 0, "a")];
+  const p2 = [{ x: 2 }, stampAt(10, 0, "b")]; // same time: node id decides
+  const p3 = [{ x: 3 }, stampAt(5)];
+  for (const order of [[p1, p2, p3], [p3, p2, p1], [p2, p3, p1]]) {
+    const out = order.reduce((s, [patch, stamp]) => mergePatch(s, patch, stamp), base);
+    assert.equal(out.x, 2);
+  }
+});
+
+test("mergePatch returns the same object when nothing wins, merges unstamped patches", () => {
+  const shape = { _id: "s", x: 1, clock: { x: stampAt(10) } };
+  assert.equal(mergePatch(shape, { x: 2 }, stampAt(10)), shape);
+  assert.equal(mergePatch(shape, { x: 2 }).x, 2);
+});
+
+test("a delete loses only against an add stamped after it", () => {
+  const shape = { _id: "s", clock: { _add: stampAt(20) } };
+  assert.equal(survivesDelete(shape, stampAt(10)), true);
+  assert.equal(survivesDelete(shape, stampAt(30)), false);
+  assert.equal(survivesDelete(shape, undefined), false);
+  assert.equal(survivesDelete({ _id: "legacy" }, stampAt(1)), false);
+});
+
+/* ---- the Mongo side ---- */
+
+test("lwwUpdate writes each field and its stamp behind a per-field stamp filter", () => {
+  const ts = stampAt(5000);
+  const { $set, arrayFilters } = lwwUpdate("s1", { x: 10, color: "red" }, ts);
+  assert.deepEqual($set, {
+    "shapes.$[f0].x": 10,
+    "shapes.$[f0].clock.x": ts,
+    "shapes.$[f1].color": "red",
+    "shapes.$[f1].clock.color": ts,
+  });
+  assert.deepEqual(arrayFilters, [
+    { "f0._id": "s1", "f0.clock.x": { $not: { $gte: ts } } },
+    { "f1._id": "s1", "f1.clock.color": { $not: { $gte: ts } } },
+  ]);
+});
+
+test("lwwFilter matches only while some patched field is older", () => {
+  const ts = stampAt(5000);
+  assert.deepEqual(lwwFilter("s1", ["x", "y"], ts), {
+    shapes: {
+      $elemMatch: {
+        _id: "s1",
+        $or: [{ "clock.x": { $not: { $gte: ts } } }, { "clock.y": { $not: { $gte: ts } } }],
+      },
+    },
+  });
+});
+
+const board = (db) => db.Room.find((r) => r.roomId === "R1").shapes;
+
+test("concurrent field updates converge on the newest stamp in any arrival order", async (t) => {
+  const db = useDb(t, { Room: [{ roomId: "R1" }] });
+  await addShape("R1", { _id: "a", type: "rect", x: 0, y: 0, w: 10, h: 10 });
+  const newer = soon(200, 0, "bob");
+  const older = soon(100, 0, "alice");
+
+  assert.notEqual((await updateShape("R1", "a", { x: 50, y: 5 }, newer)).seq, null);
+  const late = await updateShape("R1", "a", { x: 10, color: "red" }, older);
+  assert.notEqual(late.seq, null, "color still wins");
+  const [a] = board(db);
+  assert.deepEqual([a.x, a.y, a.color], [50, 5, "red"]);
+  assert.deepEqual([a.clock.x, a.clock.color], [newer, older]);
+
+  // every field loses: no write, no seq used
+  const seq = db.Room[0].seq;
+  assert.equal((await updateShape("R1", "a", { x: 1 }, older)).seq, null);
+  assert.equal(db.Room[0].seq, seq);
+});
+
+test("a delete can't remove a newer re-add, an older add can't undo a delete", async (t) => {
+  const db = useDb(t, { Room: [{ roomId: "R1" }] });
+  const shape = (stamp) => ({ _id: "a", type: "rect", x: 0, y: 0, w: 10, h: 10, clock: { _add: stamp } });
+
+  await addShape("R1", shape(soon(300)));
+  await deleteShape("R1", "a", soon(100));
+  assert.equal(board(db).length, 1, "the add came after the delete");
+
+  const del = await deleteShape("R1", "a", soon(400));
+  assert.equal(board(db).length, 0);
+  const res = await addShape("R1", shape(soon(350)));
+  assert.equal(res.seq, null);
+  assert.equal(res.tombstone.stamp, del.stamp);
+  assert.equal(board(db).length, 0);
+});
+
+test("far-future client stamps are replaced by server stamps", async (t) => {
+  const db = useDb(t, { Room: [{ roomId: "R1" }] });
+  await addShape("R1", { _id: "a", type: "rect", x: 0, y: 0, w: 10, h: 10 });
+  const res = await updateShape("R1", "a", { x: 5 }, soon(10 * 60_000));
+  assert.match(res.stamp, /:server$/);
+  // an ordinary edit right after still wins
+  assert.notEqual((await updateShape("R1", "a", { x: 7 }, soon(1000))).seq, null);
+  assert.equal(board(db)[0].x, 7);
+});
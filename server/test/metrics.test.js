@@ -0,0 +1,100 @@
+// server/test/metrics.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { counter, gauge, histogram, renderMetrics } from "../lib/metrics.js";
+import { useDb } from "./helpers/db.js";
+import { startSockets, call, next } from "./helpers/sockets.js";
+
+// the registry is process-wide: each test reads the lines of its own metrics
+const linesOf = (name) => renderMetrics().split("\n").filter((l) => l.startsWith(name));
+const valueOf = (series) => {
+  const line = renderMetrics().split("\n").find((l) => l.startsWith(`${series} `));
+  return line ? Number(line.slice(series.length + 1)) : 0;
+};
+
+test("counters render one series per label set, labels sorted and escaped", () => {
+  const c = counter("t_requests_total", "Requests");
+  c.inc();
+  c.inc({ b: "2", a: "1" });
+  c.inc({ a: "1", b: "2" }, 4);
+  c.inc({ a: 'say "hi"\\\nbye' });
+
+  assert.deepEqual(linesOf("t_requests_total"), [
+    "t_requests_total 1",
+    't_requests_total{a="1",b="2"} 5',
+    't_requests_total{a="say \\"hi\\"\\\\\\nbye"} 1',
+  ]);
+  assert.match(renderMetrics(), /# HELP t_requests_total Requests\n# TYPE t_requests_total counter\n/);
+  assert.equal(counter("t_requests_total", "again"), c, "registering twice returns the first");
+});
+
+test("gauges are read at scrape time, plain or labelled", () => {
+  let n = 1;
+  gauge("t_plain", "Plain", () => n);
+  gauge("t_labelled", "Labelled", () => [[{ kind: "x" }, 2], [{ kind: "y" }, 3]]);
+  n = 7;
+  assert.deepEqual(linesOf("t_plain"), ["t_plain 7"]);
+  assert.deepEqual(linesOf("t_labelled"), ['t_labelled{kind="x"} 2', 't_labelled{kind="y"} 3']);
+});
+
+test("histogram buckets are cumulative, with sum and count", () => {
+  const h = histogram("t_latency_seconds", "Latency", [0.1, 1]);
+  for (const v of [0.05, 0.5, 0.5, 3]) h.observe({ op: "find" }, v);
+  assert.deepEqual(linesOf("t_latency_seconds"), [
+    't_latency_seconds_bucket{op="find",le="0.1"} 1',
+    't_latency_seconds_bucket{op="find",le="1"} 3',
+    't_latency_seconds_bucket{op="find",le="+Inf"} 4',
+    't_latency_seconds_sum{op="find"} 4.05',
+    't_latency_seconds_count{op="find"} 4',
+  ]);
+});
+
+test("socket events, rejections and broadcasts are counted", async (t) => {
+  useDb(t, { Room: [{ roomId: "R1" }] });
+  const { join } = await startSockets(t, {
+    rateLimits: { "cursor-move": { mode: "reject", socket: { rate: 1, burst: 1 }, room: null } },
+  });
+  const before = {
+    joins: valueOf('wb_socket_events_total{event="join-room"}'),
+    other: valueOf('wb_socket_events_total{event="other"}'),
+    invalid: valueOf('wb_socket_events_rejected_total{event="shape:add",reason="invalid"}'),
+    forbidden: valueOf('wb_socket_events_rejected_total{event="shape:add",reason="forbidden"}'),
+    limited: valueOf('wb_socket_events_rejected_total{event="cursor-move",reason="rate_limited"}'),
+    added: valueOf('wb_broadcasts_total{event="shape:added"}'),
+  };
+
+  const editor = await join("R1", "editor");
+  const viewer = await join("R1", "viewer");
+  await call(editor, "shape:add", { roomId: "R1", shape: { type: "blob" } });
+  await call(viewer, "shape:add", { roomId: "R1", shape: { type: "rect", x: 0, y: 0, w: 1, h: 1 } });
+  const add = (x) => {
+    const added = next(editor, "shape:added");
+    editor.emit("shape:add", { roomId: "R1", shape: { type: "rect", x, y: 0, w: 1, h: 1 } });
+    return added;
+  };
+  await add(0);
+  editor.emit("made-up-event", {});
+  for (let i = 0; i < 3; i++) editor.emit("cursor-move", { roomId: "R1", cursor: { x: i, y: 0 } });
+  await add(1); // packets are handled in order: everything above is counted by now
+
+  assert.equal(valueOf('wb_socket_events_total{event="join-room"}') - before.joins, 2);
+  assert.equal(valueOf('wb_socket_events_total{event="other"}') - before.other, 1, "unknown names share a label");
+  assert.equal(valueOf('wb_socket_events_rejected_total{event="shape:add",reason="invalid"}') - before.invalid, 1);
+  assert.equal(valueOf('wb_socket_events_rejected_total{event="shape:add",reason="forbidden"}') - before.forbidden, 1);
+  assert.equal(
+    valueOf('wb_socket_events_rejected_total{event="cursor-move",reason="rate_limited"}') - before.limited,
+    2
+  );
+  assert.equal(valueOf('wb_broadcasts_total{event="shape:added"}') - before.added, 2);
+});
+
+test("a failing gauge doesn't take the whole scrape down", (t) => {
+  t.mock.method(console, "error", () => {});
+  gauge("t_broken", "Broken", () => {
+    throw new Error("no db");
+  });
+  const text = renderMetrics();
+  assert.equal(text.includes("t_broken"), false);
+  assert.ok(text.includes("t_plain"));
+  assert.ok(text.endsWith("\n"));
+});
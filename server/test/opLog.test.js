@@ -0,0 +1,125 @@
+// server/test/opLog.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import Room from "../models/Room.js";
+import RoomHistory from "../models/RoomHistory.js";
+import { recordOp, recordOpWithBefore, opsSince, OP_LOG_LIMIT } from "../socket/opLog.js";
+import { useMemoryModel } from "./helpers/memoryModel.js";
+
+const rect = (id, x = 0) => ({ _id: id, type: "rect", x, y: 0, w: 10, h: 10 });
+
+function setup(t, rooms = []) {
+  const db = useMemoryModel(t, Room, rooms);
+  const history = useMemoryModel(t, RoomHistory);
+  return { db, history, room: () => db.find((r) => r.roomId === "R1") };
+}
+
+test("ops get consecutive seqs and land in the log and the history", async (t) => {
+  const { room, history } = setup(t);
+  assert.equal(await recordOp("R1", "shape:add", rect("a"), { $push: { shapes: rect("a") } }), 1);
+  assert.equal(await recordOp("R1", "shape:add", rect("b"), { $push: { shapes: rect("b") } }), 2);
+
+  assert.equal(room().seq, 2);
+  assert.deepEqual(room().ops.map((o) => [o.seq, o.type, o.data._id]), [[1, "shape:add", "a"], [2, "shape:add", "b"]]);
+  assert.deepEqual(room().shapes.map((s) => s._id), ["a", "b"]);
+  await new Promise((r) => setImmediate(r)); // history is written in the background
+  assert.deepEqual(history.map((h) => h.seq), [1, 2]);
+});
+
+test("concurrent writers get gapless seqs, logged in seq order", async (t) => {
+  const { room } = setup(t, [{ roomId: "R1" }]);
+  const seqs = await Promise.all(
+    Array.from({ length: 10 }, (_, i) =>
+      recordOp("R1", "shape:add", rect(`s${i}`), { $push: { shapes: rect(`s${i}`) } })
+    )
+  );
+  assert.deepEqual([...seqs].sort((a, b) => a - b), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+  assert.deepEqual(room().ops.map((o) => o.seq), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+  // each op went in with the write it describes
+  room().ops.forEach((o, i) => assert.equal(room().shapes[i]._id, o.data._id));
+});
+
+test("a write whose filter doesn't match uses no seq", async (t) => {
+  const { room } = setup(t, [{ roomId: "R1", seq: 4, shapes: [rect("a")] }]);
+  const seq = await recordOp("R1", "shape:add", rect("a"), { $push: { shapes: rect("a") } }, {
+    filter: { "shapes._id": { $ne: "a" } },
+  });
+  assert.equal(seq, null);
+  assert.equal(room().seq, 4);
+  assert.equal(room().ops.length, 0);
+  assert.equal(await recordOp("R1", "clear", {}, { $set: { shapes: [] } }), 5);
+});
+
+test("recordOpWithBefore returns the shape as the write found it", async (t) => {
+  setup(t, [{ roomId: "R1", shapes: [rect("a", 1), rect("b", 2)] }]);
+  const res = await recordOpWithBefore(
+    "R1",
+    "shape:update",
+    { id: "b", patch: { x: 9 } },
+    { $set: { "shapes.$[s].x": 9 } },
+    { arrayFilters: [{ "s._id": "b" }], shapeId: "b" }
+  );
+  assert.equal(res.seq, 1);
+  assert.equal(res.before._id, "b");
+  assert.equal(res.before.x, 2);
+
+  const all = await recordOpWithBefore("R1", "clear", {}, { $set: { shapes: [] } }, { allShapes: true });
+  assert.deepEqual(all.before.map((s) => [s._id, s.x]), [["a", 1], ["b", 9]]);
+});
+
+test("the first op creates the room", async (t) => {
+  const { room } = setup(t);
+  assert.equal(await recordOp("R1", "clear", {}, {}), 1);
+  assert.equal(room().seq, 1);
+});
+
+test("the log keeps the last OP_LOG_LIMIT ops", async (t) => {
+  const { room } = setup(t, [{ roomId: "R1" }]);
+  for (let i = 0; i < OP_LOG_LIMIT + 5; i++) await recordOp("R1", "clear", {}, {});
+  assert.equal(room().ops.length, OP_LOG_LIMIT);
+  assert.equal(room().ops[0].seq, 6);
+});
+
+test("a room whose seq keeps moving under the writer gives up instead of spinning", async (t) => {
+  let seq = 0;
+  t.mock.method(Room, "findOne", () => ({ lean: async () => ({ seq: seq++ }) }));
+  t.mock.method(Room, "updateOne", async () => ({ matchedCount: 0 }));
+  await assert.rejects(recordOp("R1", "clear", {}, {}), /op log busy/);
+});
+
+/* ---- opsSince ---- */
+
+const op = (seq, type = "shape:update") => ({ seq, type, data: { id: "a" }, timestamp: new Date() });
+
+test("opsSince: nothing missed, missed ops in order, no room", async (t) => {
+  setup(t, [{ roomId: "R1", seq: 5, ops: [op(3), op(5), op(4)] }]);
+  assert.deepEqual(await opsSince("R1", 5), { seq: 5, ops: [] });
+  const res = await opsSince("R1", 3);
+  assert.equal(res.seq, 5);
+  assert.deepEqual(res.ops.map((o) => o.seq), [4, 5]);
+  assert.deepEqual(await opsSince("nope", 3), { seq: 0, ops: [] });
+});
+
+test("opsSince falls back to a snapshot when the log can't bridge the gap", async (t) => {
+  const full = Array.from({ length: OP_LOG_LIMIT }, (_, i) => op(i + 101));
+  setup(t, [
+    { roomId: "TRIMMED", seq: 600, ops: full, shapes: [rect("a")] },
+    { roomId: "RESET", seq: 2, ops: [op(1), op(2)] },
+    { roomId: "RESTORED", seq: 3, ops: [op(1), op(2, "restore"), op(3)] },
+    { roomId: "MERGED", seq: 3, ops: [op(1), op(2), op(3, "merge")] },
+    { roomId: "GAPPY", seq: 9, ops: [op(5), op(9)] },
+  ]);
+
+  const trimmed = await opsSince("TRIMMED", 50);
+  assert.equal(trimmed.seq, 600);
+  assert.deepEqual(trimmed.snapshot.shapes.map((s) => s._id), ["a"]);
+  assert.ok((await opsSince("TRIMMED", 100)).ops, "log still starts right after `since`");
+
+  assert.ok((await opsSince("RESET", 7)).snapshot, "client ahead of the room");
+  assert.ok((await opsSince("RESTORED", 1)).snapshot);
+  assert.ok((await opsSince("RESTORED", 2)).ops, "restore already applied");
+  assert.ok((await opsSince("MERGED", 1)).snapshot);
+
+  // a log that isn't full was never trimmed: old gaps are just skipped seqs
+  assert.deepEqual((await opsSince("GAPPY", 2)).ops.map((o) => o.seq), [5, 9]);
+});
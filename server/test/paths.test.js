@@ -0,0 +1,170 @@
+// server/test/paths.test.js (shared/paths.js, used by the client too)
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  inkPoint, hasPressure, inkRadius, pathOutline, pathBounds, toPathShape, simplifyPath, curvePathData,
+  strokeHit, eraseFromStroke, eraserReach,
+} from "../../shared/paths.js";
+import { validate } from "../lib/validate.js";
+import { SHAPE } from "../socket/schemas.js";
+import { renderSvg } from "../lib/svgExport.js";
+
+const close = (a, b) => Math.abs(a - b) < 1e-9;
+
+const line = (from, to, n, extra = () => ({})) =>
+  Array.from({ length: n + 1 }, (_, i) => ({
+    x: from.x + ((to.x - from.x) * i) / n,
+    y: from.y + ((to.y - from.y) * i) / n,
+    ...extra(i / n),
+  }));
+
+const xs = (pts) => pts.map((p) => Math.round(p.x * 100) / 100);
+
+test("points keep pressure and tilt only when the pen reports them", () => {
+  assert.deepEqual(inkPoint({ x: 1, y: 2, p: 0.4, tx: -10, ty: 5, extra: 1 }), { x: 1, y: 2, p: 0.4, tx: -10, ty: 5 });
+  assert.deepEqual(inkPoint({ x: 1, y: 2, p: undefined }), { x: 1, y: 2 });
+  assert.equal(hasPressure([{ x: 0, y: 0 }, { x: 1, y: 1, p: 0 }]), true);
+  assert.equal(hasPressure([{ x: 0, y: 0 }]), false);
+});
+
+test("the ink radius follows pressure and widens with tilt", () => {
+  assert.equal(inkRadius({ x: 0, y: 0 }, 10), 5);
+  assert.ok(close(inkRadius({ p: 0.5 }, 10), 5), "half pressure = strokeWidth");
+  assert.ok(close(inkRadius({ p: 0 }, 10), 1.5));
+  assert.ok(close(inkRadius({ p: 1 }, 10), 8.5));
+  assert.ok(close(inkRadius({ p: 0.5, tx: 90 }, 10), 7.5));
+  assert.ok(close(inkRadius({ p: 0.5, tx: 60, ty: 80 }, 10), 7.5), "capped at a full tilt");
+  assert.equal(inkRadius({ p: 0 }, 0.1), 0.25);
+});
+
+test("the outline is as wide as the pressure at each end", () => {
+  const pts = [{ x: 0, y: 0, p: 0 }, { x: 100, y: 0, p: 1 }];
+  const poly = pathOutline(pts, 10);
+  // left edge first: one point per input point, then the end cap
+  assert.deepEqual([poly[0].x, poly[1].x], [0, 100]);
+  assert.ok(close(poly[0].y, inkRadius(pts[0], 10)));
+  assert.ok(close(poly[1].y, inkRadius(pts[1], 10)));
+  const reach = (q) => Math.hypot(q.x - Math.min(100, Math.max(0, q.x)), q.y);
+  assert.ok(poly.every((q) => reach(q) <= 8.5 + 1e-9), "caps stay within the widest radius");
+  assert.deepEqual(pathOutline([], 10), []);
+
+  // longer strokes are curved: more outline points than input points
+  const wavy = [{ x: 0, y: 0, p: 0.5 }, { x: 40, y: 30, p: 0.5 }, { x: 80, y: 0, p: 0.5 }];
+  assert.ok(pathOutline(wavy, 4).length > wavy.length * 2 + 14);
+});
+
+test("the stored box covers the widest point", () => {
+  const pts = [{ x: 0, y: 0, p: 0.1 }, { x: 50, y: 0, p: 1 }];
+  assert.deepEqual(pathBounds(pts, 10), { x: -8.5, y: -8.5, w: 67, h: 17 });
+  const shape = toPathShape({ points: [{ x: 0, y: 0, p: 0.5, junk: 1 }, { x: 5, y: 5 }], width: 4 });
+  assert.deepEqual(shape.points, [{ x: 0, y: 0, p: 0.5 }, { x: 5, y: 5 }]);
+  assert.equal(shape.strokeWidth, 4);
+});
+
+test("pressure and tilt are range checked", () => {
+  const path = (pt) => ({ type: "path", x: 0, y: 0, w: 1, h: 1, points: [{ x: 0, y: 0, ...pt }] });
+  assert.equal(validate(SHAPE, path({ p: 0.3, tx: -45, ty: 90 })), null);
+  assert.ok(validate(SHAPE, path({ p: 1.5 })));
+  assert.ok(validate(SHAPE, path({ tx: 91 })));
+});
+
+test("a pressure stroke exports as a filled outline, a plain one as a line", () => {
+  const pen = toPathShape({ _id: "p", points: [{ x: 0, y: 0, p: 0.2 }, { x: 50, y: 0, p: 0.9 }] });
+  const plain = toPathShape({ _id: "q", points: [{ x: 0, y: 0 }, { x: 50, y: 0 }] });
+  assert.match(renderSvg([pen]), /<path d="M[^"]+ Z" fill="#111"/);
+  assert.match(renderSvg([plain]), /<path d="M0,0 L50,0" fill="none" stroke="#111" stroke-width="2"/);
+});
+
+/* ---- simplification and curves ---- */
+
+test("simplifyPath drops points along a straight line", () => {
+  const pts = line({ x: 0, y: 0 }, { x: 100, y: 50 }, 20);
+  assert.deepEqual(simplifyPath(pts, 1), [pts[0], pts[20]]);
+});
+
+test("simplifyPath keeps corners and small wiggles beyond the tolerance", () => {
+  const corner = [...line({ x: 0, y: 0 }, { x: 50, y: 0 }, 10), ...line({ x: 50, y: 0 }, { x: 50, y: 50 }, 10).slice(1)];
+  const out = simplifyPath(corner, 1);
+  assert.deepEqual(out.map((p) => [p.x, p.y]), [[0, 0], [50, 0], [50, 50]]);
+
+  const wiggle = line({ x: 0, y: 0 }, { x: 100, y: 0 }, 10).map((p, i) => ({ ...p, y: i === 5 ? 0.5 : 0 }));
+  assert.equal(simplifyPath(wiggle, 1).length, 2);
+  assert.equal(simplifyPath(wiggle, 0.45).length, 3);
+});
+
+test("simplifyPath keeps the pressure profile of a straight pen stroke", () => {
+  const pts = line({ x: 0, y: 0 }, { x: 100, y: 0 }, 10, (t) => ({ p: t < 0.5 ? 0.2 + t * 1.6 : 1 - (t - 0.5) * 1.6 }));
+  const out = simplifyPath(pts, 1, 10);
+  assert.ok(out.includes(pts[5]), "the widest point stays");
+  const flat = simplifyPath(pts.map(({ p: _p, ...pt }) => pt), 1, 10);
+  assert.equal(flat.length, 2);
+});
+
+test("simplifyPath leaves short strokes and a zero tolerance alone", () => {
+  const two = [{ x: 0, y: 0 }, { x: 1, y: 1 }];
+  assert.equal(simplifyPath(two, 1), two);
+  const pts = line({ x: 0, y: 0 }, { x: 10, y: 0 }, 5);
+  assert.equal(simplifyPath(pts, 0), pts);
+});
+
+test("plain strokes are drawn as curves through the midpoints", () => {
+  const pts = [{ x: 0, y: 0 }, { x: 10, y: 10 }, { x: 20, y: 0 }, { x: 30, y: 10 }];
+  assert.equal(curvePathData(pts), "M0,0 Q10,10 15,5 Q20,0 25,5 L30,10");
+  assert.equal(curvePathData(pts.slice(0, 2), 5, 5), "M-5,-5 L5,5");
+  assert.equal(curvePathData([{ x: 1, y: 2 }]), "M1,2");
+  assert.equal(curvePathData([]), "");
+});
+
+/* ---- eraser ---- */
+
+test("strokeHit measures against the ink, including its width", () => {
+  const shape = toPathShape({ points: [{ x: 0, y: 0 }, { x: 100, y: 0 }], strokeWidth: 10 });
+  assert.equal(eraserReach(3, 10), 8);
+  assert.equal(strokeHit(shape, 50, 7.9, 3), true);
+  assert.equal(strokeHit(shape, 50, 8.1, 3), false);
+  assert.equal(strokeHit(shape, 105, 0, 3), true); // past the end, within reach of the cap
+  assert.equal(strokeHit(shape, 300, 0, 3), false);
+  assert.equal(strokeHit({ points: [] }, 0, 0, 10), false);
+});
+
+test("eraseFromStroke splits a stroke where the eraser crosses it", () => {
+  const reach = eraserReach(5, 2); // 6
+  // a segment passing through the circle with no point inside
+  const cut = eraseFromStroke([{ x: 0, y: 0 }, { x: 100, y: 0 }], 50, 0, 5, 2);
+  assert.deepEqual(cut.map(xs), [[0, 50 - reach], [50 + reach, 100]]);
+
+  // points inside the circle go, the cut ends land on the reach
+  const dense = line({ x: 0, y: 0 }, { x: 100, y: 0 }, 20);
+  const runs = eraseFromStroke(dense, 50, 0, 5, 2);
+  assert.equal(runs.length, 2);
+  assert.equal(runs[0].at(-1).x, 50 - reach);
+  assert.equal(runs[1][0].x, 50 + reach);
+  assert.ok(runs.flat().every((p) => Math.abs(p.x - 50) >= reach - 1e-9));
+});
+
+test("eraseFromStroke: an end trimmed, a miss, everything gone", () => {
+  const pts = line({ x: 0, y: 0 }, { x: 100, y: 0 }, 10);
+  const trimmed = eraseFromStroke(pts, 100, 0, 5, 2);
+  assert.equal(trimmed.length, 1);
+  assert.equal(trimmed[0].at(-1).x, 94);
+
+  assert.equal(eraseFromStroke(pts, 50, 20, 5, 2), null);
+  assert.deepEqual(eraseFromStroke(pts, 50, 0, 100, 2), []);
+  assert.deepEqual(eraseFromStroke([{ x: 1, y: 1 }], 0, 0, 5), []);
+  assert.equal(eraseFromStroke([{ x: 50, y: 50 }], 0, 0, 5), null);
+});
+
+test("a wider stroke is cut further out, like it is hit", () => {
+  const pts = [{ x: 0, y: 0 }, { x: 100, y: 0 }];
+  assert.equal(eraseFromStroke(pts, 50, 9, 5, 2), null);
+  const runs = eraseFromStroke(pts, 50, 9, 5, 20);
+  assert.equal(runs.length, 2);
+  assert.equal(strokeHit(toPathShape({ points: pts, strokeWidth: 20 }), 50, 9, 5), true);
+});
+
+test("cut points carry interpolated pressure", () => {
+  const pts = [{ x: 0, y: 0, p: 0 }, { x: 100, y: 0, p: 1 }];
+  const [first, second] = eraseFromStroke(pts, 50, 0, 4, 2);
+  assert.ok(Math.abs(first.at(-1).p - 0.45) < 1e-9);
+  assert.ok(Math.abs(second[0].p - 0.55) < 1e-9);
+});
@@ -0,0 +1,132 @@
+// server/test/pubsubAdapter.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createPubSubAdapter } from "../socket/adapters/pubsubAdapter.js";
+import { createLocalPubSub } from "../socket/adapters/localPubSub.js";
+import { settle } from "./helpers/db.js";
+
+// a Socket.IO server stand-in that records what reaches its sockets
+function fakeIo() {
+  const sent = [];
+  const target = (roomId) => ({
+    except: () => target(roomId),
+    emit: (event, ...args) => sent.push({ roomId, event, args }),
+  });
+  return { sent, to: target, sockets: { adapter: { rooms: new Map() } } };
+}
+
+// a bus whose messages from one instance can be dropped (network cut)
+function cuttableBus(bus) {
+  let cut = false;
+  return {
+    cut: (v) => (cut = v),
+    publish: (channel, msg) => !cut && bus.publish(channel, msg),
+    subscribe: (channel, handler) => bus.subscribe(channel, (m) => !cut && handler(m)),
+  };
+}
+
+function instances(t, n, opts = {}) {
+  const bus = createLocalPubSub();
+  const out = Array.from({ length: n }, (_, i) => {
+    const pubsub = cuttableBus(bus);
+    const adapter = createPubSubAdapter({ pubsub, instanceId: `i${i}`, heartbeatMs: 1000, ...opts });
+    const io = fakeIo();
+    adapter.attach(io);
+    t.after(() => adapter.close());
+    return { adapter, io, pubsub };
+  });
+  return out;
+}
+
+async function advance(t, ms) {
+  for (let i = 0; i < ms; i += 1000) {
+    t.mock.timers.tick(1000);
+    await settle();
+    await settle();
+  }
+}
+
+test("state written on one instance shows up on the others", async (t) => {
+  const [a, b] = instances(t, 2);
+  a.adapter.join("R1", "s1");
+  a.adapter.set("R1", "presence", "s1", { name: "Ann" });
+  await settle();
+  assert.equal(b.adapter.room("R1").members.get("s1"), "i0");
+  assert.deepEqual(b.adapter.room("R1").presence.get("s1"), { name: "Ann" });
+  assert.equal(b.adapter.userCount("R1"), 1);
+
+  a.adapter.leave("R1", "s1");
+  a.adapter.remove("R1", "presence", "s1");
+  await settle();
+  assert.equal(b.adapter.userCount("R1"), 0);
+});
+
+test("a new instance gets the entries of the running ones", async (t) => {
+  const bus = createLocalPubSub();
+  const a = createPubSubAdapter({ pubsub: bus, instanceId: "a" });
+  t.after(() => a.close());
+  a.join("R1", "s1");
+  a.set("R1", "roles", "s1", "editor");
+  await settle();
+
+  const b = createPubSubAdapter({ pubsub: bus, instanceId: "b" });
+  t.after(() => b.close());
+  await settle();
+  await settle();
+  assert.equal(b.room("R1").members.get("s1"), "a");
+  assert.equal(b.room("R1").roles.get("s1"), "editor");
+});
+
+test("broadcasts reach the sockets of every instance", async (t) => {
+  const [a, b] = instances(t, 2);
+  a.adapter.to("R1", { except: "s1" }).emit("draw-move", { x: 1 });
+  await settle();
+  assert.deepEqual(a.io.sent, [{ roomId: "R1", event: "draw-move", args: [{ x: 1 }] }]);
+  assert.deepEqual(b.io.sent, [{ roomId: "R1", event: "draw-move", args: [{ x: 1 }] }]);
+});
+
+test("the sockets of an instance that stops heartbeating expire", async (t) => {
+  t.mock.timers.enable({ apis: ["setInterval", "Date"] });
+  const [a, b] = instances(t, 2);
+  b.adapter.join("R1", "mine");
+  a.adapter.join("R1", "s1");
+  a.adapter.set("R1", "presence", "s1", { name: "Ann" });
+  a.adapter.join("R2", "s2");
+  await settle();
+  assert.equal(b.adapter.userCount("R1"), 2);
+
+  // both alive: nothing expires, however long it runs
+  await advance(t, 10_000);
+  assert.equal(b.adapter.userCount("R1"), 2);
+
+  a.adapter.close(); // crashed
+  await advance(t, 2000);
+  assert.equal(b.adapter.userCount("R1"), 2, "not before the timeout");
+  await advance(t, 2000);
+
+  assert.equal(b.adapter.userCount("R1"), 1);
+  assert.equal(b.adapter.room("R1").members.has("mine"), true);
+  assert.equal(b.adapter.room("R1").presence.has("s1"), false);
+  assert.equal(b.adapter.rooms.has("R2"), false, "rooms left empty are forgotten");
+  assert.deepEqual(
+    b.io.sent.map((m) => [m.roomId, m.event, ...m.args]),
+    [["R1", "presence:leave", "s1"], ["R1", "user-count", 1], ["R2", "user-count", 0]]
+  );
+});
+
+test("an instance that was only cut off gets its sockets back", async (t) => {
+  t.mock.timers.enable({ apis: ["setInterval", "Date"] });
+  const [a, b] = instances(t, 2);
+  a.adapter.join("R1", "s1");
+  a.adapter.set("R1", "presence", "s1", { name: "Ann" });
+  await settle();
+
+  a.pubsub.cut(true);
+  await advance(t, 5000);
+  assert.equal(b.adapter.userCount("R1"), 0);
+
+  a.pubsub.cut(false);
+  await advance(t, 2000); // heartbeat -> hello -> replay
+  assert.equal(b.adapter.room("R1").members.get("s1"), "i0");
+  assert.deepEqual(b.adapter.room("R1").presence.get("s1"), { name: "Ann" });
+});
@@ -0,0 +1,157 @@
+// server/test/rateLimit.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createRateLimiter, loadRateLimits, DEFAULT_RATE_LIMITS } from "../socket/rateLimit.js";
+import { can } from "../lib/roles.js";
+import { useDb } from "./helpers/db.js";
+import { startSockets, next } from "./helpers/sockets.js";
+
+const LIMITS = {
+  draw: { mode: "reject", socket: { rate: 2, burst: 3 }, room: { rate: 100, burst: 100 } },
+  cursor: { mode: "coalesce", socket: { rate: 1, burst: 1 }, room: null },
+  shared: { mode: "reject", socket: { rate: 100, burst: 100 }, room: { rate: 1, burst: 2 } },
+};
+
+// one socket: run a packet through the middleware, collect what got through
+function socketOf(limiter, room = "R1") {
+  const passed = [];
+  const rejected = [];
+  const mw = limiter.forSocket({
+    getRoom: () => room,
+    onReject: (event, args, retryInMs) => rejected.push({ event, args, retryInMs }),
+  });
+  const send = (event, ...args) => mw([event, ...args], () => passed.push([event, ...args]));
+  return { send, passed, rejected, dispose: mw.dispose };
+}
+
+test("reject mode: burst, then one packet per refilled token", (t) => {
+  t.mock.timers.enable({ apis: ["Date", "setTimeout"] });
+  const s = socketOf(createRateLimiter(LIMITS));
+  for (let i = 0; i < 5; i++) s.send("draw", i);
+  assert.deepEqual(s.passed.map(([, i]) => i), [0, 1, 2]);
+  assert.equal(s.rejected.length, 2);
+  assert.equal(s.rejected[0].retryInMs, 500); // rate 2/s
+
+  t.mock.timers.tick(500);
+  s.send("draw", 5);
+  s.send("draw", 6);
+  assert.deepEqual(s.passed.map(([, i]) => i), [0, 1, 2, 5]);
+
+  t.mock.timers.tick(10_000); // refill is capped at burst
+  for (let i = 7; i < 12; i++) s.send("draw", i);
+  assert.deepEqual(s.passed.map(([, i]) => i), [0, 1, 2, 5, 7, 8, 9]);
+});
+
+test("coalesce mode: only the latest held packet is delivered, once a token frees up", (t) => {
+  t.mock.timers.enable({ apis: ["Date", "setTimeout"] });
+  const s = socketOf(createRateLimiter(LIMITS));
+  s.send("cursor", "a");
+  s.send("cursor", "b");
+  s.send("cursor", "c");
+  assert.deepEqual(s.passed, [["cursor", "a"]]);
+  assert.equal(s.rejected.length, 0);
+
+  t.mock.timers.tick(999);
+  assert.deepEqual(s.passed, [["cursor", "a"]]);
+  t.mock.timers.tick(1);
+  assert.deepEqual(s.passed, [["cursor", "a"], ["cursor", "c"]]);
+});
+
+test("dispose drops held packets", (t) => {
+  t.mock.timers.enable({ apis: ["Date", "setTimeout"] });
+  const s = socketOf(createRateLimiter(LIMITS));
+  s.send("cursor", "a");
+  s.send("cursor", "b");
+  s.dispose();
+  t.mock.timers.tick(5000);
+  assert.deepEqual(s.passed, [["cursor", "a"]]);
+});
+
+test("room buckets are shared by the sockets of a room", (t) => {
+  t.mock.timers.enable({ apis: ["Date", "setTimeout"] });
+  const limiter = createRateLimiter(LIMITS);
+  const a = socketOf(limiter, "R1");
+  const b = socketOf(limiter, "R1");
+  const other = socketOf(limiter, "R2");
+  a.send("shared", 1);
+  b.send("shared", 2);
+  b.send("shared", 3);
+  other.send("shared", 4);
+  assert.equal(a.passed.length + b.passed.length, 2);
+  assert.equal(b.rejected.length, 1);
+  assert.equal(other.passed.length, 1);
+
+  limiter.forgetRoom("R1");
+  a.send("shared", 5);
+  assert.equal(a.passed.length, 2);
+});
+
+test("events without a limit pass straight through", () => {
+  const s = socketOf(createRateLimiter(LIMITS));
+  for (let i = 0; i < 100; i++) s.send("join-room", i);
+  assert.equal(s.passed.length, 100);
+});
+
+test("inherited object keys are not configured events", () => {
+  const s = socketOf(createRateLimiter(LIMITS));
+  for (const event of ["constructor", "toString", "hasOwnProperty", "__proto__"]) {
+    assert.doesNotThrow(() => s.send(event, 1), event);
+  }
+  assert.equal(s.passed.length, 4);
+  assert.equal(can("viewer", "constructor"), true, "not gated either");
+});
+
+test("loadRateLimits merges valid overrides and ignores unusable ones", (t) => {
+  const errors = t.mock.method(console, "error", () => {});
+  const limits = loadRateLimits(JSON.stringify({
+    "draw-move": { socket: { rate: 60, burst: 120 } },
+    "cursor-move": { socket: { rate: 0, burst: 30 } },
+    "camera:update": { mode: "drop" },
+    "shape:add": { socket: { rate: 5, burst: 0.5 } },
+    "custom": { socket: { rate: 1, burst: 1 } },
+  }));
+  assert.deepEqual(limits["draw-move"].socket, { rate: 60, burst: 120 });
+  assert.equal(limits["draw-move"].mode, "reject");
+  assert.equal(limits["cursor-move"], DEFAULT_RATE_LIMITS["cursor-move"]);
+  assert.equal(limits["camera:update"], DEFAULT_RATE_LIMITS["camera:update"]);
+  assert.equal(limits["shape:add"], DEFAULT_RATE_LIMITS["shape:add"]);
+  assert.deepEqual(limits.custom, { mode: "reject", socket: { rate: 1, burst: 1 } });
+  assert.equal(errors.mock.callCount(), 3);
+
+  assert.equal(loadRateLimits("{not json"), DEFAULT_RATE_LIMITS);
+  assert.equal(loadRateLimits(""), DEFAULT_RATE_LIMITS);
+});
+
+/* ---- over a socket ---- */
+
+test("an over-limit event is refused with RATE_LIMITED and a warning", async (t) => {
+  const db = useDb(t);
+  const { join } = await startSockets(t, {
+    rateLimits: { "shape:add": { mode: "reject", socket: { rate: 0.1, burst: 1 }, room: null } },
+  });
+  const client = await join("ROOM1", "editor");
+  const shape = (id) => ({ _id: id, type: "rect", x: 0, y: 0, w: 1, h: 1 });
+
+  const warned = next(client, "rate:limited");
+  client.emit("shape:add", { roomId: "ROOM1", shape: shape("a") });
+  client.emit("shape:add", { roomId: "ROOM1", shape: shape("b") });
+  const [err] = await warned;
+  assert.equal(err.code, "RATE_LIMITED");
+  assert.equal(err.event, "shape:add");
+  assert.ok(err.retryInMs > 0);
+  assert.deepEqual(db.Room[0].shapes.map((s) => s._id), ["a"]);
+});
+
+test("events named after Object.prototype keys don't take the server down", async (t) => {
+  useDb(t, { Room: [{ roomId: "ROOM1", shapes: [{ _id: "a", type: "rect", x: 0, y: 0, w: 1, h: 1 }] }] });
+  const { join } = await startSockets(t, { rateLimits: DEFAULT_RATE_LIMITS });
+  const client = await join("ROOM1", "viewer");
+  const errors = [];
+  client.on("error", (e) => errors.push(e));
+
+  for (const event of ["constructor", "toString", "hasOwnProperty", "valueOf"]) client.emit(event, {});
+  client.emit("shapes:request", { roomId: "ROOM1" });
+  const [shapes] = await next(client, "shapes:init");
+  assert.equal(shapes.length, 1, "still serving");
+  assert.deepEqual(errors, [], "no FORBIDDEN / INVALID_PAYLOAD for unknown events");
+});
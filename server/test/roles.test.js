@@ -0,0 +1,86 @@
+// server/test/roles.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { can, atLeast, roleFor, isRole } from "../lib/roles.js";
+import { useDb } from "./helpers/db.js";
+import { startSockets, next } from "./helpers/sockets.js";
+
+const rect = { _id: "r1", type: "rect", x: 0, y: 0, w: 10, h: 10 };
+
+test("roles rank viewer < editor < owner", () => {
+  assert.equal(atLeast("owner", "editor"), true);
+  assert.equal(atLeast("editor", "editor"), true);
+  assert.equal(atLeast("viewer", "editor"), false);
+  assert.equal(atLeast("admin", "viewer"), false);
+  assert.equal(atLeast(null, "viewer"), false);
+  assert.equal(isRole("editor"), true);
+  assert.equal(isRole("root"), false);
+});
+
+test("can() gates mutating events by role and leaves the rest open", () => {
+  for (const event of ["shape:add", "shape:update", "shape:delete", "draw-move", "history:undo"]) {
+    assert.equal(can("viewer", event), false, event);
+    assert.equal(can("editor", event), true, event);
+  }
+  for (const event of ["clear-canvas", "settings:update", "member:role"]) {
+    assert.equal(can("editor", event), false, event);
+    assert.equal(can("owner", event), true, event);
+  }
+  assert.equal(can("viewer", "cursor-move"), true);
+  assert.equal(can(null, "join-room"), true);
+  assert.equal(can(null, "shape:add"), false, "not joined yet");
+});
+
+test("roleFor: open rooms make everyone owner, claimed rooms use the default role", () => {
+  assert.equal(roleFor({}, { isOwner: false }), "owner");
+  const claimed = { ownerSecretHash: "x" };
+  assert.equal(roleFor(claimed, { isOwner: true }), "owner");
+  assert.equal(roleFor(claimed, { isOwner: false }), "editor");
+  assert.equal(roleFor({ ...claimed, settings: { defaultRole: "viewer" } }, { isOwner: false }), "viewer");
+});
+
+test("a viewer's edits are refused with a typed error, an editor's go through", async (t) => {
+  const db = useDb(t);
+  const { join } = await startSockets(t);
+  const viewer = await join("ROOM1", "viewer");
+  const editor = await join("ROOM1", "editor");
+
+  viewer.emit("shape:add", { roomId: "ROOM1", shape: rect });
+  const [err] = await next(viewer, "error");
+  assert.deepEqual(err, {
+    code: "FORBIDDEN",
+    event: "shape:add",
+    role: "viewer",
+    required: "editor",
+    msg: "Your role (viewer) can't do shape:add",
+  });
+  assert.equal(db.Room[0].shapes.length, 0);
+
+  const added = next(viewer, "shape:added");
+  editor.emit("shape:add", { roomId: "ROOM1", shape: rect });
+  assert.equal((await added)[0]._id, "r1");
+
+  editor.emit("clear-canvas", { roomId: "ROOM1" });
+  assert.equal((await next(editor, "error"))[0].required, "owner");
+  assert.equal(db.Room[0].shapes.length, 1);
+});
+
+test("an owner can clear the board and change a member's role", async (t) => {
+  const db = useDb(t, { Room: [{ roomId: "ROOM1", shapes: [rect] }] });
+  const { join, realtime } = await startSockets(t);
+  const owner = await join("ROOM1", "owner");
+  const editor = await join("ROOM1", "editor");
+
+  const cleared = next(editor, "clear-canvas");
+  owner.emit("clear-canvas", { roomId: "ROOM1" });
+  await cleared;
+  assert.equal(db.Room[0].shapes.length, 0);
+
+  const changed = next(editor, "member:role");
+  owner.emit("member:role", { roomId: "ROOM1", socketId: editor.id, role: "viewer" });
+  assert.deepEqual((await changed)[0], { id: editor.id, role: "viewer" });
+  assert.equal(realtime.room("ROOM1").roles.get(editor.id), "viewer");
+
+  editor.emit("shape:add", { roomId: "ROOM1", shape: rect });
+  assert.equal((await next(editor, "error"))[0].code, "FORBIDDEN");
+});
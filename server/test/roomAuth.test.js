@@ -0,0 +1,132 @@
+// server/test/roomAuth.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { hashSecret, verifySecret, signRoomToken, verifyRoomToken } from "../lib/roomAuth.js";
+import roomRoutes from "../routes/roomRoutes.js";
+import { useDb } from "./helpers/db.js";
+import { serve } from "./helpers/http.js";
+import { startSockets, call, next } from "./helpers/sockets.js";
+
+process.env.ROOM_TOKEN_SECRET = "test-secret";
+
+/* ---- secrets ---- */
+
+test("secrets are salted scrypt hashes that verify only the right value", () => {
+  const stored = hashSecret("hunter2");
+  assert.match(stored, /^[0-9a-f]{32}:[0-9a-f]{64}$/);
+  assert.notEqual(hashSecret("hunter2"), stored, "fresh salt every time");
+  assert.equal(verifySecret("hunter2", stored), true);
+  assert.equal(verifySecret("hunter3", stored), false);
+  assert.equal(verifySecret("", stored), false);
+  assert.equal(verifySecret(null, stored), false);
+  assert.equal(verifySecret("hunter2", null), false);
+  assert.equal(verifySecret("hunter2", "no-colon"), false);
+});
+
+/* ---- room tokens ---- */
+
+test("a room token carries its payload for its own room", () => {
+  const token = signRoomToken({ roomId: "ROOM1", role: "editor", userId: "u1" });
+  const payload = verifyRoomToken(token, "ROOM1");
+  assert.equal(payload.role, "editor");
+  assert.equal(payload.userId, "u1");
+  assert.equal(verifyRoomToken(token, "ROOM2"), null);
+});
+
+test("tampered, malformed and foreign tokens are rejected", () => {
+  const token = signRoomToken({ roomId: "ROOM1", role: "viewer" });
+  const [body, sig] = token.split(".");
+  const promoted = Buffer.from(
+    JSON.stringify({ ...JSON.parse(Buffer.from(body, "base64url").toString()), role: "owner" })
+  ).toString("base64url");
+
+  assert.equal(verifyRoomToken(`${promoted}.${sig}`, "ROOM1"), null);
+  assert.equal(verifyRoomToken(`${body}.${sig.slice(0, -2)}xx`, "ROOM1"), null);
+  assert.equal(verifyRoomToken(`${body}.`, "ROOM1"), null);
+  for (const bad of [undefined, null, 42, "", "nodot", "a.b.c"]) {
+    assert.equal(verifyRoomToken(bad, "ROOM1"), null);
+  }
+});
+
+test("room tokens expire after 12 hours", (t) => {
+  t.mock.timers.enable({ apis: ["Date"] });
+  const token = signRoomToken({ roomId: "ROOM1", role: "owner" });
+  t.mock.timers.tick(11 * 3600 * 1000);
+  assert.ok(verifyRoomToken(token, "ROOM1"));
+  t.mock.timers.tick(2 * 3600 * 1000);
+  assert.equal(verifyRoomToken(token, "ROOM1"), null);
+});
+
+/* ---- POST /api/rooms/join ---- */
+
+test("joining a password-protected room", async (t) => {
+  useDb(t);
+  const { request } = await serve(t, { "/api/rooms": roomRoutes });
+  const join = (body) => request("POST", "/api/rooms/join", { body: { roomId: "ROOM1", ...body } });
+
+  const created = await join({ password: "pw", ownerSecret: "boss" });
+  assert.equal(created.status, 200);
+  assert.deepEqual([created.body.role, created.body.protected, created.body.mine], ["owner", true, true]);
+  assert.equal(verifyRoomToken(created.body.token, "ROOM1").role, "owner");
+
+  assert.deepEqual((await join({})).body, { error: "password_required" });
+  const wrong = await join({ password: "nope" });
+  assert.deepEqual([wrong.status, wrong.body.error], [401, "invalid_password"]);
+
+  const guest = await join({ password: "pw" });
+  assert.equal(guest.status, 200);
+  assert.deepEqual([guest.body.role, guest.body.mine], ["editor", false]);
+  assert.equal(verifyRoomToken(guest.body.token, "ROOM1").role, "editor");
+
+  const owner = await join({ password: "pw", ownerSecret: "boss" });
+  assert.deepEqual([owner.body.role, owner.body.mine], ["owner", true]);
+  const notOwner = await join({ password: "pw", ownerSecret: "guess" });
+  assert.equal(notOwner.body.role, "editor");
+});
+
+test("an open room lets everyone in, and bad input is refused", async (t) => {
+  const db = useDb(t);
+  const { request } = await serve(t, { "/api/rooms": roomRoutes });
+
+  const res = await request("POST", "/api/rooms/join", { body: { roomId: "OPEN1" } });
+  assert.deepEqual([res.status, res.body.role, res.body.protected], [200, "owner", false]);
+  assert.equal(db.Room[0].passwordHash, null);
+
+  assert.equal((await request("POST", "/api/rooms/join", { body: {} })).status, 400);
+  const long = await request("POST", "/api/rooms/join", { body: { roomId: "OPEN1", password: "x".repeat(200) } });
+  assert.deepEqual([long.status, long.body.error], [400, "invalid_secret"]);
+});
+
+/* ---- join-room ---- */
+
+test("join-room admits a socket only with a valid token for that room", async (t) => {
+  useDb(t);
+  const { connect, realtime } = await startSockets(t);
+  const client = await connect();
+
+  const denied = next(client, "room:denied");
+  assert.deepEqual(await call(client, "join-room", { roomId: "ROOM1" }), [false, "unauthorized"]);
+  assert.deepEqual((await denied)[0], { roomId: "ROOM1", reason: "unauthorized" });
+
+  const other = signRoomToken({ roomId: "ROOM2", role: "owner" });
+  assert.deepEqual(await call(client, "join-room", { roomId: "ROOM1", token: other }), [false, "unauthorized"]);
+  assert.equal(realtime.userCount("ROOM1"), 0);
+
+  const token = signRoomToken({ roomId: "ROOM1", role: "viewer", userId: "u1" });
+  const joined = next(client, "room:joined");
+  assert.deepEqual(await call(client, "join-room", { roomId: "ROOM1", token }), [true]);
+  assert.equal((await joined)[0].role, "viewer");
+  assert.equal(realtime.userCount("ROOM1"), 1);
+});
+
+test("events for a room the socket didn't join are ignored", async (t) => {
+  const db = useDb(t);
+  const { join } = await startSockets(t);
+  db.Room.push({ roomId: "ROOM2", seq: 3, shapes: [{ _id: "a", type: "rect", x: 0, y: 0, w: 1, h: 1 }] });
+  const client = await join("ROOM1", "owner");
+  client.emit("clear-canvas", { roomId: "ROOM2" });
+  client.emit("shapes:request", { roomId: "ROOM2" });
+  assert.deepEqual((await next(client, "shapes:init"))[0], []);
+  const other = db.Room.find((r) => r.roomId === "ROOM2");
+  assert.deepEqual([other.seq, other.shapes.length], [3, 1]);
+});
@@ -0,0 +1,96 @@
+// server/test/schemas.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  validate, str, pattern, num, int, bool, oneOf, optional, either, arr, obj,
+} from "../lib/validate.js";
+import { EVENT_SCHEMAS, SHAPE, MAX_POINTS } from "../socket/schemas.js";
+import { useDb } from "./helpers/db.js";
+import { startSockets, next } from "./helpers/sockets.js";
+
+const rect = { type: "rect", x: 10, y: 20, w: 30, h: 40 };
+
+test("primitive rules", () => {
+  assert.equal(validate(str(3), "abc"), null);
+  assert.match(validate(str(3), "abcd"), /max 3/);
+  assert.match(validate(str(), 5), /expected string/);
+  assert.equal(validate(num(0, 1), 0.5), null);
+  assert.ok(validate(num(0, 1), 2));
+  assert.ok(validate(num(), NaN));
+  assert.ok(validate(num(), Infinity));
+  assert.equal(validate(int(1, 3), 2), null);
+  assert.ok(validate(int(1, 3), 2.5));
+  assert.equal(validate(bool(), false), null);
+  assert.ok(validate(bool(), "true"));
+  assert.equal(validate(oneOf(["a", "b"]), "b"), null);
+  assert.ok(validate(oneOf(["a", "b"]), "c"));
+  assert.equal(validate(pattern(/^x+$/, "xs"), "xxx"), null);
+  assert.match(validate(pattern(/^x+$/, "xs"), "xy"), /expected xs/);
+});
+
+test("optional, either, arr", () => {
+  assert.equal(validate(optional(num()), undefined), null);
+  assert.equal(validate(optional(num()), null), null);
+  assert.ok(validate(optional(num()), "1"));
+  assert.equal(validate(either(num(), str()), "a"), null);
+  assert.ok(validate(either(num(), str()), true));
+  assert.equal(validate(arr(num(), 2), [1, 2]), null);
+  assert.match(validate(arr(num(), 2), [1, 2, 3]), /too many items/);
+  assert.match(validate(arr(num()), [1, "2"]), /^\[1\]: /);
+});
+
+test("obj rejects unknown keys and reports the path of the first error", () => {
+  const rule = obj({ a: num(), b: optional(obj({ c: str(2) })) });
+  assert.equal(validate(rule, { a: 1 }), null);
+  assert.match(validate(rule, { a: 1, z: 2 }), /^z: unknown field/);
+  assert.match(validate(rule, { a: 1, b: { c: "long" } }), /^b\.c: /);
+  assert.ok(validate(rule, [1]));
+  assert.match(validate(obj({ a: optional(num()) }, { minKeys: 1 }), {}), /at least 1/);
+});
+
+test("SHAPE accepts a plain shape and a freehand path, rejects unknown types and fields", () => {
+  assert.equal(validate(SHAPE, rect), null);
+  const path = { ...rect, type: "path", points: [{ x: 0, y: 0 }, { x: 5, y: 5 }] };
+  assert.equal(validate(SHAPE, path), null);
+  assert.ok(validate(SHAPE, { ...rect, type: "hexagon" }));
+  assert.match(validate(SHAPE, { ...rect, evil: 1 }), /unknown field/);
+  assert.ok(validate(SHAPE, { ...rect, x: "10" }));
+  assert.ok(validate(SHAPE, { ...path, points: [{ x: 0 }] }));
+  const tooLong = Array.from({ length: MAX_POINTS + 1 }, (_, i) => ({ x: i, y: i }));
+  assert.match(validate(SHAPE, { ...path, points: tooLong }), /too many items/);
+});
+
+test("shape:update patches only whitelisted fields, at least one", () => {
+  const rule = EVENT_SCHEMAS["shape:update"];
+  assert.equal(validate(rule, { roomId: "ROOM1", id: "s1", patch: { x: 1, text: "hi" } }), null);
+  assert.match(validate(rule, { roomId: "ROOM1", id: "s1", patch: { type: "rect" } }), /unknown field/);
+  assert.match(validate(rule, { roomId: "ROOM1", id: "s1", patch: { clock: {} } }), /unknown field/);
+  assert.match(validate(rule, { roomId: "ROOM1", id: "s1", patch: {} }), /at least 1/);
+});
+
+test("room ids and settings", () => {
+  assert.equal(validate(EVENT_SCHEMAS["join-room"], "ROOM_1-a"), null);
+  assert.ok(validate(EVENT_SCHEMAS["join-room"], "room with spaces"));
+  assert.ok(validate(EVENT_SCHEMAS["join-room"], { roomId: "x".repeat(65) }));
+  const settings = (patch) => validate(EVENT_SCHEMAS["settings:update"], { roomId: "ROOM1", patch });
+  assert.equal(settings({ defaultRole: "viewer" }), null);
+  assert.ok(settings({ defaultRole: "owner" }));
+  assert.ok(settings({ color: "red" }));
+});
+
+test("invalid payloads never reach the handlers", async (t) => {
+  const db = useDb(t);
+  const { join } = await startSockets(t);
+  const client = await join("ROOM1", "owner");
+
+  client.emit("shape:add", { roomId: "ROOM1", shape: { ...rect, type: "hexagon" } });
+  const [err] = await next(client, "error");
+  assert.equal(err.code, "INVALID_PAYLOAD");
+  assert.equal(err.event, "shape:add");
+  assert.match(err.msg, /^shape\.type: /);
+  assert.equal(db.Room[0].shapes.length, 0);
+
+  client.emit("settings:update", { roomId: "ROOM1", patch: { defaultRole: "god" } });
+  assert.equal((await next(client, "error"))[0].event, "settings:update");
+  assert.equal(db.Room[0].settings?.defaultRole ?? "editor", "editor");
+});
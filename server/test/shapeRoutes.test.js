@@ -0,0 +1,94 @@
+// server/test/shapeRoutes.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import shapeRoutes from "../routes/shapeRoutes.js";
+import { useDb, settle } from "./helpers/db.js";
+import { serve, tokenFor, fakeRealtime } from "./helpers/http.js";
+
+const rect = (id, x = 0) => ({ _id: id, type: "rect", x, y: 0, w: 10, h: 10 });
+
+async function setup(t, shapes = [rect("a"), { ...rect("p"), type: "path", points: [] }]) {
+  const db = useDb(t, { Room: [{ roomId: "R1", seq: 4, shapes }] });
+  const realtime = fakeRealtime();
+  const { request } = await serve(t, { "/api/rooms/:roomId/shapes": shapeRoutes }, { realtime });
+  return { db, realtime, request, board: () => db.Room[0].shapes };
+}
+
+test("reading shapes needs a token for the room", async (t) => {
+  const { request } = await setup(t);
+  const viewer = tokenFor("R1", "viewer");
+
+  assert.equal((await request("GET", "/api/rooms/R1/shapes")).status, 401);
+  assert.equal((await request("GET", "/api/rooms/R1/shapes", { token: tokenFor("R2", "owner") })).status, 401);
+
+  const all = await request("GET", "/api/rooms/R1/shapes", { token: viewer });
+  assert.deepEqual(all.body.map((s) => s._id), ["a", "p"]);
+  const paths = await request("GET", "/api/rooms/R1/shapes?type=path", { token: viewer });
+  assert.deepEqual(paths.body.map((s) => s._id), ["p"]);
+  assert.equal((await request("GET", "/api/rooms/R1/shapes/a", { token: viewer })).body.x, 0);
+  assert.equal((await request("GET", "/api/rooms/R1/shapes/zz", { token: viewer })).status, 404);
+  assert.equal((await request("GET", "/api/rooms/R2/shapes", { token: tokenFor("R2", "viewer") })).status, 404);
+});
+
+test("adding a shape stamps it, broadcasts it and refuses viewers", async (t) => {
+  const { request, realtime, board } = await setup(t);
+  const body = { type: "ellipse", x: 1, y: 2, w: 3, h: 4 };
+
+  const denied = await request("POST", "/api/rooms/R1/shapes", { token: tokenFor("R1", "viewer"), body });
+  assert.deepEqual([denied.status, denied.body], [403, { error: "forbidden", required: "editor" }]);
+
+  const res = await request("POST", "/api/rooms/R1/shapes", { token: tokenFor("R1", "editor"), body });
+  assert.equal(res.status, 201);
+  assert.ok(res.body._id);
+  assert.ok(res.body.clock._add);
+  assert.equal(board().length, 3);
+  assert.deepEqual(realtime.sent.map((m) => [m.event, m.args[0]._id, m.args[1].seq]), [["shape:added", res.body._id, 5]]);
+
+  const again = await request("POST", "/api/rooms/R1/shapes", { token: tokenFor("R1", "editor"), body: rect("a") });
+  assert.deepEqual([again.status, again.body.error], [409, "shape_exists"]);
+  const bad = await request("POST", "/api/rooms/R1/shapes", { token: tokenFor("R1", "editor"), body: { type: "blob" } });
+  assert.deepEqual([bad.status, bad.body.error], [400, "invalid_shape"]);
+  await settle();
+});
+
+test("patching and deleting go through the same write path", async (t) => {
+  const { request, realtime, board } = await setup(t);
+  const editor = tokenFor("R1", "editor");
+
+  const patched = await request("PATCH", "/api/rooms/R1/shapes/a", { token: editor, body: { x: 42, color: "red" } });
+  assert.equal(patched.status, 200);
+  assert.deepEqual([patched.body.x, patched.body.color], [42, "red"]);
+  assert.equal(board()[0].x, 42);
+
+  const bad = await request("PATCH", "/api/rooms/R1/shapes/a", { token: editor, body: { type: "ellipse" } });
+  assert.deepEqual([bad.status, bad.body.error], [400, "invalid_patch"]);
+  assert.equal((await request("PATCH", "/api/rooms/R1/shapes/zz", { token: editor, body: { x: 1 } })).status, 404);
+
+  assert.equal((await request("DELETE", "/api/rooms/R1/shapes/a", { token: editor })).status, 204);
+  assert.deepEqual(board().map((s) => s._id), ["p"]);
+  assert.equal((await request("DELETE", "/api/rooms/R1/shapes/a", { token: editor })).status, 404);
+
+  assert.deepEqual(realtime.sent.map((m) => m.event), ["shape:updated", "shape:deleted"]);
+  assert.deepEqual(realtime.sent[0].args[0].patch, { x: 42, color: "red" });
+
+  // an add stamped before the delete lost to it; a fresh one brings the shape back
+  const stale = { ...rect("a"), clock: { _add: "0000000000001:000000:c" } };
+  const lost = await request("POST", "/api/rooms/R1/shapes", { token: editor, body: stale });
+  assert.deepEqual([lost.status, lost.body.error], [409, "shape_deleted"]);
+  assert.equal((await request("POST", "/api/rooms/R1/shapes", { token: editor, body: rect("a") })).status, 201);
+  await settle();
+});
+
+test("REST edits land in the audit trail under the caller's name", async (t) => {
+  const { db, request } = await setup(t);
+  await request("PATCH", "/api/rooms/R1/shapes/a", {
+    token: tokenFor("R1", "editor", "bot-1"),
+    body: { x: 1 },
+    headers: { "x-user-name": "Import bot" },
+  });
+  await settle();
+  const [entry] = db.AuditEntry;
+  assert.equal(entry.event, "shape:update");
+  assert.equal(entry.actor.name, "Import bot");
+  assert.equal(entry.actor.userId, "bot-1");
+});
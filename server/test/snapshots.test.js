@@ -0,0 +1,131 @@
+// server/test/snapshots.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { takeSnapshot, pruneAutoSnapshots } from "../lib/snapshots.js";
+import roomRoutes from "../routes/roomRoutes.js";
+import { verifyRoomToken } from "../lib/roomAuth.js";
+import { useDb, settle } from "./helpers/db.js";
+import { serve, tokenFor, fakeRealtime } from "./helpers/http.js";
+
+const rect = (id, x = 0) => ({ _id: id, type: "rect", x, y: 0, w: 10, h: 10 });
+const minutesAgo = (m) => new Date(Date.now() - m * 60_000);
+
+test("takeSnapshot copies the board and its seq", async (t) => {
+  const db = useDb(t, { Room: [{ roomId: "R1", seq: 7, shapes: [rect("a"), rect("b")] }] });
+  const meta = await takeSnapshot("R1", { name: "v1", createdBy: "Ann" });
+  assert.deepEqual(
+    { name: meta.name, auto: meta.auto, seq: meta.seq, shapeCount: meta.shapeCount, createdBy: meta.createdBy },
+    { name: "v1", auto: false, seq: 7, shapeCount: 2, createdBy: "Ann" }
+  );
+  assert.equal("shapes" in meta, false, "meta never ships the shapes");
+  assert.deepEqual(db.Snapshot[0].shapes.map((s) => s._id), ["a", "b"]);
+  assert.equal(await takeSnapshot("NOPE", { name: "x" }), null);
+});
+
+test("pruneAutoSnapshots keeps the newest auto-saves and every named one", async (t) => {
+  const db = useDb(t, {
+    Snapshot: [
+      ...Array.from({ length: 5 }, (_, i) => ({ roomId: "R1", name: `auto${i}`, auto: true, createdAt: minutesAgo(10 - i) })),
+      { roomId: "R1", name: "named", createdAt: minutesAgo(60) },
+      { roomId: "R2", name: "other", auto: true, createdAt: minutesAgo(60) },
+    ],
+  });
+  await pruneAutoSnapshots("R1", 2);
+  assert.deepEqual(db.Snapshot.map((s) => s.name).sort(), ["auto3", "auto4", "named", "other"]);
+});
+
+/* ---- REST ---- */
+
+async function setup(t, seed) {
+  const db = useDb(t, seed);
+  const realtime = fakeRealtime();
+  const { request } = await serve(t, { "/api/rooms": roomRoutes }, { realtime });
+  return { db, realtime, request };
+}
+
+test("saving, listing and previewing snapshots", async (t) => {
+  const { request, realtime } = await setup(t, {
+    Room: [{ roomId: "R1", seq: 3, shapes: [rect("a")] }],
+    Snapshot: [{ roomId: "R1", name: "older", createdAt: minutesAgo(5), shapes: [rect("z")] }],
+  });
+
+  const viewer = tokenFor("R1", "viewer");
+  const denied = await request("POST", "/api/rooms/R1/snapshots", { token: viewer, body: { name: "v1" } });
+  assert.equal(denied.status, 403);
+  assert.equal((await request("POST", "/api/rooms/R1/snapshots", { body: { name: "v1" } })).status, 401);
+  const bad = await request("POST", "/api/rooms/R1/snapshots", { token: tokenFor("R1", "editor"), body: { name: "  " } });
+  assert.equal(bad.status, 400);
+
+  const saved = await request("POST", "/api/rooms/R1/snapshots", {
+    token: tokenFor("R1", "editor"),
+    body: { name: " v1 ", createdBy: "Ann" },
+  });
+  assert.equal(saved.status, 201);
+  assert.equal(saved.body.name, "v1");
+  assert.deepEqual(realtime.sent.map((m) => m.event), ["snapshot:saved"]);
+
+  const list = await request("GET", "/api/rooms/R1/snapshots", { token: viewer });
+  assert.deepEqual(list.body.map((s) => [s.name, s.shapeCount]), [["v1", 1], ["older", 1]]);
+  assert.equal("shapes" in list.body[0], false);
+
+  const one = await request("GET", `/api/rooms/R1/snapshots/${list.body[1]._id}`, { token: viewer });
+  assert.deepEqual(one.body.shapes.map((s) => s._id), ["z"]);
+  assert.equal((await request("GET", "/api/rooms/R1/snapshots/not-an-id", { token: viewer })).status, 404);
+  // another room's token doesn't open this room's snapshots
+  const foreign = await request("GET", `/api/rooms/R1/snapshots/${list.body[1]._id}`, { token: tokenFor("R2") });
+  assert.equal(foreign.status, 401);
+});
+
+test("restoring replaces the board after auto-saving it (owner only)", async (t) => {
+  const { db, request, realtime } = await setup(t, {
+    Room: [{ roomId: "R1", seq: 3, shapes: [rect("now")] }],
+    Snapshot: [{ roomId: "R1", name: "then", shapes: [rect("then")] }],
+  });
+  const id = String(db.Snapshot[0]._id);
+  const restore = (role) =>
+    request("POST", `/api/rooms/R1/snapshots/${id}/restore`, { token: tokenFor("R1", role), body: { mode: "replace" } });
+
+  assert.deepEqual((await restore("editor")).body, { error: "forbidden", required: "owner" });
+
+  const res = await restore("owner");
+  assert.equal(res.status, 200);
+  assert.equal(res.body.seq, 4);
+  assert.deepEqual(db.Room[0].shapes.map((s) => s._id), ["then"]);
+  assert.ok(db.Room[0].shapes[0].clock._add, "fresh add stamps");
+
+  const backup = db.Snapshot.find((s) => s.auto);
+  assert.match(backup.name, /^Before restoring "then"/);
+  assert.deepEqual(backup.shapes.map((s) => s._id), ["now"]);
+  assert.deepEqual(realtime.sent.map((m) => m.event), ["snapshot:saved", "snapshot:restored"]);
+  await settle();
+});
+
+test("forking a snapshot makes a new room its creator owns", async (t) => {
+  const { db, request } = await setup(t, {
+    Room: [{ roomId: "R1", shapes: [] }, { roomId: "TAKEN", shapes: [] }],
+    Snapshot: [{ roomId: "R1", name: "then", shapes: [rect("then")] }],
+  });
+  const id = String(db.Snapshot[0]._id);
+  const fork = (body) =>
+    request("POST", `/api/rooms/R1/snapshots/${id}/restore`, { token: tokenFor("R1", "editor"), body });
+
+  const res = await fork({ mode: "fork", newRoomId: "FORK1" });
+  assert.equal(res.status, 201);
+  assert.deepEqual([res.body.roomId, res.body.role, res.body.mine], ["FORK1", "owner", true]);
+  assert.equal(verifyRoomToken(res.body.token, "FORK1").role, "owner");
+  assert.deepEqual(db.Room.find((r) => r.roomId === "FORK1").shapes.map((s) => s._id), ["then"]);
+
+  assert.equal((await fork({ mode: "fork", newRoomId: "TAKEN" })).status, 409);
+  const auto = await fork({ mode: "fork" });
+  assert.match(auto.body.roomId, /^R1-[0-9a-f]{8}$/);
+  assert.equal((await fork({ mode: "sideways" })).status, 400);
+});
+
+test("only owners delete snapshots", async (t) => {
+  const { db, request } = await setup(t, { Snapshot: [{ roomId: "R1", name: "v1" }] });
+  const url = `/api/rooms/R1/snapshots/${db.Snapshot[0]._id}`;
+  assert.equal((await request("DELETE", url, { token: tokenFor("R1", "editor") })).status, 403);
+  assert.equal((await request("DELETE", url, { token: tokenFor("R1", "owner") })).status, 204);
+  assert.equal(db.Snapshot.length, 0);
+  assert.equal((await request("DELETE", url, { token: tokenFor("R1", "owner") })).status, 404);
+});
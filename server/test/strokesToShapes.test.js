@@ -0,0 +1,112 @@
+// server/test/strokesToShapes.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import Room from "../models/Room.js";
+import { migrateStrokes } from "../migrations/strokesToShapes.js";
+import { toPathShape } from "../../shared/paths.js";
+import { pathsOf } from "../socket/shapeStore.js";
+import { useDb } from "./helpers/db.js";
+import { matches, applyUpdate } from "./helpers/memoryModel.js";
+
+// the migration reads and writes the raw collection (drawingData isn't in the schema)
+function useRawRooms(t, docs) {
+  t.mock.method(Room.collection, "find", (filter) => ({
+    async *[Symbol.asyncIterator]() {
+      for (const d of docs.filter((doc) => matches(doc, filter))) yield structuredClone(d);
+    },
+  }));
+  t.mock.method(Room.collection, "updateOne", async (filter, update) => {
+    const doc = docs.find((d) => matches(d, filter));
+    if (doc) applyUpdate(doc, update);
+    return { matchedCount: doc ? 1 : 0 };
+  });
+  return docs;
+}
+
+const stroke = (id, x = 0, extra = {}) => ({
+  _id: id,
+  points: [{ x, y: 0 }, { x: x + 10, y: 5 }],
+  color: "#f00",
+  strokeWidth: 3,
+  ...extra,
+});
+const at = (s) => new Date(`2024-01-01T00:00:0${s}Z`);
+
+test("toPathShape turns an old stroke into a path shape with bounds", () => {
+  const p = toPathShape({ id: 7, width: 4, points: [{ x: 10, y: 20 }, { x: 30, y: 5 }] });
+  assert.equal(p._id, "7");
+  assert.equal(p.type, "path");
+  assert.equal(p.strokeWidth, 4);
+  assert.equal(p.color, "#111");
+  assert.deepEqual(p.points, [{ x: 10, y: 20 }, { x: 30, y: 5 }]);
+  assert.deepEqual([p.x, p.y, p.w, p.h], [8, 3, 24, 19]); // padded by half the width
+});
+
+test("pathsOf picks the freehand strokes of a room", () => {
+  const shapes = [{ _id: "r", type: "rect" }, { _id: "p", type: "path" }];
+  assert.deepEqual(pathsOf({ shapes }).map((s) => s._id), ["p"]);
+  assert.deepEqual(pathsOf(null), []);
+});
+
+test("strokes end up as one path shape each, stamped copies preferred", async (t) => {
+  const db = useDb(t);
+  const rooms = useRawRooms(t, [
+    {
+      _id: 1,
+      roomId: "R1",
+      shapes: [
+        { _id: "rect", type: "rect", x: 0, y: 0, w: 5, h: 5 },
+        { ...stroke("a"), type: "path", clock: { _add: "0000000000001:000000:x" } },
+      ],
+      drawingData: [
+        { type: "stroke", data: stroke("a"), timestamp: at(1) },
+        { type: "stroke", data: stroke("b", 50), timestamp: at(2) },
+        { type: "stroke", data: { _id: "empty", points: [] } },
+      ],
+    },
+  ]);
+
+  await migrateStrokes();
+  const [room] = rooms;
+  assert.equal("drawingData" in room, false);
+  assert.deepEqual(room.shapes.map((s) => [s._id, s.type]), [["rect", "rect"], ["a", "path"], ["b", "path"]]);
+  assert.equal(room.shapes[1].clock._add, "0000000000001:000000:x");
+  assert.equal(room.shapes[2].strokeWidth, 3);
+  assert.deepEqual(
+    db.RoomHistory.map((h) => [h.data._id, h.timestamp.getTime()]),
+    [["a", at(1).getTime()], ["b", at(2).getTime()]]
+  );
+});
+
+test("strokes before the last clear are gone, loose copies included", async (t) => {
+  useDb(t);
+  const rooms = useRawRooms(t, [
+    {
+      _id: 1,
+      roomId: "R1",
+      shapes: [{ ...stroke("old"), type: "path" }],
+      drawingData: [
+        { type: "stroke", data: stroke("old") },
+        { type: "clear" },
+        { type: "stroke", data: stroke("new") },
+      ],
+    },
+  ]);
+  await migrateStrokes();
+  assert.deepEqual(rooms[0].shapes.map((s) => s._id), ["new"]);
+});
+
+test("migrated rooms and rooms without drawingData are left alone", async (t) => {
+  const db = useDb(t);
+  const untouched = { _id: 2, roomId: "R2", shapes: [{ ...stroke("x"), type: "path", extra: 1 }] };
+  const rooms = useRawRooms(t, [
+    { _id: 1, roomId: "R1", shapes: [], drawingData: [{ type: "stroke", data: stroke("a"), timestamp: at(1) }] },
+    structuredClone(untouched),
+  ]);
+  await migrateStrokes();
+  const once = structuredClone(rooms);
+  await migrateStrokes();
+  assert.deepEqual(rooms, once, "idempotent");
+  assert.deepEqual(rooms[1], untouched);
+  assert.equal(db.RoomHistory.length, 1);
+});
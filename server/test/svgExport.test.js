@@ -0,0 +1,70 @@
+// server/test/svgExport.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { renderSvg, contentBounds } from "../lib/svgExport.js";
+import roomRoutes from "../routes/roomRoutes.js";
+import { useDb } from "./helpers/db.js";
+import { serve, tokenFor } from "./helpers/http.js";
+
+const rect = (id, x = 0) => ({ _id: id, type: "rect", x, y: 0, w: 10, h: 10 });
+const hostile = '"/><script>alert(1)</script><x a="';
+
+test("text and colors can't break out of the markup", () => {
+  const svg = renderSvg([
+    { type: "note", x: 0, y: 0, w: 100, h: 50, text: `${hostile}\nline & two`, color: hostile },
+    { type: "text", x: 0, y: 80, w: 100, h: 20, text: "<b>", color: hostile },
+    { type: "rect", x: 0, y: 0, w: 5, h: 5, color: hostile },
+    { type: "path", points: [{ x: 0, y: 0 }, { x: 5, y: 5 }], blend: hostile, opacity: 0.5 },
+  ]);
+  assert.equal(svg.includes("<script"), false);
+  assert.equal(svg.includes("<b>"), false);
+  assert.match(svg, /&lt;script&gt;alert\(1\)&lt;\/script&gt;/);
+  assert.match(svg, /fill="&quot;\/&gt;&lt;script&gt;/);
+  assert.match(svg, /line &amp; two/);
+  assert.match(svg, /style="mix-blend-mode:&quot;/);
+});
+
+test("coordinates are numbers, whatever the shape carries", () => {
+  const svg = renderSvg([{ type: "rect", x: hostile, y: "3.14159", w: 10, h: { a: 1 } }], {
+    bbox: { x: 0, y: 0, w: 10, h: 10 },
+  });
+  assert.match(svg, /<rect x="0" y="3.14" width="10" height="0"/);
+  assert.equal(svg.includes("script"), false);
+});
+
+test("viewBox fits the content, lines by their endpoints", () => {
+  assert.equal(contentBounds([]), null);
+  assert.deepEqual(contentBounds([rect("a", 10), { type: "line", x1: 100, y1: 50, x2: 40, y2: -30 }]), {
+    x: -10, y: -50, w: 130, h: 120,
+  });
+  const svg = renderSvg([rect("a")], { bbox: { x: 5, y: 6, w: 7, h: 8 }, background: "transparent" });
+  assert.match(svg, /width="7" height="8" viewBox="5 6 7 8"/);
+  assert.equal(svg.includes('fill="#fff"'), false);
+  assert.match(renderSvg([]), /viewBox="0 0 800 600"/);
+});
+
+test("highlighter ink is drawn beneath everything else", () => {
+  const svg = renderSvg([
+    rect("a"),
+    { type: "path", brush: "highlighter", points: [{ x: 0, y: 0 }, { x: 9, y: 9 }], color: "#ff0" },
+  ]);
+  assert.ok(svg.indexOf('stroke="#ff0"') < svg.indexOf("<rect x=\"0\" y=\"0\" width=\"10\""));
+});
+
+test("GET export.svg checks its query and accepts ?token= for embeds", async (t) => {
+  useDb(t, { Room: [{ roomId: "R1", shapes: [{ ...rect("a"), color: hostile }] }] });
+  const { request } = await serve(t, { "/api/rooms": roomRoutes });
+  const viewer = tokenFor("R1", "viewer");
+
+  assert.equal((await request("GET", "/api/rooms/R1/export.svg")).status, 401);
+  const res = await request("GET", `/api/rooms/R1/export.svg?token=${viewer}`);
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get("content-type"), /^image\/svg\+xml/);
+  assert.equal(res.body.includes("<script"), false);
+
+  const bad = (q) => request("GET", `/api/rooms/R1/export.svg?${q}`, { token: viewer });
+  assert.deepEqual((await bad("bbox=0,0,-1,5")).body, { error: "invalid_bbox" });
+  assert.deepEqual((await bad("bbox=0,0,5")).body, { error: "invalid_bbox" });
+  assert.deepEqual((await bad(`background=${encodeURIComponent(hostile)}`)).body, { error: "invalid_background" });
+  assert.equal((await bad("bbox=0,0,50,50&background=transparent")).status, 200);
+});
@@ -0,0 +1,80 @@
+// server/test/timelapse.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { historyOf } from "../socket/opLog.js";
+import { addShape, updateShape, deleteShape } from "../socket/shapeStore.js";
+import roomRoutes from "../routes/roomRoutes.js";
+import { useDb, settle } from "./helpers/db.js";
+import { serve, tokenFor } from "./helpers/http.js";
+
+const rect = (id, x = 0) => ({ _id: id, type: "rect", x, y: 0, w: 10, h: 10 });
+const opts = { undoable: false };
+
+// history writes run in the background, one after the other per room
+const drained = async () => {
+  for (let i = 0; i < 10; i++) await settle();
+};
+
+test("every op lands in the history, oldest first", async (t) => {
+  useDb(t, { Room: [{ roomId: "R1" }] });
+  await addShape("R1", rect("a"), opts);
+  await updateShape("R1", "a", { x: 5 }, undefined, opts);
+  await deleteShape("R1", "a", undefined, opts);
+  await drained();
+
+  const h = await historyOf("R1");
+  assert.equal(h.seq, 3);
+  assert.equal(h.total, 3);
+  assert.deepEqual(h.ops.map((o) => [o.seq, o.type]), [[1, "shape:add"], [2, "shape:update"], [3, "shape:delete"]]);
+  assert.equal("roomId" in h.ops[0], false);
+  assert.equal(await historyOf("NOPE"), null);
+});
+
+test("the updates of one gesture fold into one entry per shape", async (t) => {
+  const db = useDb(t, { Room: [{ roomId: "R1", shapes: [rect("a"), rect("b")] }] });
+  const drag = { ...opts, batch: "g1" };
+  for (let x = 1; x <= 20; x++) {
+    await updateShape("R1", "a", { x }, undefined, drag);
+    if (x === 10) await updateShape("R1", "b", { color: "red" }, undefined, drag);
+  }
+  await updateShape("R1", "a", { y: 3 }, undefined, drag);
+  await updateShape("R1", "a", { x: 99 }, undefined, opts); // not part of a gesture
+  await updateShape("R1", "a", { x: 100 }, undefined, { ...opts, batch: "g2" });
+  await drained();
+
+  const { ops } = await historyOf("R1");
+  assert.deepEqual(
+    ops.map((o) => [o.data.id, o.data.patch]),
+    [["b", { color: "red" }], ["a", { x: 20, y: 3 }], ["a", { x: 99 }], ["a", { x: 100 }]]
+  );
+  const folded = ops[1];
+  assert.equal(folded.seq, 22, "at the seq of its last update");
+  assert.equal(folded.data.stamp, db.Room[0].shapes[0].clock.y);
+  assert.equal("batch" in folded, false);
+  assert.equal(db.RoomHistory.length, 4);
+});
+
+test("base = shapes older than the history; pages by offset", async (t) => {
+  useDb(t, {
+    Room: [{ roomId: "R1", seq: 2, shapes: [rect("old"), rect("a"), rect("m")] }],
+    RoomHistory: [
+      { roomId: "R1", seq: 1, type: "shape:add", data: rect("a"), timestamp: new Date(1000) },
+      { roomId: "R1", seq: 2, type: "merge", data: { shapes: [rect("m")] }, timestamp: new Date(2000) },
+    ],
+  });
+  const first = await historyOf("R1", { limit: 1 });
+  assert.deepEqual(first.base.map((s) => s._id), ["old"]);
+  assert.deepEqual([first.ops.length, first.total], [1, 2]);
+  const second = await historyOf("R1", { offset: 1, limit: 1 });
+  assert.deepEqual(second.base, []);
+  assert.equal(second.ops[0].type, "merge");
+});
+
+test("GET /history needs a room token", async (t) => {
+  useDb(t, { Room: [{ roomId: "R1" }] });
+  const { request } = await serve(t, { "/api/rooms": roomRoutes });
+  assert.equal((await request("GET", "/api/rooms/R1/history")).status, 401);
+  const res = await request("GET", "/api/rooms/R1/history?limit=10", { token: tokenFor("R1", "viewer") });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body, { seq: 0, base: [], ops: [], total: 0 });
+});
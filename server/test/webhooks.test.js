@@ -0,0 +1,171 @@
+// server/test/webhooks.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import mongoose from "mongoose";
+import { checkTarget, deliver, emitWebhook, forgetHooks, sign } from "../lib/webhooks.js";
+import webhookRoutes from "../routes/webhookRoutes.js";
+import { useDb, settle } from "./helpers/db.js";
+import { serve, tokenFor } from "./helpers/http.js";
+
+// WEBHOOK_ALLOW_PRIVATE is read on every check; each test sets its own
+function allowPrivate(t, value) {
+  const prev = process.env.WEBHOOK_ALLOW_PRIVATE;
+  if (value == null) delete process.env.WEBHOOK_ALLOW_PRIVATE;
+  else process.env.WEBHOOK_ALLOW_PRIVATE = value;
+  t.after(() => {
+    if (prev == null) delete process.env.WEBHOOK_ALLOW_PRIVATE;
+    else process.env.WEBHOOK_ALLOW_PRIVATE = prev;
+  });
+}
+
+// local receiver: records every request with its raw body
+async function receiver(t, status = 204) {
+  const got = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (c) => (body += c));
+    req.on("end", () => {
+      got.push({ headers: req.headers, body });
+      res.writeHead(status).end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+  return { got, port: server.address().port };
+}
+
+const hookFor = (url, extra = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  roomId: "R1",
+  url,
+  secret: "s3cret",
+  events: ["shape.added"],
+  active: true,
+  ...extra,
+});
+
+// the first attempt runs in the background
+async function attempted(db) {
+  for (let i = 0; i < 200 && !db.WebhookDelivery[0]?.attempts.length; i++) {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+  return db.WebhookDelivery[0];
+}
+
+test("internal targets are refused at registration", async (t) => {
+  allowPrivate(t, null);
+  for (const url of [
+    "http://127.0.0.1/",
+    "http://10.0.0.5/",
+    "http://169.254.169.254/latest/meta-data",
+    "http://192.168.1.1:8080/",
+    "http://[::1]/",
+    "http://[::ffff:127.0.0.1]/",
+    "http://[::ffff:7f00:1]/",
+    "http://[fe80::1]/",
+    "http://0.0.0.0/",
+  ]) {
+    assert.match(await checkTarget(url), /internal address/, url);
+  }
+  assert.match(await checkTarget("http://localhost:3000/"), /localhost resolves to internal address 127\.0\.0\.1/);
+  assert.match(await checkTarget("http://does-not-exist.invalid/"), /does not resolve/);
+  assert.equal(await checkTarget("https://93.184.216.34/hook"), null);
+});
+
+test("WEBHOOK_ALLOW_PRIVATE lets listed hosts and ranges through", async (t) => {
+  allowPrivate(t, "localhost, 10.1.0.0/16, 192.168.1.7");
+  assert.equal(await checkTarget("http://localhost:3000/"), null);
+  assert.equal(await checkTarget("http://10.1.2.3/"), null);
+  assert.equal(await checkTarget("http://192.168.1.7/"), null);
+  assert.match(await checkTarget("http://10.2.0.1/"), /internal/);
+  assert.match(await checkTarget("http://127.0.0.1/"), /internal/);
+});
+
+test("deliveries are signed over timestamp and body", async (t) => {
+  allowPrivate(t, "127.0.0.1");
+  const db = useDb(t);
+  const { got, port } = await receiver(t);
+  const hook = hookFor(`http://127.0.0.1:${port}/in`);
+
+  await deliver(hook, "shape.added", { shape: { _id: "a" } });
+  const delivery = await attempted(db);
+
+  assert.equal(got.length, 1);
+  const { headers, body } = got[0];
+  const payload = JSON.parse(body);
+  assert.deepEqual([payload.event, payload.roomId, payload.data], ["shape.added", "R1", { shape: { _id: "a" } }]);
+  assert.equal(headers["x-whiteboard-event"], "shape.added");
+  assert.equal(headers["x-whiteboard-delivery"], payload.id);
+  assert.equal(headers["x-whiteboard-signature"], sign("s3cret", headers["x-whiteboard-timestamp"], body));
+  assert.notEqual(headers["x-whiteboard-signature"], sign("other", headers["x-whiteboard-timestamp"], body));
+  assert.equal(delivery.status, "delivered");
+  assert.deepEqual([delivery.attempts[0].status, delivery.attempts[0].error], [204, null]);
+});
+
+test("a connect to an internal address fails the attempt without a request", async (t) => {
+  allowPrivate(t, null);
+  const db = useDb(t);
+  const { got, port } = await receiver(t);
+
+  // literal address
+  await deliver(hookFor(`http://127.0.0.1:${port}/`), "shape.added", {});
+  let delivery = await attempted(db);
+  assert.equal(delivery.attempts[0].error, "127.0.0.1 is an internal address");
+  assert.equal(delivery.status, "pending", "retried later, like any failure");
+  assert.ok(delivery.nextAttemptAt > new Date());
+
+  // a name that resolves inside (registered while it resolved elsewhere: DNS rebinding)
+  db.WebhookDelivery.length = 0;
+  await deliver(hookFor(`http://localhost:${port}/`), "shape.added", {});
+  delivery = await attempted(db);
+  assert.match(delivery.attempts[0].error, /^localhost resolves to internal address/);
+  assert.equal(got.length, 0);
+});
+
+test("non-2xx answers are failures; an attempt is made once", async (t) => {
+  allowPrivate(t, "127.0.0.1");
+  const db = useDb(t);
+  const { got, port } = await receiver(t, 500);
+  await deliver(hookFor(`http://127.0.0.1:${port}/`), "shape.added", {});
+  const delivery = await attempted(db);
+  assert.deepEqual([delivery.attempts[0].status, delivery.attempts[0].error], [500, "HTTP 500"]);
+  assert.equal(delivery.status, "pending");
+  assert.equal(got.length, 1);
+});
+
+test("emitWebhook sends to active hooks subscribed to the event", async (t) => {
+  allowPrivate(t, "127.0.0.1");
+  const { got, port } = await receiver(t);
+  const url = `http://127.0.0.1:${port}/`;
+  const db = useDb(t, {
+    Webhook: [
+      hookFor(url, { events: ["shape.added", "shape.deleted"] }),
+      hookFor(url, { events: ["canvas.cleared"] }),
+      hookFor(url, { active: false }),
+    ],
+  });
+  forgetHooks("R1");
+  emitWebhook("R1", "shape.added", {});
+  await attempted(db);
+  await settle();
+  assert.equal(db.WebhookDelivery.length, 1);
+  assert.equal(got.length, 1);
+});
+
+test("registering needs a claimed room's owner and a public url", async (t) => {
+  allowPrivate(t, null);
+  useDb(t, { Room: [{ roomId: "R1", ownerSecretHash: "hash" }, { roomId: "OPEN" }] });
+  const { request } = await serve(t, { "/api/rooms/:roomId/webhooks": webhookRoutes });
+  const body = { url: "http://169.254.169.254/", events: ["shape.added"] };
+  const post = (roomId, role = "owner", b = body) =>
+    request("POST", `/api/rooms/${roomId}/webhooks`, { token: tokenFor(roomId, role), body: b });
+
+  assert.equal((await post("R1", "editor")).status, 403);
+  assert.deepEqual((await post("OPEN")).body, { error: "room_not_claimed" });
+  const refused = await post("R1");
+  assert.equal(refused.status, 400);
+  assert.match(refused.body.msg, /^url: 169\.254\.169\.254 is an internal address/);
+  assert.equal((await post("R1", "owner", { ...body, url: "file:///etc/passwd" })).body.error, "invalid_webhook");
+  assert.equal((await post("R1", "owner", { ...body, events: [] })).body.error, "invalid_webhook");
+});
@@ -0,0 +1,84 @@
+// shared/lww.js
+
+/**
+ * Hybrid logical clock stamps for last-writer-wins shape fields.
+ * Every shape carries `clock: { _add, <field>: stamp }`; a stamp is
+ * "<ms>:<counter>:<node>" with fixed-width numbers, so plain string
+ * comparison orders stamps (ties broken by node id).
+ * Used by the server (server/socket/lww.js builds the Mongo writes) and the
+ * client (merging broadcasts into the local board).
+ */
+const pad = (n, w) => String(n).padStart(w, "0");
+const MAX_COUNTER = 999999; // 6 digits; past that the clock moves on a millisecond
+export const STAMP = /^\d{13}:\d{6}:[A-Za-z0-9_-]{1,32}$/;
+// how far ahead of the server a client's stamps may run: a stamp from the far
+// future would win every merge (nothing could overwrite or delete the field)
+// and drag the server clock along
+export const MAX_DRIFT_MS = 5000;
+
+function decode(stamp) {
+  const [t, c] = String(stamp || "").split(":");
+  return { t: Number(t) || 0, c: Number(c) || 0 };
+}
+
+export function createClock(node = Math.random().toString(36).slice(2, 10)) {
+  let last = 0;
+  let counter = 0;
+
+  return {
+    node,
+    // new stamp, always greater than anything issued or observed so far
+    tick() {
+      const now = Date.now();
+      if (now > last) {
+        last = now;
+        counter = 0;
+      } else if (counter < MAX_COUNTER) {
+        counter++;
+      } else {
+        last++;
+        counter = 0;
+      }
+      return `${pad(last, 13)}:${pad(counter, 6)}:${node}`;
+    },
+    // move forward past a stamp received from someone else
+    observe(stamp) {
+      if (!stamp) return;
+      const { t, c } = decode(stamp);
+      if (t > last || (t === last && c > counter)) {
+        last = t;
+        counter = c;
+      }
+    },
+    // (server) a stamp sent by a client: kept (and observed) when well-formed
+    // and not more than MAX_DRIFT_MS ahead, else replaced by a fresh one of ours
+    accept(stamp) {
+      if (!STAMP.test(stamp || "") || decode(stamp).t > Date.now() + MAX_DRIFT_MS) {
+        return this.tick();
+      }
+      this.observe(stamp);
+      return stamp;
+    },
+  };
+}
+
+// the fields of `patch` that win over the stamps of `shape` (as stored before)
+export const winningFields = (shape, patch, stamp) =>
+  Object.keys(patch).filter((k) => !((shape?.clock?.[k] || "") >= stamp));
+
+// apply only the fields whose stored stamp is older than `stamp`
+export function mergePatch(shape, patch, stamp) {
+  if (!stamp) return { ...shape, ...patch }; // legacy (unstamped) patch
+  const fields = winningFields(shape, patch || {}, stamp);
+  if (!fields.length) return shape;
+  const next = { ...shape, clock: { ...(shape.clock || {}) } };
+  for (const k of fields) {
+    next[k] = patch[k];
+    next.clock[k] = stamp;
+  }
+  return next;
+}
+
+// a delete loses against a (re-)add that happened after it
+export const survivesDelete = (shape, stamp) =>
+  !!stamp && (shape?.clock?._add || "") > stamp;
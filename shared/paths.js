@@ -0,0 +1,400 @@
+// shared/paths.js
+
+/**
+ * Freehand strokes are stored as `path` shapes: absolute `points` plus the
+ * usual x/y/w/h box (bounds of the points, padded by half the line width) so
+ * they behave like any other shape for hit-testing, export and selection.
+ * Used by the server (storage, exports) and the client (drawing, erasing).
+ */
+
+const newId = () =>
+  globalThis.crypto?.randomUUID?.() || `path-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+/**
+ * Stylus input: a point may carry pressure `p` (0..1) and tilt `tx` / `ty`
+ * (degrees, -90..90). Such strokes are drawn as a filled outline whose radius
+ * follows the pressure (p = 0.5 -> strokeWidth), a little wider when the pen
+ * is tilted. Points without `p` keep the plain strokeWidth line.
+ */
+export const inkPoint = ({ x, y, p, tx, ty }) => {
+  const out = { x, y };
+  if (typeof p === "number") out.p = p;
+  if (typeof tx === "number") out.tx = tx;
+  if (typeof ty === "number") out.ty = ty;
+  return out;
+};
+
+export const hasPressure = (points = []) => points.some((pt) => typeof pt.p === "number");
+
+export function inkRadius(pt, strokeWidth = 2) {
+  const base = Math.max(0.5, strokeWidth / 2);
+  if (typeof pt?.p !== "number") return base;
+  const tilt = Math.min(1, Math.hypot(pt.tx || 0, pt.ty || 0) / 90);
+  return Math.max(0.25, base * (0.3 + 1.4 * pt.p) * (1 + 0.5 * tilt));
+}
+
+const CAP_STEPS = 8; // segments per round cap
+const CURVE_STEP = 4; // px between Catmull-Rom samples (at most 8 per segment)
+
+const lerp = (a, b, t) => (typeof a === "number" && typeof b === "number" ? a + (b - a) * t : a);
+
+// Catmull-Rom through the points, sampled densely enough to look curved;
+// pressure / tilt are interpolated along
+function smoothPoints(points) {
+  const n = points.length;
+  const out = [points[0]];
+  for (let i = 0; i < n - 1; i++) {
+    const p0 = points[Math.max(0, i - 1)];
+    const p1 = points[i];
+    const p2 = points[i + 1];
+    const p3 = points[Math.min(n - 1, i + 2)];
+    const steps = Math.min(8, Math.max(1, Math.ceil(Math.hypot(p2.x - p1.x, p2.y - p1.y) / CURVE_STEP)));
+    for (let k = 1; k <= steps; k++) {
+      const t = k / steps;
+      const t2 = t * t;
+      const t3 = t2 * t;
+      const cr = (a, b, c, d) =>
+        0.5 * (2 * b + (c - a) * t + (2 * a - 5 * b + 4 * c - d) * t2 + (3 * b - a - 3 * c + d) * t3);
+      out.push(
+        inkPoint({
+          x: cr(p0.x, p1.x, p2.x, p3.x),
+          y: cr(p0.y, p1.y, p2.y, p3.y),
+          p: lerp(p1.p, p2.p, t),
+          tx: lerp(p1.tx, p2.tx, t),
+          ty: lerp(p1.ty, p2.ty, t),
+        })
+      );
+    }
+  }
+  return out;
+}
+
+/**
+ * Closed outline (one polygon, fill with the nonzero rule) of a pressure stroke:
+ * left edge forward, round cap, right edge back, round cap. Longer strokes
+ * follow a Catmull-Rom curve through the points.
+ */
+export function pathOutline(input = [], strokeWidth = 2) {
+  const points = input.length > 2 ? smoothPoints(input) : input;
+  const n = points.length;
+  if (!n) return [];
+  const left = [];
+  const right = [];
+  const normals = [];
+  for (let i = 0; i < n; i++) {
+    const a = points[Math.max(0, i - 1)];
+    const b = points[Math.min(n - 1, i + 1)];
+    const len = Math.hypot(b.x - a.x, b.y - a.y);
+    const nx = len ? -(b.y - a.y) / len : 0;
+    const ny = len ? (b.x - a.x) / len : 1;
+    const r = inkRadius(points[i], strokeWidth);
+    normals.push({ nx, ny, r });
+    left.push({ x: points[i].x + nx * r, y: points[i].y + ny * r });
+    right.push({ x: points[i].x - nx * r, y: points[i].y - ny * r });
+  }
+
+  // half circle around `pt` from its left side to its right side, ahead of `dir`
+  const cap = (pt, { nx, ny, r }, dir) => {
+    const out = [];
+    const from = Math.atan2(ny, nx);
+    for (let k = 1; k < CAP_STEPS; k++) {
+      const a = from - (dir * Math.PI * k) / CAP_STEPS;
+      out.push({ x: pt.x + Math.cos(a) * r, y: pt.y + Math.sin(a) * r });
+    }
+    return out;
+  };
+
+  return [
+    ...left,
+    ...cap(points[n - 1], normals[n - 1], 1),
+    ...right.reverse(),
+    ...cap(points[0], { ...normals[0], nx: -normals[0].nx, ny: -normals[0].ny }, 1),
+  ];
+}
+
+/**
+ * SVG path data of a plain (no pressure) stroke, shifted by (ox, oy): quadratic
+ * curves through the midpoints, each point acting as a control point.
+ */
+export function curvePathData(points = [], ox = 0, oy = 0, fmt = (v) => v) {
+  if (!points.length) return "";
+  const x = (p) => fmt(p.x - ox);
+  const y = (p) => fmt(p.y - oy);
+  let d = `M${x(points[0])},${y(points[0])}`;
+  if (points.length < 3) {
+    return points.length === 2 ? `${d} L${x(points[1])},${y(points[1])}` : d;
+  }
+  for (let i = 1; i < points.length - 1; i++) {
+    const a = points[i];
+    const b = points[i + 1];
+    const mid = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+    d += ` Q${x(a)},${y(a)} ${x(mid)},${y(mid)}`;
+  }
+  const last = points[points.length - 1];
+  return `${d} L${x(last)},${y(last)}`;
+}
+
+// SVG path data of pathOutline, shifted by (ox, oy)
+export function outlinePathData(points, strokeWidth, ox = 0, oy = 0, fmt = (v) => v) {
+  const poly = pathOutline(points, strokeWidth);
+  if (!poly.length) return "";
+  return poly.map((q, i) => `${i ? "L" : "M"}${fmt(q.x - ox)},${fmt(q.y - oy)}`).join(" ") + " Z";
+}
+
+/**
+ * Brushes: a path may name its `brush` — "pen" (the default; the only one
+ * that follows pressure), "highlighter" (translucent, kept beneath other
+ * shapes), "marker" (chisel tip) or "dashed" — plus the `opacity` (0..1) and
+ * `blend` ("normal" | "multiply") it was drawn with.
+ */
+export const BRUSH_NAMES = ["pen", "highlighter", "marker", "dashed"];
+export const BLEND_MODES = ["normal", "multiply"];
+
+// filled variable-width outline (pathOutline) rather than a plain line
+export const usesOutline = (s) => (!s.brush || s.brush === "pen") && hasPressure(s.points);
+
+// highlighter ink goes underneath everything else
+export const drawnBelow = (s) => s?.type === "path" && s.brush === "highlighter";
+
+// dashed pen: dash / gap lengths (round caps eat into the gaps)
+export const dashPattern = (strokeWidth = 2) => [strokeWidth * 2, strokeWidth * 3];
+
+const CHISEL_ANGLE = -Math.PI / 4; // nib slant, like a "/"
+const CHISEL_THIN = 0.25; // nib thickness, share of its width
+
+// shoelace, with the sign telling the winding
+const signedArea = (poly) =>
+  poly.reduce((a, p, i) => {
+    const q = poly[(i + 1) % poly.length];
+    return a + p.x * q.y - q.x * p.y;
+  }, 0);
+
+/**
+ * Marker with a chisel tip: the slanted nib stamped at every point and swept
+ * from one to the next -> polygons, all wound the same way so filling them
+ * together (nonzero) gives their union.
+ */
+export function chiselPolygons(input = [], strokeWidth = 2) {
+  const points = input.length > 2 ? smoothPoints(input) : input;
+  const half = Math.max(0.5, strokeWidth / 2);
+  const ux = Math.cos(CHISEL_ANGLE) * half;
+  const uy = Math.sin(CHISEL_ANGLE) * half;
+  const vx = -uy * CHISEL_THIN;
+  const vy = ux * CHISEL_THIN;
+  const wound = (poly) => (signedArea(poly) < 0 ? poly.reverse() : poly);
+
+  const out = points.map((p) =>
+    wound([
+      { x: p.x + ux + vx, y: p.y + uy + vy },
+      { x: p.x + ux - vx, y: p.y + uy - vy },
+      { x: p.x - ux - vx, y: p.y - uy - vy },
+      { x: p.x - ux + vx, y: p.y - uy + vy },
+    ])
+  );
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    const quad = [
+      { x: a.x + ux, y: a.y + uy },
+      { x: b.x + ux, y: b.y + uy },
+      { x: b.x - ux, y: b.y - uy },
+      { x: a.x - ux, y: a.y - uy },
+    ];
+    if (signedArea(quad)) out.push(wound(quad));
+  }
+  return out;
+}
+
+// SVG path data of chiselPolygons, shifted by (ox, oy)
+export function chiselPathData(points, strokeWidth, ox = 0, oy = 0, fmt = (v) => v) {
+  return chiselPolygons(points, strokeWidth)
+    .map((poly) => poly.map((q, i) => `${i ? "L" : "M"}${fmt(q.x - ox)},${fmt(q.y - oy)}`).join(" ") + " Z")
+    .join(" ");
+}
+
+export function pathBounds(points = [], strokeWidth = 2) {
+  if (!points.length) return { x: 0, y: 0, w: 0, h: 0 };
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  let pad = 0.5;
+  for (const p of points) {
+    minX = Math.min(minX, p.x);
+    minY = Math.min(minY, p.y);
+    maxX = Math.max(maxX, p.x);
+    maxY = Math.max(maxY, p.y);
+    pad = Math.max(pad, inkRadius(p, strokeWidth));
+  }
+  return {
+    x: minX - pad,
+    y: minY - pad,
+    w: maxX - minX + pad * 2,
+    h: maxY - minY + pad * 2,
+  };
+}
+
+// legacy stroke ({ points, color, width }) or path shape -> canonical path shape
+export function toPathShape(stroke) {
+  const points = (stroke.points || []).map(inkPoint);
+  const strokeWidth = stroke.strokeWidth ?? stroke.width ?? 2;
+  const shape = {
+    _id: String(stroke._id || stroke.id || newId()),
+    type: "path",
+    points,
+    color: stroke.color || "#111",
+    strokeWidth,
+    ...pathBounds(points, strokeWidth),
+  };
+  if (stroke.brush) shape.brush = stroke.brush;
+  if (typeof stroke.opacity === "number") shape.opacity = stroke.opacity;
+  if (stroke.blend) shape.blend = stroke.blend;
+  if (stroke.mask) shape.mask = stroke.mask;
+  if (stroke.author) shape.author = stroke.author;
+  if (stroke.clock) shape.clock = stroke.clock;
+  return shape;
+}
+
+/* ---- input side (DrawingCanvas) ---- */
+
+/**
+ * Ramer–Douglas–Peucker: drop points that stay within `tolerance` of the
+ * line through their neighbours kept so far. For pen strokes a point also
+ * stays when its radius (pressure / tilt) differs from the interpolated one
+ * by more than the tolerance, so the width profile survives.
+ */
+export function simplifyPath(points = [], tolerance = 1, strokeWidth = 2) {
+  if (points.length < 3 || !(tolerance > 0)) return points;
+  const keep = new Uint8Array(points.length);
+  keep[0] = keep[points.length - 1] = 1;
+
+  const stack = [[0, points.length - 1]];
+  while (stack.length) {
+    const [first, last] = stack.pop();
+    const a = points[first];
+    const b = points[last];
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const len = Math.hypot(dx, dy);
+    const ra = inkRadius(a, strokeWidth);
+    const rb = inkRadius(b, strokeWidth);
+
+    let worst = -1;
+    let worstErr = tolerance;
+    for (let i = first + 1; i < last; i++) {
+      const p = points[i];
+      const off = len
+        ? Math.abs(dy * p.x - dx * p.y + b.x * a.y - b.y * a.x) / len
+        : Math.hypot(p.x - a.x, p.y - a.y);
+      const t = (i - first) / (last - first);
+      const err = Math.max(off, Math.abs(inkRadius(p, strokeWidth) - (ra + (rb - ra) * t)));
+      if (err > worstErr) {
+        worst = i;
+        worstErr = err;
+      }
+    }
+    if (worst !== -1) {
+      keep[worst] = 1;
+      stack.push([first, worst], [worst, last]);
+    }
+  }
+  return points.filter((_, i) => keep[i]);
+}
+
+/* ---- eraser (DrawingCanvas) ---- */
+
+// distance from (x, y) to the segment a-b
+function toSegment(x, y, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const len2 = dx * dx + dy * dy;
+  const t = len2 ? Math.min(1, Math.max(0, ((x - a.x) * dx + (y - a.y) * dy) / len2)) : 0;
+  return Math.hypot(a.x + dx * t - x, a.y + dy * t - y);
+}
+
+const pointAt = (a, b, t) =>
+  inkPoint({
+    x: a.x + (b.x - a.x) * t,
+    y: a.y + (b.y - a.y) * t,
+    p: lerp(a.p, b.p, t),
+    tx: lerp(a.tx, b.tx, t),
+    ty: lerp(a.ty, b.ty, t),
+  });
+
+// distance from a stroke's centre line at which an eraser of radius r
+// touches its ink: r plus half the line width (strokeHit and eraseFromStroke)
+export const eraserReach = (r, strokeWidth = 2) => r + Math.max(0.5, strokeWidth / 2);
+
+/**
+ * Does an eraser circle (x, y, r) touch the ink of a path shape? Measured
+ * against the stroke's segments and its width, not its box.
+ */
+export function strokeHit(shape, x, y, r) {
+  const pts = shape?.points || [];
+  if (!pts.length) return false;
+  if (x < shape.x - r || y < shape.y - r || x > shape.x + shape.w + r || y > shape.y + shape.h + r) {
+    return false;
+  }
+  const reach = eraserReach(r, shape.strokeWidth ?? shape.width ?? 2);
+  if (pts.length === 1) return Math.hypot(pts[0].x - x, pts[0].y - y) <= reach;
+  for (let i = 1; i < pts.length; i++) {
+    if (toSegment(x, y, pts[i - 1], pts[i]) <= reach) return true;
+  }
+  return false;
+}
+
+/**
+ * Partial erase: the points of a stroke cut by an eraser circle (x, y, r).
+ * Ink the circle touches goes (centre line within eraserReach, like
+ * strokeHit); the cut ends land exactly on that reach. -> runs of points that
+ * are left (each a new stroke), or null when the circle doesn't cut the stroke.
+ */
+export function eraseFromStroke(points = [], x, y, r, strokeWidth = 2) {
+  const reach = eraserReach(r, strokeWidth);
+  const inside = (pt) => Math.hypot(pt.x - x, pt.y - y) < reach;
+  if (points.length === 1) return inside(points[0]) ? [] : null;
+
+  // where the segment a-b enters / leaves the circle (t in 0..1, may be out of range)
+  const crossings = (a, b) => {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const fx = a.x - x;
+    const fy = a.y - y;
+    const A = dx * dx + dy * dy;
+    const B = 2 * (fx * dx + fy * dy);
+    const C = fx * fx + fy * fy - reach * reach;
+    const disc = B * B - 4 * A * C;
+    if (!A || disc <= 0) return null;
+    const s = Math.sqrt(disc);
+    return [(-B - s) / (2 * A), (-B + s) / (2 * A)];
+  };
+
+  const runs = [];
+  let run = inside(points[0]) ? [] : [points[0]];
+  let cut = run.length === 0;
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    const inA = inside(a);
+    const inB = inside(b);
+    const ts = crossings(a, b);
+    if (!inA && !inB) {
+      // passes through the circle without a point inside it
+      if (ts && ts[0] > 0 && ts[1] < 1) {
+        runs.push([...run, pointAt(a, b, ts[0])]);
+        run = [pointAt(a, b, ts[1])];
+        cut = true;
+      }
+      run.push(b);
+    } else if (!inA) {
+      runs.push([...run, pointAt(a, b, ts ? Math.max(0, ts[0]) : 1)]);
+      run = [];
+      cut = true;
+    } else if (!inB) {
+      run = [pointAt(a, b, ts ? Math.min(1, ts[1]) : 0), b];
+      cut = true;
+    }
+  }
+  if (!cut) return null;
+  runs.push(run);
+  return runs.filter(
+    (pts) => pts.length > 1 && pts.some((pt) => pt.x !== pts[0].x || pt.y !== pts[0].y)
+  );
+}